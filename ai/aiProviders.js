@@ -0,0 +1,700 @@
+/**
+ * AI Providers for YouTube AI Q&A Assistant
+ * Supply the language model, summarizer, translator and language detector behind PromptClient, SummarizerClient
+ * and TranslatorClient:
+ * Chrome's built-in AI APIs (Gemini Nano), or a local server with an OpenAI-compatible API (e.g. llama.cpp, Ollama).
+ * Sessions have the shape of Chrome's LanguageModel sessions (prompt, promptStreaming, append, clone,
+ * measureInputUsage, inputUsage, inputQuota, destroy), so the clients work the same with every provider.
+ */
+
+/**
+ * AI provider interface
+ */
+class AIProvider {
+  /**
+   * @param {Object} [settings] - Provider settings (see AIProvider.DEFAULT_SETTINGS)
+   */
+  constructor(settings = {}) {
+    this.name = 'none'; // Provider id, as stored in the settings
+    this.settings = { ...AIProvider.DEFAULT_SETTINGS, ...settings };
+  }
+
+  /**
+   * Check if a capability can be used
+   * @param {'prompt'|'summarize'|'translate'|'detect'} capability - Capability to check
+   * @param {Object} [options] - Capability options, e.g. expectedInputs for 'prompt' or the language pair for 'translate'
+   * @returns {Promise<'available'|'downloadable'|'downloading'|'unavailable'>} Availability
+   */
+  async availability(capability, options = {}) {
+    return 'unavailable';
+  }
+
+  /**
+   * Create a language model session
+   * @param {Object} options - Session options (systemPrompt, expectedInputs, expectedOutputs, monitor)
+   * @returns {Promise<Object>} Session with prompt, promptStreaming, append, clone, measureInputUsage and destroy
+   */
+  async createSession(options) {
+    throw new Error(`${this.name} provider has no language model`);
+  }
+
+  /**
+   * Create a summarizer
+   * @param {Object} options - Summarizer options (sharedContext, type, format, length, monitor)
+   * @returns {Promise<{summarize: Function, destroy: Function}>} Summarizer
+   */
+  async createSummarizer(options) {
+    throw new Error(`${this.name} provider has no summarizer`);
+  }
+
+  /**
+   * Create a translator for a language pair
+   * @param {Object} options - Translator options (sourceLanguage, targetLanguage, monitor)
+   * @returns {Promise<{translate: Function, destroy: Function}>} Translator
+   */
+  async createTranslator(options) {
+    throw new Error(`${this.name} provider has no translator`);
+  }
+
+  /**
+   * Create a language detector
+   * @param {Object} [options] - Language detector options (monitor)
+   * @returns {Promise<{detect: Function, destroy: Function}>} Language detector, detect() resolves to
+   *   [{detectedLanguage, confidence}] ordered by confidence
+   */
+  async createLanguageDetector(options) {
+    throw new Error(`${this.name} provider has no language detector`);
+  }
+
+  /**
+   * Get the message shown when the language model can't be used
+   * @returns {string} Error message
+   */
+  getUnavailableMessage() {
+    return 'AI not available.';
+  }
+
+  /**
+   * Load the saved provider settings from the extension's storage
+   * The settings hold the server's API key, so they are kept out of the page's localStorage
+   * (settings saved there by earlier versions are moved over once)
+   * @returns {Promise<Object>} Settings, with defaults for missing values
+   */
+  static async loadSettings() {
+    try {
+      if (typeof chrome === 'undefined' || !chrome.storage?.local) {
+        return { ...AIProvider.DEFAULT_SETTINGS };
+      }
+
+      const stored = await chrome.storage.local.get(AIProvider.SETTINGS_KEY);
+      let saved = stored[AIProvider.SETTINGS_KEY] || null;
+      const legacy = localStorage.getItem(AIProvider.SETTINGS_KEY);
+      if (legacy !== null) {
+        localStorage.removeItem(AIProvider.SETTINGS_KEY);
+        if (!saved) {
+          saved = JSON.parse(legacy);
+          await AIProvider.saveSettings(saved);
+          console.log('Moved AI provider settings out of localStorage');
+        }
+      }
+      return { ...AIProvider.DEFAULT_SETTINGS, ...saved };
+    } catch (error) {
+      console.warn('Error loading AI provider settings:', error);
+      return { ...AIProvider.DEFAULT_SETTINGS };
+    }
+  }
+
+  /**
+   * Save provider settings to the extension's storage
+   * @param {Object} settings - Settings to save
+   * @returns {Promise<void>}
+   */
+  static async saveSettings(settings) {
+    try {
+      await chrome.storage.local.set({ [AIProvider.SETTINGS_KEY]: settings });
+    } catch (error) {
+      console.warn('Error saving AI provider settings:', error);
+    }
+  }
+
+  /**
+   * Create the provider selected in the settings
+   * @param {Object} [settings] - Provider settings, from AIProvider.loadSettings()
+   * @returns {AIProvider} Provider instance (Chrome built-in AI for unknown providers)
+   */
+  static create(settings = {}) {
+    const Provider = AIProvider.providers[settings.provider] || ChromeAIProvider;
+    return new Provider(settings);
+  }
+}
+
+/**
+ * Chrome's built-in AI APIs (LanguageModel, Summarizer, Translator, LanguageDetector)
+ */
+class ChromeAIProvider extends AIProvider {
+  constructor(settings = {}) {
+    super(settings);
+    this.name = 'chrome';
+  }
+
+  /**
+   * Check if a capability can be used
+   * @param {'prompt'|'summarize'|'translate'|'detect'} capability - Capability to check
+   * @param {Object} [options] - Options passed to the API's availability()
+   * @returns {Promise<string>} Availability
+   */
+  async availability(capability, options = {}) {
+    const api = {
+      prompt: 'LanguageModel',
+      summarize: 'Summarizer',
+      translate: 'Translator',
+      detect: 'LanguageDetector'
+    }[capability];
+    if (!api || !(api in self)) {
+      return 'unavailable';
+    }
+
+    // Without a language pair only the presence of the Translator API can be checked
+    if (capability === 'translate' && !options.sourceLanguage) {
+      return 'available';
+    }
+
+    const availability = Object.keys(options).length > 0
+      ? await self[api].availability(options)
+      : await self[api].availability();
+    // Earlier versions of the APIs answered 'no'
+    return availability === 'no' ? 'unavailable' : availability;
+  }
+
+  /**
+   * Create a LanguageModel session
+   * @param {Object} options - LanguageModel.create() options
+   * @returns {Promise<Object>} LanguageModel session
+   */
+  async createSession(options) {
+    return LanguageModel.create(options);
+  }
+
+  /**
+   * Create a Summarizer
+   * @param {Object} options - Summarizer.create() options
+   * @returns {Promise<Object>} Summarizer
+   */
+  async createSummarizer(options) {
+    return Summarizer.create(options);
+  }
+
+  /**
+   * Create a Translator
+   * @param {Object} options - Translator.create() options
+   * @returns {Promise<Object>} Translator
+   */
+  async createTranslator(options) {
+    return Translator.create(options);
+  }
+
+  /**
+   * Create a LanguageDetector
+   * @param {Object} [options] - LanguageDetector.create() options
+   * @returns {Promise<Object>} LanguageDetector
+   */
+  async createLanguageDetector(options = {}) {
+    return LanguageDetector.create(options);
+  }
+
+  /**
+   * Get the message shown when the language model can't be used
+   * @returns {string} Error message
+   */
+  getUnavailableMessage() {
+    return 'AI not available. Please ensure Chrome Built-in AI features are enabled.';
+  }
+}
+
+/**
+ * Local server with an OpenAI-compatible chat completions API (llama.cpp server, Ollama, LM Studio...)
+ * Summaries, translations and language detection are prompted from the same model
+ */
+class OpenAICompatibleProvider extends AIProvider {
+  constructor(settings = {}) {
+    super(settings);
+    this.name = 'openai-compatible';
+    this.endpoint = (this.settings.endpoint || '').replace(/\/+$/, ''); // Base URL including /v1
+    this.charsPerToken = 4; // Rough token estimate for measureInputUsage
+    this.imageTokens = 768; // Estimated tokens of an image input
+    this.availabilityTimeout = 3000; // Milliseconds to wait for the server when checking availability
+  }
+
+  /**
+   * Check if a capability can be used
+   * @param {'prompt'|'summarize'|'translate'|'detect'} capability - Capability to check
+   * @param {Object} [options] - Capability options
+   * @returns {Promise<'available'|'unavailable'>} Availability
+   */
+  async availability(capability, options = {}) {
+    // Chat completions APIs take text and images, audio input is not widely supported
+    const inputs = options.expectedInputs || [];
+    if (inputs.some(input => input.type === 'audio')) {
+      return 'unavailable';
+    }
+    if (inputs.some(input => input.type === 'image') && !this.settings.imageInput) {
+      return 'unavailable';
+    }
+
+    try {
+      const response = await this.request(`${this.endpoint}/models`, {
+        headers: this.getHeaders(),
+        signal: AbortSignal.timeout(this.availabilityTimeout)
+      });
+      return response.ok ? 'available' : 'unavailable';
+    } catch (error) {
+      console.warn(`Local AI server not reachable at ${this.endpoint}:`, error);
+      return 'unavailable';
+    }
+  }
+
+  /**
+   * Create a chat session
+   * @param {Object} options - Session options, systemPrompt is used
+   * @returns {Promise<OpenAICompatibleSession>} Session
+   */
+  async createSession(options = {}) {
+    const messages = options.systemPrompt ? [{ role: 'system', content: options.systemPrompt }] : [];
+    return new OpenAICompatibleSession(this, messages);
+  }
+
+  /**
+   * Create a summarizer that prompts the model
+   * @param {Object} options - Summarizer options (sharedContext, type, format, length)
+   * @returns {Promise<{summarize: Function, destroy: Function}>} Summarizer
+   */
+  async createSummarizer(options = {}) {
+    const style = {
+      'key-points': 'the key points as a bulleted list',
+      'tldr': 'a short overview',
+      'teaser': 'a teaser that makes the reader curious',
+      'headline': 'a single headline'
+    }[options.type] || 'the key points as a bulleted list';
+    const length = { short: 'Keep it very short.', medium: 'Keep it brief.', long: 'Be thorough.' }[options.length] || '';
+    const format = options.format === 'plain-text' ? 'Use plain text without Markdown.' : 'Use Markdown.';
+    const systemPrompt = `${options.sharedContext ? `${options.sharedContext}. ` : ''}Summarize the text you are given as ${style}. ${length} ${format} Reply with the summary only.`;
+
+    return {
+      summarize: (text) => this.complete([
+        { role: 'system', content: systemPrompt },
+        { role: 'user', content: text }
+      ]),
+      destroy: () => {}
+    };
+  }
+
+  /**
+   * Create a translator that prompts the model
+   * @param {Object} options - Translator options (sourceLanguage, targetLanguage)
+   * @returns {Promise<{translate: Function, destroy: Function}>} Translator
+   */
+  async createTranslator(options) {
+    const systemPrompt = `Translate the text you are given from the language with code "${options.sourceLanguage}" to the language with code "${options.targetLanguage}". Reply with the translation only.`;
+
+    return {
+      translate: (text) => this.complete([
+        { role: 'system', content: systemPrompt },
+        { role: 'user', content: text }
+      ]),
+      destroy: () => {}
+    };
+  }
+
+  /**
+   * Create a language detector that prompts the model
+   * @returns {Promise<{detect: Function, destroy: Function}>} Language detector
+   */
+  async createLanguageDetector() {
+    const systemPrompt = 'Identify the language of the text you are given. Reply with its BCP 47 language code only, e.g. "en" or "pt-BR".';
+
+    return {
+      detect: async (text) => {
+        const reply = await this.complete([
+          { role: 'system', content: systemPrompt },
+          { role: 'user', content: text }
+        ]);
+        const code = reply.trim().replace(/^["'`]+|["'`.]+$/g, '');
+        // The model is not asked for a confidence, a well-formed code is taken as certain
+        return /^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i.test(code)
+          ? [{ detectedLanguage: code, confidence: 1 }]
+          : [{ detectedLanguage: 'und', confidence: 1 }];
+      },
+      destroy: () => {}
+    };
+  }
+
+  /**
+   * Request a chat completion
+   * @param {Array<{role: string, content: string|Array}>} messages - Messages in LanguageModel format
+   * @param {Object} [options] - Prompt options (responseConstraint, signal)
+   * @returns {Promise<string>} Completion text
+   */
+  async complete(messages, options = {}) {
+    const response = await this.post(messages, options, false);
+    const data = await response.json();
+    return data.choices?.[0]?.message?.content || '';
+  }
+
+  /**
+   * Request a streamed chat completion
+   * @param {Array<{role: string, content: string|Array}>} messages - Messages in LanguageModel format
+   * @param {Object} [options] - Prompt options (responseConstraint, signal)
+   * @returns {AsyncGenerator<string>} Text chunks (deltas)
+   */
+  async *completeStreaming(messages, options = {}) {
+    const response = await this.post(messages, options, true);
+    const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+    let buffer = '';
+
+    try {
+      while (true) {
+        const { value, done } = await reader.read();
+        if (done) {
+          return;
+        }
+
+        // Server-sent events, one "data: {json}" line per chunk
+        buffer += value;
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        for (const line of lines) {
+          const data = line.trim().replace(/^data:\s*/, '');
+          if (!line.trim().startsWith('data:') || !data) continue;
+          if (data === '[DONE]') return;
+
+          const delta = JSON.parse(data).choices?.[0]?.delta?.content;
+          if (delta) {
+            yield delta;
+          }
+        }
+      }
+    } finally {
+      reader.releaseLock();
+    }
+  }
+
+  /**
+   * Post a chat completions request
+   * @param {Array<{role: string, content: string|Array}>} messages - Messages in LanguageModel format
+   * @param {Object} options - Prompt options (responseConstraint, signal)
+   * @param {boolean} stream - Request a streamed response
+   * @returns {Promise<Response>} Successful response
+   */
+  async post(messages, options, stream) {
+    const body = {
+      messages: await Promise.all(messages.map(message => this.toChatMessage(message))),
+      stream
+    };
+    if (this.settings.model) {
+      body.model = this.settings.model;
+    }
+    if (options.responseConstraint) {
+      body.response_format = {
+        type: 'json_schema',
+        json_schema: { name: 'response', schema: options.responseConstraint }
+      };
+    }
+
+    const response = await this.request(`${this.endpoint}/chat/completions`, {
+      method: 'POST',
+      headers: { ...this.getHeaders(), 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+      signal: options.signal
+    });
+    if (!response.ok) {
+      throw new Error(`Local AI server error ${response.status}: ${await response.text()}`);
+    }
+    return response;
+  }
+
+  /**
+   * Send a request to the local server through the background service worker
+   * A fetch from the content script would be sent from the page's origin (CORS and Private Network Access),
+   * the service worker has host permissions for localhost. Falls back to fetch outside the extension.
+   * @param {string} url - Request URL
+   * @param {{method?: string, headers?: Object, body?: string, signal?: AbortSignal}} [init] - Request options
+   * @returns {Promise<Response>} Response, its body is streamed while the server sends it
+   */
+  request(url, init = {}) {
+    if (typeof chrome === 'undefined' || !chrome.runtime?.connect) {
+      return fetch(url, init);
+    }
+
+    return new Promise((resolve, reject) => {
+      const port = chrome.runtime.connect({ name: OpenAICompatibleProvider.PORT_NAME });
+      const encoder = new TextEncoder();
+      let bodyController = null;
+      let finished = false;
+      const body = new ReadableStream({
+        start: (controller) => { bodyController = controller; },
+        cancel: () => finish()
+      });
+
+      // Stop listening, and fail the request or its body unless it completed
+      const finish = (error = null) => {
+        if (finished) return;
+        finished = true;
+        init.signal?.removeEventListener('abort', onAbort);
+        port.disconnect();
+        if (error) {
+          reject(error);
+          try {
+            bodyController.error(error);
+          } catch {
+            // The body was already closed
+          }
+        }
+      };
+      const onAbort = () => finish(init.signal.reason);
+
+      if (init.signal?.aborted) {
+        finish(init.signal.reason);
+        return;
+      }
+      init.signal?.addEventListener('abort', onAbort);
+
+      port.onMessage.addListener((message) => {
+        if (message.type === 'response') {
+          resolve(new Response(body, { status: message.status, statusText: message.statusText, headers: message.headers }));
+        } else if (message.type === 'chunk') {
+          bodyController.enqueue(encoder.encode(message.value));
+        } else if (message.type === 'done') {
+          bodyController.close();
+          finish();
+        } else if (message.type === 'error') {
+          finish(new Error(message.message));
+        }
+      });
+      port.onDisconnect.addListener(() => finish(new Error('Connection to the extension was closed')));
+      port.postMessage({ url, method: init.method, headers: init.headers, body: init.body });
+    });
+  }
+
+  /**
+   * Convert a message in LanguageModel format to a chat completions message
+   * @param {{role: string, content: string|Array<{type: string, value: string|Blob}>}} message - Message
+   * @returns {Promise<{role: string, content: string|Array}>} Chat completions message
+   */
+  async toChatMessage(message) {
+    if (typeof message.content === 'string') {
+      return { role: message.role, content: message.content };
+    }
+
+    const content = await Promise.all(message.content.map(async (part) => {
+      if (part.type === 'image') {
+        return { type: 'image_url', image_url: { url: await OpenAICompatibleProvider.toDataUrl(part.value) } };
+      }
+      return { type: 'text', text: String(part.value) };
+    }));
+    return { role: message.role, content };
+  }
+
+  /**
+   * Estimate the tokens of messages in LanguageModel format
+   * @param {Array<{role: string, content: string|Array}>} messages - Messages
+   * @returns {number} Estimated tokens
+   */
+  estimateUsage(messages) {
+    let usage = 0;
+    for (const message of messages) {
+      const parts = typeof message.content === 'string' ? [{ type: 'text', value: message.content }] : message.content;
+      for (const part of parts) {
+        usage += part.type === 'image'
+          ? this.imageTokens
+          : Math.ceil(String(part.value).length / this.charsPerToken);
+      }
+    }
+    return usage;
+  }
+
+  /**
+   * Get the request headers
+   * @returns {Object} Headers
+   */
+  getHeaders() {
+    return this.settings.apiKey ? { Authorization: `Bearer ${this.settings.apiKey}` } : {};
+  }
+
+  /**
+   * Get the message shown when the language model can't be used
+   * @returns {string} Error message
+   */
+  getUnavailableMessage() {
+    return `Local AI server not reachable at ${this.endpoint}. Please check that it is running.`;
+  }
+
+  /**
+   * Encode an image as a data URL, once per Blob
+   * @param {Blob} blob - Image
+   * @returns {Promise<string>} Data URL
+   */
+  static toDataUrl(blob) {
+    if (!OpenAICompatibleProvider.dataUrls.has(blob)) {
+      OpenAICompatibleProvider.dataUrls.set(blob, new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+      }));
+    }
+    return OpenAICompatibleProvider.dataUrls.get(blob);
+  }
+}
+
+/**
+ * Data URLs of images already sent, frames are sent again with every prompt of a session
+ */
+OpenAICompatibleProvider.dataUrls = new WeakMap();
+
+/**
+ * Port name of requests proxied by the background service worker (see background.js)
+ */
+OpenAICompatibleProvider.PORT_NAME = 'local-ai-request';
+
+/**
+ * Chat session of an OpenAI-compatible server, keeps the messages since the API is stateless
+ * Fires 'quotaoverflow' when the oldest messages are dropped to stay within the context size
+ */
+class OpenAICompatibleSession extends EventTarget {
+  /**
+   * @param {OpenAICompatibleProvider} provider - Provider that sends the requests
+   * @param {Array<{role: string, content: string|Array}>} messages - Messages so far, in LanguageModel format
+   */
+  constructor(provider, messages) {
+    super();
+    this.provider = provider;
+    this.messages = messages;
+    this.inputQuota = provider.settings.contextSize;
+    this.inputUsage = provider.estimateUsage(messages);
+    this.abortController = new AbortController(); // Aborts pending requests on destroy
+  }
+
+  /**
+   * Prompt the model and add the exchange to the session
+   * @param {string|Array} input - Prompt text or messages
+   * @param {Object} [options] - Prompt options (responseConstraint)
+   * @returns {Promise<string>} Response text
+   */
+  async prompt(input, options = {}) {
+    const messages = [...this.messages, ...this.toMessages(input)];
+    const response = await this.provider.complete(messages, { ...options, signal: this.abortController.signal });
+    this.setMessages([...messages, { role: 'assistant', content: response }]);
+    return response;
+  }
+
+  /**
+   * Prompt the model with a streamed response and add the exchange to the session
+   * @param {string|Array} input - Prompt text or messages
+   * @param {Object} [options] - Prompt options (responseConstraint)
+   * @returns {AsyncGenerator<string>} Text chunks (deltas)
+   */
+  async *promptStreaming(input, options = {}) {
+    const messages = [...this.messages, ...this.toMessages(input)];
+    let response = '';
+    for await (const chunk of this.provider.completeStreaming(messages, { ...options, signal: this.abortController.signal })) {
+      response += chunk;
+      yield chunk;
+    }
+    this.setMessages([...messages, { role: 'assistant', content: response }]);
+  }
+
+  /**
+   * Add messages to the session without prompting
+   * @param {string|Array} input - Text or messages
+   * @returns {Promise<void>}
+   */
+  async append(input) {
+    this.setMessages([...this.messages, ...this.toMessages(input)]);
+  }
+
+  /**
+   * Copy the session with its messages
+   * @returns {Promise<OpenAICompatibleSession>} Session copy
+   */
+  async clone() {
+    return new OpenAICompatibleSession(this.provider, [...this.messages]);
+  }
+
+  /**
+   * Estimate the tokens an input would use
+   * @param {string|Array} input - Prompt text or messages
+   * @returns {Promise<number>} Estimated tokens
+   */
+  async measureInputUsage(input) {
+    return this.provider.estimateUsage(this.toMessages(input));
+  }
+
+  /**
+   * Abort pending requests and drop the messages
+   */
+  destroy() {
+    this.abortController.abort();
+    this.messages = [];
+    this.inputUsage = 0;
+  }
+
+  /**
+   * Replace the messages, dropping the oldest ones (after the system prompt) that don't fit in the context
+   * @param {Array<{role: string, content: string|Array}>} messages - Messages
+   */
+  setMessages(messages) {
+    let overflowed = false;
+    while (this.provider.estimateUsage(messages) > this.inputQuota && messages.length > 2) {
+      messages.splice(messages[0].role === 'system' ? 1 : 0, 1);
+      overflowed = true;
+    }
+
+    this.messages = messages;
+    this.inputUsage = this.provider.estimateUsage(messages);
+    if (overflowed) {
+      this.dispatchEvent(new Event('quotaoverflow'));
+    }
+  }
+
+  /**
+   * Bring prompt input into message form
+   * @param {string|Array} input - Prompt text or messages
+   * @returns {Array<{role: string, content: string|Array}>} Messages
+   */
+  toMessages(input) {
+    return typeof input === 'string' ? [{ role: 'user', content: input }] : input;
+  }
+}
+
+/**
+ * Default provider settings
+ */
+AIProvider.DEFAULT_SETTINGS = Object.freeze({
+  provider: 'chrome',
+  endpoint: 'http://localhost:8080/v1', // OpenAI-compatible server, e.g. llama.cpp's llama-server
+  model: '', // Model name sent to the server, empty for the server's default
+  apiKey: '', // Optional bearer token
+  contextSize: 8192, // Context size of the local model in tokens
+  imageInput: false // True if the local model accepts images
+});
+
+/**
+ * chrome.storage.local key of the provider settings
+ */
+AIProvider.SETTINGS_KEY = 'youtube-ai-assistant-ai-provider';
+
+/**
+ * Available providers by id, with the label shown in the settings menu
+ */
+AIProvider.providers = {
+  'chrome': ChromeAIProvider,
+  'openai-compatible': OpenAICompatibleProvider
+};
+ChromeAIProvider.label = 'Chrome built-in AI';
+OpenAICompatibleProvider.label = 'Local server (OpenAI-compatible)';
+
+// Export for use in other modules
+window.AIProvider = AIProvider;
+window.ChromeAIProvider = ChromeAIProvider;
+window.OpenAICompatibleProvider = OpenAICompatibleProvider;
+window.OpenAICompatibleSession = OpenAICompatibleSession;
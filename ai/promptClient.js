@@ -1,11 +1,24 @@
 /**
  * AI Prompt Client for YouTube AI Q&A Assistant
- * Uses Chrome's built-in AI API (Gemini Nano) to generate questions and answers
+ * Uses the language model of an AI provider (Chrome's built-in Gemini Nano by default) to generate questions and answers
+ * The base session only holds the system prompt, each task works in a clone of it,
+ * and prompts are measured against the clone's remaining context before they are sent
  */
 
 class PromptClient {
-  constructor() {
-    this.session = null;
+  /**
+   * @param {AIProvider} [provider] - Provider of the language model
+   */
+  constructor(provider = new ChromeAIProvider()) {
+    this.provider = provider;
+    this.session = null; // Base session, cloned for every task and never prompted itself
+    this.conversationSession = null; // Clone used for an answer and its follow-ups
+    this.conversationHasImage = false; // True once the conversation has seen an image, repeated frames can refer back to it
+    this.transcriptionSession = null; // Separate session with audio input, created on first use
+    this.minTrimmedLength = 200; // Characters of context kept when trimming a prompt to fit
+    this.maxFitAttempts = 8; // Measurements before giving up on fitting a prompt
+    this.imageInput = true; // False if the model only takes text, video frames are left out
+    this.citationTolerance = 1; // Seconds a citation may lie outside its passage (passage times are rounded down)
     this.initialized = false;
   }
 
@@ -16,15 +29,22 @@ class PromptClient {
   async initialize() {
     try {
       // Check if AI API is available
-      const available = await LanguageModel.availability();
+      const available = await this.provider.availability('prompt');
       console.log('AI API available:', available);
-      if (!available) {
-        console.warn('Chrome AI API not available');
+      if (!available || available === 'unavailable') {
+        console.warn(`AI API not available (${this.provider.name})`);
         return false;
       }
 
+      // Use multimodal input when the model takes images
+      const imageAvailability = await this.provider.availability('prompt', { expectedInputs: [{ type: 'image' }] });
+      this.imageInput = imageAvailability !== 'unavailable';
+      if (!this.imageInput) {
+        console.warn('AI image input not available, video frames will not be used');
+      }
+
       // Create assistant session with multimodal capabilities
-      this.session = await LanguageModel.create({
+      this.session = await this.provider.createSession({
         systemPrompt: `You are a helpful assistant that generates engaging questions about YouTube video content.
         Generate 2-3 thoughtful questions that viewers might ask about the current video segment.
         Questions should be specific, engaging, and help viewers explore the content deeper.
@@ -34,9 +54,7 @@ class PromptClient {
             type: "text",
             languages: ["en"]
           },
-          {
-            type: "image"
-          }
+          ...(this.imageInput ? [{ type: "image" }] : [])
         ],
         expectedOutputs: [
           {
@@ -60,25 +78,25 @@ class PromptClient {
   }
 
   /**
-   * Generate questions based on transcript text and video frame
+   * Generate questions based on transcript text and video frames
    * @param {string} transcriptText - The transcript text to analyze
    * @param {string} videoSummary - The summary of the video
-   * @param {Blob|File|null} videoFrame - Current video frame image (optional)
+   * @param {Array<{time: number, blob: Blob, times?: number[]}>|Blob|null} videoFrames - Ordered video frames or a single frame image (optional)
    * @returns {Promise<string[]>} Array of generated questions
    */
-  async generateQuestions(transcriptText, videoSummary = "", videoFrame = null) {
+  async generateQuestions(transcriptText, videoSummary = "", videoFrames = null) {
     if (!this.initialized || !this.session) {
       console.warn('AI session not initialized');
       return [];
     }
 
+    let session = null;
     try {
-      // Prepare the prompt with multimodal content
-      const context = `Video summary: "${videoSummary}"`;
-      const textPrompt = `${context}
-Based on this video transcript segment: "${transcriptText}"
+      const frames = this.normalizeFrames(videoFrames);
+      const buildPrompt = (transcript, withFrames) => `Video summary: "${videoSummary}"
+Based on this video transcript segment: "${transcript}"
 
-${videoFrame ? 'Analyze the provided video frame image along with the transcript.' : ''}
+${withFrames ? `Analyze the provided ${this.describeFrames(frames)} along with the transcript.` : ''}
 Generate 3 questions that viewers might ask about this content. Return only a JSON array of question strings.`;
 
       // Question JSON schema
@@ -93,28 +111,28 @@ Generate 3 questions that viewers might ask about this content. Return only a JS
       };
 
       console.log("Question generation starting");
-      
-      // If we have a video frame, append it to the session first
-      if (videoFrame) {
-        console.log("Appending video frame to session");
-        await this.session.append([
-          {
-            role: 'user',
-            content: [
-              {
-                type: 'text',
-                value: 'Here is the current video frame for context:'
-              },
-              {
-                type: 'image',
-                value: videoFrame
-              }
-            ]
-          }
-        ]);
+
+      // Each generation starts from the base session, so earlier segments don't fill up the context
+      session = await this.createTaskSession();
+      const fitted = await this.fitPrompt(session, {
+        buildPrompt,
+        text: transcriptText,
+        frameContent: frames.length > 0
+          ? this.buildFrameContent(frames, 'Here are video frames for context, in playback order:')
+          : null
+      });
+      if (!fitted) {
+        console.warn('Question prompt does not fit in the AI session context');
+        return [];
       }
 
-      const response = await this.session.prompt(textPrompt, { responseConstraint: questionJsonSchema });
+      // If we have video frames, append them to the session first
+      if (fitted.frameContent) {
+        console.log(`Appending ${frames.length} video frame image(s) to session`);
+        await session.append([{ role: 'user', content: fitted.frameContent }]);
+      }
+
+      const response = await session.prompt(fitted.prompt, { responseConstraint: questionJsonSchema });
       console.log("Question generation response:", response);
       const questions = this.parseQuestions(response);
       console.log("Question generation parsed questions:", questions);
@@ -123,55 +141,46 @@ Generate 3 questions that viewers might ask about this content. Return only a JS
     } catch (error) {
       console.error('Failed to generate questions:', error);
       return [];
+    } finally {
+      if (session) {
+        session.destroy();
+      }
     }
   }
 
   /**
    * Generate answer for a specific question with streaming support
+   * The answer cites the transcript passages it uses as [M:SS], citations of other times are dropped
    * @param {string} question - The question to answer
    * @param {string} videoSummary - Summary of the video for context
-   * @param {Blob|File|null} videoFrame - Current video frame image (optional)
-   * @param {Function} onChunk - Callback for each streamed chunk
+   * @param {Array<{time: number, blob: Blob, times?: number[]}>|Blob|null} videoFrames - Ordered video frames or a single frame image (optional)
+   * @param {Function} onChunk - Callback for each streamed chunk, with the passages that made it into the prompt (the ones the answer may cite)
+   * @param {Array<{start: number, end: number, text: string}>} [passages] - Timestamped transcript passages: the question's range and relevant parts of the whole video
    * @returns {Promise<string>} Complete answer
    */
-  async generateAnswer(question, videoSummary, videoFrame, onChunk) {
+  async generateAnswer(question, videoSummary, videoFrames, onChunk, passages = []) {
     if (!this.initialized || !this.session) {
       console.warn('AI session not initialized');
       return '';
     }
 
     try {
-      // If we have a video frame, append it to the session first
-      if (videoFrame) {
-        console.log("Appending video frame to answer session");
-        await this.session.append([
-          {
-            role: 'user',
-            content: [
-              {
-                type: 'text',
-                value: 'Here is the current video frame for visual context:'
-              },
-              {
-                type: 'image',
-                value: videoFrame
-              }
-            ]
-          }
-        ]);
-      }
+      const frames = this.normalizeFrames(videoFrames);
 
       // Create a smart prompt that uses summary for video-specific questions
       // and general knowledge for general questions
-      const prompt = `You are answering a question about a YouTube video.
+      const buildPrompt = (summary, withFrames, fittedPassages) => `You are answering a question about a YouTube video.
 
-${videoSummary ? `Video Context: ${videoSummary}` : 'No video context available.'}
-${videoFrame ? 'Visual Context: Video frame provided above.' : ''}
+${summary ? `Video Context: ${summary}` : 'No video context available.'}
+${this.formatPassages(fittedPassages)}
+${withFrames ? `Visual Context: ${this.describeFrames(frames)} provided above.` : ''}
 
 Question: "${question}"
 
 Instructions:
 - If the question is specific to the video content and you have the video context, answer based on that context.
+- The transcript passages come from anywhere in the video, use them for questions about other parts of it.
+- When you use a transcript passage, cite its timestamp in square brackets right after the statement, like [1:23]. Only cite timestamps shown in the passages.
 - If you have visual context from the video frame, incorporate what you see in the image.
 - If the question is more general or you don't have enough video context, use your general knowledge.
 - Be concise but thorough.
@@ -181,22 +190,43 @@ Instructions:
 
 Answer:`;
 
+      // A new question starts a new conversation
+      await this.startConversation();
+      const fitted = await this.fitPrompt(this.conversationSession, {
+        buildPrompt,
+        text: videoSummary,
+        passages,
+        frameContent: frames.length > 0
+          ? this.buildFrameContent(frames, 'Here are video frames for visual context, in playback order:')
+          : null
+      });
+      if (!fitted) {
+        console.warn('Answer prompt does not fit in the AI session context');
+        return 'Sorry, the question and its video context are too long for the AI model.';
+      }
+
+      // If we have video frames, append them to the session first
+      if (fitted.frameContent) {
+        console.log(`Appending ${frames.length} video frame image(s) to answer session`);
+        await this.appendFrames(this.conversationSession, fitted.frameContent);
+      }
+
       console.log('Generating answer for question:', question);
       
       let fullAnswer = '';
       
       // Use prompt with streaming
-      const stream = await this.session.promptStreaming(prompt);
+      const stream = await this.conversationSession.promptStreaming(fitted.prompt);
       
       for await (const chunk of stream) {
-        fullAnswer = chunk; // Chrome AI returns full text so far, not deltas
+        fullAnswer += chunk; // Each chunk is the text added since the previous one
         if (onChunk) {
-          onChunk(chunk);
+          onChunk(chunk, fitted.passages);
         }
       }
 
       console.log('Answer generation complete');
-      return fullAnswer;
+      return this.filterCitations(fullAnswer, fitted.passages);
     } catch (error) {
       console.error('Failed to generate answer:', error);
       return 'Sorry, I encountered an error generating the answer.';
@@ -205,68 +235,621 @@ Answer:`;
 
   /**
    * Generate answer with conversation history (for follow-up questions)
+   * The conversation's session already holds the earlier questions and answers, so only the new question is sent to it.
+   * When there is no conversation session or the question doesn't fit in it, a new session is started
+   * with the history written into the prompt instead (its oldest turns are trimmed first).
    * @param {string} question - The follow-up question
    * @param {Array} conversationHistory - Array of {role, content} objects
    * @param {string} videoSummary - Summary of the video content
-   * @param {Blob} videoFrame - Current video frame as image blob
-   * @param {Function} onChunk - Callback for streaming chunks
+   * @param {Array<{time: number, blob: Blob, times?: number[]}>|Blob|null} videoFrames - Ordered video frames or a single frame image (optional)
+   * @param {Function} onChunk - Callback for streaming chunks, with the passages that made it into the prompt (the ones the answer may cite)
+   * @param {Array<{start: number, end: number, text: string}>} [passages] - Timestamped transcript passages: the conversation's range and relevant parts of the whole video
    * @returns {Promise<string>} Generated answer
    */
-  async generateAnswerWithHistory(question, conversationHistory, videoSummary, videoFrame, onChunk) {
+  async generateAnswerWithHistory(question, conversationHistory, videoSummary, videoFrames, onChunk, passages = []) {
     if (!this.initialized || !this.session) {
       console.error('Prompt API not initialized');
       return '';
     }
 
     try {
-      // Build conversation context
-      let conversationContext = 'Previous conversation:\n';
-      for (const message of conversationHistory) {
-        conversationContext += `${message.role === 'user' ? 'User' : 'Assistant'}: ${message.content}\n\n`;
-      }
+      const citationInstruction = 'When you use a transcript passage, cite its timestamp in square brackets right after the statement, like [1:23]. Only cite timestamps shown in the passages.';
 
-      // Build the prompt with conversation history
-      const prompt = `You are a helpful AI assistant answering questions about a YouTube video.
+      // Prompt for the conversation's session, which has the video context and the earlier turns
+      const buildFollowUpPrompt = (_text, withFrames, fittedPassages) => `${this.formatPassages(fittedPassages)}
+Follow-up question: "${question}"
 
-${conversationContext}
+Answer it based on the video context, the transcript passages and our previous conversation.
+${citationInstruction}`;
 
-Video Context: ${videoSummary}
+      // Prompt for a new session, with the conversation history written out
+      const buildHistoryPrompt = (history, withFrames, fittedPassages) => `You are a helpful AI assistant answering questions about a YouTube video.
 
-Based on the video context and our previous conversation, please answer the following question:
+Previous conversation:
+${history}
+
+Video Context: ${videoSummary}
+${this.formatPassages(fittedPassages)}
+Based on the video context, the transcript passages and our previous conversation, please answer the following question:
 
 ${question}
 
-Provide a clear, helpful, and conversational answer that takes into account our previous discussion.`;
+Provide a clear, helpful, and conversational answer that takes into account our previous discussion.
+${citationInstruction}`;
 
       console.log('Generating follow-up answer with conversation history...');
+
+      const frames = this.normalizeFrames(videoFrames);
+      const buildFrameContent = () => (frames.length > 0
+        ? this.buildFrameContent(frames, 'Here are video frames for visual context, in playback order:', this.conversationHasImage)
+        : null);
+
+      // Continue the conversation's session with the new question only
+      let fitted = null;
+      if (this.conversationSession) {
+        fitted = await this.fitPrompt(this.conversationSession, {
+          buildPrompt: buildFollowUpPrompt,
+          text: '',
+          passages,
+          frameContent: buildFrameContent()
+        });
+      }
+
+      // Otherwise start over from the base session, with the history in the prompt
+      if (!fitted) {
+        let conversationContext = '';
+        for (const message of conversationHistory) {
+          conversationContext += `${message.role === 'user' ? 'User' : 'Assistant'}: ${message.content}\n\n`;
+        }
+
+        await this.startConversation();
+        fitted = await this.fitPrompt(this.conversationSession, {
+          buildPrompt: buildHistoryPrompt,
+          text: conversationContext,
+          passages,
+          frameContent: buildFrameContent()
+        });
+      }
+      if (!fitted) {
+        console.warn('Follow-up prompt does not fit in the AI session context');
+        return 'Sorry, the question and its video context are too long for the AI model.';
+      }
       
       let fullAnswer = '';
       
-      // Use prompt with streaming (with image if available)
-      let stream;
-      if (videoFrame) {
-        stream = await this.session.promptStreaming(prompt, {
-          image: videoFrame
-        });
-      } else {
-        stream = await this.session.promptStreaming(prompt);
+      // Append video frames if available, then prompt with streaming
+      if (fitted.frameContent) {
+        await this.appendFrames(this.conversationSession, fitted.frameContent);
       }
+      const stream = await this.conversationSession.promptStreaming(fitted.prompt);
       
       for await (const chunk of stream) {
-        fullAnswer = chunk;
+        fullAnswer += chunk;
         if (onChunk) {
-          onChunk(chunk);
+          onChunk(chunk, fitted.passages);
         }
       }
 
       console.log('Follow-up answer generation complete');
-      return fullAnswer;
+      return this.filterCitations(fullAnswer, fitted.passages);
     } catch (error) {
       console.error('Failed to generate follow-up answer:', error);
       return 'Sorry, I encountered an error generating the answer.';
     }
   }
 
+  /**
+   * Format transcript passages for a prompt, each tagged with its start time so the answer can cite it
+   * @param {Array<{start: number, end: number, text: string}>} passages - Transcript passages
+   * @returns {string} Passages section, or an empty string if there are none
+   */
+  formatPassages(passages) {
+    if (!passages || passages.length === 0) {
+      return '';
+    }
+
+    const lines = passages
+      .slice()
+      .sort((a, b) => a.start - b.start)
+      .map(passage => `[${TranscriptExporter.formatClock(passage.start)}] ${passage.text}`);
+    return `Transcript passages related to the question:\n${lines.join('\n')}\n`;
+  }
+
+  /**
+   * Drop timestamp citations that point outside the given passages
+   * The model sometimes invents timestamps, a chip seeking to them would be misleading
+   * Called on the partial answer while it streams, so it does not log
+   * @param {string} answer - Answer text with citations like [1:23] or [0:09, 1:08]
+   * @param {Array<{start: number, end: number}>} passages - Passages the answer was given
+   * @returns {string} Answer without the citations that no passage covers
+   */
+  filterCitations(answer, passages) {
+    if (!answer) {
+      return answer;
+    }
+
+    const ranges = passages || [];
+    const isCovered = (time) => ranges.some(passage =>
+      time >= Math.floor(passage.start) - this.citationTolerance && time <= passage.end + this.citationTolerance);
+
+    return answer.replace(/[ \t]*\[(\d{1,2}(?::\d{2}){1,2}(?:\s*[,;]\s*\d{1,2}(?::\d{2}){1,2})*)\]/g, (citation, clocks) => {
+      const clockList = clocks.split(/\s*[,;]\s*/);
+      const kept = clockList.filter(clock => {
+        const time = TranscriptExporter.parseClock(clock);
+        return time !== null && isCovered(time);
+      });
+      if (kept.length === 0) {
+        return '';
+      }
+      return `${citation.match(/^[ \t]*/)[0]}[${kept.join(', ')}]`;
+    });
+  }
+
+  /**
+   * Ask for search terms related to a question, to find transcript passages that use other words for it
+   * @param {string} question - Question about the video
+   * @returns {Promise<string[]>} Up to 8 related terms, or an empty array on failure
+   */
+  async expandQuery(question) {
+    if (!this.initialized || !this.session) {
+      console.warn('AI session not initialized');
+      return [];
+    }
+
+    let session = null;
+    try {
+      const buildPrompt = (text) => `Question about a YouTube video: "${text}"
+
+List up to 8 keywords, synonyms and closely related terms that the video's transcript might use when talking about this. Return only JSON with a "terms" array of strings.`;
+
+      // Terms JSON schema
+      const termsJsonSchema = {
+        type: 'object',
+        properties: {
+          terms: {
+            type: 'array',
+            items: { type: 'string' }
+          }
+        }
+      };
+
+      session = await this.createTaskSession();
+      const fitted = await this.fitPrompt(session, { buildPrompt, text: question, allowTrimming: false });
+      if (!fitted) {
+        console.warn('Query expansion prompt does not fit in the AI session context');
+        return [];
+      }
+      const response = await session.prompt(fitted.prompt, { responseConstraint: termsJsonSchema });
+      console.log('Query expansion response:', response);
+
+      const parsed = JSON.parse(response);
+      return Array.isArray(parsed.terms)
+        ? parsed.terms.filter(term => typeof term === 'string' && term.trim()).map(term => term.trim()).slice(0, 8)
+        : [];
+    } catch (error) {
+      console.error('Failed to expand query:', error);
+      return [];
+    } finally {
+      if (session) {
+        session.destroy();
+      }
+    }
+  }
+
+  /**
+   * Create a session for one task from the base session
+   * @returns {Promise<Object>} Cloned LanguageModel session, destroyed by the caller when the task is done
+   */
+  async createTaskSession() {
+    const session = await this.session.clone();
+    session.addEventListener('quotaoverflow', () => {
+      console.warn('AI session context overflowed, the oldest messages were dropped');
+    });
+    return session;
+  }
+
+  /**
+   * Replace the conversation session with a fresh clone of the base session
+   * @returns {Promise<void>}
+   */
+  async startConversation() {
+    if (this.conversationSession) {
+      this.conversationSession.destroy();
+      this.conversationSession = null;
+    }
+    this.conversationSession = await this.createTaskSession();
+    this.conversationHasImage = false;
+  }
+
+  /**
+   * Append frame content to the conversation session
+   * @param {Object} session - Conversation session
+   * @param {Array<{type: string, value: string|Blob}>} frameContent - Content from buildFrameContent
+   * @returns {Promise<void>}
+   */
+  async appendFrames(session, frameContent) {
+    await session.append([{ role: 'user', content: frameContent }]);
+    if (frameContent.some(part => part.type === 'image')) {
+      this.conversationHasImage = true;
+    }
+  }
+
+  /**
+   * Build a prompt that fits in the session's remaining context, measured with measureInputUsage
+   * When it doesn't fit, the video frames are dropped first, then the start of the text is cut
+   * (older transcript and conversation turns matter least), then transcript passages are dropped
+   * @param {Object} session - Session the prompt will be sent to
+   * @param {Object} options - Prompt parts
+   * @param {Function} options.buildPrompt - Builds the prompt text from (text, withFrames, passages)
+   * @param {string} options.text - Part of the prompt that may be shortened
+   * @param {Array<{start: number, end: number, text: string, score?: number}>} [options.passages] - Transcript passages that may be dropped
+   * @param {Array|null} [options.frameContent] - Frame content appended before the prompt
+   * @param {boolean} [options.allowTrimming=true] - False to only check that the prompt fits as it is
+   * @returns {Promise<{prompt: string, frameContent: Array|null, passages: Array}|null>} Prompt parts to send, or null if they don't fit
+   */
+  async fitPrompt(session, { buildPrompt, text, passages = [], frameContent = null, allowTrimming = true }) {
+    let fittedText = text || '';
+    let fittedPassages = passages || [];
+    let fittedFrames = frameContent;
+
+    for (let attempt = 0; attempt < this.maxFitAttempts; attempt++) {
+      const prompt = buildPrompt(fittedText, !!fittedFrames, fittedPassages);
+      const input = fittedFrames
+        ? [{ role: 'user', content: fittedFrames }, { role: 'user', content: prompt }]
+        : prompt;
+      const { usage, remaining } = await this.measureInput(session, input);
+      if (usage <= remaining) {
+        return { prompt, frameContent: fittedFrames, passages: fittedPassages };
+      }
+
+      console.warn(`Prompt needs ${usage} of ${remaining} remaining input units (quota ${session.inputQuota})`);
+      if (!allowTrimming) {
+        return null;
+      }
+
+      if (fittedFrames) {
+        console.warn('Dropping video frames so the prompt fits');
+        fittedFrames = null;
+        continue;
+      }
+      const keepRatio = Math.max(0, remaining / usage);
+      if (fittedText.length > this.minTrimmedLength) {
+        // Shrink in proportion to the overflow, a bit more since the rest of the prompt doesn't shrink
+        const keepLength = Math.max(this.minTrimmedLength, Math.floor(fittedText.length * keepRatio * 0.9));
+        console.warn(`Trimming prompt context from ${fittedText.length} to ${keepLength} characters`);
+        fittedText = fittedText.slice(fittedText.length - keepLength);
+        continue;
+      }
+      if (fittedPassages.length > 0) {
+        fittedPassages = this.trimPassages(fittedPassages, keepRatio);
+        continue;
+      }
+      return null;
+    }
+
+    return null;
+  }
+
+  /**
+   * Drop the least relevant transcript passages, in proportion to how far a prompt overflows
+   * Retrieved passages go first, lowest ranked first, then the passages of the question's range from its start
+   * @param {Array<{start: number, end: number, text: string, score?: number}>} passages - Passages (retrieved ones have a score)
+   * @param {number} keepRatio - Share of the prompt that fits
+   * @returns {Array<{start: number, end: number, text: string, score?: number}>} Kept passages, at least one fewer
+   */
+  trimPassages(passages, keepRatio) {
+    const totalLength = passages.reduce((total, passage) => total + passage.text.length, 0);
+    const keepLength = Math.floor(totalLength * keepRatio * 0.9);
+    const dropOrder = passages.slice().sort((a, b) =>
+      (a.score ?? Infinity) - (b.score ?? Infinity) || a.start - b.start);
+
+    const dropped = new Set();
+    let length = totalLength;
+    for (const passage of dropOrder) {
+      if (dropped.size > 0 && length <= keepLength) break;
+      dropped.add(passage);
+      length -= passage.text.length;
+    }
+
+    console.warn(`Dropping ${dropped.size} of ${passages.length} transcript passages so the prompt fits`);
+    return passages.filter(passage => !dropped.has(passage));
+  }
+
+  /**
+   * Measure how much of a session's remaining context an input would use
+   * Sessions without measureInputUsage are assumed to have room
+   * @param {Object} session - LanguageModel session
+   * @param {string|Array} input - Prompt input
+   * @returns {Promise<{usage: number, remaining: number}>} Input usage and remaining quota
+   */
+  async measureInput(session, input) {
+    if (typeof session.measureInputUsage !== 'function' || !Number.isFinite(session.inputQuota)) {
+      return { usage: 0, remaining: Infinity };
+    }
+
+    const usage = await session.measureInputUsage(input);
+    const remaining = session.inputQuota - (session.inputUsage || 0);
+    console.log(`AI session context: ${session.inputUsage}/${session.inputQuota} used, prompt needs ${usage}`);
+    return { usage, remaining };
+  }
+
+  /**
+   * Bring the supported video frame inputs into one shape
+   * @param {Array<{time: number, blob: Blob, times?: number[], isRegion?: boolean}>|Blob|null} videoFrames - Ordered frames, a single frame image or nothing
+   * @returns {Array<{time: number|null, blob: Blob, times?: number[], isRegion?: boolean}>} Ordered frames
+   */
+  normalizeFrames(videoFrames) {
+    if (!videoFrames || !this.imageInput) {
+      return [];
+    }
+    if (!Array.isArray(videoFrames)) {
+      return [{ time: null, blob: videoFrames }];
+    }
+    return videoFrames.filter(frame => frame && frame.blob);
+  }
+
+  /**
+   * Build prompt content with each frame labelled by its timestamp, followed by its image
+   * Frames flagged sameAsPrevious are not sent again, the label says the previous image still applies
+   * @param {Array<{time: number|null, blob: Blob, times?: number[], sameAsPrevious?: boolean}>} frames - Ordered frames
+   * @param {string} introduction - Text before the first frame
+   * @param {boolean} [hasSentImage=false] - True if the session already holds the image before the first frame
+   * @returns {Array<{type: string, value: string|Blob}>} Prompt content
+   */
+  buildFrameContent(frames, introduction, hasSentImage = false) {
+    const content = [{ type: 'text', value: introduction }];
+    let skipped = 0;
+
+    for (const frame of frames) {
+      let label = 'Current video frame:';
+      if (frame.isRegion) {
+        label = `Region of the video frame${frame.time !== null ? ` at ${TranscriptExporter.formatClock(frame.time)}` : ''} selected by the user:`;
+      } else if (frame.times && frame.times.length > 1) {
+        const times = frame.times.map(time => TranscriptExporter.formatClock(time)).join(', ');
+        label = `Contact sheet of frames at ${times} (left to right, top to bottom, each labelled with its time):`;
+      } else if (frame.time !== null) {
+        label = `Frame at ${TranscriptExporter.formatClock(frame.time)}:`;
+      }
+
+      if (frame.sameAsPrevious && hasSentImage) {
+        content.push({ type: 'text', value: `${label.replace(/:$/, '')} looks the same as the previous image.` });
+        skipped++;
+        continue;
+      }
+
+      content.push({ type: 'text', value: label });
+      content.push({ type: 'image', value: frame.blob });
+      hasSentImage = true;
+    }
+
+    if (skipped > 0) {
+      console.log(`Skipped ${skipped} frame image(s) unchanged since the previous image`);
+    }
+    return content;
+  }
+
+  /**
+   * Describe the provided frames for the prompt text
+   * @param {Array<{time: number|null, blob: Blob, times?: number[]}>} frames - Ordered frames
+   * @returns {string} Description such as "video frames from 1:00 to 1:30"
+   */
+  describeFrames(frames) {
+    if (frames.length === 1 && frames[0].isRegion) {
+      return 'region of the video frame selected by the user';
+    }
+    if (frames.length === 1 && frames[0].times && frames[0].times.length > 1) {
+      return 'contact sheet of video frames';
+    }
+    if (frames.length === 1) {
+      return 'video frame image';
+    }
+
+    const first = TranscriptExporter.formatClock(frames[0].time);
+    const last = TranscriptExporter.formatClock(frames[frames.length - 1].time);
+    return `${frames.length} video frames (from ${first} to ${last})`;
+  }
+
+  /**
+   * Generate a short title for a chapter of the video
+   * @param {string} chapterText - Transcript text of the chapter
+   * @param {string} chapterSummary - Summary of the chapter (optional)
+   * @returns {Promise<string>} Chapter title, or an empty string on failure
+   */
+  async generateChapterTitle(chapterText, chapterSummary = '') {
+    if (!this.initialized || !this.session) {
+      console.warn('AI session not initialized');
+      return '';
+    }
+
+    let session = null;
+    try {
+      const buildPrompt = (text) => `${chapterSummary ? `Chapter summary: "${chapterSummary}"\n` : ''}Chapter transcript: "${text}"
+
+Write a short title (2-6 words) for this chapter of a YouTube video, like the chapter titles creators add to their videos. Return only JSON with a "title" string.`;
+
+      // Title JSON schema
+      const titleJsonSchema = {
+        type: 'object',
+        properties: {
+          title: { type: 'string' }
+        }
+      };
+
+      session = await this.createTaskSession();
+      const fitted = await this.fitPrompt(session, { buildPrompt, text: chapterText });
+      if (!fitted) {
+        console.warn('Chapter prompt does not fit in the AI session context');
+        return '';
+      }
+      const response = await session.prompt(fitted.prompt, { responseConstraint: titleJsonSchema });
+      console.log('Chapter title response:', response);
+
+      try {
+        return this.cleanQuestionString(JSON.parse(response).title || '');
+      } catch (e) {
+        return this.cleanQuestionString(response.split('\n')[0]);
+      }
+    } catch (error) {
+      console.error('Failed to generate chapter title:', error);
+      return '';
+    } finally {
+      if (session) {
+        session.destroy();
+      }
+    }
+  }
+
+  /**
+   * Create the session used for audio transcription
+   * Audio input is not available on every device, so the main session does not expect it
+   * @returns {Promise<boolean>} True if audio can be transcribed
+   */
+  async initializeTranscription() {
+    if (this.transcriptionSession) {
+      return true;
+    }
+
+    try {
+      const availability = await this.provider.availability('prompt', { expectedInputs: [{ type: 'audio' }] });
+      console.log('AI audio input availability:', availability);
+      if (!availability || availability === 'unavailable') {
+        console.warn('Audio input not available');
+        return false;
+      }
+
+      this.transcriptionSession = await this.provider.createSession({
+        systemPrompt: `You transcribe speech from YouTube video audio clips.
+        Write down exactly what is said, in the spoken language, split into short sentences.
+        Give each sentence the time in seconds from the start of the clip at which it begins.
+        Ignore music and background noise. Return an empty list if nobody speaks.`,
+        expectedInputs: [
+          {
+            type: "text",
+            languages: ["en"]
+          },
+          {
+            type: "audio"
+          }
+        ],
+        expectedOutputs: [
+          {
+            type: "text"
+          }
+        ],
+        monitor(m) {
+          m.addEventListener('downloadprogress', (e) => {
+            console.log(`Language Model (audio) download progress: ${e.loaded * 100}%`);
+          });
+        }
+      });
+
+      return true;
+    } catch (error) {
+      console.error('Failed to initialize transcription session:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Transcribe an audio clip into timestamped sentences
+   * @param {Blob} audioBlob - Recorded audio clip
+   * @param {number} duration - Length of the clip in seconds
+   * @returns {Promise<Array<{start: number, dur: number, text: string}>>} Sentences, timed from the start of the clip
+   */
+  async transcribeAudio(audioBlob, duration) {
+    if (!this.transcriptionSession) {
+      console.warn('Transcription session not initialized');
+      return [];
+    }
+
+    let session = null;
+    try {
+      // Transcript JSON schema
+      const transcriptJsonSchema = {
+        type: 'object',
+        properties: {
+          segments: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                start: { type: 'number' },
+                text: { type: 'string' }
+              },
+              required: ['start', 'text']
+            }
+          }
+        }
+      };
+
+      // Use a copy of the session so earlier clips don't fill up the context
+      session = await this.transcriptionSession.clone();
+      const input = [
+        {
+          role: 'user',
+          content: [
+            {
+              type: 'text',
+              value: `Transcribe this ${Math.round(duration)}-second audio clip. Return only JSON with a "segments" array of {"start", "text"} objects.`
+            },
+            {
+              type: 'audio',
+              value: audioBlob
+            }
+          ]
+        }
+      ];
+      const { usage, remaining } = await this.measureInput(session, input);
+      if (usage > remaining) {
+        console.warn(`Audio clip needs ${usage} of ${remaining} remaining input units, skipping it`);
+        return [];
+      }
+
+      const response = await session.prompt(input, { responseConstraint: transcriptJsonSchema });
+      console.log('Transcription response:', response);
+
+      return this.parseTranscriptSegments(response, duration);
+    } catch (error) {
+      console.error('Failed to transcribe audio:', error);
+      return [];
+    } finally {
+      if (session) {
+        session.destroy();
+      }
+    }
+  }
+
+  /**
+   * Parse the AI transcription response into caption events
+   * @param {string} response - Raw AI response
+   * @param {number} duration - Length of the clip in seconds
+   * @returns {Array<{start: number, dur: number, text: string}>} Sentences sorted by start time
+   */
+  parseTranscriptSegments(response, duration) {
+    let segments = [];
+    try {
+      const parsed = JSON.parse(response);
+      segments = Array.isArray(parsed.segments) ? parsed.segments : [];
+    } catch (e) {
+      console.warn('Failed to parse transcription response as JSON');
+      return [];
+    }
+
+    // Keep timestamps inside the clip, each sentence lasts until the next one starts
+    const sentences = segments
+      .filter(segment => segment && typeof segment.text === 'string' && segment.text.trim())
+      .map(segment => ({
+        start: Math.min(Math.max(0, Number(segment.start) || 0), duration),
+        text: segment.text.trim()
+      }))
+      .sort((a, b) => a.start - b.start);
+
+    return sentences.map((sentence, index) => {
+      const end = index + 1 < sentences.length ? sentences[index + 1].start : duration;
+      return { ...sentence, dur: Math.max(0, end - sentence.start) };
+    });
+  }
+
   /**
    * Parse the AI response into an array of questions
    * @param {string} response - Raw AI response
@@ -321,6 +904,23 @@ Provide a clear, helpful, and conversational answer that takes into account our
       }
       this.session = null;
     }
+    if (this.conversationSession) {
+      try {
+        await this.conversationSession.destroy();
+      } catch (error) {
+        console.warn('Error destroying conversation session:', error);
+      }
+      this.conversationSession = null;
+    }
+    this.conversationHasImage = false;
+    if (this.transcriptionSession) {
+      try {
+        await this.transcriptionSession.destroy();
+      } catch (error) {
+        console.warn('Error destroying transcription session:', error);
+      }
+      this.transcriptionSession = null;
+    }
     this.initialized = false;
   }
 }
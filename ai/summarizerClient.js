@@ -1,10 +1,14 @@
 /**
  * AI Summarizer Client for YouTube AI Q&A Assistant
- * Uses Chrome's built-in Summarizer API to generate video summaries
+ * Uses the summarizer of an AI provider (Chrome's built-in Summarizer API by default) to generate video summaries
  */
 
 class SummarizerClient {
-  constructor() {
+  /**
+   * @param {AIProvider} [provider] - Provider of the summarizer
+   */
+  constructor(provider = new ChromeAIProvider()) {
+    this.provider = provider;
     this.summarizer = null;
     this.initialized = false;
     this.currentSummary = null;
@@ -21,10 +25,10 @@ class SummarizerClient {
   async initialize() {
     try {
       // Check if Summarizer API is available
-      const availability = await Summarizer.availability();
+      const availability = await this.provider.availability('summarize');
       console.log('Summarizer API availability:', availability);
       
-      if (availability === 'no') {
+      if (availability === 'unavailable') {
         console.warn('Summarizer API not available');
         return false;
       }
@@ -42,7 +46,7 @@ class SummarizerClient {
         }
       };
 
-      this.summarizer = await Summarizer.create(options);
+      this.summarizer = await this.provider.createSummarizer(options);
       this.initialized = true;
       console.log('Summarizer initialized successfully');
       return true;
@@ -103,6 +107,43 @@ class SummarizerClient {
     }
   }
 
+  /**
+   * Summarize a piece of text without touching the cached window summary
+   * @param {string} text - Text to summarize
+   * @returns {Promise<string>} Summary, or an empty string on failure
+   */
+  async summarizeText(text) {
+    if (!this.initialized || !this.summarizer) {
+      console.warn('Summarizer not initialized');
+      return '';
+    }
+    if (!text || text.trim().length === 0) {
+      return '';
+    }
+
+    try {
+      return await this.summarizer.summarize(text);
+    } catch (error) {
+      console.error('Failed to summarize text:', error);
+      return '';
+    }
+  }
+
+  /**
+   * Use a summary generated ahead of time (e.g. prefetched for a playlist video) as the cached window summary
+   * @param {string} summary - Summary text
+   * @param {number} windowStart - Start time of the summarized window in seconds
+   * @param {number} windowEnd - End time of the summarized window in seconds
+   */
+  setCachedSummary(summary, windowStart, windowEnd) {
+    this.currentSummary = summary;
+    this.currentSummaryTimeRange = {
+      start: windowStart,
+      end: windowEnd
+    };
+    console.log(`Using prefetched summary for window ${windowStart}-${windowEnd}s`);
+  }
+
   /**
    * Clear cached summary (useful when video changes or seeking)
    */
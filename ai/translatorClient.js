@@ -1,11 +1,16 @@
 /**
  * AI Translator Client for YouTube AI Q&A Assistant
- * Uses Chrome's built-in Translator API to translate subtitles to English
+ * Uses the translator of an AI provider (Chrome's built-in Translator API by default) to translate subtitles to English
  */
 
 class TranslatorClient {
-  constructor() {
+  /**
+   * @param {AIProvider} [provider] - Provider of the translators
+   */
+  constructor(provider = new ChromeAIProvider()) {
+    this.provider = provider;
     this.translators = new Map(); // Cache translators by source language
+    this.minDetectionConfidence = 0.5; // Detected languages below this confidence count as unknown
     this.initialized = false;
   }
 
@@ -15,9 +20,9 @@ class TranslatorClient {
    */
   async initialize() {
     try {
-      // Check if Translator API is available in the browser
-      if (!('Translator' in self)) {
-        console.warn('Translator API not available in this browser');
+      // Check if Translator API is available
+      if (await this.provider.availability('translate') === 'unavailable') {
+        console.warn(`Translator API not available (${this.provider.name})`);
         return false;
       }
 
@@ -34,16 +39,16 @@ class TranslatorClient {
    * Check if a language pair is supported for translation
    * @param {string} sourceLanguage - Source language code (e.g., 'es', 'fr')
    * @param {string} targetLanguage - Target language code (e.g., 'en')
-   * @returns {Promise<string>} Availability status: 'available', 'downloadable', 'no'
+   * @returns {Promise<string>} Availability status: 'available', 'downloadable', 'unavailable'
    */
   async checkLanguagePairSupport(sourceLanguage, targetLanguage = 'en') {
     if (!this.initialized) {
       console.warn('Translator not initialized');
-      return 'no';
+      return 'unavailable';
     }
 
     try {
-      const availability = await Translator.availability({
+      const availability = await this.provider.availability('translate', {
         sourceLanguage,
         targetLanguage,
       });
@@ -52,7 +57,7 @@ class TranslatorClient {
       return availability;
     } catch (error) {
       console.error('Failed to check language pair support:', error);
-      return 'no';
+      return 'unavailable';
     }
   }
 
@@ -79,7 +84,7 @@ class TranslatorClient {
 
       // Check if language pair is supported
       const availability = await this.checkLanguagePairSupport(sourceLanguage, targetLanguage);
-      if (availability === 'no') {
+      if (availability === 'unavailable') {
         console.warn(`Translation from ${sourceLanguage} to ${targetLanguage} is not supported`);
         return null;
       }
@@ -110,7 +115,7 @@ class TranslatorClient {
         };
       }
 
-      const translator = await Translator.create(translatorOptions);
+      const translator = await this.provider.createTranslator(translatorOptions);
 
       // Cache the translator for reuse
       this.translators.set(cacheKey, translator);
@@ -159,6 +164,47 @@ class TranslatorClient {
     }
   }
 
+  /**
+   * Detect the language of a text, e.g. of a transcript that has no language of its own
+   * @param {string} text - Text to check
+   * @returns {Promise<string|null>} Language code, or null if it can't be told
+   */
+  async detectLanguage(text) {
+    if (!text || text.trim().length === 0) {
+      return null;
+    }
+
+    let detector = null;
+    try {
+      if (await this.provider.availability('detect') === 'unavailable') {
+        console.warn(`Language detection not available (${this.provider.name})`);
+        return null;
+      }
+
+      detector = await this.provider.createLanguageDetector({
+        monitor(m) {
+          m.addEventListener('downloadprogress', (e) => {
+            console.log(`Language detector download progress: ${Math.round(e.loaded * 100)}%`);
+          });
+        }
+      });
+      const [best] = await detector.detect(text);
+      console.log('Detected language:', best);
+
+      if (!best || best.detectedLanguage === 'und' || best.confidence < this.minDetectionConfidence) {
+        return null;
+      }
+      return best.detectedLanguage;
+    } catch (error) {
+      console.error('Language detection failed:', error);
+      return null;
+    } finally {
+      if (detector) {
+        detector.destroy();
+      }
+    }
+  }
+
   /**
    * Detect if text needs translation (checks if it's already in English)
    * This is a simple heuristic - you may want to use Language Detector API for more accuracy
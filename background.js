@@ -0,0 +1,113 @@
+/**
+ * Background Service Worker for YouTube AI Q&A Assistant
+ * The content scripts only run on YouTube by default.
+ * On any other page with an HTML5 video, clicking the toolbar button injects them into that tab
+ * (the click grants activeTab access to the page, no host permission is kept).
+ * Requests to a local AI server are proxied from here: a content script's fetch would be sent from the
+ * page's origin and run into CORS and Private Network Access checks the local server doesn't answer.
+ */
+
+const LOCAL_AI_PORT = 'local-ai-request'; // Port name of proxied local AI server requests
+const LOCAL_HOSTS = ['localhost', '127.0.0.1']; // Hosts the proxy may reach, as in host_permissions
+
+/**
+ * Inject the content scripts and styles from the manifest into a tab, once per page
+ * @param {chrome.tabs.Tab} tab - Tab the toolbar button was clicked in
+ * @returns {Promise<void>}
+ */
+async function injectContentScripts(tab) {
+  const [contentScripts] = chrome.runtime.getManifest().content_scripts;
+  const target = { tabId: tab.id };
+
+  // Pages on YouTube, or pages injected before, already have the scripts
+  const [{ result: alreadyInjected }] = await chrome.scripting.executeScript({
+    target,
+    func: () => typeof window.SiteAdapter !== 'undefined'
+  });
+  if (alreadyInjected) {
+    console.log('Content scripts already running in tab:', tab.id);
+    return;
+  }
+
+  await chrome.scripting.insertCSS({ target, files: contentScripts.css });
+  await chrome.scripting.executeScript({ target, files: contentScripts.js });
+  console.log('Injected content scripts into tab:', tab.id);
+}
+
+chrome.action.onClicked.addListener((tab) => {
+  injectContentScripts(tab).catch((error) => {
+    console.error('Failed to inject content scripts:', error);
+  });
+});
+
+/**
+ * Check if a URL points to the local machine, the proxy reaches nothing else
+ * @param {string} url - Request URL
+ * @returns {boolean} True for http(s) URLs on a local host
+ */
+function isLocalUrl(url) {
+  try {
+    const { protocol, hostname } = new URL(url);
+    return (protocol === 'http:' || protocol === 'https:') && LOCAL_HOSTS.includes(hostname);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Run one proxied request and stream its response back over the port
+ * Messages: {type: 'response', status, statusText, headers}, then {type: 'chunk', value} per body chunk,
+ * then {type: 'done'}, or {type: 'error', message} at any point
+ * Disconnecting the port aborts the request
+ * @param {chrome.runtime.Port} port - Port of the requesting content script
+ * @param {{url: string, method?: string, headers?: Object, body?: string}} request - Request
+ * @returns {Promise<void>}
+ */
+async function proxyLocalRequest(port, request) {
+  const abortController = new AbortController();
+  let disconnected = false;
+  port.onDisconnect.addListener(() => {
+    disconnected = true;
+    abortController.abort();
+  });
+
+  try {
+    if (!isLocalUrl(request.url)) {
+      throw new Error(`Only servers on localhost can be used: ${request.url}`);
+    }
+
+    const response = await fetch(request.url, {
+      method: request.method || 'GET',
+      headers: request.headers || {},
+      body: request.body,
+      signal: abortController.signal
+    });
+    port.postMessage({
+      type: 'response',
+      status: response.status,
+      statusText: response.statusText,
+      headers: Object.fromEntries(response.headers.entries())
+    });
+
+    const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      port.postMessage({ type: 'chunk', value });
+    }
+    port.postMessage({ type: 'done' });
+  } catch (error) {
+    if (!disconnected) {
+      port.postMessage({ type: 'error', message: error.message || String(error) });
+    }
+  }
+}
+
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== LOCAL_AI_PORT || port.sender.id !== chrome.runtime.id) {
+    return;
+  }
+  port.onMessage.addListener((request) => {
+    proxyLocalRequest(port, request);
+  });
+});
@@ -0,0 +1,303 @@
+/**
+ * Audio Transcriber for YouTube AI Q&A Assistant
+ * Builds a transcript for videos without captions:
+ * First, it captures the audio of the video element with captureStream().
+ * Then, it records the audio in short windows with MediaRecorder while the video plays.
+ * Then, it queues the windows and transcribes them one at a time with the Prompt API's audio input,
+ * while recording goes on.
+ * Then, it adds the timestamped sentences to the transcript store of SubtitleParser, in the video's spoken language
+ * (declared by the player response, or detected from the first sentences).
+ */
+
+class AudioTranscriber {
+  /**
+   * @param {PromptClient} promptClient - Prompt client used for transcription
+   * @param {SubtitleParser} subtitleParser - Parser that owns the transcript store
+   * @param {TranslatorClient} translatorClient - Detects the spoken language when the video does not declare it
+   */
+  constructor(promptClient, subtitleParser, translatorClient) {
+    this.promptClient = promptClient;
+    this.subtitleParser = subtitleParser;
+    this.translatorClient = translatorClient;
+    this.windowLength = 20; // Seconds of audio per transcription request
+    this.minWindowLength = 3; // Shorter recordings (cut by pausing) are dropped
+    this.maxQueuedWindows = 15; // Recorded windows waiting for transcription, the oldest are dropped beyond this
+    this.videoElement = null;
+    this.audioStream = null;
+    this.recorder = null;
+    this.isRunning = false;
+    this.isTranscribing = false;
+    this.queue = []; // Recorded windows, transcribed one at a time while the next ones record
+    this.language = null; // Spoken language of the video, null until known
+    this.resumeRecording = null; // Resolves the wait for playback
+  }
+
+  /**
+   * Start transcribing the audio of a video
+   * @param {HTMLVideoElement} videoElement - Video to transcribe
+   * @returns {Promise<boolean>} True if transcription started
+   */
+  async start(videoElement) {
+    if (this.isRunning) {
+      return true;
+    }
+
+    if (!videoElement || typeof videoElement.captureStream !== 'function' || typeof MediaRecorder === 'undefined') {
+      console.warn('Audio capture not supported');
+      return false;
+    }
+
+    const transcriptionAvailable = await this.promptClient.initializeTranscription();
+    if (!transcriptionAvailable) {
+      return false;
+    }
+
+    try {
+      const audioTracks = videoElement.captureStream().getAudioTracks();
+      if (audioTracks.length === 0) {
+        console.warn('Video has no audio track to transcribe');
+        return false;
+      }
+      this.audioStream = new MediaStream(audioTracks);
+    } catch (error) {
+      // Cross-origin media can't be captured
+      console.warn('Failed to capture video audio:', error);
+      return false;
+    }
+
+    this.videoElement = videoElement;
+    this.language = null;
+    this.isRunning = true;
+    console.log(`Started audio transcription (${this.windowLength}s windows)`);
+    this.run();
+    return true;
+  }
+
+  /**
+   * Stop recording and drop windows that are still waiting for transcription
+   */
+  stop() {
+    if (!this.isRunning) {
+      return;
+    }
+
+    this.isRunning = false;
+    this.queue = [];
+    if (this.recorder && this.recorder.state !== 'inactive') {
+      this.recorder.stop();
+    }
+    if (this.resumeRecording) {
+      this.resumeRecording();
+    }
+    this.audioStream = null;
+    console.log('Stopped audio transcription');
+  }
+
+  /**
+   * Record windows while the video plays and queue them for transcription
+   * Recording does not wait for transcription, so no audio is missed while the model is busy
+   */
+  async run() {
+    while (this.isRunning) {
+      const video = this.videoElement;
+
+      if (video.paused || video.ended) {
+        await this.waitForPlayback();
+        continue;
+      }
+
+      // Audio heard on an earlier visit or before seeking back is already in the transcript
+      if (this.subtitleParser.isTranscribedAt(video.currentTime)) {
+        await new Promise(resolve => setTimeout(resolve, 1000));
+        continue;
+      }
+
+      let recording;
+      try {
+        recording = await this.recordWindow();
+      } catch (error) {
+        console.error('Failed to record video audio:', error);
+        this.stop();
+        return;
+      }
+
+      if (recording) {
+        this.enqueue(recording);
+      }
+    }
+  }
+
+  /**
+   * Queue a recorded window and start transcribing if the queue was idle
+   * When transcription falls behind, the oldest windows are dropped; they are recorded again when played again
+   * @param {{blob: Blob, start: number, end: number, recordedSeconds: number}} recording - Recorded window
+   */
+  enqueue(recording) {
+    this.queue.push(recording);
+    if (this.queue.length > this.maxQueuedWindows) {
+      const dropped = this.queue.shift();
+      console.warn(`Transcription is behind, dropping audio ${dropped.start.toFixed(1)}-${dropped.end.toFixed(1)}s`);
+    }
+
+    if (!this.isTranscribing) {
+      this.processQueue();
+    }
+  }
+
+  /**
+   * Transcribe queued windows in recording order until the queue is empty
+   * @returns {Promise<void>}
+   */
+  async processQueue() {
+    this.isTranscribing = true;
+    try {
+      while (this.isRunning && this.queue.length > 0) {
+        await this.transcribeWindow(this.queue.shift());
+      }
+    } finally {
+      this.isTranscribing = false;
+    }
+  }
+
+  /**
+   * Record one window of audio, ending early when the video pauses or seeks
+   * @returns {Promise<{blob: Blob, start: number, end: number, recordedSeconds: number}|null>} Recording, or null if it was cut short
+   */
+  recordWindow() {
+    return new Promise((resolve, reject) => {
+      const video = this.videoElement;
+      const mimeType = MediaRecorder.isTypeSupported('audio/webm;codecs=opus') ? 'audio/webm;codecs=opus' : '';
+      const recorder = new MediaRecorder(this.audioStream, mimeType ? { mimeType } : {});
+      const chunks = [];
+      const start = video.currentTime;
+      const startedAt = performance.now();
+      let seeked = false;
+
+      const stopRecording = () => {
+        if (recorder.state !== 'inactive') {
+          recorder.stop();
+        }
+      };
+      const handleSeeking = () => {
+        seeked = true;
+        stopRecording();
+      };
+      const timer = setTimeout(stopRecording, this.windowLength * 1000);
+      const cleanup = () => {
+        clearTimeout(timer);
+        video.removeEventListener('pause', stopRecording);
+        video.removeEventListener('seeking', handleSeeking);
+        this.recorder = null;
+      };
+
+      video.addEventListener('pause', stopRecording);
+      video.addEventListener('seeking', handleSeeking);
+
+      recorder.ondataavailable = (event) => {
+        if (event.data && event.data.size > 0) {
+          chunks.push(event.data);
+        }
+      };
+      recorder.onstop = () => {
+        cleanup();
+        const recordedSeconds = (performance.now() - startedAt) / 1000;
+
+        // After a seek the audio no longer lines up with a single video time range
+        if (seeked || !this.isRunning || recordedSeconds < this.minWindowLength || chunks.length === 0) {
+          resolve(null);
+          return;
+        }
+
+        resolve({
+          blob: new Blob(chunks, { type: recorder.mimeType }),
+          start,
+          end: video.currentTime,
+          recordedSeconds
+        });
+      };
+      recorder.onerror = (event) => {
+        cleanup();
+        reject(event.error || new Error('MediaRecorder error'));
+      };
+
+      this.recorder = recorder;
+      recorder.start();
+    });
+  }
+
+  /**
+   * Transcribe a recorded window and add it to the transcript
+   * @param {{blob: Blob, start: number, end: number, recordedSeconds: number}} recording - Recorded window
+   * @returns {Promise<void>}
+   */
+  async transcribeWindow(recording) {
+    try {
+      if (!this.isRunning) {
+        return;
+      }
+
+      const sentences = await this.promptClient.transcribeAudio(recording.blob, recording.recordedSeconds);
+      if (!this.isRunning) {
+        return;
+      }
+
+      // Timestamps are in seconds of recorded audio, which only match video time at normal playback rate
+      const scale = (recording.end - recording.start) / recording.recordedSeconds;
+      const events = sentences.map(sentence => ({
+        start: recording.start + sentence.start * scale,
+        dur: sentence.dur * scale,
+        text: sentence.text
+      }));
+
+      const language = await this.getLanguage(events);
+      const added = await this.subtitleParser.appendTranscribedEvents(events, {
+        start: recording.start,
+        end: recording.end
+      }, language);
+      if (!added) {
+        this.stop();
+      }
+    } catch (error) {
+      console.error('Failed to transcribe audio window:', error);
+    }
+  }
+
+  /**
+   * Get the spoken language of the video
+   * Uses the language declared by the player response, otherwise detects it from transcribed sentences
+   * @param {Array<{text: string}>} events - Sentences of the latest window
+   * @returns {Promise<string|null>} Language code, null while no speech was heard
+   */
+  async getLanguage(events) {
+    if (!this.language) {
+      this.language = this.subtitleParser.getAudioLanguage();
+    }
+    if (!this.language && this.translatorClient && events.length > 0) {
+      this.language = await this.translatorClient.detectLanguage(events.map(event => event.text).join(' '));
+      if (this.language) {
+        console.log('Detected spoken language:', this.language);
+      }
+    }
+    return this.language;
+  }
+
+  /**
+   * Wait until the video plays again or transcription is stopped
+   * @returns {Promise<void>}
+   */
+  waitForPlayback() {
+    return new Promise((resolve) => {
+      const video = this.videoElement;
+      const resume = () => {
+        video.removeEventListener('playing', resume);
+        this.resumeRecording = null;
+        resolve();
+      };
+      this.resumeRecording = resume;
+      video.addEventListener('playing', resume);
+    });
+  }
+}
+
+// Export for use in other modules
+window.AudioTranscriber = AudioTranscriber;
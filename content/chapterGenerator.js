@@ -0,0 +1,207 @@
+/**
+ * Chapter Generator for YouTube AI Q&A Assistant
+ * Produces chapters for videos that have none:
+ * First, it splits the full transcript into fixed time windows.
+ * Then, it finds topic shifts where the vocabulary of neighbouring windows changes (TextTiling).
+ * Then, it titles each segment with the Prompt API and summarizes it with the Summarizer API.
+ */
+
+class ChapterGenerator {
+  /**
+   * @param {PromptClient} promptClient - Prompt client used for chapter titles
+   * @param {SummarizerClient} summarizerClient - Summarizer client used for chapter summaries
+   */
+  constructor(promptClient, summarizerClient) {
+    this.promptClient = promptClient;
+    this.summarizerClient = summarizerClient;
+    this.windowLength = 60; // Seconds of transcript per comparison window
+    this.minChapterLength = 120; // Shortest chapter in seconds
+    this.maxChapters = 12; // Most chapters per video
+    this.maxChapterTextLength = 4000; // Characters of chapter text sent to the models
+    this.stopWords = new Set([
+      'a', 'an', 'the', 'and', 'or', 'but', 'if', 'so', 'to', 'of', 'in', 'on', 'at', 'for', 'with',
+      'is', 'are', 'was', 'were', 'be', 'been', 'it', 'its', 'this', 'that', 'these', 'those', 'i',
+      'you', 'we', 'they', 'he', 'she', 'me', 'my', 'your', 'our', 'their', 'do', 'does', 'did',
+      'have', 'has', 'had', 'not', 'no', 'yes', 'just', 'like', 'can', 'will', 'would', 'what',
+      'how', 'there', 'here', 'then', 'now', 'about', 'from', 'as', 'by', 'all', 'um', 'uh', 'okay',
+      'really', 'very', 'going', 'get', 'got', 'know', 'think', 'right', 'gonna', 'one', 'also'
+    ]);
+  }
+
+  /**
+   * Generate titled and summarized chapters for a transcript
+   * @param {TranscriptStore} store - Full transcript of the video
+   * @param {Object} [options] - Generation options
+   * @param {Function} [options.translate] - Translates chapter text to English before titling
+   * @returns {Promise<Array<{title: string, start: number, end: number, summary: string, source: string}>>} Chapters
+   */
+  async generate(store, options = {}) {
+    const segments = this.segment(store);
+    if (segments.length === 0) {
+      return [];
+    }
+
+    const translate = options.translate || (text => text);
+    const chapters = [];
+
+    for (const [index, segment] of segments.entries()) {
+      const text = (await translate(store.getText(segment.start, segment.end)))
+        .substring(0, this.maxChapterTextLength);
+
+      let summary = '';
+      if (this.summarizerClient && this.summarizerClient.initialized) {
+        summary = await this.summarizerClient.summarizeText(text);
+      }
+
+      let title = '';
+      if (this.promptClient && this.promptClient.initialized) {
+        title = await this.promptClient.generateChapterTitle(text, summary);
+      }
+
+      chapters.push({
+        title: title || `Part ${index + 1}`,
+        start: segment.start,
+        end: segment.end,
+        summary,
+        source: 'generated'
+      });
+      console.log(`Generated chapter ${index + 1}/${segments.length}:`, chapters[chapters.length - 1].title);
+    }
+
+    return chapters;
+  }
+
+  /**
+   * Split a transcript into topic segments
+   * @param {TranscriptStore} store - Full transcript of the video
+   * @returns {Array<{start: number, end: number}>} Segments covering the transcript
+   */
+  segment(store) {
+    const duration = store.getDuration();
+    if (store.isEmpty() || duration < this.minChapterLength * 2) {
+      return [];
+    }
+
+    // Term vectors of fixed windows
+    const windows = [];
+    for (let start = 0; start < duration; start += this.windowLength) {
+      windows.push(this.termVector(store.getText(start, start + this.windowLength)));
+    }
+
+    // Similarity across each gap, comparing two windows on each side
+    const similarities = [];
+    for (let gap = 1; gap < windows.length; gap++) {
+      const left = this.mergeVectors(windows.slice(Math.max(0, gap - 2), gap));
+      const right = this.mergeVectors(windows.slice(gap, gap + 2));
+      similarities.push(this.cosineSimilarity(left, right));
+    }
+
+    // Depth of each similarity valley relative to the peaks around it
+    const depths = similarities.map((similarity, index) => {
+      const leftPeak = Math.max(...similarities.slice(Math.max(0, index - 2), index + 1));
+      const rightPeak = Math.max(...similarities.slice(index, index + 3));
+      return { time: (index + 1) * this.windowLength, depth: (leftPeak - similarity) + (rightPeak - similarity) };
+    });
+
+    const mean = depths.reduce((sum, d) => sum + d.depth, 0) / depths.length;
+    const std = Math.sqrt(depths.reduce((sum, d) => sum + (d.depth - mean) ** 2, 0) / depths.length);
+    const cutoff = mean - std / 2;
+
+    // Deepest valleys first, keeping chapters long enough
+    const boundaries = [];
+    for (const candidate of depths.slice().sort((a, b) => b.depth - a.depth)) {
+      if (boundaries.length >= this.maxChapters - 1) break;
+      if (candidate.depth <= 0 || candidate.depth < cutoff) break;
+
+      const time = this.snapToSentence(store, candidate.time);
+      const tooClose = [0, duration, ...boundaries].some(b => Math.abs(b - time) < this.minChapterLength);
+      if (!tooClose) {
+        boundaries.push(time);
+      }
+    }
+
+    const edges = [0, ...boundaries.sort((a, b) => a - b), duration];
+    const segments = [];
+    for (let i = 0; i < edges.length - 1; i++) {
+      segments.push({ start: edges[i], end: edges[i + 1] });
+    }
+    return segments;
+  }
+
+  /**
+   * Move a boundary to the start of the sentence at or after it, so no sentence is split across chapters
+   * @param {TranscriptStore} store - Full transcript
+   * @param {number} time - Boundary time in seconds
+   * @returns {number} Snapped time in seconds
+   */
+  snapToSentence(store, time) {
+    const index = store.upperBound(time);
+    if (index > 0 && store.events[index - 1].start === time) {
+      return time;
+    }
+    return index < store.size ? store.events[index].start : time;
+  }
+
+  /**
+   * Build a term frequency vector for a piece of text
+   * @param {string} text - Text to vectorize
+   * @returns {Map<string, number>} Term counts
+   */
+  termVector(text) {
+    const vector = new Map();
+    for (const term of this.tokenize(text)) {
+      vector.set(term, (vector.get(term) || 0) + 1);
+    }
+    return vector;
+  }
+
+  /**
+   * Split text into lowercase content words
+   * @param {string} text - Text to tokenize
+   * @returns {string[]} Terms
+   */
+  tokenize(text) {
+    return (text || '')
+      .toLowerCase()
+      .split(/[^\p{L}\p{N}']+/u)
+      .filter(term => term.length > 2 && !this.stopWords.has(term));
+  }
+
+  /**
+   * Sum several term vectors
+   * @param {Array<Map<string, number>>} vectors - Term vectors
+   * @returns {Map<string, number>} Merged vector
+   */
+  mergeVectors(vectors) {
+    const merged = new Map();
+    for (const vector of vectors) {
+      for (const [term, count] of vector) {
+        merged.set(term, (merged.get(term) || 0) + count);
+      }
+    }
+    return merged;
+  }
+
+  /**
+   * Cosine similarity of two term vectors
+   * @param {Map<string, number>} a - First vector
+   * @param {Map<string, number>} b - Second vector
+   * @returns {number} Similarity between 0 and 1
+   */
+  cosineSimilarity(a, b) {
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (const [term, count] of a) {
+      normA += count * count;
+      if (b.has(term)) dot += count * b.get(term);
+    }
+    for (const count of b.values()) {
+      normB += count * count;
+    }
+    return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+  }
+}
+
+// Export for use in other modules
+window.ChapterGenerator = ChapterGenerator;
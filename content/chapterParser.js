@@ -0,0 +1,249 @@
+/**
+ * Chapter Parser for YouTube AI Q&A Assistant
+ * Finds the chapters of the current video:
+ * First, it reads YouTube's own chapters from ytInitialData (player bar markers).
+ * Then, it falls back to the chapter list rendered in the page.
+ * Then, it falls back to timestamps in the video description ("0:00 Intro").
+ * Then, it caches the chapters per video and answers "which chapter is at time t".
+ */
+
+class ChapterParser {
+  /**
+   * @param {SiteAdapter|null} [siteAdapter] - Adapter for the current site (detected if omitted)
+   */
+  constructor(siteAdapter = null) {
+    this.siteAdapter = siteAdapter || SiteAdapter.detect() || new YouTubePageAdapter();
+    this.cache = new Map(); // Cache for chapters per video id
+  }
+
+  /**
+   * Get the chapters of a video
+   * @param {string} videoId - YouTube video ID
+   * @returns {Array<{title: string, start: number, end: number, source: string}>} Chapters sorted by start time
+   */
+  getChapters(videoId) {
+    if (this.cache.has(videoId)) {
+      return this.cache.get(videoId);
+    }
+
+    const duration = this.getVideoDuration(videoId);
+    let chapters = this.extractFromInitialData(videoId);
+    if (chapters.length === 0) {
+      chapters = this.extractFromDOM();
+    }
+    if (chapters.length === 0) {
+      chapters = this.extractFromDescription(this.getDescription(videoId));
+    }
+
+    chapters = this.withEndTimes(chapters, duration);
+    console.log(`Found ${chapters.length} chapters for video:`, videoId, chapters);
+
+    // Only cache once the page data has loaded
+    if (chapters.length > 0 || duration > 0) {
+      this.cache.set(videoId, chapters);
+    }
+    return chapters;
+  }
+
+  /**
+   * Get the chapter playing at a given time
+   * @param {string} videoId - YouTube video ID
+   * @param {number} time - Time in seconds
+   * @returns {{title: string, start: number, end: number, source: string}|null} Chapter or null
+   */
+  getChapterAt(videoId, time) {
+    const chapters = this.getChapters(videoId);
+    for (let i = chapters.length - 1; i >= 0; i--) {
+      if (chapters[i].start <= time) {
+        return chapters[i];
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Add chapters for a video from another source (e.g. generated chapters)
+   * @param {string} videoId - YouTube video ID
+   * @param {Array<{title: string, start: number, end?: number}>} chapters - Chapters to use
+   * @param {string} [source='custom'] - Where the chapters come from
+   */
+  setChapters(videoId, chapters, source = 'custom') {
+    const sorted = chapters
+      .map(chapter => ({ ...chapter, source: chapter.source || source }))
+      .sort((a, b) => a.start - b.start);
+    this.cache.set(videoId, this.withEndTimes(sorted, this.getVideoDuration(videoId)));
+  }
+
+  /**
+   * Extract chapters from ytInitialData player bar markers
+   * @param {string} videoId - YouTube video ID
+   * @returns {Array<{title: string, start: number, source: string}>} Chapters
+   */
+  extractFromInitialData(videoId) {
+    try {
+      const data = window.ytInitialData;
+      // ytInitialData is not refreshed on SPA navigation, make sure it belongs to this video
+      const dataVideoId = data?.currentVideoEndpoint?.watchEndpoint?.videoId;
+      if (!data || (dataVideoId && dataVideoId !== videoId)) {
+        return [];
+      }
+
+      const markersMap = data.playerOverlays?.playerOverlayRenderer?.decoratedPlayerBarRenderer
+        ?.decoratedPlayerBarRenderer?.playerBar?.multiMarkersPlayerBarRenderer?.markersMap || [];
+
+      const chapterMarkers = markersMap.find(marker =>
+        marker.key === 'DESCRIPTION_CHAPTERS' || marker.key === 'AUTO_CHAPTERS'
+      ) || markersMap[0];
+
+      const chapters = chapterMarkers?.value?.chapters || [];
+      return chapters
+        .map(chapter => chapter.chapterRenderer)
+        .filter(Boolean)
+        .map(renderer => ({
+          title: renderer.title?.simpleText || renderer.title?.runs?.map(run => run.text).join('') || '',
+          start: (renderer.timeRangeStartMillis || 0) / 1000,
+          source: 'youtube'
+        }));
+    } catch (error) {
+      console.warn('Error extracting chapters from ytInitialData:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Extract chapters from the chapter list rendered in the watch page
+   * @returns {Array<{title: string, start: number, source: string}>} Chapters
+   */
+  extractFromDOM() {
+    try {
+      const items = document.querySelectorAll('ytd-macro-markers-list-item-renderer');
+      const seen = new Set();
+      const chapters = [];
+
+      items.forEach(item => {
+        const title = item.querySelector('h4')?.textContent?.trim();
+        const start = this.parseTimestamp(item.querySelector('#time')?.textContent?.trim());
+        const key = `${start}_${title}`;
+        if (title && start !== null && !seen.has(key)) {
+          seen.add(key);
+          chapters.push({ title, start, source: 'youtube' });
+        }
+      });
+
+      return chapters.sort((a, b) => a.start - b.start);
+    } catch (error) {
+      console.warn('Error extracting chapters from page:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Extract chapters from timestamps in a video description
+   * Follows YouTube's rules: the list starts at 0:00, has at least 3 entries and is ascending
+   * @param {string} description - Video description
+   * @returns {Array<{title: string, start: number, source: string}>} Chapters
+   */
+  extractFromDescription(description) {
+    if (!description) return [];
+
+    const chapters = [];
+    for (const line of description.split('\n')) {
+      // "0:00 Intro", "1:02:03 - Wrap up", "(12:34) Topic", "Topic 12:34"
+      const match = line.match(/^\s*[([]?((?:\d{1,2}:)?\d{1,2}:\d{2})[)\]]?\s*[-–—:|]?\s*(.+?)\s*$/) ||
+                    line.match(/^\s*(.+?)\s*[-–—:|]?\s*[([]?((?:\d{1,2}:)?\d{1,2}:\d{2})[)\]]?\s*$/);
+      if (!match) continue;
+
+      const timeFirst = /\d:\d{2}/.test(match[1]);
+      const start = this.parseTimestamp(timeFirst ? match[1] : match[2]);
+      const title = (timeFirst ? match[2] : match[1]).trim();
+      if (start === null || !title) continue;
+
+      // Keep only strictly ascending timestamps
+      if (chapters.length > 0 && start <= chapters[chapters.length - 1].start) continue;
+      chapters.push({ title, start, source: 'description' });
+    }
+
+    if (chapters.length < 3 || chapters[0].start !== 0) {
+      return [];
+    }
+    return chapters;
+  }
+
+  /**
+   * Fill in chapter end times from the next chapter or the video duration
+   * @param {Array<{title: string, start: number}>} chapters - Chapters sorted by start time
+   * @param {number} duration - Video duration in seconds (0 if unknown)
+   * @returns {Array<{title: string, start: number, end: number, source: string}>} Chapters with end times
+   */
+  withEndTimes(chapters, duration) {
+    return chapters.map((chapter, index) => ({
+      ...chapter,
+      end: index < chapters.length - 1
+        ? chapters[index + 1].start
+        : (chapter.end || (duration > chapter.start ? duration : Infinity))
+    }));
+  }
+
+  /**
+   * Parse a clock timestamp ("1:02:03" or "12:34")
+   * @param {string} timestamp - Timestamp string
+   * @returns {number|null} Time in seconds or null if invalid
+   */
+  parseTimestamp(timestamp) {
+    if (!timestamp || !/^\d+(:\d{1,2}){1,2}$/.test(timestamp)) return null;
+    return timestamp.split(':').reduce((total, part) => total * 60 + parseInt(part, 10), 0);
+  }
+
+  /**
+   * Get the player response for a video (fresh from the player when possible)
+   * @param {string} videoId - YouTube video ID
+   * @returns {Object|null} Player response or null
+   */
+  getPlayerResponse(videoId) {
+    const response = this.siteAdapter.getPlayerResponse();
+    return response?.videoDetails?.videoId === videoId ? response : null;
+  }
+
+  /**
+   * Get the description of a video
+   * @param {string} videoId - YouTube video ID
+   * @returns {string} Description text
+   */
+  getDescription(videoId) {
+    const response = this.getPlayerResponse(videoId);
+    if (response?.videoDetails?.shortDescription) {
+      return response.videoDetails.shortDescription;
+    }
+
+    // Fallback: description rendered in the page
+    const descriptionElement = document.querySelector('#description-inline-expander') ||
+                               document.querySelector('#description');
+    return descriptionElement ? descriptionElement.innerText || descriptionElement.textContent || '' : '';
+  }
+
+  /**
+   * Get the duration of a video
+   * @param {string} videoId - YouTube video ID
+   * @returns {number} Duration in seconds (0 if unknown)
+   */
+  getVideoDuration(videoId) {
+    const response = this.getPlayerResponse(videoId);
+    const lengthSeconds = parseInt(response?.videoDetails?.lengthSeconds || '0', 10);
+    if (lengthSeconds > 0) {
+      return lengthSeconds;
+    }
+
+    const video = this.siteAdapter.getVideoElement();
+    return video && isFinite(video.duration) ? video.duration : 0;
+  }
+
+  /**
+   * Clear cached chapters
+   */
+  clearCache() {
+    this.cache.clear();
+  }
+}
+
+// Export for use in other modules
+window.ChapterParser = ChapterParser;
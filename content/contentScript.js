@@ -5,20 +5,45 @@
 
 class YouTubeAIAssistant {
   constructor() {
+    this.siteAdapter = null; // Adapter for the site (and YouTube surface) the assistant runs on
+    this.aiProvider = null; // Provider of the language model, summarizer and translator (see AIProvider)
     this.promptClient = null;
     this.summarizerClient = null;
     this.translatorClient = null;
     this.videoFrameExtractor = null;
     this.subtitleParser = null;
+    this.chapterParser = null;
+    this.chapterGenerator = null;
+    this.chapterGeneration = null; // In-flight chapter generation: {videoId, promise}
+    this.transcriptRetriever = null; // Finds transcript passages relevant to a question
+    this.playlistPrefetcher = null;
+    this.audioTranscriber = null; // Transcribes the video audio when there are no captions
+    this.prefetchHandle = null; // Idle callback of the pending playlist prefetch
+    this.currentChapter = null; // Chapter playing at the current video time
+    this.transcriptDatabase = null;
+    this.translationCache = new Map(); // Stored translations per transcript key: {textHash: translatedText}
     this.uiOverlay = null;
     this.updateInterval = null;
     this.isInitialized = false;
     this.isRunning = false;
     this.lastTriggerTime = 0; // Last video time when we triggered questions
     this.videoElement = null;
-    this.questionGenerationInterval = 30; // How often to generate questions
+    this.boundTimeUpdate = this.handleVideoTimeUpdate.bind(this); // Same reference for adding and removing the listener
+    this.questionGenerationInterval = 30; // How often to generate questions when scene changes can't be detected
+    this.maxQuestionInterval = 90; // Longest stretch without new questions while scene changes are detected
+    this.minQuestionInterval = 10; // Shortest stretch between two question updates
+    this.topicCheckInterval = 10; // How often the upcoming transcript is compared with the last questions' transcript
+    this.topicShiftThreshold = 0.2; // Transcript similarity below which the topic counts as changed
+    this.minTopicTerms = 5; // Fewer content words are too little to compare topics
+    this.lastTopicCheckTime = 0; // Last video time when we checked for a topic shift
+    this.lastQuestionTranscript = ''; // Transcript the current questions were generated from
+    this.isCheckingTopic = false;
     this.transcriptBufferAhead = 30; // Buffer transcript 30 seconds ahead of current time
-    this.summaryBuffer = 150; // Buffer summary 2.5 minutes ahead and behind of current time
+    this.summaryBuffer = 150; // Buffer summary 2.5 minutes ahead and behind of current time (videos without chapters)
+    this.maxChapterContext = 600; // Max seconds of a chapter used as summary context
+    this.liveEdgeTolerance = 10; // Seconds behind the live edge that still count as watching live
+    this.liveTranscriptWindow = 60; // Seconds of transcript before the live edge used for questions
+    this.liveSummaryInterval = 120; // Roll the live summary forward after this many seconds
   }
 
   /**
@@ -29,18 +54,38 @@ class YouTubeAIAssistant {
       console.log('Initializing YouTube AI Q&A Assistant...');
 
       // Create component instances
-      this.promptClient = new PromptClient();
-      this.summarizerClient = new SummarizerClient();
-      this.translatorClient = new TranslatorClient();
+      this.siteAdapter = SiteAdapter.detect() || new YouTubePageAdapter();
+      console.log('Site adapter:', this.siteAdapter.name);
+      this.aiProvider = AIProvider.create(await AIProvider.loadSettings());
+      console.log('AI provider:', this.aiProvider.name);
+      this.promptClient = new PromptClient(this.aiProvider);
+      this.summarizerClient = new SummarizerClient(this.aiProvider);
+      this.translatorClient = new TranslatorClient(this.aiProvider);
       this.videoFrameExtractor = new VideoFrameExtractor();
-      this.subtitleParser = new SubtitleParser();
-      this.uiOverlay = new UIOverlay();
+      this.transcriptDatabase = new TranscriptDatabase();
+      this.subtitleParser = new SubtitleParser(this.transcriptDatabase, this.siteAdapter);
+      this.chapterParser = new ChapterParser(this.siteAdapter);
+      this.chapterGenerator = new ChapterGenerator(this.promptClient, this.summarizerClient);
+      this.transcriptRetriever = new TranscriptRetriever(this.promptClient, this.chapterGenerator);
+      this.playlistPrefetcher = new PlaylistPrefetcher(
+        this.subtitleParser,
+        this.promptClient,
+        this.summarizerClient,
+        this.translatorClient,
+        this.transcriptDatabase
+      );
+      this.audioTranscriber = new AudioTranscriber(this.promptClient, this.subtitleParser, this.translatorClient);
+      this.uiOverlay = new UIOverlay(this.siteAdapter);
 
       // Initialize AI client first
       const aiInitialized = await this.promptClient.initialize();
       if (!aiInitialized) {
         console.error('Failed to initialize AI client');
-        this.uiOverlay.showError('AI not available. Please ensure Chrome Built-in AI features are enabled.');
+        // Keep the overlay so another AI provider can be chosen from its menu
+        if (await this.uiOverlay.initialize()) {
+          this.uiOverlay.addMenuAction('ai-provider', 'AI model', () => this.showProviderMenu());
+          this.uiOverlay.showError(this.aiProvider.getUnavailableMessage());
+        }
         return false;
       }
 
@@ -60,13 +105,12 @@ class YouTubeAIAssistant {
       const subtitlesInitialized = await this.subtitleParser.initialize();
       if (!subtitlesInitialized) {
         console.warn('No captions available for this video');
-        this.uiOverlay.showError('No captions available for this video');
-        // return false; // Now, use video frame in case of no captions
+        // return false; // Now, use video frame and transcribed audio in case of no captions
       }
 
       // Initialize UI overlay
-      const uiInitialized = await this.uiOverlay.initialize((question, index, startTime, endTime) => {
-        this.handleQuestionClick(question, index, startTime, endTime);
+      const uiInitialized = await this.uiOverlay.initialize((question, index, startTime, endTime, regionFrame) => {
+        this.handleQuestionClick(question, index, startTime, endTime, regionFrame);
       });
 
       if (!uiInitialized) {
@@ -75,16 +119,35 @@ class YouTubeAIAssistant {
       }
 
       // Set follow-up question handler
-      this.uiOverlay.setFollowUpQuestionHandler((question, startTime, endTime) => {
-        this.handleFollowUpQuestion(question, startTime, endTime);
+      this.uiOverlay.setFollowUpQuestionHandler((question, startTime, endTime, regionFrame) => {
+        this.handleFollowUpQuestion(question, startTime, endTime, regionFrame);
       });
 
+      // Citations in answers seek the video
+      this.uiOverlay.setCitationHandler(time => this.seekTo(time));
+
+      // Register overlay menu actions
+      this.uiOverlay.addMenuAction('chapters', 'Chapters', () => this.showChapterOutline());
+      this.uiOverlay.addMenuAction('ask-region', 'Ask about a region', () => this.startRegionQuestion());
+      this.uiOverlay.addMenuAction('caption-track', 'Caption track', () => this.showTrackMenu());
+      this.uiOverlay.addMenuAction('import-captions', 'Import captions file', () => this.importCaptionFile());
+      this.uiOverlay.addMenuAction('export-transcript', 'Export transcript', () => this.showExportMenu());
+      this.uiOverlay.addMenuAction('capture-mode', 'Video frames', () => this.showCaptureModeMenu());
+      this.uiOverlay.addMenuAction('ai-provider', 'AI model', () => this.showProviderMenu());
+      this.uiOverlay.addMenuAction('clear-stored-data', 'Clear stored data', () => this.clearStoredData());
+
       this.isInitialized = true;
       console.log('YouTube AI Assistant initialized successfully');
 
       // Start the question generation loop
       this.startQuestionLoop();
 
+      // Videos without captions are transcribed from their audio
+      const track = this.subtitleParser.currentTrack;
+      if (!track || track.isTranscribed) {
+        this.startAudioTranscription();
+      }
+
       return true;
     } catch (error) {
       console.error('Failed to initialize YouTube AI Assistant:', error);
@@ -105,29 +168,74 @@ class YouTubeAIAssistant {
     console.log(`Starting question generation (every ${this.questionGenerationInterval} seconds of video time)`);
 
     // Find video element
-    this.videoElement = document.querySelector('video');
+    this.videoElement = this.siteAdapter.getVideoElement();
     if (!this.videoElement) {
       console.warn('No video element found');
       return;
     }
 
-    // Initial update (only if AI is enabled)
+    // Initial update (only if AI is enabled, the previous playlist video may have prepared it),
+    // then chapters for videos without any, then the next video of the playlist
     if (this.uiOverlay.isAIEnabled()) {
-      this.updateQuestions();
+      this.loadPrefetchedContext()
+        .then(shown => (shown ? null : this.updateQuestions()))
+        .then(() => this.generateChaptersIfMissing())
+        .then(() => this.schedulePrefetch());
     }
 
     // Listen for video time updates
-    this.videoElement.addEventListener('timeupdate', this.handleVideoTimeUpdate.bind(this));
+    this.videoElement.addEventListener('timeupdate', this.boundTimeUpdate);
+
+    // Slide changes and scene cuts bring new questions early
+    this.videoFrameExtractor.startSceneDetection(this.videoElement, (change) => this.handleSceneChange(change));
+
+    // Buffer frames so questions and answers can show more than the current frame (multi-frame capture modes only)
+    if (this.videoFrameExtractor.capturesMultipleFrames()) {
+      this.videoFrameExtractor.startFrameSampling(this.videoElement);
+    }
 
     // Set up AI toggle callback
     this.setupAIToggleCallback();
   }
 
   /**
-   * Handle video time updates to trigger questions at the questionGenerationInterval intervals
+   * Transcribe the video audio as the transcript for a video without captions
+   * @returns {Promise<boolean>} True if transcription started
+   */
+  async startAudioTranscription() {
+    const started = this.videoElement
+      ? await this.audioTranscriber.start(this.videoElement)
+      : false;
+
+    if (started) {
+      this.uiOverlay.showStatus('No captions available - transcribing the video audio');
+    } else {
+      this.uiOverlay.showError('No captions available for this video');
+    }
+    return started;
+  }
+
+  /**
+   * Check if the transcript only grows while the video plays (live streams and transcribed audio)
+   * @returns {boolean} True if the transcript ends near the current time
+   */
+  hasGrowingTranscript() {
+    return this.subtitleParser.isLive() || (this.audioTranscriber && this.audioTranscriber.isRunning);
+  }
+
+  /**
+   * Handle video time updates to trigger questions on topic shifts,
+   * and at the questionGenerationInterval (or maxQuestionInterval) when nothing changed
    */
   handleVideoTimeUpdate() {
-    if (!this.isRunning || !this.videoElement || this.videoElement.paused) {
+    if (!this.isRunning || !this.videoElement) {
+      return;
+    }
+
+    // Keep the chapter header in sync, also while paused and seeking
+    this.updateCurrentChapter();
+
+    if (this.videoElement.paused) {
       return;
     }
 
@@ -138,14 +246,383 @@ class YouTubeAIAssistant {
 
     const currentTime = Math.floor(this.videoElement.currentTime);
 
-    // Trigger every 60 seconds of video time
-    if (currentTime > 0 && currentTime % this.questionGenerationInterval === 0 && currentTime !== this.lastTriggerTime) {
-      console.log(`Video reached ${currentTime}s - generating questions`);
-      this.lastTriggerTime = currentTime;
-      this.updateQuestions();
+    // Scene changes usually come first, so the regular interval is longer while they are detected
+    const interval = this.videoFrameExtractor.isDetectingScenes()
+      ? this.maxQuestionInterval
+      : this.questionGenerationInterval;
+    if (currentTime > 0 && Math.abs(currentTime - this.lastTriggerTime) >= interval) {
+      this.triggerQuestions(currentTime, 'interval');
+      return;
+    }
+
+    if (Math.abs(currentTime - this.lastTopicCheckTime) >= this.topicCheckInterval) {
+      this.lastTopicCheckTime = currentTime;
+      this.checkTopicShift(currentTime);
+    }
+  }
+
+  /**
+   * Handle a scene change reported by the frame extractor
+   * @param {{time: number, distance: number}} change - Scene change
+   */
+  handleSceneChange(change) {
+    if (!this.isRunning || !this.videoElement || this.videoElement.paused || !this.uiOverlay.isAIEnabled()) {
+      return;
+    }
+    this.triggerQuestions(Math.floor(change.time), `scene change, ${change.distance} bits`);
+  }
+
+  /**
+   * Generate new questions if the last ones are at least minQuestionInterval old
+   * @param {number} currentTime - Current video time in seconds
+   * @param {string} reason - Why questions are due (for logging)
+   * @returns {boolean} True if questions are being generated
+   */
+  triggerQuestions(currentTime, reason) {
+    if (Math.abs(currentTime - this.lastTriggerTime) < this.minQuestionInterval) {
+      return false;
+    }
+
+    console.log(`Video reached ${currentTime}s - generating questions (${reason})`);
+    this.lastTriggerTime = currentTime;
+    this.lastTopicCheckTime = currentTime;
+    this.updateQuestions();
+    return true;
+  }
+
+  /**
+   * Generate new questions when the upcoming transcript moves away from the last questions' topic
+   * @param {number} currentTime - Current video time in seconds
+   */
+  async checkTopicShift(currentTime) {
+    if (this.isCheckingTopic || !this.lastQuestionTranscript) {
+      return;
+    }
+
+    this.isCheckingTopic = true;
+    try {
+      const { start, end } = this.getQuestionRange(currentTime, this.currentChapter);
+      const transcript = await this.subtitleParser.getTranscriptChunk(start, end, { boundary: 'word' });
+
+      const previousTerms = this.chapterGenerator.termVector(this.lastQuestionTranscript);
+      const currentTerms = this.chapterGenerator.termVector(transcript);
+      if (previousTerms.size < this.minTopicTerms || currentTerms.size < this.minTopicTerms) {
+        return;
+      }
+
+      const similarity = this.chapterGenerator.cosineSimilarity(previousTerms, currentTerms);
+      if (similarity < this.topicShiftThreshold) {
+        this.triggerQuestions(currentTime, `topic shift, similarity ${similarity.toFixed(2)}`);
+      }
+    } catch (error) {
+      console.warn('Failed to check for a topic shift:', error);
+    } finally {
+      this.isCheckingTopic = false;
+    }
+  }
+
+
+  /**
+   * Update the current chapter, the overlay header and the summary when playback enters a new chapter
+   */
+  updateCurrentChapter() {
+    const chapter = this.chapterParser.getChapterAt(
+      this.subtitleParser.getCurrentVideoId(),
+      this.videoElement.currentTime
+    );
+
+    if (chapter === this.currentChapter) {
+      return;
+    }
+
+    this.currentChapter = chapter;
+    this.uiOverlay.setHeader(chapter ? chapter.title : '');
+    console.log('Entered chapter:', chapter ? chapter.title : '(none)');
+
+    // Summaries are cached per window, a new chapter needs a new summary
+    if (this.summarizerClient) {
+      this.summarizerClient.clearCache();
+    }
+  }
+
+  /**
+   * Get the summary context window for a time range
+   * Uses the chapter containing the range when the video has chapters,
+   * otherwise a summaryBuffer window around the range
+   * @param {number} startTime - Start time in seconds
+   * @param {number} endTime - End time in seconds
+   * @returns {{start: number, end: number, chapter: Object|null}} Context window
+   */
+  getContextWindow(startTime, endTime) {
+    if (this.hasGrowingTranscript()) {
+      return this.getLiveContextWindow(endTime);
+    }
+
+    const chapter = this.chapterParser.getChapterAt(this.subtitleParser.getCurrentVideoId(), startTime);
+    if (!chapter) {
+      return {
+        start: startTime - this.summaryBuffer,
+        end: endTime + this.summaryBuffer,
+        chapter: null
+      };
+    }
+
+    // Long chapters are capped around the requested range
+    const halfCap = this.maxChapterContext / 2;
+    return {
+      start: Math.max(chapter.start, startTime - halfCap),
+      end: Math.min(chapter.end, endTime + halfCap),
+      chapter
+    };
+  }
+
+  /**
+   * Get the summary context window on a live stream or while transcribing audio
+   * There is nothing to summarize ahead of the live edge, so the window trails the given time
+   * and the cached summary is dropped once the stream has moved liveSummaryInterval past it
+   * @param {number} endTime - End time in seconds
+   * @returns {{start: number, end: number, chapter: null}} Context window
+   */
+  getLiveContextWindow(endTime) {
+    if (this.summarizerClient &&
+        endTime - this.summarizerClient.currentSummaryTimeRange.end > this.liveSummaryInterval) {
+      this.summarizerClient.clearCache();
+    }
+
+    return {
+      start: Math.max(0, endTime - this.summaryBuffer * 2),
+      end: endTime,
+      chapter: null
+    };
+  }
+
+  /**
+   * Get the live edge of the stream
+   * @returns {number|null} Latest playable time in seconds, or null if the video is not live
+   */
+  getLiveEdge() {
+    if (!this.videoElement || !this.subtitleParser.isLive()) {
+      return null;
+    }
+
+    const seekable = this.videoElement.seekable;
+    if (seekable && seekable.length > 0) {
+      return seekable.end(seekable.length - 1);
+    }
+    return this.videoElement.currentTime;
+  }
+
+  /**
+   * Get the transcript range questions are generated from
+   * Looks ahead of the current time, or back from the current time when watching at the live edge
+   * or when the audio ahead has not been transcribed yet
+   * @param {number} currentTime - Current video time in seconds
+   * @param {Object|null} chapter - Chapter playing at the current time
+   * @returns {{start: number, end: number}} Transcript range in seconds
+   */
+  getQuestionRange(currentTime, chapter) {
+    const liveEdge = this.getLiveEdge();
+    if (liveEdge !== null && liveEdge - currentTime <= this.liveEdgeTolerance) {
+      return { start: Math.max(0, currentTime - this.liveTranscriptWindow), end: currentTime };
+    }
+
+    // Transcribed audio ends at the current time, unless this part was heard before
+    if (this.audioTranscriber && this.audioTranscriber.isRunning &&
+        !this.subtitleParser.isTranscribedAt(currentTime + this.transcriptBufferAhead)) {
+      return { start: Math.max(0, currentTime - this.liveTranscriptWindow), end: currentTime };
+    }
+
+    // Keep the transcript inside the current chapter
+    let end = currentTime + this.transcriptBufferAhead;
+    if (chapter && chapter.end > currentTime) {
+      end = Math.min(end, chapter.end);
+    }
+    return { start: currentTime, end };
+  }
+
+  /**
+   * Prefix a summary with the title of the chapter it belongs to
+   * @param {string} videoSummary - Summary text
+   * @param {Object|null} chapter - Chapter of the context window
+   * @returns {string} Summary with chapter context
+   */
+  addChapterContext(videoSummary, chapter) {
+    if (!chapter || !chapter.title) {
+      return videoSummary;
+    }
+    return `Current chapter: "${chapter.title}". ${videoSummary}`.trim();
+  }
+
+  /**
+   * Use the summary and questions prefetched by the previous playlist video, if the video starts in their window
+   * @returns {Promise<boolean>} True if prefetched questions are shown
+   */
+  async loadPrefetchedContext() {
+    const videoId = this.subtitleParser.getCurrentVideoId();
+    if (!videoId || !this.playlistPrefetcher || this.subtitleParser.isLive()) {
+      return false;
+    }
+
+    // Prefetched content covers the opening of the video, chapters have their own summaries
+    const currentTime = this.videoElement.currentTime;
+    if (currentTime >= this.summaryBuffer || this.chapterParser.getChapterAt(videoId, currentTime)) {
+      return false;
+    }
+
+    const prefetched = await this.playlistPrefetcher.getPrefetched(videoId);
+    if (!prefetched) {
+      return false;
+    }
+
+    if (prefetched.summary && this.summarizerClient && this.summarizerClient.initialized) {
+      this.summarizerClient.setCachedSummary(prefetched.summary, prefetched.start, prefetched.end);
+    }
+
+    const questions = prefetched.questions || [];
+    if (questions.length === 0 || currentTime > questions[0].endTime) {
+      return false;
     }
+    console.log('Showing prefetched questions:', questions.map(question => question.text));
+    this.uiOverlay.updateQuestions(questions, currentTime);
+    return true;
   }
 
+  /**
+   * Prefetch the next playlist video's transcript, summary and questions when the browser is idle
+   */
+  schedulePrefetch() {
+    // Playlists are read from the watch page's playlist panel
+    if (!this.playlistPrefetcher || this.siteAdapter.name !== 'watch') {
+      return;
+    }
+
+    const requestIdle = window.requestIdleCallback || (callback => setTimeout(callback, 1000));
+    const cancelIdle = window.cancelIdleCallback || clearTimeout;
+    if (this.prefetchHandle !== null) {
+      cancelIdle(this.prefetchHandle);
+    }
+
+    // The same windows the next video starts with (see getContextWindow and getQuestionRange)
+    this.prefetchHandle = requestIdle(() => {
+      this.prefetchHandle = null;
+      this.playlistPrefetcher.prefetchNext(
+        { start: -this.summaryBuffer, end: this.summaryBuffer },
+        { start: 0, end: this.transcriptBufferAhead }
+      );
+    }, { timeout: 30000 });
+  }
+
+  /**
+   * Generate chapters for the current video if it has none
+   * Generated chapters are stored per video, so each video is only processed once
+   * @returns {Promise<Array>} Chapters of the video (empty if none could be generated)
+   */
+  generateChaptersIfMissing() {
+    const videoId = this.subtitleParser.getCurrentVideoId();
+    // Live transcripts are still growing
+    if (!videoId || this.subtitleParser.isLive()) {
+      return Promise.resolve([]);
+    }
+
+    const chapters = this.chapterParser.getChapters(videoId);
+    if (chapters.length > 0) {
+      return Promise.resolve(chapters);
+    }
+
+    if (this.chapterGeneration && this.chapterGeneration.videoId === videoId) {
+      return this.chapterGeneration.promise;
+    }
+
+    const promise = this.loadGeneratedChapters(videoId)
+      .then(generated => {
+        if (generated.length > 0) {
+          this.chapterParser.setChapters(videoId, generated, 'generated');
+          // The cached summary was built without chapters
+          if (this.summarizerClient) {
+            this.summarizerClient.clearCache();
+          }
+          if (this.videoElement && videoId === this.subtitleParser.getCurrentVideoId()) {
+            this.updateCurrentChapter();
+          }
+        }
+        return this.chapterParser.getChapters(videoId);
+      })
+      .catch(error => {
+        console.error('Failed to generate chapters:', error);
+        return [];
+      })
+      .finally(() => {
+        if (this.chapterGeneration && this.chapterGeneration.promise === promise) {
+          this.chapterGeneration = null;
+        }
+      });
+
+    this.chapterGeneration = { videoId, promise };
+    return promise;
+  }
+
+  /**
+   * Load stored generated chapters for a video, or generate them from the transcript
+   * @param {string} videoId - YouTube video ID
+   * @returns {Promise<Array>} Generated chapters
+   */
+  async loadGeneratedChapters(videoId) {
+    const chaptersKey = TranscriptDatabase.makeKey(videoId, 'chapters');
+    const stored = this.transcriptDatabase ? await this.transcriptDatabase.get(chaptersKey) : null;
+    if (stored && stored.chapters) {
+      console.log(`Loaded ${stored.chapters.length} generated chapters for video:`, videoId);
+      return stored.chapters;
+    }
+
+    const store = await this.subtitleParser.getTranscriptStore();
+    if (!store || store.isEmpty() || videoId !== this.subtitleParser.getCurrentVideoId()) {
+      return [];
+    }
+
+    console.log('Generating chapters for video:', videoId);
+    const chapters = await this.chapterGenerator.generate(store, {
+      translate: text => this.translateIfNeeded(text)
+    });
+
+    if (chapters.length > 0 && this.transcriptDatabase) {
+      await this.transcriptDatabase.put(chaptersKey, { chapters });
+    }
+    return chapters;
+  }
+
+  /**
+   * Show the chapter outline, generating chapters first if the video has none
+   */
+  async showChapterOutline() {
+    const videoId = this.subtitleParser.getCurrentVideoId();
+    let chapters = this.chapterParser.getChapters(videoId);
+
+    if (chapters.length === 0) {
+      this.uiOverlay.showStatus('Generating chapters...', 10000);
+      chapters = await this.generateChaptersIfMissing();
+      if (videoId !== this.subtitleParser.getCurrentVideoId()) {
+        return;
+      }
+      if (chapters.length === 0) {
+        this.uiOverlay.showStatus('No chapters available for this video');
+        return;
+      }
+    }
+
+    this.uiOverlay.showChapterOutline(chapters, this.currentChapter, chapter => this.seekTo(chapter.start));
+  }
+
+  /**
+   * Seek the video to a time
+   * @param {number} time - Time in seconds
+   */
+  seekTo(time) {
+    if (!this.videoElement) {
+      return;
+    }
+    this.videoElement.currentTime = time;
+    this.updateCurrentChapter();
+  }
 
   /**
    * Set up AI toggle callback to handle enable/disable
@@ -169,9 +646,12 @@ class YouTubeAIAssistant {
   /**
    * Translate text if it's in a non-English language
    * @param {string} text - Text to translate
+   * @param {Object} [options] - Translation options
+   * @param {boolean} [options.persist=true] - Write the translation to the database right away
    * @returns {Promise<string>} Translated text or original if English/translation fails
    */
-  async translateIfNeeded(text) {
+  async translateIfNeeded(text, options = {}) {
+    const persist = options.persist !== false;
     console.log('Translating text if needed');
     if (!text || text.trim().length === 0) {
       console.log('No text to translate, returning original text');
@@ -197,6 +677,15 @@ class YouTubeAIAssistant {
     }
 
     try {
+      // Check stored translations for this video and track first
+      const translationKey = this.subtitleParser.getTranscriptKey('en');
+      const translations = await this.loadTranslations(translationKey);
+      const textHash = TranscriptDatabase.hashText(text);
+      if (translations[textHash]) {
+        console.log('Using stored translation');
+        return translations[textHash];
+      }
+
       console.log(`Translating text (${text.length} chars) from ${sourceLanguage} to English...`);
       const translatedText = await this.translatorClient.translate(
         text,
@@ -204,13 +693,305 @@ class YouTubeAIAssistant {
         'en'
       );
       console.log(`Translation complete: ${translatedText.length} chars`);
-      return translatedText;
+
+      // Persist the translation for later sessions
+      if (translatedText) {
+        translations[textHash] = translatedText;
+        if (persist) {
+          await this.persistTranslations(translationKey);
+        }
+      }
+
+      return translatedText || text;
     } catch (error) {
       console.error('Translation failed, returning original text:', error);
       return text; // Fallback to original text
     }
   }
 
+  /**
+   * Load stored translations for a transcript key
+   * @param {string} translationKey - Transcript key including the translation target
+   * @returns {Promise<Object>} Map of text hash to translated text
+   */
+  async loadTranslations(translationKey) {
+    if (this.translationCache.has(translationKey)) {
+      return this.translationCache.get(translationKey);
+    }
+
+    let translations = {};
+    if (this.transcriptDatabase) {
+      const storedData = await this.transcriptDatabase.get(translationKey);
+      if (storedData && storedData.translations) {
+        translations = storedData.translations;
+      }
+    }
+
+    this.translationCache.set(translationKey, translations);
+    return translations;
+  }
+
+  /**
+   * Show the caption track chooser in the overlay
+   */
+  showTrackMenu() {
+    const currentTrack = this.subtitleParser.currentTrack;
+    this.uiOverlay.showTrackMenu(
+      this.subtitleParser.getCaptionTracks(),
+      currentTrack ? currentTrack.id : null,
+      (trackId, rememberScope) => this.changeCaptionTrack(trackId, rememberScope)
+    );
+  }
+
+  /**
+   * Switch to another caption track and reload the transcript
+   * @param {string} trackId - Track id from SubtitleParser.getCaptionTracks
+   * @param {'channel'|'global'|null} rememberScope - Where to save the preference
+   */
+  async changeCaptionTrack(trackId, rememberScope) {
+    if (!this.subtitleParser.selectTrack(trackId, rememberScope)) {
+      this.uiOverlay.showStatus('Caption track not available');
+      return;
+    }
+
+    // Summaries were built from the previous track
+    if (this.summarizerClient) {
+      this.summarizerClient.clearCache();
+    }
+
+    const track = this.subtitleParser.currentTrack;
+    this.uiOverlay.showStatus(`Loading captions: ${track.name}${track.isAutoGenerated ? ' (auto)' : ''}`);
+
+    if (this.uiOverlay.isAIEnabled() && this.videoElement) {
+      await this.updateQuestions();
+    } else {
+      await this.subtitleParser.getTranscriptStore();
+    }
+  }
+
+  /**
+   * Import a local SRT/WebVTT file as the active caption track for this video
+   */
+  async importCaptionFile() {
+    const file = await this.uiOverlay.openFilePicker('.srt,.vtt,text/vtt,application/x-subrip');
+    if (!file) return;
+
+    try {
+      const { format, language, events } = SubtitleFileParser.parse(await file.text(), file.name);
+      if (events.length === 0) {
+        this.uiOverlay.showStatus(`No captions found in ${file.name}`);
+        return;
+      }
+
+      await this.subtitleParser.importTranscript(events, { name: file.name, language });
+      console.log(`Imported ${events.length} ${format.toUpperCase()} captions from ${file.name}`);
+      this.uiOverlay.showStatus(`Imported ${events.length} captions from ${file.name}`);
+    } catch (error) {
+      // Unreadable files and storage errors
+      console.error(`Failed to import captions from ${file.name}:`, error);
+      this.uiOverlay.showError(`Failed to import captions from ${file.name}`);
+      return;
+    }
+
+    // Summaries were built from the previous track
+    if (this.summarizerClient) {
+      this.summarizerClient.clearCache();
+    }
+
+    if (this.uiOverlay.isAIEnabled() && this.videoElement) {
+      await this.updateQuestions();
+    }
+  }
+
+  /**
+   * Write the in-memory translations for a transcript key to the database
+   * @param {string} translationKey - Transcript key including the translation target
+   */
+  async persistTranslations(translationKey) {
+    const translations = this.translationCache.get(translationKey);
+    if (this.transcriptDatabase && translations) {
+      await this.transcriptDatabase.put(translationKey, { translations });
+    }
+  }
+
+  /**
+   * Show the transcript export menu in the overlay
+   */
+  showExportMenu() {
+    const needsTranslation = !this.subtitleParser.isCurrentTrackEnglish() &&
+                             this.translatorClient && this.translatorClient.initialized;
+
+    const items = [];
+    for (const [format, { label }] of Object.entries(TranscriptExporter.FORMATS)) {
+      items.push({ label, handler: () => this.downloadTranscript(format, { translated: false }) });
+      if (needsTranslation) {
+        items.push({ label: `${label} (English)`, handler: () => this.downloadTranscript(format, { translated: true }) });
+      }
+    }
+
+    this.uiOverlay.showChoiceMenu('Export transcript', items);
+  }
+
+  /**
+   * Export the full transcript of the current track
+   * @param {'srt'|'vtt'|'txt'|'json'} format - Export format
+   * @param {Object} [options] - Export options
+   * @param {boolean} [options.translated=false] - Translate to English before exporting
+   * @returns {Promise<string|null>} Formatted transcript or null if no transcript is available
+   */
+  async exportTranscript(format, options = {}) {
+    const store = await this.subtitleParser.getTranscriptStore();
+    if (!store || store.isEmpty()) {
+      return null;
+    }
+
+    const track = this.subtitleParser.currentTrack;
+    let events = store.events;
+    const translated = options.translated && !this.subtitleParser.isCurrentTrackEnglish();
+
+    if (translated) {
+      events = await this.translateEvents(events);
+    }
+
+    return TranscriptExporter.format(events, format, {
+      videoId: this.subtitleParser.getCurrentVideoId(),
+      trackName: track.name,
+      language: track.language,
+      isAutoGenerated: track.isAutoGenerated,
+      translatedTo: translated ? 'en' : null
+    });
+  }
+
+  /**
+   * Translate transcript events one by one, keeping their timing
+   * Word timings are dropped since they belong to the original language
+   * @param {Array<{start: number, dur: number, text: string}>} events - Transcript events
+   * @returns {Promise<Array<{start: number, dur: number, text: string}>>} Translated events
+   */
+  async translateEvents(events) {
+    const translatedEvents = [];
+    for (const event of events) {
+      const text = await this.translateIfNeeded(event.text, { persist: false });
+      const { words, ...rest } = event;
+      translatedEvents.push({ ...rest, text });
+    }
+
+    // Persist all new translations in one write
+    await this.persistTranslations(this.subtitleParser.getTranscriptKey('en'));
+    return translatedEvents;
+  }
+
+  /**
+   * Export the transcript and save it as a file
+   * @param {'srt'|'vtt'|'txt'|'json'} format - Export format
+   * @param {Object} [options] - Export options (see exportTranscript)
+   */
+  async downloadTranscript(format, options = {}) {
+    this.uiOverlay.showStatus(options.translated ? 'Translating transcript...' : 'Preparing transcript...');
+
+    const content = await this.exportTranscript(format, options);
+    if (!content) {
+      this.uiOverlay.showStatus('No transcript available to export');
+      return;
+    }
+
+    const { extension, mimeType } = TranscriptExporter.FORMATS[format];
+    const track = this.subtitleParser.currentTrack;
+    const fileName = `${this.subtitleParser.getCurrentVideoId()}.${track.id}${options.translated ? '.en' : ''}.${extension}`;
+
+    TranscriptExporter.download(content, fileName, mimeType);
+    this.uiOverlay.showStatus(`Exported ${fileName}`);
+  }
+
+  /**
+   * Show the video frame capture modes to choose from
+   */
+  showCaptureModeMenu() {
+    const labels = VideoFrameExtractor.CAPTURE_MODE_LABELS;
+    const items = VideoFrameExtractor.CAPTURE_MODES.map(mode => ({
+      label: mode === this.videoFrameExtractor.captureMode ? `${labels[mode]} (current)` : labels[mode],
+      handler: () => this.selectCaptureMode(mode)
+    }));
+
+    this.uiOverlay.showChoiceMenu('Video frames', items);
+  }
+
+  /**
+   * Switch the video frame capture mode, buffering frames only for the multi-frame modes
+   * @param {'single'|'frames'|'contact-sheet'} captureMode - Capture mode
+   */
+  selectCaptureMode(captureMode) {
+    this.videoFrameExtractor.configure({ captureMode });
+
+    if (this.videoFrameExtractor.capturesMultipleFrames()) {
+      if (this.isRunning && this.videoElement) {
+        this.videoFrameExtractor.startFrameSampling(this.videoElement);
+      }
+    } else {
+      this.videoFrameExtractor.stopFrameSampling();
+      this.videoFrameExtractor.clearFrameBuffer();
+    }
+
+    console.log('Video frame capture mode:', captureMode);
+    this.uiOverlay.showStatus(`Video frames: ${VideoFrameExtractor.CAPTURE_MODE_LABELS[captureMode]}`);
+  }
+
+  /**
+   * Show the AI providers to choose from
+   */
+  async showProviderMenu() {
+    const settings = await AIProvider.loadSettings();
+    const items = Object.entries(AIProvider.providers).map(([id, Provider]) => ({
+      label: id === settings.provider ? `${Provider.label} (current)` : Provider.label,
+      handler: () => this.selectProvider(id)
+    }));
+
+    this.uiOverlay.showChoiceMenu('AI model', items);
+  }
+
+  /**
+   * Switch to another AI provider and restart the assistant with it
+   * @param {string} providerId - Id in AIProvider.providers
+   */
+  async selectProvider(providerId) {
+    const settings = { ...(await AIProvider.loadSettings()), provider: providerId };
+
+    if (providerId === 'openai-compatible') {
+      const endpoint = window.prompt('OpenAI-compatible server URL (including /v1)', settings.endpoint);
+      if (endpoint === null) return;
+      const model = window.prompt('Model name (leave empty for the server default)', settings.model);
+      if (model === null) return;
+      const apiKey = window.prompt('API key (leave empty if the server needs none)', settings.apiKey);
+      if (apiKey === null) return;
+      const contextSize = window.prompt('Context size of the model in tokens', String(settings.contextSize));
+      if (contextSize === null) return;
+      const images = window.confirm('Does the model accept images? (Cancel for text only)');
+
+      settings.endpoint = endpoint.trim().replace(/\/+$/, '') || AIProvider.DEFAULT_SETTINGS.endpoint;
+      settings.model = model.trim();
+      settings.apiKey = apiKey.trim();
+      settings.contextSize = Number.parseInt(contextSize, 10) > 0
+        ? Number.parseInt(contextSize, 10)
+        : AIProvider.DEFAULT_SETTINGS.contextSize;
+      settings.imageInput = images;
+    }
+
+    await AIProvider.saveSettings(settings);
+    console.log('Switching AI provider to', providerId);
+    this.uiOverlay.showStatus(`Switching to ${AIProvider.providers[providerId].label}...`);
+    initializeAssistant();
+  }
+
+  /**
+   * Clear stored transcripts, translations and generated chapters (memory and IndexedDB)
+   */
+  async clearStoredData() {
+    this.translationCache.clear();
+    this.chapterParser.clearCache();
+    await this.subtitleParser.clearStoredData();
+    this.uiOverlay.showStatus('Stored transcripts, translations and chapters cleared');
+  }
+
   /**
    * Stop the question generation loop
    */
@@ -220,12 +1001,24 @@ class YouTubeAIAssistant {
       this.updateInterval = null;
     }
 
+    if (this.prefetchHandle !== null) {
+      (window.cancelIdleCallback || clearTimeout)(this.prefetchHandle);
+      this.prefetchHandle = null;
+    }
+
     if (this.videoElement) {
-      this.videoElement.removeEventListener('timeupdate', this.handleVideoTimeUpdate.bind(this));
+      this.videoElement.removeEventListener('timeupdate', this.boundTimeUpdate);
+    }
+
+    if (this.videoFrameExtractor) {
+      this.videoFrameExtractor.stopSceneDetection();
+      this.videoFrameExtractor.stopFrameSampling();
     }
 
     this.isRunning = false;
     this.lastTriggerTime = 0;
+    this.lastTopicCheckTime = 0;
+    this.lastQuestionTranscript = '';
     console.log('Stopped question generation loop');
   }
 
@@ -239,16 +1032,21 @@ class YouTubeAIAssistant {
 
     try {
       // Get buffered transcript chunk to account for AI generation delay
-      // Include past content + future buffer so questions are still relevant when ready
+      // Include a future buffer so questions are still relevant when ready (the recent past at the live edge)
       const currentTime = this.videoElement.currentTime;
-      const transcript = await this.subtitleParser.getTranscriptChunk(
-        currentTime,
-        currentTime + this.transcriptBufferAhead,
+      const contextWindow = this.getContextWindow(currentTime, currentTime);
+      const { start: transcriptStartTime, end: transcriptEndTime } = this.getQuestionRange(currentTime, contextWindow.chapter);
+
+      const { text: transcript } = await this.subtitleParser.getTranscriptRange(
+        transcriptStartTime,
+        transcriptEndTime,
+        { boundary: 'word' }
       );
       console.log('Transcript:', transcript);
+      this.lastQuestionTranscript = transcript;
 
       if (!transcript || transcript.trim().length === 0) {
-        console.warn('No transcript available');
+        console.warn('No transcript available', this.subtitleParser.lastFailureReason || '');
         // Hide for now
         // this.uiOverlay.showError('No transcript available');
         // return; // Now, use video frame in case of no captions
@@ -259,43 +1057,39 @@ class YouTubeAIAssistant {
       // Translate transcript if needed (non-English captions)
       const translatedTranscript = await this.translateIfNeeded(transcript);
 
-      // Get video summary for current time (5-minute window)
+      // Get video summary for current time (current chapter, or a 5-minute window)
       let videoSummary = '';
       if (this.summarizerClient && this.summarizerClient.initialized && this.videoElement) {
-        const summaryStartTime = currentTime - this.summaryBuffer;
-        const summaryEndTime = currentTime + this.summaryBuffer;
-        const text = await this.subtitleParser.getTranscriptChunk(
+        const { start: summaryStartTime, end: summaryEndTime } = contextWindow;
+        const { text } = await this.subtitleParser.getTranscriptRange(
           summaryStartTime,
           summaryEndTime,
+          { boundary: 'sentence' }
         );
         // Translate text for summary if needed
         const translatedText = await this.translateIfNeeded(text);
         videoSummary = await this.summarizerClient.getSummaryForTime(translatedText, summaryStartTime, summaryEndTime);
         console.log('Got video summary:', videoSummary.substring(0, 100) + (videoSummary.length > 100 ? '...' : ''));
       }
+      videoSummary = this.addChapterContext(videoSummary, contextWindow.chapter);
 
-      // Capture current video frame for multimodal question generation
-      let videoFrame = null;
-      if (this.videoElement && this.videoFrameExtractor) {
-        console.log('Capturing video frame for multimodal question generation...');
-        videoFrame = await this.videoFrameExtractor.captureVideoFrame(this.videoElement);
-        if (videoFrame) {
-          console.log(`Video frame captured successfully (${videoFrame.size} bytes)`);
-        } else {
-          console.warn('Failed to capture video frame');
-        }
-      }
+      // Capture what was on screen since the last questions for multimodal question generation
+      console.log('Capturing video frames for multimodal question generation...');
+      const videoFrames = await this.captureVisualContext(
+        Math.max(0, currentTime - this.questionGenerationInterval),
+        currentTime
+      );
 
-      // Generate questions using AI (with video summary context and video frame)
-      const questions = await this.promptClient.generateQuestions(translatedTranscript, videoSummary, videoFrame);
+      // Generate questions using AI (with video summary context and video frames)
+      const questions = await this.promptClient.generateQuestions(translatedTranscript, videoSummary, videoFrames);
 
       console.log('Generated questions:', questions);
 
       // Store questions with timing information
       const questionData = questions.map(q => ({
         text: q,
-        startTime: currentTime,
-        endTime: currentTime + this.transcriptBufferAhead
+        startTime: transcriptStartTime,
+        endTime: transcriptEndTime
       }));
 
       // Update the UI with questions and timing
@@ -313,8 +1107,9 @@ class YouTubeAIAssistant {
    * @param {number} index - Question index
    * @param {number} startTime - Start time of the question's context
    * @param {number} endTime - End time of the question's context
+   * @param {{time: number, blob: Blob, isRegion: boolean}|null} [regionFrame] - Selected region used instead of captured frames
    */
-  async handleQuestionClick(question, index, startTime, endTime) {
+  async handleQuestionClick(question, index, startTime, endTime, regionFrame = null) {
     console.log(`Question clicked: "${question}" (index: ${index}), Time range: ${startTime}-${endTime}`);
 
     if (!this.isInitialized || !this.promptClient || !this.uiOverlay) {
@@ -323,56 +1118,49 @@ class YouTubeAIAssistant {
     }
 
     try {
-      // Get video summary for the question's time range
+      // Get video summary for the question's time range (its chapter, or a window around it)
+      const contextWindow = this.getContextWindow(startTime, endTime);
       let videoSummary = '';
       if (this.summarizerClient && this.summarizerClient.initialized) {
         // Use the question's time range to get relevant context
-        const summaryStartTime = startTime - this.summaryBuffer;
-        const summaryEndTime = endTime + this.summaryBuffer;
-        const text = await this.subtitleParser.getTranscriptChunk(
+        const { start: summaryStartTime, end: summaryEndTime } = contextWindow;
+        const { text } = await this.subtitleParser.getTranscriptRange(
           summaryStartTime,
           summaryEndTime,
+          { boundary: 'sentence' }
         );
         // Translate text for summary if needed
         const translatedText = await this.translateIfNeeded(text);
         videoSummary = await this.summarizerClient.getSummaryForTime(translatedText, summaryStartTime, summaryEndTime);
         console.log('Got video summary for time range:', videoSummary.substring(0, 100) + (videoSummary.length > 100 ? '...' : ''));
       }
+      videoSummary = this.addChapterContext(videoSummary, contextWindow.chapter);
 
-      // Get transcript for the question's specific time range
-      const transcriptContext = await this.subtitleParser.getTranscriptChunk(startTime, endTime);
-      // Translate transcript context if needed
-      const translatedContext = await this.translateIfNeeded(transcriptContext);
-      console.log('Got transcript context (translated if needed):', translatedContext.substring(0, 100) + (translatedContext.length > 100 ? '...' : ''));
-
-      // Capture current video frame for multimodal answer generation
-      let videoFrame = null;
-      if (this.videoElement && this.videoFrameExtractor) {
-        console.log('Capturing video frame for answer generation...');
-        videoFrame = await this.videoFrameExtractor.captureVideoFrame(this.videoElement);
-        if (videoFrame) {
-          console.log(`Video frame captured for answer (${videoFrame.size} bytes)`);
-        } else {
-          console.warn('Failed to capture video frame for answer');
-        }
-      }
+      // Get timestamped passages of the question's range and about the question in the rest of the video
+      const passages = await this.getAnswerPassages(question, startTime, endTime);
+
+      // Capture the question's time range for multimodal answer generation
+      console.log('Capturing video frames for answer generation...');
+      const videoFrames = regionFrame ? [regionFrame] : await this.captureVisualContext(startTime, endTime);
 
       // Generate answer with streaming
       console.log('Starting answer generation with streaming...');
       let fullAnswer = '';
-      await this.promptClient.generateAnswer(
+      const answer = await this.promptClient.generateAnswer(
         question,
         videoSummary,
-        videoFrame,
-        (chunk) => {
-          // Update UI with each streamed chunk
+        videoFrames,
+        (chunk, citablePassages) => {
+          // Update UI with each streamed chunk, without citations outside the passages that fit in the prompt
           fullAnswer += chunk;
-          this.uiOverlay.updateChatboxContent(fullAnswer);
-        }
+          this.uiOverlay.updateChatboxContent(this.promptClient.filterCitations(fullAnswer, citablePassages));
+        },
+        passages
       );
 
-      // Mark streaming as complete
-      this.uiOverlay.finishStreaming(fullAnswer);
+      // Show the final answer (or the error message) and mark streaming as complete
+      this.uiOverlay.updateChatboxContent(answer);
+      this.uiOverlay.finishStreaming(answer);
       console.log('Answer generation complete');
 
     } catch (error) {
@@ -382,13 +1170,130 @@ class YouTubeAIAssistant {
     }
   }
 
+  /**
+   * Get the timestamped transcript passages an answer may cite
+   * These are the sentences of the question's own range and the passages retrieved from the rest of the video
+   * @param {string} question - Question in English
+   * @param {number} startTime - Start time of the question's range in seconds
+   * @param {number} endTime - End time of the question's range in seconds
+   * @returns {Promise<Array<{start: number, end: number, text: string}>>} Passages in playback order, translated if needed
+   */
+  async getAnswerPassages(question, startTime, endTime) {
+    const { events } = await this.subtitleParser.getTranscriptRange(startTime, endTime, { boundary: 'word' });
+    const rangePassages = (await this.translateEvents(events)).map(event => ({
+      start: event.start,
+      end: event.start + event.dur,
+      text: event.text
+    }));
+    console.log(`Got ${rangePassages.length} transcript passage(s) for the question's range`);
+
+    // Retrieved passages inside the range would repeat its sentences
+    const retrievedPassages = (await this.retrievePassages(question))
+      .filter(passage => passage.start < startTime || passage.end > endTime);
+
+    return [...rangePassages, ...retrievedPassages].sort((a, b) => a.start - b.start);
+  }
+
+  /**
+   * Retrieve the transcript passages most relevant to a question from the whole video, translated if needed
+   * On non-English tracks the question is searched in the track's language as well
+   * @param {string} question - Question in English
+   * @returns {Promise<Array<{start: number, end: number, text: string, score: number}>>} Passages in playback order
+   */
+  async retrievePassages(question) {
+    if (!this.transcriptRetriever) {
+      return [];
+    }
+
+    try {
+      const store = await this.subtitleParser.getTranscriptStore();
+      if (!store || store.isEmpty()) {
+        return [];
+      }
+
+      let query = question;
+      const sourceLanguage = this.subtitleParser.getCurrentTrackLanguage();
+      if (!this.subtitleParser.isCurrentTrackEnglish() && sourceLanguage &&
+          this.translatorClient && this.translatorClient.initialized) {
+        const translatedQuestion = await this.translatorClient.translate(question, 'en', sourceLanguage);
+        query = `${question} ${translatedQuestion}`.trim();
+      }
+
+      const passages = await this.transcriptRetriever.retrieve(store, query);
+      const translatedPassages = [];
+      for (const passage of passages) {
+        translatedPassages.push({ ...passage, text: await this.translateIfNeeded(passage.text, { persist: false }) });
+      }
+      if (!this.subtitleParser.isCurrentTrackEnglish()) {
+        await this.persistTranslations(this.subtitleParser.getTranscriptKey('en'));
+      }
+      return translatedPassages;
+    } catch (error) {
+      console.error('Failed to retrieve transcript passages:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Capture the video frames of a time range in the frame extractor's capture mode
+   * Only frames up to the current time exist, later parts of the range are left out
+   * @param {number} startTime - Start time in seconds
+   * @param {number} endTime - End time in seconds
+   * @returns {Promise<Array<{time: number, blob: Blob, times?: number[]}>>} Ordered video frames (empty if capture fails)
+   */
+  async captureVisualContext(startTime, endTime) {
+    if (!this.videoElement || !this.videoFrameExtractor) {
+      return [];
+    }
+
+    const frames = await this.videoFrameExtractor.captureVisualContext(
+      this.videoElement,
+      startTime,
+      Math.min(endTime, this.videoElement.currentTime)
+    );
+    if (frames.length > 0) {
+      const size = frames.reduce((total, frame) => total + frame.blob.size, 0);
+      console.log(`Captured ${frames.length} video frame image(s) (${size} bytes)`);
+    } else {
+      console.warn('Failed to capture video frames');
+    }
+    return frames;
+  }
+
+  /**
+   * Let the user select a region of the video and open the chatbox with it attached
+   * The video is paused so the selected frame stays on screen
+   */
+  startRegionQuestion() {
+    if (!this.videoElement || !this.videoFrameExtractor) {
+      return;
+    }
+
+    this.videoElement.pause();
+    this.uiOverlay.startRegionSelect(async (region) => {
+      const blob = await this.videoFrameExtractor.captureRegion(this.videoElement, region);
+      if (!blob) {
+        this.uiOverlay.showStatus('Could not capture the selected region');
+        return;
+      }
+
+      const time = this.videoElement.currentTime;
+      console.log(`Captured region of the frame at ${time.toFixed(1)}s (${blob.size} bytes)`);
+      this.uiOverlay.showChatbox('', Math.max(0, time - 15), time + 15, {
+        regionFrame: { time, blob, isRegion: true }
+      });
+      this.uiOverlay.show();
+    });
+  }
+
   /**
    * Handle follow-up questions with conversation history
    * @param {string} question - The follow-up question
    * @param {number} startTime - Start time for context
    * @param {number} endTime - End time for context
+   * @param {{time: number, blob: Blob, isRegion: boolean}|null} [regionFrame] - Selected region the conversation is about
    */
-  async handleFollowUpQuestion(question, startTime, endTime) {
+  async handleFollowUpQuestion(question, startTime, endTime, regionFrame = null) {
     console.log(`Follow-up question: "${question}", Time range: ${startTime}-${endTime}`);
 
     if (!this.isInitialized || !this.promptClient || !this.uiOverlay) {
@@ -400,46 +1305,47 @@ class YouTubeAIAssistant {
       // Get conversation history
       const conversationHistory = this.uiOverlay.getConversationHistory();
 
-      // Get video summary for context
+      // Get video summary for context (the conversation's chapter, or a window around it)
+      const contextWindow = this.getContextWindow(startTime, endTime);
       let videoSummary = '';
       if (this.summarizerClient && this.summarizerClient.initialized) {
-        const summaryStartTime = startTime - this.summaryBuffer;
-        const summaryEndTime = endTime + this.summaryBuffer;
-        const text = await this.subtitleParser.getTranscriptChunk(
+        const { start: summaryStartTime, end: summaryEndTime } = contextWindow;
+        const { text } = await this.subtitleParser.getTranscriptRange(
           summaryStartTime,
           summaryEndTime,
+          { boundary: 'sentence' }
         );
         const translatedText = await this.translateIfNeeded(text);
         videoSummary = await this.summarizerClient.getSummaryForTime(translatedText, summaryStartTime, summaryEndTime);
         console.log('Got video summary for follow-up:', videoSummary.substring(0, 100) + (videoSummary.length > 100 ? '...' : ''));
       }
+      videoSummary = this.addChapterContext(videoSummary, contextWindow.chapter);
 
-      // Capture current video frame
-      let videoFrame = null;
-      if (this.videoElement && this.videoFrameExtractor) {
-        console.log('Capturing video frame for follow-up answer...');
-        videoFrame = await this.videoFrameExtractor.captureVideoFrame(this.videoElement);
-        if (videoFrame) {
-          console.log(`Video frame captured for follow-up (${videoFrame.size} bytes)`);
-        }
-      }
+      // Get timestamped passages of the conversation's range and about the follow-up question in the rest of the video
+      const passages = await this.getAnswerPassages(question, startTime, endTime);
+
+      // Capture the conversation's time range
+      console.log('Capturing video frames for follow-up answer...');
+      const videoFrames = regionFrame ? [regionFrame] : await this.captureVisualContext(startTime, endTime);
 
       // Generate answer with conversation history
       console.log('Starting follow-up answer generation with streaming...');
       let fullAnswer = '';
-      await this.promptClient.generateAnswerWithHistory(
+      const answer = await this.promptClient.generateAnswerWithHistory(
         question,
         conversationHistory,
         videoSummary,
-        videoFrame,
-        (chunk) => {
+        videoFrames,
+        (chunk, citablePassages) => {
           fullAnswer += chunk;
-          this.uiOverlay.updateChatboxContent(fullAnswer);
-        }
+          this.uiOverlay.updateChatboxContent(this.promptClient.filterCitations(fullAnswer, citablePassages));
+        },
+        passages
       );
 
-      // Mark streaming as complete
-      this.uiOverlay.finishStreaming(fullAnswer);
+      // Show the final answer (or the error message) and mark streaming as complete
+      this.uiOverlay.updateChatboxContent(answer);
+      this.uiOverlay.finishStreaming(answer);
       console.log('Follow-up answer generation complete');
 
     } catch (error) {
@@ -458,13 +1364,23 @@ class YouTubeAIAssistant {
     console.log('Video navigation detected, refreshing...');
 
     // Reset video-time tracking for new video
+    this.videoFrameExtractor.clearFrameBuffer();
     this.lastTriggerTime = 0;
+    this.lastTopicCheckTime = 0;
+    this.lastQuestionTranscript = '';
+    this.currentChapter = null;
+    this.uiOverlay.setHeader('');
 
     // Clear summarizer cache for new video
     if (this.summarizerClient) {
       this.summarizerClient.clearCache();
     }
 
+    // The retrieval index belongs to the previous video's transcript
+    if (this.transcriptRetriever) {
+      this.transcriptRetriever.clear();
+    }
+
     // Refresh subtitle parser for new video
     this.subtitleParser.refreshTracks();
 
@@ -474,12 +1390,11 @@ class YouTubeAIAssistant {
   }
 
   /**
-   * Check if we're on a YouTube watch page
-   * @returns {boolean} True if on a watch page
+   * Check if we're on a supported page (YouTube watch page, Shorts, embed, mobile web or a page with a video)
+   * @returns {boolean} True if a site adapter handles the page
    */
-  static isYouTubeWatchPage() {
-    return window.location.pathname === '/watch' &&
-           window.location.search.includes('v=');
+  static isSupportedPage() {
+    return SiteAdapter.detect() !== null;
   }
 
   /**
@@ -490,6 +1405,14 @@ class YouTubeAIAssistant {
 
     this.stopQuestionLoop();
 
+    if (this.audioTranscriber) {
+      this.audioTranscriber.stop();
+    }
+
+    if (this.videoFrameExtractor) {
+      this.videoFrameExtractor.terminateWorker();
+    }
+
     if (this.promptClient) {
       this.promptClient.destroy();
     }
@@ -518,9 +1441,9 @@ let assistant = null;
  * Initialize the assistant when the page loads
  */
 async function initializeAssistant() {
-  // Only run on YouTube watch pages
-  if (!YouTubeAIAssistant.isYouTubeWatchPage()) {
-    console.log('Not on YouTube watch page, skipping initialization');
+  // Only run on pages with a video
+  if (!YouTubeAIAssistant.isSupportedPage()) {
+    console.log('Not on a supported page, skipping initialization');
     return;
   }
 
@@ -550,8 +1473,8 @@ function handleNavigation() {
     if (window.location.href !== currentUrl) {
       currentUrl = window.location.href;
 
-      // If we're on a new watch page, reinitialize
-      if (YouTubeAIAssistant.isYouTubeWatchPage()) {
+      // If we're on a new video page, reinitialize
+      if (YouTubeAIAssistant.isSupportedPage()) {
         console.log('YouTube navigation detected, reinitializing...');
         initializeAssistant();
       }
@@ -567,12 +1490,20 @@ function handleNavigation() {
     const observer = new MutationObserver((mutations) => {
       for (const mutation of mutations) {
         if (mutation.type === 'childList') {
-          // Check if the video player changed
-          const player = document.querySelector('#movie_player');
-          if (player && window.location.href !== currentUrl) {
-            checkUrlChange();
+          // Pages that add their video after loading
+          if (!assistant && YouTubeAIAssistant.isSupportedPage()) {
+            initializeAssistant();
             break;
           }
+
+          // Check if the video player changed
+          if (window.location.href !== currentUrl) {
+            const siteAdapter = SiteAdapter.detect();
+            if (siteAdapter && siteAdapter.getPlayer()) {
+              checkUrlChange();
+              break;
+            }
+          }
         }
       }
     });
@@ -606,3 +1537,10 @@ window.addEventListener('beforeunload', () => {
 // Export for debugging (can be accessed via console)
 window.YouTubeAIAssistant = YouTubeAIAssistant;
 window.assistant = assistant;
+
+window.exportTranscript = async function(format = 'srt', options = {}) {
+  if (!assistant || !assistant.isInitialized) {
+    throw new Error('YouTube AI Assistant is not initialized on this page.');
+  }
+  return await assistant.exportTranscript(format, options);
+};
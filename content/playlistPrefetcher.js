@@ -0,0 +1,302 @@
+/**
+ * Playlist Prefetcher for YouTube AI Q&A Assistant
+ * Prepares the next video of a playlist while the current one plays:
+ * First, it finds the playlist and the upcoming video from the playlist panel or ytInitialData.
+ * Then, it reads the caption tracks of the upcoming video from its watch page.
+ * Then, it fetches the transcript with the player token of the current video's caption requests and stores it,
+ * so SubtitleParser finds it without toggling captions.
+ * Then, it summarizes the opening window and generates the first questions, and stores both for the next page.
+ */
+
+class PlaylistPrefetcher {
+  /**
+   * @param {SubtitleParser} subtitleParser - Parser of the current video (track parsing, fetching, preferences)
+   * @param {PromptClient} promptClient - Client used for the first questions
+   * @param {SummarizerClient} summarizerClient - Summarizer used for the opening summary
+   * @param {TranslatorClient} translatorClient - Translator for non-English tracks
+   * @param {TranscriptDatabase} transcriptDatabase - Storage shared with the next page
+   */
+  constructor(subtitleParser, promptClient, summarizerClient, translatorClient, transcriptDatabase) {
+    this.subtitleParser = subtitleParser;
+    this.promptClient = promptClient;
+    this.summarizerClient = summarizerClient;
+    this.translatorClient = translatorClient;
+    this.transcriptDatabase = transcriptDatabase;
+    this.prefetchedVideoId = null; // Upcoming video handled by this page
+  }
+
+  /**
+   * Get the playlist the current video is played from
+   * @returns {{playlistId: string, videos: Array<{videoId: string, title: string}>, currentIndex: number}|null} Playlist or null
+   */
+  getPlaylistContext() {
+    const playlistId = new URL(window.location.href).searchParams.get('list');
+    if (!playlistId) {
+      return null;
+    }
+
+    const videoId = this.subtitleParser.getCurrentVideoId();
+    const videos = this.extractFromDOM();
+    const playlistVideos = videos.length > 0 ? videos : this.extractFromInitialData(videoId);
+
+    const currentIndex = playlistVideos.findIndex(video => video.videoId === videoId);
+    if (currentIndex < 0) {
+      return null;
+    }
+
+    return { playlistId, videos: playlistVideos, currentIndex };
+  }
+
+  /**
+   * Get the video that plays after the current one
+   * @returns {{videoId: string, title: string}|null} Next video or null at the end of the playlist
+   */
+  getNextVideo() {
+    const playlist = this.getPlaylistContext();
+    if (!playlist) {
+      return null;
+    }
+    return playlist.videos[playlist.currentIndex + 1] || null;
+  }
+
+  /**
+   * Read the playlist from the playlist panel next to the player
+   * @returns {Array<{videoId: string, title: string}>} Playlist videos
+   */
+  extractFromDOM() {
+    const items = document.querySelectorAll('ytd-playlist-panel-renderer #items ytd-playlist-panel-video-renderer');
+    const videos = [];
+
+    items.forEach(item => {
+      const link = item.querySelector('a#wc-endpoint') || item.querySelector('a[href*="/watch"]');
+      if (!link) return;
+
+      const videoId = new URL(link.href, window.location.origin).searchParams.get('v');
+      const title = item.querySelector('#video-title')?.textContent?.trim() || '';
+      if (videoId) {
+        videos.push({ videoId, title });
+      }
+    });
+
+    return videos;
+  }
+
+  /**
+   * Read the playlist from ytInitialData
+   * @param {string} videoId - Current video ID
+   * @returns {Array<{videoId: string, title: string}>} Playlist videos
+   */
+  extractFromInitialData(videoId) {
+    try {
+      const data = window.ytInitialData;
+      // ytInitialData is not refreshed on SPA navigation, make sure it belongs to this video
+      const dataVideoId = data?.currentVideoEndpoint?.watchEndpoint?.videoId;
+      if (!data || (dataVideoId && dataVideoId !== videoId)) {
+        return [];
+      }
+
+      const contents = data.contents?.twoColumnWatchNextResults?.playlist?.playlist?.contents || [];
+      return contents
+        .map(item => item.playlistPanelVideoRenderer)
+        .filter(renderer => renderer && renderer.videoId)
+        .map(renderer => ({
+          videoId: renderer.videoId,
+          title: renderer.title?.simpleText || renderer.title?.runs?.map(run => run.text).join('') || ''
+        }));
+    } catch (error) {
+      console.warn('Error extracting playlist from ytInitialData:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Prefetch the transcript, opening summary and first questions of the next playlist video
+   * @param {{start: number, end: number}} summaryWindow - Window the next page summarizes first
+   * @param {{start: number, end: number}} questionWindow - Transcript range the next page asks its first questions about
+   * @returns {Promise<boolean>} True if something was prefetched or was already available
+   */
+  async prefetchNext(summaryWindow, questionWindow) {
+    const nextVideo = this.getNextVideo();
+    if (!nextVideo || nextVideo.videoId === this.prefetchedVideoId || !this.transcriptDatabase) {
+      return false;
+    }
+    this.prefetchedVideoId = nextVideo.videoId;
+
+    try {
+      if (await this.getPrefetched(nextVideo.videoId)) {
+        console.log('Next playlist video already prefetched:', nextVideo.videoId);
+        return true;
+      }
+
+      console.log('Prefetching next playlist video:', nextVideo.videoId, nextVideo.title);
+      const { tracks, channelId } = await this.fetchCaptionTracks(nextVideo.videoId);
+      const track = this.subtitleParser.selectBestTrack(tracks, channelId);
+      if (!track) {
+        console.log('Next playlist video has no captions:', nextVideo.videoId);
+        return false;
+      }
+
+      const events = await this.loadEvents(nextVideo.videoId, track);
+      if (events.length === 0) {
+        return false;
+      }
+
+      const store = new TranscriptStore(
+        this.subtitleParser.normalizer.normalize(events, { isAutoGenerated: track.isAutoGenerated })
+      );
+      const summary = await this.summarizeOpening(store, track, summaryWindow);
+      const questions = await this.generateOpeningQuestions(store, track, questionWindow, summary);
+      if (summary || questions.length > 0) {
+        await this.transcriptDatabase.put(PlaylistPrefetcher.getPrefetchKey(nextVideo.videoId), {
+          summary,
+          start: summaryWindow.start,
+          end: summaryWindow.end,
+          questions
+        });
+      }
+
+      console.log('Prefetched next playlist video:', nextVideo.videoId);
+      return true;
+    } catch (error) {
+      console.warn('Failed to prefetch next playlist video:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Read the caption tracks of a video from its watch page
+   * @param {string} videoId - YouTube video ID
+   * @returns {Promise<{tracks: Array, channelId: string|null}>} Parsed tracks and the video's channel
+   */
+  async fetchCaptionTracks(videoId) {
+    const response = await fetch(`${window.location.origin}/watch?v=${encodeURIComponent(videoId)}`, {
+      credentials: 'include'
+    });
+    const playerResponse = this.subtitleParser.parsePlayerResponseFromHtml(await response.text());
+    const ytTracks = playerResponse?.captions?.playerCaptionsTracklistRenderer?.captionTracks || [];
+
+    return {
+      tracks: this.subtitleParser.parseYouTubeTracks(ytTracks),
+      channelId: playerResponse?.videoDetails?.channelId || null
+    };
+  }
+
+  /**
+   * Get the raw caption events of a track, from storage or from its signed caption URL
+   * @param {string} videoId - YouTube video ID
+   * @param {Object} track - Caption track
+   * @returns {Promise<Array<{start: number, dur: number, text: string}>>} Caption events
+   */
+  async loadEvents(videoId, track) {
+    const transcriptKey = TranscriptDatabase.makeKey(videoId, track.id);
+    const storedData = await this.transcriptDatabase.get(transcriptKey);
+    if (storedData && storedData.events && storedData.events.length > 0) {
+      return storedData.events;
+    }
+
+    // The caption URL from the watch page lacks the player's token, it is copied from the current video's requests
+    const signedUrl = this.subtitleParser.signCaptionUrl(track.url);
+    if (!signedUrl) {
+      console.log('No signed caption request to sign the next video\'s captions with:', videoId);
+      return [];
+    }
+
+    const { events } = await this.subtitleParser.fetchCaptionData(signedUrl, 0, Infinity);
+    if (events.length === 0) {
+      // The token was not accepted, the next page fetches the captions itself
+      console.log('Signed caption URL of the next video returned no events:', videoId);
+      return [];
+    }
+
+    await this.transcriptDatabase.put(transcriptKey, { events });
+    return events;
+  }
+
+  /**
+   * Get the English text of a transcript range, translated if the track is in another language
+   * @param {TranscriptStore} store - Transcript of the video
+   * @param {Object} track - Caption track of the transcript
+   * @param {{start: number, end: number}} range - Range in seconds
+   * @param {'event'|'word'|'sentence'} boundary - How to cut the range edges (see TranscriptStore.getRange)
+   * @returns {Promise<string>} Text, or an empty string if it cannot be translated
+   */
+  async getEnglishText(store, track, range, boundary) {
+    const text = store.getText(range.start, range.end, { boundary });
+    if (!text || track.language.startsWith('en')) {
+      return text;
+    }
+    if (!this.translatorClient || !this.translatorClient.initialized) {
+      return '';
+    }
+    return this.translatorClient.translate(text, track.language, 'en');
+  }
+
+  /**
+   * Summarize the opening window of a video
+   * @param {TranscriptStore} store - Transcript of the video
+   * @param {Object} track - Caption track of the transcript
+   * @param {{start: number, end: number}} summaryWindow - Window to summarize
+   * @returns {Promise<string>} Summary, or an empty string if unavailable
+   */
+  async summarizeOpening(store, track, summaryWindow) {
+    if (!this.summarizerClient || !this.summarizerClient.initialized) {
+      return '';
+    }
+
+    const text = await this.getEnglishText(store, track, summaryWindow, 'sentence');
+    return text ? this.summarizerClient.summarizeText(text) : '';
+  }
+
+  /**
+   * Generate the questions the next page shows first
+   * @param {TranscriptStore} store - Transcript of the video
+   * @param {Object} track - Caption track of the transcript
+   * @param {{start: number, end: number}} questionWindow - Transcript range of the questions
+   * @param {string} summary - Opening summary for context
+   * @returns {Promise<Array<{text: string, startTime: number, endTime: number}>>} Questions with their range, empty if unavailable
+   */
+  async generateOpeningQuestions(store, track, questionWindow, summary) {
+    if (!this.promptClient || !this.promptClient.initialized) {
+      return [];
+    }
+
+    const text = await this.getEnglishText(store, track, questionWindow, 'word');
+    if (!text) {
+      return [];
+    }
+
+    const questions = await this.promptClient.generateQuestions(text, summary);
+    return questions.map(question => ({
+      text: question,
+      startTime: questionWindow.start,
+      endTime: questionWindow.end
+    }));
+  }
+
+  /**
+   * Get the stored opening summary and questions of a video
+   * @param {string} videoId - YouTube video ID
+   * @returns {Promise<{summary: string, start: number, end: number, questions: Array}|null>} Prefetched data or null
+   */
+  async getPrefetched(videoId) {
+    if (!this.transcriptDatabase) {
+      return null;
+    }
+    const storedData = await this.transcriptDatabase.get(PlaylistPrefetcher.getPrefetchKey(videoId));
+    return storedData && (storedData.summary || (storedData.questions && storedData.questions.length > 0))
+      ? storedData
+      : null;
+  }
+
+  /**
+   * Get the storage key of a video's prefetched data
+   * @param {string} videoId - YouTube video ID
+   * @returns {string} Storage key
+   */
+  static getPrefetchKey(videoId) {
+    return TranscriptDatabase.makeKey(videoId, 'prefetch');
+  }
+}
+
+// Export for use in other modules
+window.PlaylistPrefetcher = PlaylistPrefetcher;
@@ -0,0 +1,473 @@
+/**
+ * Site Adapters for YouTube AI Q&A Assistant
+ * Describe how to reach the video on each supported site:
+ * the YouTube desktop watch page, Shorts, embedded players (youtube.com and youtube-nocookie.com), m.youtube.com
+ * and any other page with an HTML5 <video> element (once the user injects the scripts there, see background.js).
+ * Each adapter handles video id extraction, player discovery, caption tracks
+ * and where the overlay and the toggle button are placed.
+ */
+
+/**
+ * Site adapter interface, the defaults describe a page without any known player
+ */
+class SiteAdapter {
+  constructor() {
+    this.name = 'site'; // Surface name, set as data-surface on the overlay for styling
+    this.providesCaptions = false; // True if the adapter reads caption tracks itself (see getCaptionTracks)
+  }
+
+  /**
+   * Check if this adapter handles a page
+   * @param {Location|URL} location - Page location
+   * @returns {boolean} True if the adapter handles the page
+   */
+  static matches(location) {
+    return false;
+  }
+
+  /**
+   * Find the adapter for a page
+   * @param {Location|URL} [location=window.location] - Page location
+   * @returns {SiteAdapter|null} Adapter instance or null if the page is not supported
+   */
+  static detect(location = window.location) {
+    const Adapter = SiteAdapter.adapters.find(candidate => candidate.matches(location));
+    return Adapter ? new Adapter() : null;
+  }
+
+  /**
+   * Get a stable id for the video on the page (used as transcript and preference key)
+   * @returns {string} Video ID or empty string if not found
+   */
+  getVideoId() {
+    return '';
+  }
+
+  /**
+   * Get the player element that wraps the video
+   * @returns {HTMLElement|null} Player element or null
+   */
+  getPlayer() {
+    return null;
+  }
+
+  /**
+   * Get the video element of the player
+   * @returns {HTMLVideoElement|null} Video element or null
+   */
+  getVideoElement() {
+    return document.querySelector('video');
+  }
+
+  /**
+   * Get the YouTube player response of the current video
+   * @returns {Object|null} Player response or null
+   */
+  getPlayerResponse() {
+    return null;
+  }
+
+  /**
+   * Get the element the overlay is placed in
+   * @returns {HTMLElement|null} Overlay container or null
+   */
+  getOverlayContainer() {
+    return this.getPlayer();
+  }
+
+  /**
+   * Get the player control bar the overlay is placed above
+   * @param {HTMLElement} container - Overlay container
+   * @returns {HTMLElement|null} Control bar or null (the overlay is appended to the container)
+   */
+  getControlBar(container) {
+    return null;
+  }
+
+  /**
+   * Get the controls section the toggle button is added to
+   * @returns {HTMLElement|null} Controls section or null (the button floats over the player)
+   */
+  getToggleButtonContainer() {
+    return null;
+  }
+
+  /**
+   * Get the CC button from the player controls
+   * @returns {HTMLElement|null} CC button or null
+   */
+  getCaptionsButton() {
+    return null;
+  }
+
+  /**
+   * Check if the video is a live stream
+   * @returns {boolean} True while the video is live
+   */
+  isLive() {
+    const video = this.getVideoElement();
+    return !!video && video.duration === Infinity;
+  }
+
+  /**
+   * Get the caption tracks of the video, only used when providesCaptions is true
+   * @returns {Array<{id: string, language: string, name: string, url: string|null, isAutoGenerated: boolean, isDefault: boolean}>} Caption tracks
+   */
+  getCaptionTracks() {
+    return [];
+  }
+
+  /**
+   * Read the caption events of a track, only used when providesCaptions is true
+   * @param {Object} track - Track from getCaptionTracks
+   * @returns {Promise<Array<{start: number, dur: number, text: string}>>} Caption events
+   */
+  async loadCaptionEvents(track) {
+    return [];
+  }
+}
+
+class YouTubePageAdapter extends SiteAdapter {
+  constructor() {
+    super();
+    this.name = 'watch';
+  }
+
+  static matches(location) {
+    return location.hostname === 'www.youtube.com' &&
+           location.pathname === '/watch' &&
+           new URLSearchParams(location.search).has('v');
+  }
+
+  /**
+   * Get the id of the video on the page
+   * @returns {string} Video ID or empty string if not found
+   */
+  getVideoId() {
+    try {
+      return new URL(window.location.href).searchParams.get('v') || '';
+    } catch (error) {
+      console.warn('Error getting video ID:', error);
+      return '';
+    }
+  }
+
+  /**
+   * Get the YouTube player element (exposes getPlayerResponse, setOption, ...)
+   * @returns {HTMLElement|null} Player element or null
+   */
+  getPlayer() {
+    return document.querySelector('#movie_player') ||
+           document.querySelector('.html5-video-player');
+  }
+
+  getVideoElement() {
+    const player = this.getPlayer();
+    return (player && player.querySelector('video')) || document.querySelector('video');
+  }
+
+  /**
+   * Get the player response of the current video (captions, video details)
+   * @returns {Object|null} Player response or null if it does not belong to the current video
+   */
+  getPlayerResponse() {
+    const videoId = this.getVideoId();
+    const player = this.getPlayer();
+    const response = player && player.getPlayerResponse ? player.getPlayerResponse() : null;
+    if (response?.videoDetails?.videoId === videoId) {
+      return response;
+    }
+    if (window.ytInitialPlayerResponse?.videoDetails?.videoId === videoId) {
+      return window.ytInitialPlayerResponse;
+    }
+    return null;
+  }
+
+  getOverlayContainer() {
+    return this.getPlayer() ||
+           document.querySelector('#player-container') ||
+           document.querySelector('#player');
+  }
+
+  getControlBar(container) {
+    return container.querySelector('.ytp-chrome-bottom') ||
+           container.querySelector('.html5-video-controls');
+  }
+
+  getToggleButtonContainer() {
+    // New structure first (.ytp-right-controls-right), then the old structure
+    return document.querySelector('.ytp-right-controls-right') ||
+           document.querySelector('.ytp-right-controls') ||
+           document.querySelector('.ytp-chrome-controls');
+  }
+
+  getCaptionsButton() {
+    return document.querySelector('.ytp-subtitles-button') ||
+           document.querySelector('[aria-label*="subtitles"]') ||
+           document.querySelector('[aria-label*="captions"]');
+  }
+
+  /**
+   * Check if the current video is a live stream or a premiere that is playing now
+   * @returns {boolean} True while the video is live
+   */
+  isLive() {
+    const response = this.getPlayerResponse();
+    if (response && response.videoDetails) {
+      return !!response.videoDetails.isLive;
+    }
+
+    // Fallback: live badge in the player controls
+    const liveBadge = document.querySelector('.ytp-live-badge');
+    return !!(liveBadge && liveBadge.offsetParent !== null && !liveBadge.hasAttribute('disabled'));
+  }
+}
+
+class YouTubeShortsAdapter extends YouTubePageAdapter {
+  constructor() {
+    super();
+    this.name = 'shorts';
+  }
+
+  static matches(location) {
+    return location.hostname === 'www.youtube.com' && /^\/shorts\/[\w-]+/.test(location.pathname);
+  }
+
+  getVideoId() {
+    const match = window.location.pathname.match(/^\/shorts\/([\w-]+)/);
+    return match ? match[1] : '';
+  }
+
+  getPlayer() {
+    // Every short in the feed has its own renderer, the active one holds the player
+    return document.querySelector('#shorts-player') ||
+           document.querySelector('ytd-reel-video-renderer[is-active] .html5-video-player');
+  }
+
+  getOverlayContainer() {
+    return this.getPlayer() ||
+           document.querySelector('ytd-reel-video-renderer[is-active] #player-container');
+  }
+
+  getToggleButtonContainer() {
+    // Shorts have no player control bar
+    return null;
+  }
+}
+
+class YouTubeEmbedAdapter extends YouTubePageAdapter {
+  constructor() {
+    super();
+    this.name = 'embed';
+  }
+
+  static matches(location) {
+    return /(^|\.)(youtube|youtube-nocookie)\.com$/.test(location.hostname) &&
+           /^\/embed\/[\w-]+/.test(location.pathname);
+  }
+
+  getVideoId() {
+    // Embedded playlists can move on to other videos without changing the URL
+    const player = this.getPlayer();
+    const videoData = player && player.getVideoData ? player.getVideoData() : null;
+    if (videoData && videoData.video_id) {
+      return videoData.video_id;
+    }
+
+    const match = window.location.pathname.match(/^\/embed\/([\w-]+)/);
+    return match ? match[1] : '';
+  }
+
+  getPlayerResponse() {
+    // Embeds have no ytInitialPlayerResponse, only the player knows the response
+    const player = this.getPlayer();
+    const response = player && player.getPlayerResponse ? player.getPlayerResponse() : null;
+    return response?.videoDetails?.videoId === this.getVideoId() ? response : null;
+  }
+}
+
+class YouTubeMobileAdapter extends YouTubePageAdapter {
+  constructor() {
+    super();
+    this.name = 'mobile';
+  }
+
+  static matches(location) {
+    return location.hostname === 'm.youtube.com' &&
+           ((location.pathname === '/watch' && new URLSearchParams(location.search).has('v')) ||
+            /^\/shorts\/[\w-]+/.test(location.pathname));
+  }
+
+  getVideoId() {
+    const match = window.location.pathname.match(/^\/shorts\/([\w-]+)/);
+    return match ? match[1] : super.getVideoId();
+  }
+
+  getOverlayContainer() {
+    return document.querySelector('#player-container-id') || super.getOverlayContainer();
+  }
+
+  getControlBar(container) {
+    return container.querySelector('.player-controls-bottom') || super.getControlBar(container);
+  }
+
+  getToggleButtonContainer() {
+    return document.querySelector('.player-controls-top');
+  }
+
+  getCaptionsButton() {
+    return document.querySelector('.ytm-captions-button') || super.getCaptionsButton();
+  }
+}
+
+class Html5VideoAdapter extends SiteAdapter {
+  constructor() {
+    super();
+    this.name = 'html5';
+    this.providesCaptions = true;
+    this.videoElement = null; // Main video of the page, picked once
+    this.cueTimeout = 5000; // Max wait for text track cues to load in milliseconds
+  }
+
+  static matches(location) {
+    // YouTube pages without a video surface (home, search) have preview videos
+    return !/(^|\.)(youtube|youtube-nocookie)\.com$/.test(location.hostname) &&
+           !!document.querySelector('video');
+  }
+
+  getVideoId() {
+    const video = this.getVideoElement();
+    if (!video) return '';
+
+    // Pages have no video id, use the page URL and the position of the video on the page
+    const index = Array.from(document.querySelectorAll('video')).indexOf(video);
+    const { origin, pathname, search } = window.location;
+    return `html5-${TranscriptDatabase.hashText(`${origin}${pathname}${search}#${index}`)}`;
+  }
+
+  getPlayer() {
+    const video = this.getVideoElement();
+    return video ? video.parentElement : null;
+  }
+
+  getVideoElement() {
+    if (this.videoElement && this.videoElement.isConnected) {
+      return this.videoElement;
+    }
+
+    // The largest video on the page is the main one
+    const videos = Array.from(document.querySelectorAll('video'));
+    const area = video => video.clientWidth * video.clientHeight;
+    this.videoElement = videos.sort((a, b) => area(b) - area(a))[0] || null;
+    return this.videoElement;
+  }
+
+  getCaptionTracks() {
+    const video = this.getVideoElement();
+    if (!video) return [];
+
+    const trackElements = Array.from(video.querySelectorAll('track'));
+    return Array.from(video.textTracks || [])
+      .map((textTrack, index) => ({ textTrack, index }))
+      .filter(({ textTrack }) => textTrack.kind === 'subtitles' || textTrack.kind === 'captions')
+      .map(({ textTrack, index }) => {
+        const element = trackElements.find(trackElement => trackElement.track === textTrack) || null;
+        const language = textTrack.language || (element && element.srclang) || 'en';
+        return {
+          id: `track-${index}`,
+          language,
+          name: textTrack.label || language,
+          url: element && element.src ? element.src : null,
+          isAutoGenerated: false,
+          isDefault: !!(element && element.default) || textTrack.mode === 'showing',
+          textTrackIndex: index
+        };
+      });
+  }
+
+  async loadCaptionEvents(track) {
+    const video = this.getVideoElement();
+    const textTrack = video && video.textTracks ? video.textTracks[track.textTrackIndex] : null;
+    if (!textTrack) return [];
+
+    // Cues are only loaded while the track is not disabled
+    const previousMode = textTrack.mode;
+    if (textTrack.mode === 'disabled') {
+      textTrack.mode = 'hidden';
+    }
+
+    try {
+      const cues = await this.waitForCues(textTrack, track.url);
+      if (cues.length > 0) {
+        return cues
+          .map(cue => ({
+            start: cue.startTime,
+            dur: Math.max(0, cue.endTime - cue.startTime),
+            text: SubtitleFileParser.cleanCueText(cue.text || '')
+          }))
+          .filter(event => event.text);
+      }
+
+      // Cross-origin tracks without CORS headers never load, read the file directly
+      if (track.url) {
+        const response = await fetch(track.url);
+        return SubtitleFileParser.parse(await response.text(), track.url).events;
+      }
+      return [];
+    } catch (error) {
+      console.warn('Failed to read caption cues:', error);
+      return [];
+    } finally {
+      textTrack.mode = previousMode;
+    }
+  }
+
+  /**
+   * Wait until a text track has loaded its cues
+   * @param {TextTrack} textTrack - Text track
+   * @param {string|null} url - Source of the matching <track> element
+   * @returns {Promise<TextTrackCue[]>} Loaded cues (empty on timeout or load error)
+   */
+  waitForCues(textTrack, url) {
+    const trackElement = url
+      ? Array.from(document.querySelectorAll('track')).find(element => element.track === textTrack)
+      : null;
+
+    return new Promise((resolve) => {
+      const startedAt = Date.now();
+
+      const check = () => {
+        const cues = textTrack.cues ? Array.from(textTrack.cues) : [];
+        const failed = trackElement && trackElement.readyState === HTMLTrackElement.ERROR;
+        const loaded = !trackElement || trackElement.readyState === HTMLTrackElement.LOADED;
+
+        if ((cues.length > 0 && loaded) || failed || Date.now() - startedAt >= this.cueTimeout) {
+          resolve(cues);
+        } else {
+          setTimeout(check, 100);
+        }
+      };
+
+      check();
+    });
+  }
+}
+
+/**
+ * Adapters in detection order, most specific first
+ */
+SiteAdapter.adapters = [
+  YouTubeShortsAdapter,
+  YouTubeEmbedAdapter,
+  YouTubeMobileAdapter,
+  YouTubePageAdapter,
+  Html5VideoAdapter
+];
+
+// Export for use in other modules
+window.SiteAdapter = SiteAdapter;
+window.Html5VideoAdapter = Html5VideoAdapter;
+window.YouTubePageAdapter = YouTubePageAdapter;
+window.YouTubeShortsAdapter = YouTubeShortsAdapter;
+window.YouTubeEmbedAdapter = YouTubeEmbedAdapter;
+window.YouTubeMobileAdapter = YouTubeMobileAdapter;
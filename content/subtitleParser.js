@@ -2,20 +2,37 @@
  * Subtitle Parser for YouTube AI Q&A Assistant
  * Fetches and parses caption track data from YouTube's internal APIs:
  * First, it finds the best available caption track.
- * Then, it triggers caption requests to generate signed timedtext requests.
- * Then, it fetches the full transcript for the video.
- * Then, it extracts the transcript text for the current time range.
- * Then, it caches the transcript text for the current time range.
- * Then, it returns the transcript text for the current time range.
+ * Then, it triggers caption requests to generate signed timedtext requests, restoring the user's caption settings afterwards.
+ * Then, it fetches the full transcript for the video, normalizes it into sentences and indexes it in a TranscriptStore.
+ * On live streams and premieres, it keeps merging new caption events into the growing transcript, and stores the
+ * transcript of the finished video once the stream ends.
+ * On other sites, the site adapter provides the caption tracks and their events (HTML5 text tracks).
+ * Then, it looks up the transcript text and events for the current time range.
+ * Then, it caches the range result by its matched events.
+ * Then, it returns the transcript text and events for the current time range.
  */
 
 class SubtitleParser {
-  constructor() {
+  /**
+   * @param {TranscriptDatabase|null} [transcriptDatabase] - Persistent transcript storage
+   * @param {SiteAdapter|null} [siteAdapter] - Adapter for the current site (detected if omitted)
+   */
+  constructor(transcriptDatabase = null, siteAdapter = null) {
+    this.siteAdapter = siteAdapter || SiteAdapter.detect() || new YouTubePageAdapter();
     this.captionTracks = [];
     this.currentTrack = null;
     this.lastFetchTime = 0;
-    this.cache = new Map(); // Cache for time-specific chunks
-    this.fullTranscriptCache = new Map(); // Cache for full video transcripts
+    this.cache = new Map(); // Cache for range results, keyed by matched event indexes
+    this.maxCachedRanges = 100; // Most range results kept in the cache, the oldest are dropped first
+    this.fullTranscriptCache = new Map(); // Cache for full video transcripts (TranscriptStore per video and track)
+    this.transcriptDatabase = transcriptDatabase; // IndexedDB layer behind fullTranscriptCache
+    this.normalizer = new TranscriptNormalizer(); // Cleans up rolling ASR captions before indexing
+    this.timedTextTimeout = 5000; // Max wait for an observed timedtext request in milliseconds
+    this.liveRefreshInterval = 15000; // Min time between live transcript fetches in milliseconds
+    this.liveTranscripts = new Map(); // Live transcript state per transcript key: {url, rawEvents, fetchedAt}
+    this.transcribedAudio = new Map(); // Audio transcription state per transcript key: {events, windows}
+    this.lastFailureReason = null; // Why the last transcript acquisition failed (see SubtitleParser.FailureReason)
+    this.PREFERENCES_KEY = 'youtube-ai-assistant-track-preferences'; // LocalStorage key
   }
 
   /**
@@ -27,11 +44,31 @@ class SubtitleParser {
       // Wait for YouTube player to be ready
       await this.waitForPlayer();
 
-      // Extract caption tracks from YouTube's player response
-      const tracks = this.extractCaptionTracks();
+      // Extract caption tracks from YouTube's player response, or from the site adapter on other sites
+      const tracks = this.siteAdapter.providesCaptions
+        ? this.siteAdapter.getCaptionTracks()
+        : this.extractCaptionTracks();
       this.captionTracks = tracks;
 
+      // A caption file imported for this video takes precedence over YouTube's tracks
+      const importedTrack = await this.loadImportedTrack();
+      if (importedTrack) {
+        this.captionTracks = [importedTrack, ...tracks];
+        this.currentTrack = importedTrack;
+        console.log('Selected imported caption track:', importedTrack);
+        return true;
+      }
+
       if (tracks.length === 0) {
+        // Audio transcribed on an earlier visit stands in for missing captions
+        const transcribedTrack = await this.loadTranscribedTrack();
+        if (transcribedTrack) {
+          this.captionTracks = [transcribedTrack];
+          this.currentTrack = transcribedTrack;
+          console.log('Selected transcribed audio track:', transcribedTrack);
+          return true;
+        }
+
         console.warn('No caption tracks found for this video');
         return false;
       }
@@ -59,9 +96,7 @@ class SubtitleParser {
         attempts++;
 
         // Check for various YouTube player ready states
-        const player = document.querySelector('#movie_player') ||
-                      document.querySelector('.html5-video-player') ||
-                      window.ytInitialPlayerResponse;
+        const player = this.getPlayer() || window.ytInitialPlayerResponse;
 
         if (player || attempts >= maxAttempts) {
           resolve();
@@ -82,21 +117,21 @@ class SubtitleParser {
     const tracks = [];
   
     try {
-      // window.ytInitialPlayerResponse
-      if (window.ytInitialPlayerResponse?.captions?.playerCaptionsTracklistRenderer?.captionTracks) {
+      // Player response of the current video (the only source on embeds and after SPA navigation)
+      const playerResponse = this.siteAdapter.getPlayerResponse();
+      if (playerResponse?.captions?.playerCaptionsTracklistRenderer?.captionTracks) {
+        tracks.push(...this.parseYouTubeTracks(playerResponse.captions.playerCaptionsTracklistRenderer.captionTracks));
+      } else if (window.ytInitialPlayerResponse?.captions?.playerCaptionsTracklistRenderer?.captionTracks) {
         const ytTracks = window.ytInitialPlayerResponse.captions.playerCaptionsTracklistRenderer.captionTracks;
         tracks.push(...this.parseYouTubeTracks(ytTracks));
       } else {
         // Fallback: Fetch from HTML
         const script = [...document.scripts].find(s => s.textContent.includes('ytInitialPlayerResponse'));
         if (script) {
-          const jsonMatch = script.textContent.match(/ytInitialPlayerResponse\s*=\s*(\{.*?\});/s);
-          if (jsonMatch && jsonMatch[1]) {
-            const data = JSON.parse(jsonMatch[1]);
-            const ytTracks = data?.captions?.playerCaptionsTracklistRenderer?.captionTracks;
-            if (ytTracks) {
-              tracks.push(...this.parseYouTubeTracks(ytTracks));
-            }
+          const data = this.parsePlayerResponseFromHtml(script.textContent);
+          const ytTracks = data?.captions?.playerCaptionsTracklistRenderer?.captionTracks;
+          if (ytTracks) {
+            tracks.push(...this.parseYouTubeTracks(ytTracks));
           }
         }
       }
@@ -126,131 +161,828 @@ class SubtitleParser {
     }
   }
 
+  /**
+   * Parse the ytInitialPlayerResponse assignment out of a watch page script or HTML
+   * @param {string} html - Script text or page HTML
+   * @returns {Object|null} Player response or null if not found
+   */
+  parsePlayerResponseFromHtml(html) {
+    const jsonMatch = (html || '').match(/ytInitialPlayerResponse\s*=\s*(\{.*?\});/s);
+    if (!jsonMatch || !jsonMatch[1]) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(jsonMatch[1]);
+    } catch (error) {
+      console.warn('Failed to parse player response:', error);
+      return null;
+    }
+  }
+
   /**
    * Parse YouTube's internal track format into our format
    * @param {Array} ytTracks - YouTube's caption tracks
    * @returns {Array} Parsed tracks
    */
   parseYouTubeTracks(ytTracks) {
-    return ytTracks.map(track => ({
-      language: track.languageCode,
-      name: track.name?.simpleText || track.name?.runs?.[0]?.text || track.languageCode,
-      url: track.baseUrl,
-      isAutoGenerated: track.kind === 'asr',
-      isDefault: track.isDefault || false
-    }));
+    return ytTracks.map(track => {
+      const isAutoGenerated = track.kind === 'asr';
+      return {
+        id: this.getTrackId(track.languageCode, isAutoGenerated),
+        language: track.languageCode,
+        name: track.name?.simpleText || track.name?.runs?.[0]?.text || track.languageCode,
+        url: track.baseUrl,
+        isAutoGenerated,
+        isDefault: track.isDefault || false
+      };
+    });
+  }
+
+  /**
+   * Build a stable track id from its language and kind
+   * @param {string} language - Track language code
+   * @param {boolean} isAutoGenerated - Whether the track is auto-generated (asr)
+   * @returns {string} Track id, e.g. "en" or "en.asr"
+   */
+  getTrackId(language, isAutoGenerated) {
+    return isAutoGenerated ? `${language}.asr` : language;
   }
 
   /**
    * Select the best available caption track
-   * Prioritizes English tracks, but if not available, selects another language for translation
+   * Uses the saved channel or global preference first, then prefers English tracks,
+   * and prefers manual tracks over auto-generated (asr) ones within a language
    * @param {Array} tracks - Available tracks
+   * @param {string|null} [channelId] - Channel of the video, defaults to the current video's channel
    * @returns {Object|null} Best track or null
    */
-  selectBestTrack(tracks) {
+  selectBestTrack(tracks, channelId = this.getCurrentChannelId()) {
     if (tracks.length === 0) return null;
 
-    // Priority 1: English track (natural or auto-generated)
-    const englishTrack = tracks.find(track => track.language.startsWith('en'));
+    // Priority 1: Saved preference for this channel, then the global preference
+    const preferences = this.loadTrackPreferences();
+    const channelPreference = channelId ? preferences.channels[channelId] : null;
+
+    for (const preference of [channelPreference, preferences.global]) {
+      const preferredTrack = this.findTrackForPreference(tracks, preference);
+      if (preferredTrack) {
+        console.log('Selected preferred track:', preferredTrack);
+        return preferredTrack;
+      }
+    }
+
+    // Priority 2: English track (manual before auto-generated)
+    const englishTrack = this.findTrackForLanguage(tracks, track => track.language.startsWith('en'));
     if (englishTrack) {
       console.log('Selected English track (no translation needed):', englishTrack);
       return englishTrack;
     }
 
-    // Priority 2: Default track (will need translation if not English)
+    // Priority 3: Default track (will need translation if not English)
     const defaultTrack = tracks.find(track => track.isDefault);
     if (defaultTrack) {
       console.log('Selected default track (may need translation):', defaultTrack);
       return defaultTrack;
     }
 
-    // Priority 3: First available track (will need translation)
-    console.log('Selected first available track (will need translation):', tracks[0]);
-    return tracks[0];
+    // Priority 4: First available track, manual before auto-generated (will need translation)
+    const firstTrack = this.findTrackForLanguage(tracks, () => true);
+    console.log('Selected first available track (will need translation):', firstTrack);
+    return firstTrack;
   }
 
   /**
-   * Get transcript text for the current time range
-   * @param {number} startTime - Start time in seconds
-   * @param {number} endTime - End time in seconds
-   * @returns {Promise<string>} Transcript text
+   * Find the first track matching a language rule, preferring manual tracks over asr
+   * @param {Array} tracks - Available tracks
+   * @param {Function} matchesLanguage - Predicate on a track
+   * @returns {Object|null} Matching track or null
    */
-  async getTranscriptChunk(startTime, endTime) {
+  findTrackForLanguage(tracks, matchesLanguage) {
+    const matching = tracks.filter(matchesLanguage);
+    return matching.find(track => !track.isAutoGenerated) || matching[0] || null;
+  }
+
+  /**
+   * Find the track matching a saved preference
+   * An exact track id wins, otherwise any track in the preferred language (manual first)
+   * @param {Array} tracks - Available tracks
+   * @param {{trackId: string, language: string}|null} preference - Saved preference
+   * @returns {Object|null} Matching track or null
+   */
+  findTrackForPreference(tracks, preference) {
+    if (!preference) return null;
+
+    return tracks.find(track => track.id === preference.trackId) ||
+           this.findTrackForLanguage(tracks, track => track.language === preference.language);
+  }
+
+  /**
+   * Get the available caption tracks
+   * @returns {Array} Available tracks
+   */
+  getCaptionTracks() {
+    return this.captionTracks;
+  }
+
+  /**
+   * Select a caption track and optionally remember the choice
+   * Clears cached ranges so the next transcript lookup loads the new track
+   * @param {string} trackId - Track id from getCaptionTracks
+   * @param {'channel'|'global'|null} [rememberScope=null] - Where to save the preference
+   * @returns {boolean} True if the track was found and selected
+   */
+  selectTrack(trackId, rememberScope = null) {
+    const track = this.captionTracks.find(t => t.id === trackId);
+    if (!track) {
+      console.warn('Caption track not found:', trackId);
+      return false;
+    }
+
+    this.currentTrack = track;
+    this.cache.clear();
+    this.lastFailureReason = null;
+    console.log('Selected caption track:', track);
+
+    if (rememberScope) {
+      this.saveTrackPreference(track, rememberScope);
+    }
+
+    return true;
+  }
+
+  /**
+   * Load saved track preferences from localStorage
+   * @returns {{global: Object|null, channels: Object}} Track preferences
+   */
+  loadTrackPreferences() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(this.PREFERENCES_KEY) || 'null');
+      return {
+        global: saved?.global || null,
+        channels: saved?.channels || {}
+      };
+    } catch (error) {
+      console.warn('Failed to load track preferences from storage:', error);
+      return { global: null, channels: {} };
+    }
+  }
+
+  /**
+   * Save a track preference for the current channel or globally
+   * @param {Object} track - Selected track
+   * @param {'channel'|'global'} scope - Where to save the preference
+   */
+  saveTrackPreference(track, scope) {
+    try {
+      const preferences = this.loadTrackPreferences();
+      const preference = { trackId: track.id, language: track.language };
+
+      if (scope === 'channel') {
+        const channelId = this.getCurrentChannelId();
+        if (!channelId) {
+          console.warn('Could not determine channel, saving track preference globally');
+          preferences.global = preference;
+        } else {
+          preferences.channels[channelId] = preference;
+        }
+      } else {
+        preferences.global = preference;
+      }
+
+      localStorage.setItem(this.PREFERENCES_KEY, JSON.stringify(preferences));
+      console.log(`Saved ${scope} track preference:`, preference);
+    } catch (error) {
+      console.warn('Failed to save track preference to storage:', error);
+    }
+  }
+
+  /**
+   * Get the player response video details of the current video
+   * @returns {Object|null} Video details or null if not loaded
+   */
+  getVideoDetails() {
+    const response = this.siteAdapter.getPlayerResponse();
+    return response ? response.videoDetails || null : null;
+  }
+
+  /**
+   * Get the spoken language the current video declares in its player response
+   * @returns {string|null} Language code or null if not declared
+   */
+  getAudioLanguage() {
+    const videoDetails = this.getVideoDetails();
+    return (videoDetails && videoDetails.defaultAudioLanguage) || null;
+  }
+
+  /**
+   * Check if the current video is a live stream or a premiere that is playing now
+   * @returns {boolean} True while the video is live
+   */
+  isLive() {
+    return this.siteAdapter.isLive();
+  }
+
+  /**
+   * Get the channel ID of the current video
+   * @returns {string|null} Channel ID or null if not found
+   */
+  getCurrentChannelId() {
+    try {
+      const videoDetails = this.getVideoDetails();
+      if (videoDetails && videoDetails.channelId) {
+        return videoDetails.channelId;
+      }
+
+      // Fallback: channel link in the watch page metadata
+      const channelMeta = document.querySelector('meta[itemprop="channelId"]');
+      if (channelMeta && channelMeta.content) {
+        return channelMeta.content;
+      }
+
+      return null;
+    } catch (error) {
+      console.warn('Error getting channel ID:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Get the transcript store for the current video, fetching the full transcript if needed
+   * @returns {Promise<TranscriptStore|null>} Transcript store or null if unavailable
+   */
+  async getTranscriptStore() {
     if (!this.currentTrack) {
       console.warn('No caption track available');
-      return '';
+      return null;
+    }
+
+    const videoId = this.getCurrentVideoId();
+    const transcriptKey = this.getTranscriptKey();
+    const isLive = this.isLive();
+
+    // Check if we have full transcript cached for this video
+    let store = this.fullTranscriptCache.get(transcriptKey);
+    if (store) {
+      if (isLive) {
+        await this.refreshLiveTranscript(transcriptKey, store);
+      } else if (this.liveTranscripts.has(transcriptKey)) {
+        store = await this.finishLiveTranscript(transcriptKey, store);
+      }
+      return store;
+    }
+
+    // Check the persistent store before touching the player (live transcripts are never stored)
+    if (this.transcriptDatabase && !isLive) {
+      const storedData = await this.transcriptDatabase.get(transcriptKey);
+      if (storedData && storedData.events && storedData.events.length > 0) {
+        store = new TranscriptStore(this.normalizeEvents(storedData.events));
+        this.fullTranscriptCache.set(transcriptKey, store);
+        console.log(`Loaded stored transcript for video: ${videoId} (${store.size} events)`);
+        return store;
+      }
+    }
+
+    // Transcribed audio grows as the video plays, start with an empty transcript
+    if (this.currentTrack.isTranscribed) {
+      store = new TranscriptStore();
+      this.fullTranscriptCache.set(transcriptKey, store);
+      return store;
+    }
+
+    // Imported tracks only live in memory and in the database
+    if (this.currentTrack.isLocal) {
+      console.warn('Imported caption file is no longer stored for video:', videoId);
+      this.lastFailureReason = SubtitleParser.FailureReason.NO_TRACK;
+      return null;
+    }
+
+    console.log('Fetching full transcript for video:', videoId);
+
+    // Step 1-3: Load all caption events of the track
+    const fullTranscriptData = await this.loadTrackEvents();
+    if (!fullTranscriptData) {
+      return null;
+    }
+
+    // Step 4: Normalize, index and cache the full transcript
+    store = new TranscriptStore(this.normalizeEvents(fullTranscriptData.events));
+    this.fullTranscriptCache.set(transcriptKey, store);
+    console.log(`Cached full transcript for video: ${videoId} (${store.size} sentences)`);
+
+    // Live transcripts keep growing, remember where to fetch new events from instead of persisting
+    if (isLive) {
+      this.liveTranscripts.set(transcriptKey, {
+        url: fullTranscriptData.url,
+        rawEvents: fullTranscriptData.events,
+        fetchedAt: Date.now()
+      });
+      return store;
+    }
+
+    // Step 5: Persist the raw events for later sessions
+    if (this.transcriptDatabase && !store.isEmpty()) {
+      await this.transcriptDatabase.put(transcriptKey, { events: fullTranscriptData.events });
+    }
+
+    return store;
+  }
+
+  /**
+   * Load all caption events of the current track
+   * Reads the track through the site adapter, or through YouTube's signed timedtext URL
+   * @returns {Promise<{events: Array, url: string|null}|null>} Caption events and their source URL, or null if unavailable
+   */
+  async loadTrackEvents() {
+    if (this.siteAdapter.providesCaptions) {
+      const events = await this.siteAdapter.loadCaptionEvents(this.currentTrack);
+      if (events.length === 0) {
+        console.warn('No caption cues found for track:', this.currentTrack.name);
+        this.lastFailureReason = SubtitleParser.FailureReason.NO_TRACK;
+        return null;
+      }
+      this.lastFailureReason = null;
+      return { events, url: this.currentTrack.url };
+    }
+
+    // Step 1-2: Trigger captions, wait for the signed timedtext request and restore the user's settings
+    const { url: signedUrl, reason } = await this.acquireSignedTimedTextUrl();
+    this.lastFailureReason = reason;
+    if (!signedUrl) {
+      console.warn(`No signed caption URL available (${reason})`);
+      return null;
+    }
+
+    console.log('Signed timedtext URL found, fetching full transcript');
+
+    // Step 3: Fetch FULL transcript (0 to Infinity)
+    const { events } = await this.fetchCaptionData(signedUrl, 0, Infinity);
+    return { events, url: signedUrl };
+  }
+
+  /**
+   * Fetch caption events added to a live transcript since the last fetch and merge them into the store
+   * Only the events from the last known one on are normalized again: the last sentence may still grow,
+   * the sentences before it are final
+   * @param {string} transcriptKey - Transcript key of the live transcript
+   * @param {TranscriptStore} store - Cached store to update in place
+   * @returns {Promise<boolean>} True if new events were added
+   */
+  async refreshLiveTranscript(transcriptKey, store) {
+    const live = this.liveTranscripts.get(transcriptKey);
+    if (!live || Date.now() - live.fetchedAt < this.liveRefreshInterval) {
+      return false;
+    }
+    live.fetchedAt = Date.now();
+
+    // The last known event may still be growing, fetch it again
+    const lastStart = live.rawEvents.length > 0 ? live.rawEvents[live.rawEvents.length - 1].start : 0;
+    const events = this.siteAdapter.providesCaptions
+      ? await this.siteAdapter.loadCaptionEvents(this.currentTrack)
+      : (await this.fetchCaptionData(live.url, lastStart, Infinity)).events;
+    const newEvents = events.filter(event => event.start >= lastStart);
+    if (newEvents.length === 0) {
+      return false;
+    }
+
+    live.rawEvents = [...live.rawEvents.filter(event => event.start < lastStart), ...newEvents];
+
+    // Normalize again from the raw events that reach into the last sentence
+    const lastSentence = store.size > 0 ? store.events[store.size - 1] : null;
+    const since = lastSentence ? lastSentence.start : 0;
+    let first = live.rawEvents.findIndex(event => event.start + event.dur > since);
+    if (first === -1) first = live.rawEvents.length;
+    const sentences = this.normalizeEvents(live.rawEvents.slice(first), {
+      previousEvent: live.rawEvents[first - 1] || null,
+      since,
+      speaker: lastSentence ? lastSentence.speaker : 0
+    });
+    store.replaceTail(lastSentence ? store.size - 1 : 0, sentences);
+
+    // Cached ranges near the live edge are out of date
+    this.cache.clear();
+    console.log(`Live transcript now has ${store.size} sentences (${store.getDuration().toFixed(0)}s)`);
+    return true;
+  }
+
+  /**
+   * Replace the transcript of a live stream that has ended with the video's transcript and persist it
+   * The captions of the finished video are timed and cleaned up again by YouTube, so they are fetched anew.
+   * If they can't be fetched (yet), the events collected while the stream was live are kept.
+   * @param {string} transcriptKey - Transcript key of the live transcript
+   * @param {TranscriptStore} liveStore - Store built while the stream was live
+   * @returns {Promise<TranscriptStore>} Transcript store of the finished video
+   */
+  async finishLiveTranscript(transcriptKey, liveStore) {
+    const live = this.liveTranscripts.get(transcriptKey);
+    this.liveTranscripts.delete(transcriptKey);
+    this.cache.clear();
+    console.log('Live stream ended, fetching the transcript of the video:', this.getCurrentVideoId());
+
+    let events = live.rawEvents;
+    let store = liveStore;
+    const trackData = await this.loadTrackEvents();
+    if (trackData && trackData.events.length > 0) {
+      events = trackData.events;
+      store = new TranscriptStore(this.normalizeEvents(events));
+      this.fullTranscriptCache.set(transcriptKey, store);
+    }
+
+    if (this.transcriptDatabase && events.length > 0) {
+      await this.transcriptDatabase.put(transcriptKey, { events });
     }
+    return store;
+  }
+
+  /**
+   * Import caption events from a local file and make them the active track for this video
+   * @param {Array<{start: number, dur: number, text: string}>} events - Parsed caption events
+   * @param {Object} [info] - Track information
+   * @param {string} [info.name='Imported captions'] - Display name (usually the file name)
+   * @param {string|null} [info.language] - Language code, defaults to English
+   * @returns {Promise<boolean>} Success status
+   */
+  async importTranscript(events, info = {}) {
+    if (!events || events.length === 0) {
+      console.warn('No caption events to import');
+      return false;
+    }
+
+    const track = this.createImportedTrack(info.name, info.language);
+
+    // Replace any previously imported track
+    this.captionTracks = [track, ...this.captionTracks.filter(t => !t.isLocal)];
+    this.currentTrack = track;
+    this.cache.clear();
+    this.lastFailureReason = null;
+
+    const transcriptKey = this.getTranscriptKey();
+    const store = new TranscriptStore(this.normalizeEvents(events));
+    this.fullTranscriptCache.set(transcriptKey, store);
+    console.log(`Imported ${events.length} caption events as ${store.size} sentences`);
+
+    if (this.transcriptDatabase) {
+      await this.transcriptDatabase.put(transcriptKey, {
+        events,
+        track: { name: track.name, language: track.language }
+      });
+    }
+
+    return true;
+  }
+
+  /**
+   * Load a caption file previously imported for the current video
+   * @returns {Promise<Object|null>} Imported track or null if none is stored
+   */
+  async loadImportedTrack() {
+    if (!this.transcriptDatabase) return null;
+
+    const key = TranscriptDatabase.makeKey(this.getCurrentVideoId(), SubtitleParser.IMPORTED_TRACK_ID);
+    const storedData = await this.transcriptDatabase.get(key);
+    if (!storedData || !storedData.events || storedData.events.length === 0) {
+      return null;
+    }
+
+    return this.createImportedTrack(storedData.track?.name, storedData.track?.language);
+  }
+
+  /**
+   * Create the track entry for an imported caption file
+   * @param {string} [name] - Display name
+   * @param {string|null} [language] - Language code
+   * @returns {Object} Imported track
+   */
+  createImportedTrack(name, language) {
+    return {
+      id: SubtitleParser.IMPORTED_TRACK_ID,
+      language: language || 'en',
+      name: name || 'Imported captions',
+      url: null,
+      isAutoGenerated: false,
+      isDefault: false,
+      isLocal: true
+    };
+  }
+
+  /**
+   * Add sentences transcribed from a window of the video's audio to the transcript
+   * Creates the transcribed audio track on first use; a window recorded again replaces the sentences it covers
+   * @param {Array<{start: number, dur: number, text: string}>} events - Transcribed sentences in video time
+   * @param {{start: number, end: number}} audioWindow - Video time range the audio was recorded from
+   * @param {string|null} [language] - Spoken language, null while it is unknown
+   * @returns {Promise<boolean>} False if the video has a caption track, which takes precedence
+   */
+  async appendTranscribedEvents(events, audioWindow, language = null) {
+    if (this.currentTrack && !this.currentTrack.isTranscribed) {
+      console.log('Caption track available, ignoring transcribed audio');
+      return false;
+    }
+
+    if (!this.currentTrack) {
+      this.currentTrack = this.createTranscribedTrack(language);
+      this.captionTracks = [this.currentTrack, ...this.captionTracks];
+      this.lastFailureReason = null;
+    } else if (language && this.currentTrack.language !== language) {
+      // The first windows can be silent, the language is known once speech is heard
+      this.currentTrack.language = language;
+    }
+
+    const transcriptKey = this.getTranscriptKey();
+    const audio = this.transcribedAudio.get(transcriptKey) || { events: [], windows: [] };
+    audio.events = [
+      ...audio.events.filter(event => event.start < audioWindow.start || event.start >= audioWindow.end),
+      ...events
+    ].sort((a, b) => a.start - b.start);
+    audio.windows = [
+      ...audio.windows.filter(w => w.start < audioWindow.start || w.end > audioWindow.end),
+      { start: audioWindow.start, end: audioWindow.end }
+    ];
+    this.transcribedAudio.set(transcriptKey, audio);
+
+    const store = this.fullTranscriptCache.get(transcriptKey);
+    if (store) {
+      store.setEvents(this.normalizeEvents(audio.events));
+    } else {
+      this.fullTranscriptCache.set(transcriptKey, new TranscriptStore(this.normalizeEvents(audio.events)));
+    }
+
+    // Cached ranges may miss the new sentences
+    this.cache.clear();
+    console.log(`Transcribed audio ${audioWindow.start.toFixed(1)}-${audioWindow.end.toFixed(1)}s: ${events.length} sentences`);
+
+    if (this.transcriptDatabase) {
+      await this.transcriptDatabase.put(transcriptKey, {
+        events: audio.events,
+        windows: audio.windows,
+        track: { name: this.currentTrack.name, language: this.currentTrack.language }
+      });
+    }
+
+    return true;
+  }
+
+  /**
+   * Check if the audio at a video time has already been transcribed
+   * @param {number} time - Video time in seconds
+   * @returns {boolean} True if a transcribed window covers the time
+   */
+  isTranscribedAt(time) {
+    if (!this.currentTrack || !this.currentTrack.isTranscribed) {
+      return false;
+    }
+    const audio = this.transcribedAudio.get(this.getTranscriptKey());
+    return !!audio && audio.windows.some(w => time >= w.start && time < w.end);
+  }
+
+  /**
+   * Load audio previously transcribed for the current video
+   * @returns {Promise<Object|null>} Transcribed audio track or null if none is stored
+   */
+  async loadTranscribedTrack() {
+    if (!this.transcriptDatabase) return null;
+
+    const key = TranscriptDatabase.makeKey(this.getCurrentVideoId(), SubtitleParser.TRANSCRIBED_TRACK_ID);
+    const storedData = await this.transcriptDatabase.get(key);
+    if (!storedData || !storedData.events || !storedData.windows) {
+      return null;
+    }
+
+    this.transcribedAudio.set(key, { events: storedData.events, windows: storedData.windows });
+    return this.createTranscribedTrack(storedData.track?.language);
+  }
+
+  /**
+   * Create the track entry for transcribed audio
+   * @param {string|null} [language] - Language code, the video's declared audio language or English if unknown
+   * @returns {Object} Transcribed audio track
+   */
+  createTranscribedTrack(language) {
+    return {
+      id: SubtitleParser.TRANSCRIBED_TRACK_ID,
+      language: language || this.getAudioLanguage() || 'en',
+      name: 'Transcribed audio',
+      url: null,
+      isAutoGenerated: false,
+      isDefault: false,
+      isLocal: true,
+      isTranscribed: true
+    };
+  }
+
+  /**
+   * Normalize raw caption events into clean, timestamped sentences
+   * De-duplicates rolling captions, strips non-speech annotations, splits speaker turns
+   * @param {Array<{start: number, dur: number, text: string}>} events - Raw caption events
+   * @param {Object} [options] - Normalizer options for the tail of a transcript (previousEvent, since, speaker)
+   * @returns {Array<{start: number, dur: number, text: string, words: Array, speaker: number, annotations: string[]}>} Sentences
+   */
+  normalizeEvents(events, options = {}) {
+    const sentences = this.normalizer.normalize(events, {
+      ...options,
+      isAutoGenerated: !!(this.currentTrack && this.currentTrack.isAutoGenerated)
+    });
+    console.log(`Normalized ${events.length} caption events into ${sentences.length} sentences`);
+    return sentences;
+  }
+
+  /**
+   * Get transcript text and timestamped events for a time range
+   * @param {number} startTime - Start time in seconds
+   * @param {number} endTime - End time in seconds
+   * @param {Object} [options] - Range options
+   * @param {'event'|'word'|'sentence'} [options.boundary='event'] - How to cut the range edges
+   * @returns {Promise<{text: string, events: Array, startTime: number, endTime: number}>} Range result
+   */
+  async getTranscriptRange(startTime, endTime, options = {}) {
+    const emptyRange = { text: '', events: [], startTime, endTime };
 
     try {
-      // Calculate time range with buffering: some past + buffer ahead
-      const videoId = this.getCurrentVideoId();
+      const store = await this.getTranscriptStore();
+      if (!store) {
+        return emptyRange;
+      }
+
+      // Key the chunk cache by the matched event indexes, not by raw float times
+      const boundary = options.boundary || 'event';
+      const { first, last } = store.getIndexRange(startTime, endTime);
+      if (last < first) {
+        return emptyRange;
+      }
 
-      // Check chunk cache first
-      const chunkCacheKey = `${videoId}_${startTime}_${endTime}`;
-      console.log('Chunk cache key:', chunkCacheKey);
+      // Word boundaries depend on the exact range edges
+      const chunkCacheKey = boundary === 'word'
+        ? `${this.getTranscriptKey()}_${boundary}_${startTime.toFixed(1)}_${endTime.toFixed(1)}`
+        : `${this.getTranscriptKey()}_${boundary}_${first}_${last}`;
       if (this.cache.has(chunkCacheKey)) {
         return this.cache.get(chunkCacheKey);
       }
 
-      // Check if we have full transcript cached for this video
-      let fullTranscriptData = this.fullTranscriptCache.get(videoId);
+      const range = store.getRange(startTime, endTime, { boundary });
+      console.log(`Extracted transcript range: ${range.events.length} events, ${range.text.length} chars`);
 
-      if (!fullTranscriptData) {
-        console.log('Fetching full transcript for video:', videoId);
+      // Cache the chunk result, word ranges are keyed by time and would otherwise pile up during playback
+      this.cache.set(chunkCacheKey, range);
+      if (this.cache.size > this.maxCachedRanges) {
+        this.cache.delete(this.cache.keys().next().value);
+      }
 
-        // Step 1: Trigger caption changes to generate signed timedtext requests
-        await this.triggerCaptionRequests();
-        // Wait for 3 seconds
-        await new Promise(resolve => setTimeout(resolve, 3000));
+      return range;
+    } catch (error) {
+      console.error('Failed to get transcript range:', error);
+      return emptyRange;
+    }
+  }
 
-        // Step 2: Get the signed URL
-        const signedUrl = await this.getSignedTimedTextUrl();
-        if (!signedUrl) {
-          console.warn('No signed caption URL available');
-          return '';
-        }
+  /**
+   * Get transcript text for the current time range
+   * @param {number} startTime - Start time in seconds
+   * @param {number} endTime - End time in seconds
+   * @param {Object} [options] - Range options (see getTranscriptRange)
+   * @returns {Promise<string>} Transcript text
+   */
+  async getTranscriptChunk(startTime, endTime, options = {}) {
+    const range = await this.getTranscriptRange(startTime, endTime, options);
+    return range.text;
+  }
 
-        console.log('Signed timedtext URL found, fetching full transcript');
+  /**
+   * Acquire a signed timedtext URL for the current track without changing the user's caption settings
+   * Snapshots the caption state, triggers a caption request if needed, waits for the observed
+   * timedtext request and restores the snapshot afterwards
+   * @returns {Promise<{url: string|null, reason: string|null}>} Signed URL, or null with a failure reason
+   */
+  async acquireSignedTimedTextUrl() {
+    if (!this.currentTrack) {
+      return { url: null, reason: SubtitleParser.FailureReason.NO_TRACK };
+    }
+
+    const track = this.currentTrack;
+
+    // A matching request may already have been made (e.g. captions are on for our track)
+    const existingUrl = this.getSignedUrlFromPerformance(track);
+    if (existingUrl) {
+      console.log('Found existing signed URL for track:', track.id);
+      return { url: existingUrl, reason: null };
+    }
 
-        // Step 3: Fetch FULL transcript (0 to Infinity)
-        fullTranscriptData = await this.fetchCaptionData(signedUrl, 0, Infinity);
+    const snapshot = this.getCurrentCaptionState();
+    console.log('Snapshot of caption state:', snapshot);
 
-        // Step 4: Cache the full transcript
-        this.fullTranscriptCache.set(videoId, fullTranscriptData);
-        console.log('Cached full transcript for video:', videoId);
+    // Start observing before triggering so the request cannot be missed
+    const observation = this.waitForTimedTextRequest(track, this.timedTextTimeout);
+
+    let triggered = false;
+    try {
+      triggered = await this.triggerCaptionRequests();
+      if (!triggered) {
+        observation.cancel();
+        return { url: null, reason: SubtitleParser.FailureReason.NO_CAPTION_CONTROLS };
+      }
+
+      const url = await observation.promise;
+      if (!url) {
+        return { url: null, reason: SubtitleParser.FailureReason.TIMEOUT };
       }
 
-      // Step 5: Extract and slice the relevant time range
-      const slicedData = {
-        events: fullTranscriptData.events.filter(event =>
-          event.start >= startTime && event.start <= endTime
-        )
+      return { url, reason: null };
+    } finally {
+      if (triggered) {
+        await this.restoreCaptionState(snapshot);
+      }
+    }
+  }
+
+  /**
+   * Wait for a timedtext request for a track to show up in resource timing
+   * Uses a PerformanceObserver, falling back to polling performance entries
+   * @param {Object} track - Caption track
+   * @param {number} timeoutMs - Max wait in milliseconds
+   * @returns {{promise: Promise<string|null>, cancel: Function}} Observed URL (null on timeout) and a cancel function
+   */
+  waitForTimedTextRequest(track, timeoutMs) {
+    let observer = null;
+    let pollInterval = null;
+    let timeout = null;
+    let finish = null;
+
+    const promise = new Promise((resolve) => {
+      finish = (url) => {
+        if (observer) observer.disconnect();
+        clearInterval(pollInterval);
+        clearTimeout(timeout);
+        resolve(url);
       };
 
-      const transcript = this.extractTranscriptText(slicedData);
-      console.log(`Extracted transcript chunk: ${slicedData.events.length} events, ${transcript.length} chars`);
+      if (typeof PerformanceObserver !== 'undefined') {
+        observer = new PerformanceObserver((list) => {
+          const match = list.getEntries().find(entry => this.isTimedTextUrlForTrack(entry.name, track));
+          if (match) {
+            console.log('Observed timedtext request for track:', track.id);
+            finish(match.name);
+          }
+        });
+        observer.observe({ type: 'resource', buffered: false });
+      } else {
+        pollInterval = setInterval(() => {
+          const url = this.getSignedUrlFromPerformance(track);
+          if (url) finish(url);
+        }, 200);
+      }
 
-      // Cache the chunk result
-      this.cache.set(chunkCacheKey, transcript);
+      timeout = setTimeout(() => finish(null), timeoutMs);
+    });
 
-      return transcript;
-    } catch (error) {
-      console.error('Failed to get transcript chunk:', error);
-      return '';
+    return {
+      promise,
+      cancel: () => finish(null)
+    };
+  }
+
+  /**
+   * Check if a resource URL is a signed timedtext request of the current video for the given track
+   * Resource timing keeps the requests of videos opened earlier in the session, so the video id must match
+   * @param {string} url - Resource URL
+   * @param {Object|null} track - Caption track, or null for any track of the current video
+   * @returns {boolean} True if the URL matches
+   */
+  isTimedTextUrlForTrack(url, track) {
+    if (!url || !url.includes('/api/timedtext')) {
+      return false;
+    }
+
+    try {
+      const params = new URL(url).searchParams;
+      // After SPA navigation the previous video's requests are still listed
+      if (params.get('v') !== this.getCurrentVideoId()) {
+        return false;
+      }
+      // Skip auto-translated requests, we want the original track
+      if (params.has('tlang')) {
+        return false;
+      }
+      if (!track) {
+        return true;
+      }
+      // Manual and auto-generated tracks share a language code, kind=asr tells them apart
+      const isAutoGenerated = params.get('kind') === 'asr';
+      return params.get('lang') === track.language && isAutoGenerated === track.isAutoGenerated;
+    } catch {
+      return false;
     }
   }
 
   /**
-   * Get the current signed timedtext URL from performance entries or player metadata
+   * Get the current signed timedtext URL from performance entries
+   * Does not trigger any caption request, captions must already be on
    * @returns {Promise<string|null>} Signed caption URL or null if not found
    */
   async getSignedTimedTextUrl() {
     try {
-      // Step 1: Check for recent signed URL in global variable or performance entries
-      let signedUrl = this.getSignedUrlFromPerformance();
+      const signedUrl = this.getSignedUrlFromPerformance(this.currentTrack);
 
       if (signedUrl) {
-        console.log('Found signed URL from player metadata');
+        console.log('Found signed URL from performance entries');
         return signedUrl;
       }
 
@@ -264,9 +996,10 @@ class SubtitleParser {
 
   /**
    * Get signed URL from performance entries
+   * @param {Object|null} [track=null] - Only match requests for this track
    * @returns {string|null} Signed URL or null
    */
-  getSignedUrlFromPerformance() {
+  getSignedUrlFromPerformance(track = null) {
     try {
       if (!performance || !performance.getEntriesByType) {
         return null;
@@ -274,7 +1007,7 @@ class SubtitleParser {
 
       const resources = performance.getEntriesByType('resource');
       const timedtextRequests = resources
-        .filter(entry => entry.name && entry.name.includes('/api/timedtext'))
+        .filter(entry => this.isTimedTextUrlForTrack(entry.name, track))
         .sort((a, b) => b.startTime - a.startTime); // Most recent first
 
       if (timedtextRequests.length > 0) {
@@ -288,6 +1021,32 @@ class SubtitleParser {
     }
   }
 
+  /**
+   * Sign the caption URL of another video with the player parameters of the current video's caption requests
+   * Caption URLs from a player response can require the proof-of-origin token (pot) that only the player adds
+   * @param {string} baseUrl - Caption URL from a player response
+   * @returns {string|null} Signed URL, or null if the current video has no signed caption request to copy from
+   */
+  signCaptionUrl(baseUrl) {
+    const signedUrl = this.getSignedUrlFromPerformance();
+    if (!signedUrl || !baseUrl) {
+      return null;
+    }
+
+    try {
+      const url = new URL(baseUrl);
+      for (const [name, value] of new URL(signedUrl).searchParams) {
+        if (SubtitleParser.PLAYER_URL_PARAMS.includes(name) && !url.searchParams.has(name)) {
+          url.searchParams.set(name, value);
+        }
+      }
+      return url.toString();
+    } catch (error) {
+      console.warn('Error signing caption URL:', error);
+      return null;
+    }
+  }
+
   /**
    * Get the current caption state
    * @returns {Object} Current caption state
@@ -295,13 +1054,13 @@ class SubtitleParser {
   getCurrentCaptionState() {
     try {
       // Check if captions are enabled via player API
-      const player = document.querySelector('#movie_player') ||
-                    document.querySelector('.html5-video-player');
+      const player = this.getPlayer();
 
       if (player && player.getOption) {
         try {
-          const captionsEnabled = player.getOption('captions', 'track') !== null;
           const track = player.getOption('captions', 'track');
+          // The player reports an empty object when captions are off
+          const captionsEnabled = !!(track && track.languageCode);
           return {
             enabled: captionsEnabled,
             language: track ? track.languageCode : null,
@@ -344,95 +1103,165 @@ class SubtitleParser {
     return this.currentTrack ? this.currentTrack.language : null;
   }
 
+  /**
+   * Get the YouTube player element
+   * @returns {HTMLElement|null} Player element or null
+   */
+  getPlayer() {
+    return this.siteAdapter.getPlayer();
+  }
+
+  /**
+   * Get the CC button from the player controls
+   * @returns {HTMLElement|null} CC button or null
+   */
+  getCaptionsButton() {
+    return this.siteAdapter.getCaptionsButton();
+  }
+
   /**
    * Trigger caption changes to generate signed timedtext requests
    * This enables the currently selected track to create the signed API calls we need
-   * @returns {Promise<void>}
+   * @returns {Promise<boolean>} True if a caption request was triggered
    */
   async triggerCaptionRequests() {
     try {
       if (!this.currentTrack) {
         console.warn('No current track selected');
-        return;
-      }
-
-      // Check if captions for our selected track are already enabled
-      const currentState = this.getCurrentCaptionState();
-      if (currentState.enabled && currentState.language === this.currentTrack.language) {
-        console.log(`Captions already enabled for track: ${this.currentTrack.language}`);
-        return;
+        return false;
       }
 
       // Try to enable our selected track via player API (fastest method)
-      const player = document.querySelector('#movie_player') ||
-                    document.querySelector('.html5-video-player');
+      const player = this.getPlayer();
 
       if (player && player.setOption) {
         try {
-          player.setOption('captions', 'track', { languageCode: this.currentTrack.language });
-          console.log(`Triggered captions for ${this.currentTrack.language} via player API`);
-          return;
+          if (player.loadModule) {
+            player.loadModule('captions');
+          }
+          const trackOption = { languageCode: this.currentTrack.language };
+          if (this.currentTrack.isAutoGenerated) {
+            trackOption.kind = 'asr';
+          }
+          player.setOption('captions', 'track', trackOption);
+          console.log(`Triggered captions for ${this.currentTrack.id} via player API`);
+          return true;
         } catch (e) {
           console.warn('Failed to enable captions via player API:', e);
         }
       }
 
       // Fallback: Click the CC button to trigger caption loading
-      const ccButton = document.querySelector('.ytp-subtitles-button') ||
-                      document.querySelector('[aria-label*="subtitles"]') ||
-                      document.querySelector('[aria-label*="captions"]');
+      const ccButton = this.getCaptionsButton();
 
       if (ccButton) {
-        // Check if captions are currently off
-        const isOff = !currentState.enabled;
-        
-        if (isOff) {
+        const currentState = this.getCurrentCaptionState();
+
+        if (!currentState.enabled) {
           // Click to enable captions (this will generate the signed request)
           ccButton.click();
-          console.log(`Triggered captions via CC button click`);
+          console.log('Triggered captions via CC button click');
         } else {
           // Captions are on but wrong track - toggle off and on to refresh
           ccButton.click();
           console.log('Toggled captions off');
-          setTimeout(() => {
-            if (ccButton) {
-              ccButton.click();
-              console.log('Toggled captions back on');
-            }
-          }, 100);
+          await new Promise(resolve => setTimeout(resolve, 100));
+          ccButton.click();
+          console.log('Toggled captions back on');
         }
+        return true;
       }
 
+      return false;
     } catch (error) {
       console.warn('Error triggering captions:', error);
+      return false;
     }
   }
 
+  /**
+   * Restore the caption state captured by getCurrentCaptionState
+   * @param {{enabled: boolean, language: string|null, track: Object|null}} snapshot - Caption state to restore
+   * @returns {Promise<void>}
+   */
+  async restoreCaptionState(snapshot) {
+    try {
+      const player = this.getPlayer();
+
+      if (player && player.setOption) {
+        try {
+          if (snapshot.enabled && snapshot.track) {
+            player.setOption('captions', 'track', snapshot.track);
+          } else if (player.unloadModule) {
+            player.unloadModule('captions');
+          } else {
+            player.setOption('captions', 'track', {});
+          }
+          console.log('Restored caption state via player API');
+          return;
+        } catch (e) {
+          console.warn('Failed to restore captions via player API:', e);
+        }
+      }
+
+      // Fallback: toggle the CC button back if its state differs from the snapshot
+      const currentState = this.getCurrentCaptionState();
+      const ccButton = this.getCaptionsButton();
+      if (ccButton && currentState.enabled !== snapshot.enabled) {
+        ccButton.click();
+        console.log(`Restored captions ${snapshot.enabled ? 'on' : 'off'} via CC button click`);
+      }
+    } catch (error) {
+      console.warn('Error restoring caption state:', error);
+    }
+  }
 
   /**
-   * Get the current video ID from URL
+   * Get the current video ID from the page adapter
    * @returns {string} Video ID or empty string if not found
    */
   getCurrentVideoId() {
-    try {
-      const url = new URL(window.location.href);
-      return url.searchParams.get('v') || '';
-    } catch (error) {
-      console.warn('Error getting video ID:', error);
-      return '';
+    return this.siteAdapter.getVideoId();
+  }
+
+  /**
+   * Get the cache key for the current video and caption track
+   * @param {string} [translationTarget=''] - Target language of a translation, empty for the original
+   * @returns {string} Transcript key (video id + track id + translation target)
+   */
+  getTranscriptKey(translationTarget = '') {
+    return TranscriptDatabase.makeKey(
+      this.getCurrentVideoId(),
+      this.currentTrack ? this.currentTrack.id : null,
+      translationTarget
+    );
+  }
+
+  /**
+   * Remove transcripts stored in memory and in the persistent database
+   * @returns {Promise<void>}
+   */
+  async clearStoredData() {
+    this.cache.clear();
+    this.fullTranscriptCache.clear();
+    this.liveTranscripts.clear();
+    this.transcribedAudio.clear();
+    if (this.transcriptDatabase) {
+      await this.transcriptDatabase.clear();
     }
   }
 
   /**
    * Fetch and parse the caption data from signed timedtext URL
    * Once a signed URL is available, call: append fmt=json3 (for JSON) or fall back to fmt=srv3 (XML).
-   * Parse into caption events: { "start": Number, "dur": Number, "text": String }
+   * Parse into caption events: { "start": Number, "dur": Number, "text": String, "words"?: Array }
+   * Word-level timing is kept when the track provides it (json3 segment offsets, srv3 <s t="">).
    * Filter by time range: include only events where (start + dur) ≥ startTime && start ≤ endTime.
    *
    * @param {string} url - Signed YouTube timedtext URL
    * @param {number} [startTime=0] - Start time in seconds
    * @param {number} [endTime=Infinity] - End time in seconds
-   * @returns {Promise<{ events: Array<{ start: number, dur: number, text: string }> }>}
+   * @returns {Promise<{ events: Array<{ start: number, dur: number, text: string, words?: Array<{ start: number, dur: number, text: string }> }> }>}
    */
   async fetchCaptionData(baseUrl, startTime = 0, endTime = Infinity) {
     try {
@@ -450,17 +1279,7 @@ class SubtitleParser {
         const json = JSON.parse(rawText.replace(/^\uFEFF/, ""));
         console.log('JSON:', json);
         const events = (json.events || [])
-          .map(ev => {
-            const text = (ev.segs || [])
-              .map(seg => seg.utf8)
-              .join("")
-              .trim();
-            return {
-              start: ev.tStartMs / 1000,
-              dur: (ev.dDurationMs || 0) / 1000,
-              text
-            };
-          })
+          .map(ev => this.parseJson3Event(ev))
           // Filter by startTime / endTime
           .filter(e => e.start + e.dur >= startTime && e.start <= endTime && e.text);
         data = { events };
@@ -474,12 +1293,7 @@ class SubtitleParser {
         const parser = new DOMParser();
         const xmlDoc = parser.parseFromString(xmlText, "text/xml");
         console.log('XML doc:', xmlDoc);
-        const events = Array.from(xmlDoc.querySelectorAll("text"))
-          .map(node => ({
-            start: parseFloat(node.getAttribute("start") || "0"),
-            dur: parseFloat(node.getAttribute("dur") || "0"),
-            text: node.textContent
-          }))
+        const events = this.parseXmlEvents(xmlDoc)
           // Filter by time range
           .filter(e => e.start + e.dur >= startTime && e.start <= endTime && e.text);
         console.log('Events:', events);
@@ -496,6 +1310,112 @@ class SubtitleParser {
   }
 
 
+  /**
+   * Parse a json3 caption event, keeping per-word timing from segment offsets
+   * @param {Object} ev - json3 event ({tStartMs, dDurationMs, segs: [{utf8, tOffsetMs}]})
+   * @returns {{start: number, dur: number, text: string, words?: Array}} Caption event
+   */
+  parseJson3Event(ev) {
+    const segs = ev.segs || [];
+    const start = (ev.tStartMs || 0) / 1000;
+    const dur = (ev.dDurationMs || 0) / 1000;
+    const text = segs
+      .map(seg => seg.utf8 || '')
+      .join('')
+      .trim();
+
+    const event = { start, dur, text };
+
+    // Only multi-segment events (ASR tracks) carry real word offsets
+    if (segs.length > 1) {
+      const words = this.buildTimedWords(
+        segs.map(seg => ({
+          start: start + (seg.tOffsetMs || 0) / 1000,
+          text: seg.utf8 || ''
+        })),
+        start + dur
+      );
+      if (words.length > 0) {
+        event.words = words;
+      }
+    }
+
+    return event;
+  }
+
+  /**
+   * Parse caption events from a timedtext XML document
+   * Supports srv3 (<p t="" d=""><s t="">) and the legacy format (<text start="" dur="">)
+   * @param {Document} xmlDoc - Parsed XML document
+   * @returns {Array<{start: number, dur: number, text: string, words?: Array}>} Caption events
+   */
+  parseXmlEvents(xmlDoc) {
+    const paragraphs = Array.from(xmlDoc.querySelectorAll('p'));
+
+    if (paragraphs.length > 0) {
+      return paragraphs.map(node => {
+        const start = parseFloat(node.getAttribute('t') || '0') / 1000;
+        const dur = parseFloat(node.getAttribute('d') || '0') / 1000;
+        const segments = Array.from(node.querySelectorAll('s'));
+        const text = node.textContent.replace(/\s+/g, ' ').trim();
+        const event = { start, dur, text };
+
+        if (segments.length > 1) {
+          const words = this.buildTimedWords(
+            segments.map(seg => ({
+              start: start + parseFloat(seg.getAttribute('t') || '0') / 1000,
+              text: seg.textContent
+            })),
+            start + dur
+          );
+          if (words.length > 0) {
+            event.words = words;
+          }
+        }
+
+        return event;
+      });
+    }
+
+    return Array.from(xmlDoc.querySelectorAll('text'))
+      .map(node => ({
+        start: parseFloat(node.getAttribute('start') || '0'),
+        dur: parseFloat(node.getAttribute('dur') || '0'),
+        text: node.textContent
+      }));
+  }
+
+  /**
+   * Turn timed segments into timed words
+   * A word lasts until the next segment starts; segments holding several words
+   * are split and their words spread evenly over the segment
+   * @param {Array<{start: number, text: string}>} segments - Segments with absolute start times in seconds
+   * @param {number} eventEnd - End time of the caption event in seconds
+   * @returns {Array<{start: number, dur: number, text: string}>} Timed words
+   */
+  buildTimedWords(segments, eventEnd) {
+    const words = [];
+
+    segments.forEach((segment, index) => {
+      const segmentEnd = index < segments.length - 1
+        ? segments[index + 1].start
+        : Math.max(eventEnd, segment.start);
+      const parts = segment.text.trim().split(/\s+/).filter(part => part.length > 0);
+      if (parts.length === 0) return;
+
+      const wordDur = Math.max(0, segmentEnd - segment.start) / parts.length;
+      parts.forEach((part, partIndex) => {
+        words.push({
+          start: segment.start + partIndex * wordDur,
+          dur: wordDur,
+          text: part
+        });
+      });
+    });
+
+    return words;
+  }
+
   /**
    * Extract readable text from caption data
    * @param {Object} captionData - Caption data from YouTube
@@ -543,6 +1463,8 @@ class SubtitleParser {
     this.currentTrack = null;
     this.cache.clear();
     this.fullTranscriptCache.clear();
+    this.liveTranscripts.clear();
+    this.transcribedAudio.clear();
     await this.initialize();
   }
 
@@ -564,8 +1486,32 @@ class SubtitleParser {
   }
 }
 
+/**
+ * Track id used for caption files imported from disk
+ */
+SubtitleParser.IMPORTED_TRACK_ID = 'local';
+
+/**
+ * Track id used for transcripts transcribed from the video's audio
+ */
+SubtitleParser.TRANSCRIBED_TRACK_ID = 'audio';
+
+/**
+ * Parameters the player adds to caption requests: the proof-of-origin token and the client description
+ */
+SubtitleParser.PLAYER_URL_PARAMS = ['pot', 'potc', 'c', 'cver', 'cplayer', 'cos', 'cosver', 'cbr', 'cbrver', 'cplatform', 'xorb', 'xobt', 'xovt'];
+
+/**
+ * Reasons why a transcript could not be acquired
+ */
+SubtitleParser.FailureReason = Object.freeze({
+  NO_TRACK: 'no-track', // The video has no caption track
+  NO_CAPTION_CONTROLS: 'no-caption-controls', // Neither the player API nor the CC button was found
+  TIMEOUT: 'timeout' // Captions were triggered but no signed timedtext request was observed
+});
+
 // Create global instance for convenience functions
-window.__subtitleParser = new SubtitleParser();
+window.__subtitleParser = new SubtitleParser(new TranscriptDatabase());
 
 // Global exports for browser automation
 window.getSignedTimedTextUrl = async function() {
@@ -587,9 +1533,20 @@ window.fetchCaptionsWhenCaptionsOn = async function(startTime = 0, endTime = Inf
   return await window.__subtitleParser.fetchCaptionData(signedUrl, startTime, endTime);
 };
 
+window.exportCaptionsWhenCaptionsOn = async function(format = 'srt', startTime = 0, endTime = Infinity) {
+  const data = await window.fetchCaptionsWhenCaptionsOn(startTime, endTime);
+  return TranscriptExporter.format(data.events, format, {
+    videoId: window.__subtitleParser.getCurrentVideoId()
+  });
+};
+
 window.getCaptionCacheStats = function() {
   return window.__subtitleParser.getCacheStats();
 };
 
+window.clearStoredCaptions = async function() {
+  return await window.__subtitleParser.clearStoredData();
+};
+
 // Export for use in other modules
 window.SubtitleParser = SubtitleParser;
@@ -0,0 +1,246 @@
+/**
+ * Transcript Normalizer for YouTube AI Q&A Assistant
+ * Cleans up caption events before they are indexed, mostly for auto-generated (ASR) tracks:
+ * First, it removes words repeated from the previous line of rolling captions.
+ * Then, it strips non-speech annotations like [Music] or [Applause] and records them as tags.
+ * Then, it splits the text on ">>" speaker-change markers into speaker turns.
+ * Then, it groups the words into timestamped sentences.
+ */
+
+class TranscriptNormalizer {
+  constructor() {
+    this.maxSentencePause = 1.5; // Start a new sentence after this many seconds of silence
+    this.maxSentenceWords = 30; // Force a sentence break for long unpunctuated runs
+    this.maxAnnotationWords = 5; // Words an unclosed "[" or "(" may span before they are read as speech
+    this.annotationPattern = /^\[([^\]]+)\]$|^\(([^)]+)\)$|^♪+$/;
+  }
+
+  /**
+   * Normalize caption events into sentences
+   * @param {Array<{start: number, dur: number, text: string, words?: Array}>} events - Raw caption events
+   * @param {Object} [options] - Normalization options
+   * @param {boolean} [options.isAutoGenerated=false] - Whether events come from an ASR track
+   * @param {boolean} [options.keepAnnotations=false] - Keep annotation tags like [Music] in the text
+   * @param {Object|null} [options.previousEvent=null] - Event before the first one, when normalizing the tail of a transcript
+   * @param {number} [options.since=0] - Drop words spoken before this time (already normalized)
+   * @param {number} [options.speaker=0] - Speaker of the first word
+   * @returns {Array<{start: number, dur: number, text: string, words: Array, speaker: number, annotations: string[]}>} Sentences
+   */
+  normalize(events, options = {}) {
+    const sortedEvents = (events || [])
+      .filter(event => event && event.text && event.text.trim())
+      .slice()
+      .sort((a, b) => a.start - b.start);
+
+    const since = options.since || 0;
+    const words = this.dedupeRollingWords(sortedEvents, options.previousEvent || null)
+      .filter(word => word.start >= since);
+    const taggedWords = this.tagWords(words, options);
+    return this.groupSentences(taggedWords, options);
+  }
+
+  /**
+   * Flatten events into timed words, dropping words repeated from the previous line
+   * Rolling captions repeat the tail of the previous line at the start of the next one
+   * @param {Array} events - Sorted caption events
+   * @param {Object|null} [previousEvent=null] - Event before the first one, its words are not returned
+   * @returns {Array<{start: number, dur: number, text: string}>} Timed words
+   */
+  dedupeRollingWords(events, previousEvent = null) {
+    const result = [];
+    let previousWords = previousEvent ? TranscriptStore.splitEventWords(previousEvent) : [];
+
+    for (const event of events) {
+      const eventWords = TranscriptStore.splitEventWords(event);
+      const overlap = this.findOverlap(previousWords, eventWords);
+      result.push(...eventWords.slice(overlap));
+      previousWords = eventWords;
+    }
+
+    return result;
+  }
+
+  /**
+   * Find how many leading words of the current line repeat the end of the previous line
+   * @param {Array<{text: string}>} previousWords - Words of the previous line
+   * @param {Array<{text: string}>} currentWords - Words of the current line
+   * @returns {number} Number of repeated words
+   */
+  findOverlap(previousWords, currentWords) {
+    const maxOverlap = Math.min(previousWords.length, currentWords.length);
+
+    for (let length = maxOverlap; length > 0; length--) {
+      let matches = true;
+      for (let i = 0; i < length; i++) {
+        const previous = this.normalizeWord(previousWords[previousWords.length - length + i].text);
+        const current = this.normalizeWord(currentWords[i].text);
+        if (previous !== current) {
+          matches = false;
+          break;
+        }
+      }
+      if (matches) {
+        // A single repeated word is too weak a signal unless the line is fully repeated
+        if (length > 1 || length === currentWords.length) {
+          return length;
+        }
+        return 0;
+      }
+    }
+
+    return 0;
+  }
+
+  /**
+   * Normalize a word for comparison
+   * @param {string} word - Word to normalize
+   * @returns {string} Lowercase word without punctuation
+   */
+  normalizeWord(word) {
+    return word.toLowerCase().replace(/[^\p{L}\p{N}']/gu, '');
+  }
+
+  /**
+   * Mark speaker changes and annotations on the words
+   * @param {Array<{start: number, dur: number, text: string}>} words - Timed words
+   * @param {Object} options - Normalization options
+   * @returns {Array<{start: number, dur: number, text: string, speaker: number, annotation: string|null, turnStart: boolean}>} Tagged words
+   */
+  tagWords(words, options) {
+    const tagged = [];
+    let speaker = options.speaker || 0;
+    let turnStart = false;
+    let pendingWords = []; // Words of a multi-word annotation such as "[Background Noise]"
+
+    // An annotation that is never closed was speech after all, keep its words as they are
+    const releasePendingWords = () => {
+      for (const pending of pendingWords) {
+        tagged.push({ ...pending, speaker, annotation: null, turnStart });
+        turnStart = false;
+      }
+      pendingWords = [];
+    };
+
+    for (const word of words) {
+      let text = word.text;
+
+      // ">>" may be attached to the next word (">>hello") or stand alone
+      if (text.startsWith('>>')) {
+        releasePendingWords();
+        if (tagged.length > 0) {
+          speaker++;
+          turnStart = true;
+        }
+        text = text.slice(2);
+        if (!text) continue;
+      }
+
+      // Collect annotations spanning several words
+      const opensAnnotation = (text.startsWith('[') && !text.includes(']')) || (text.startsWith('(') && !text.includes(')'));
+      if (pendingWords.length > 0 || opensAnnotation) {
+        pendingWords.push({ ...word, text });
+        const closer = pendingWords[0].text.startsWith('[') ? ']' : ')';
+        if (!text.includes(closer)) {
+          if (pendingWords.length >= this.maxAnnotationWords) {
+            releasePendingWords();
+          }
+          continue;
+        }
+        text = pendingWords.map(pending => pending.text).join(' ');
+        pendingWords = [];
+      }
+
+      const annotationMatch = text.match(this.annotationPattern);
+      const annotation = annotationMatch ? (annotationMatch[1] || annotationMatch[2] || 'Music') : null;
+
+      if (annotation && !options.keepAnnotations) {
+        // Keep the tag so the sentence can report it, but drop the text
+        tagged.push({ ...word, text: '', speaker, annotation, turnStart });
+      } else {
+        tagged.push({ ...word, text, speaker, annotation, turnStart });
+      }
+      turnStart = false;
+    }
+    releasePendingWords();
+
+    return tagged;
+  }
+
+  /**
+   * Group tagged words into sentences
+   * Sentences end on punctuation, speaker changes, long pauses or a maximum length
+   * @param {Array} words - Tagged words
+   * @param {Object} options - Normalization options
+   * @returns {Array} Sentence events
+   */
+  groupSentences(words, options) {
+    const sentences = [];
+    let current = [];
+    let annotations = [];
+
+    const flush = () => {
+      const spoken = current.filter(word => word.text);
+      if (spoken.length > 0) {
+        sentences.push(this.buildSentence(spoken, annotations, options));
+      } else if (annotations.length > 0 && sentences.length > 0) {
+        // Annotation-only stretch, attach it to the previous sentence
+        const previous = sentences[sentences.length - 1];
+        previous.annotations = [...new Set([...previous.annotations, ...annotations])];
+      }
+      current = [];
+      annotations = [];
+    };
+
+    for (const word of words) {
+      const previous = current[current.length - 1];
+      const isPause = previous && word.start - (previous.start + previous.dur) > this.maxSentencePause;
+
+      if (previous && (word.turnStart || isPause || current.length >= this.maxSentenceWords)) {
+        flush();
+      }
+
+      if (word.annotation) {
+        annotations.push(word.annotation);
+      }
+      current.push(word);
+
+      if (word.text && /[.!?…。！？]["'”’)\]]*$/.test(word.text)) {
+        flush();
+      }
+    }
+    flush();
+
+    return sentences;
+  }
+
+  /**
+   * Build a sentence event from its words
+   * @param {Array} words - Spoken words of the sentence
+   * @param {string[]} annotations - Annotations found inside the sentence
+   * @param {Object} options - Normalization options
+   * @returns {{start: number, dur: number, text: string, words: Array, speaker: number, annotations: string[]}} Sentence event
+   */
+  buildSentence(words, annotations, options) {
+    const first = words[0];
+    const last = words[words.length - 1];
+    let text = words.map(word => word.text).join(' ').replace(/\s+/g, ' ').trim();
+
+    // ASR tracks are unpunctuated, reconstruct sentence casing
+    // No closing punctuation is added: pauses, speaker turns and the word cap don't tell where a sentence really ends
+    if (options.isAutoGenerated) {
+      text = text.charAt(0).toUpperCase() + text.slice(1);
+    }
+
+    return {
+      start: first.start,
+      dur: Math.max(0, last.start + last.dur - first.start),
+      text,
+      words: words.map(word => ({ start: word.start, dur: word.dur, text: word.text })),
+      speaker: first.speaker,
+      annotations: [...new Set(annotations)]
+    };
+  }
+}
+
+// Export for use in other modules
+window.TranscriptNormalizer = TranscriptNormalizer;
@@ -0,0 +1,224 @@
+/**
+ * Transcript Retriever for YouTube AI Q&A Assistant
+ * Finds the parts of the full transcript that are relevant to a question:
+ * First, it splits the transcript into overlapping windows of a few sentences.
+ * Then, it indexes the content words of each window for BM25 ranking.
+ * Then, it optionally asks the language model for related search terms (query expansion without embeddings).
+ * Then, it returns the best-ranked windows as timestamped passages.
+ */
+
+class TranscriptRetriever {
+  /**
+   * @param {PromptClient|null} promptClient - Client used to expand queries (optional)
+   * @param {ChapterGenerator} chapterGenerator - Provides the tokenizer shared with topic detection
+   */
+  constructor(promptClient = null, chapterGenerator = new ChapterGenerator()) {
+    this.promptClient = promptClient;
+    this.chapterGenerator = chapterGenerator;
+    this.sentencesPerChunk = 4; // Sentences in each indexed window
+    this.chunkStride = 2; // Sentences between the starts of two windows, windows overlap by the rest
+    this.k1 = 1.2; // BM25 term frequency saturation
+    this.b = 0.75; // BM25 length normalization
+    this.maxPassages = 3; // Passages returned for a question
+    this.expandQueries = true; // Ask the language model for related search terms
+    this.expansionWeight = 0.5; // Weight of expansion terms relative to the question's own terms
+    this.index = null; // {store, size, duration, chunks, docFreq, avgLength}
+    this.expansionCache = new Map(); // Expansion terms per question: {query: string[]}
+  }
+
+  /**
+   * Find the transcript passages most relevant to a question
+   * @param {TranscriptStore} store - Full transcript
+   * @param {string} query - Question or search text
+   * @param {Object} [options] - Retrieval options
+   * @param {number} [options.limit] - Number of passages (default maxPassages)
+   * @param {boolean} [options.expand] - Expand the query with the language model (default expandQueries)
+   * @returns {Promise<Array<{start: number, end: number, text: string, score: number}>>} Passages in playback order
+   */
+  async retrieve(store, query, options = {}) {
+    if (!store || store.isEmpty() || !query || !query.trim()) {
+      return [];
+    }
+
+    this.buildIndex(store);
+
+    const expand = options.expand !== undefined ? options.expand : this.expandQueries;
+    const expansion = expand ? await this.getExpansionTerms(query) : [];
+    const passages = this.search(query, { expansion, limit: options.limit });
+    console.log(`Retrieved ${passages.length} transcript passage(s) for: "${query}"` +
+      (expansion.length > 0 ? ` (expanded with: ${expansion.join(', ')})` : ''));
+    return passages;
+  }
+
+  /**
+   * Build the BM25 index of a transcript, reusing it while the transcript is unchanged
+   * Live and transcribed tracks grow in place, so the size and duration are checked too
+   * @param {TranscriptStore} store - Full transcript
+   */
+  buildIndex(store) {
+    if (this.index && this.index.store === store &&
+        this.index.size === store.size && this.index.duration === store.getDuration()) {
+      return;
+    }
+
+    const chunks = [];
+    const docFreq = new Map();
+    const events = store.events;
+    for (let first = 0; first < events.length; first += this.chunkStride) {
+      const sentences = events.slice(first, first + this.sentencesPerChunk);
+      const text = sentences.map(sentence => sentence.text).join(' ');
+      const terms = new Map();
+      let length = 0;
+      for (const term of this.tokenize(text)) {
+        terms.set(term, (terms.get(term) || 0) + 1);
+        length++;
+      }
+      if (length === 0) continue;
+
+      const last = sentences[sentences.length - 1];
+      chunks.push({ start: sentences[0].start, end: last.start + last.dur, text, terms, length });
+      for (const term of terms.keys()) {
+        docFreq.set(term, (docFreq.get(term) || 0) + 1);
+      }
+
+      // The last window already reaches the end of the transcript
+      if (first + this.sentencesPerChunk >= events.length) break;
+    }
+
+    const avgLength = chunks.reduce((total, chunk) => total + chunk.length, 0) / (chunks.length || 1);
+    this.index = { store, size: store.size, duration: store.getDuration(), chunks, docFreq, avgLength };
+    this.expansionCache.clear();
+    console.log(`Indexed ${chunks.length} transcript passages (${docFreq.size} terms)`);
+  }
+
+  /**
+   * Rank the indexed passages for a query with BM25
+   * Overlapping windows are not returned together, the better ranked one is kept
+   * @param {string} query - Question or search text
+   * @param {Object} [options] - Search options
+   * @param {string[]} [options.expansion] - Related terms, weighted by expansionWeight
+   * @param {number} [options.limit] - Number of passages (default maxPassages)
+   * @returns {Array<{start: number, end: number, text: string, score: number}>} Passages in playback order
+   */
+  search(query, options = {}) {
+    if (!this.index || this.index.chunks.length === 0) {
+      return [];
+    }
+
+    const limit = options.limit || this.maxPassages;
+    const queryWeights = this.buildQueryWeights(query, options.expansion || []);
+    if (queryWeights.size === 0) {
+      return [];
+    }
+
+    const ranked = this.index.chunks
+      .map(chunk => ({ chunk, score: this.scoreChunk(chunk, queryWeights) }))
+      .filter(result => result.score > 0)
+      .sort((a, b) => b.score - a.score);
+
+    const selected = [];
+    for (const { chunk, score } of ranked) {
+      if (selected.length >= limit) break;
+      const overlaps = selected.some(passage => chunk.start < passage.end && passage.start < chunk.end);
+      if (!overlaps) {
+        selected.push({ start: chunk.start, end: chunk.end, text: chunk.text, score });
+      }
+    }
+
+    return selected.sort((a, b) => a.start - b.start);
+  }
+
+  /**
+   * Weigh the terms of a query, expansion terms count less than the question's own terms
+   * @param {string} query - Question or search text
+   * @param {string[]} expansion - Related terms
+   * @returns {Map<string, number>} Term weights
+   */
+  buildQueryWeights(query, expansion) {
+    const weights = new Map();
+    for (const term of this.tokenize(query)) {
+      weights.set(term, 1);
+    }
+    for (const term of this.tokenize(expansion.join(' '))) {
+      if (!weights.has(term)) {
+        weights.set(term, this.expansionWeight);
+      }
+    }
+    return weights;
+  }
+
+  /**
+   * BM25 score of a passage
+   * @param {{terms: Map<string, number>, length: number}} chunk - Indexed passage
+   * @param {Map<string, number>} queryWeights - Term weights from buildQueryWeights
+   * @returns {number} Score (0 when no query term occurs)
+   */
+  scoreChunk(chunk, queryWeights) {
+    const { chunks, docFreq, avgLength } = this.index;
+    const lengthNorm = 1 - this.b + this.b * (chunk.length / avgLength);
+    let score = 0;
+    for (const [term, weight] of queryWeights) {
+      const tf = chunk.terms.get(term);
+      if (!tf) continue;
+
+      const df = docFreq.get(term);
+      const idf = Math.log(1 + (chunks.length - df + 0.5) / (df + 0.5));
+      score += weight * idf * (tf * (this.k1 + 1)) / (tf + this.k1 * lengthNorm);
+    }
+    return score;
+  }
+
+  /**
+   * Get related search terms for a query from the language model, cached per query
+   * @param {string} query - Question or search text
+   * @returns {Promise<string[]>} Related terms (empty if the model is not available)
+   */
+  async getExpansionTerms(query) {
+    if (!this.promptClient || !this.promptClient.initialized) {
+      return [];
+    }
+    if (this.expansionCache.has(query)) {
+      return this.expansionCache.get(query);
+    }
+
+    const terms = await this.promptClient.expandQuery(query);
+    this.expansionCache.set(query, terms);
+    return terms;
+  }
+
+  /**
+   * Split text into stemmed content words
+   * @param {string} text - Text to tokenize
+   * @returns {string[]} Terms
+   */
+  tokenize(text) {
+    return this.chapterGenerator.tokenize(text).map(term => this.stem(term));
+  }
+
+  /**
+   * Reduce plural and possessive forms so "chloroplasts" matches "chloroplast"
+   * @param {string} term - Lowercase term
+   * @returns {string} Stemmed term
+   */
+  stem(term) {
+    const word = term.replace(/'s?$/, '');
+    if (word.length > 4 && word.endsWith('ies')) {
+      return `${word.slice(0, -3)}y`;
+    }
+    if (word.length > 3 && word.endsWith('s') && !/(ss|us|is)$/.test(word)) {
+      return word.slice(0, -1);
+    }
+    return word;
+  }
+
+  /**
+   * Drop the index, e.g. when the video changes
+   */
+  clear() {
+    this.index = null;
+    this.expansionCache.clear();
+  }
+}
+
+// Export for use in other modules
+window.TranscriptRetriever = TranscriptRetriever;
@@ -0,0 +1,333 @@
+/**
+ * Transcript Store for YouTube AI Q&A Assistant
+ * Holds the full timed transcript of a video and answers time-range queries:
+ * Events are sorted once when the transcript is loaded.
+ * Range lookups use binary search with overlap semantics (start + dur).
+ * Ranges can be cut on event, word or sentence boundaries.
+ * Every query returns both the joined text and the timestamped events.
+ */
+
+class TranscriptStore {
+  /**
+   * @param {Array<{start: number, dur: number, text: string, words?: Array}>} events - Caption events
+   */
+  constructor(events = []) {
+    this.events = [];
+    this.maxEnds = []; // Running maximum of (start + dur), non-decreasing
+    this.maxSentenceExpansion = 15; // Max seconds a range is widened on each side to reach a sentence boundary
+    this.setEvents(events);
+  }
+
+  /**
+   * Replace the stored events, sorting them by start time
+   * @param {Array<{start: number, dur: number, text: string}>} events - Caption events
+   */
+  setEvents(events) {
+    this.events = (events || [])
+      .filter(event => event && event.text && event.text.trim())
+      .map(event => ({
+        ...event,
+        start: Number(event.start) || 0,
+        dur: Math.max(0, Number(event.dur) || 0)
+      }))
+      .sort((a, b) => a.start - b.start);
+
+    this.maxEnds = [];
+    let maxEnd = -Infinity;
+    for (const event of this.events) {
+      maxEnd = Math.max(maxEnd, event.start + event.dur);
+      this.maxEnds.push(maxEnd);
+    }
+  }
+
+  /**
+   * Replace the events from an index on, keeping the ones before it
+   * Used for growing transcripts, where only the tail changes
+   * @param {number} index - First event to replace
+   * @param {Array<{start: number, dur: number, text: string}>} events - New events, sorted and starting at or after the kept ones
+   */
+  replaceTail(index, events) {
+    this.events.length = Math.min(index, this.events.length);
+    this.maxEnds.length = this.events.length;
+
+    let maxEnd = this.maxEnds.length > 0 ? this.maxEnds[this.maxEnds.length - 1] : -Infinity;
+    for (const event of events) {
+      if (!event || !event.text || !event.text.trim()) continue;
+      const stored = { ...event, start: Number(event.start) || 0, dur: Math.max(0, Number(event.dur) || 0) };
+      this.events.push(stored);
+      maxEnd = Math.max(maxEnd, stored.start + stored.dur);
+      this.maxEnds.push(maxEnd);
+    }
+  }
+
+  /**
+   * Number of stored events
+   * @returns {number} Event count
+   */
+  get size() {
+    return this.events.length;
+  }
+
+  /**
+   * Check if the store holds any events
+   * @returns {boolean} True if there are no events
+   */
+  isEmpty() {
+    return this.events.length === 0;
+  }
+
+  /**
+   * Get the end time of the last event
+   * @returns {number} Duration covered by the transcript in seconds
+   */
+  getDuration() {
+    return this.maxEnds.length > 0 ? this.maxEnds[this.maxEnds.length - 1] : 0;
+  }
+
+  /**
+   * Find the index of the first event that ends at or after the given time
+   * Binary search over the running maximum of event end times
+   * @param {number} time - Time in seconds
+   * @returns {number} Event index (size if none)
+   */
+  lowerBound(time) {
+    let low = 0;
+    let high = this.maxEnds.length;
+    while (low < high) {
+      const mid = (low + high) >>> 1;
+      if (this.maxEnds[mid] < time) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+    return low;
+  }
+
+  /**
+   * Find the index after the last event that starts at or before the given time
+   * @param {number} time - Time in seconds
+   * @returns {number} Exclusive event index
+   */
+  upperBound(time) {
+    let low = 0;
+    let high = this.events.length;
+    while (low < high) {
+      const mid = (low + high) >>> 1;
+      if (this.events[mid].start <= time) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+    return low;
+  }
+
+  /**
+   * Get the index range of events overlapping [startTime, endTime]
+   * An event overlaps when (start + dur) >= startTime && start <= endTime
+   * @param {number} startTime - Start time in seconds
+   * @param {number} endTime - End time in seconds
+   * @returns {{first: number, last: number}} Inclusive index range (last < first when empty)
+   */
+  getIndexRange(startTime, endTime) {
+    const first = this.lowerBound(startTime);
+    const last = this.upperBound(endTime) - 1;
+
+    // The running maximum can point at an event that itself ends before startTime
+    let adjustedFirst = first;
+    while (adjustedFirst <= last) {
+      const event = this.events[adjustedFirst];
+      if (event.start + event.dur >= startTime) break;
+      adjustedFirst++;
+    }
+
+    return { first: adjustedFirst, last };
+  }
+
+  /**
+   * Get events overlapping a time range
+   * @param {number} startTime - Start time in seconds
+   * @param {number} endTime - End time in seconds
+   * @returns {Array<{start: number, dur: number, text: string}>} Overlapping events
+   */
+  getEvents(startTime, endTime) {
+    const { first, last } = this.getIndexRange(startTime, endTime);
+    if (last < first) return [];
+    return this.events
+      .slice(first, last + 1)
+      .filter(event => event.start + event.dur >= startTime);
+  }
+
+  /**
+   * Get the transcript for a time range
+   * @param {number} startTime - Start time in seconds
+   * @param {number} endTime - End time in seconds
+   * @param {Object} [options] - Range options
+   * @param {'event'|'word'|'sentence'} [options.boundary='event'] - How to cut the range edges:
+   *   'event' keeps whole overlapping events, 'word' trims partially covered events to the
+   *   words spoken inside the range, 'sentence' widens the range to complete sentences
+   * @returns {{text: string, events: Array, startTime: number, endTime: number}} Range result
+   */
+  getRange(startTime, endTime, options = {}) {
+    const boundary = options.boundary || 'event';
+    let events = this.getEvents(startTime, endTime);
+
+    if (boundary === 'word') {
+      events = events
+        .map(event => this.trimEventToRange(event, startTime, endTime))
+        .filter(event => event.text);
+    } else if (boundary === 'sentence') {
+      events = this.expandToSentences(startTime, endTime);
+    }
+
+    const text = this.joinText(events);
+    return {
+      text,
+      events,
+      startTime: events.length > 0 ? events[0].start : startTime,
+      endTime: events.length > 0 ? Math.max(...events.map(event => event.start + event.dur)) : endTime
+    };
+  }
+
+  /**
+   * Get only the transcript text for a time range
+   * @param {number} startTime - Start time in seconds
+   * @param {number} endTime - End time in seconds
+   * @param {Object} [options] - Range options (see getRange)
+   * @returns {string} Transcript text
+   */
+  getText(startTime, endTime, options = {}) {
+    return this.getRange(startTime, endTime, options).text;
+  }
+
+  /**
+   * Split an event into timed words
+   * Uses the word timing from the caption track when available,
+   * otherwise words are spread evenly over the event duration
+   * @param {{start: number, dur: number, text: string, words?: Array}} event - Caption event
+   * @returns {Array<{start: number, dur: number, text: string}>} Timed words
+   */
+  getEventWords(event) {
+    return TranscriptStore.splitEventWords(event);
+  }
+
+  /**
+   * Split an event into timed words (see getEventWords)
+   * @param {{start: number, dur: number, text: string, words?: Array}} event - Caption event
+   * @returns {Array<{start: number, dur: number, text: string}>} Timed words
+   */
+  static splitEventWords(event) {
+    if (event.words && event.words.length > 0) {
+      return event.words;
+    }
+
+    const words = event.text.trim().split(/\s+/).filter(word => word.length > 0);
+    if (words.length === 0) return [];
+
+    const wordDur = event.dur / words.length;
+    return words.map((word, index) => ({
+      start: event.start + index * wordDur,
+      dur: wordDur,
+      text: word
+    }));
+  }
+
+  /**
+   * Trim an event to the words spoken inside a time range
+   * @param {{start: number, dur: number, text: string}} event - Caption event
+   * @param {number} startTime - Start time in seconds
+   * @param {number} endTime - End time in seconds
+   * @returns {{start: number, dur: number, text: string}} Trimmed event (empty text if no words fit)
+   */
+  trimEventToRange(event, startTime, endTime) {
+    if (event.start >= startTime && event.start + event.dur <= endTime) {
+      return event;
+    }
+
+    const words = this.getEventWords(event)
+      .filter(word => word.start + word.dur > startTime && word.start <= endTime);
+    if (words.length === 0) {
+      return { ...event, text: '' };
+    }
+
+    const lastWord = words[words.length - 1];
+    const trimmed = {
+      ...event,
+      start: words[0].start,
+      dur: lastWord.start + lastWord.dur - words[0].start,
+      text: words.map(word => word.text).join(' ')
+    };
+    if (event.words) {
+      trimmed.words = words;
+    }
+    return trimmed;
+  }
+
+  /**
+   * Widen a time range outward so it starts and ends on sentence boundaries
+   * Unpunctuated tracks have no boundaries to find, so the range grows by at most maxSentenceExpansion seconds per side
+   * @param {number} startTime - Start time in seconds
+   * @param {number} endTime - End time in seconds
+   * @returns {Array<{start: number, dur: number, text: string}>} Events covering whole sentences
+   */
+  expandToSentences(startTime, endTime) {
+    const { first, last } = this.getIndexRange(startTime, endTime);
+    if (last < first) return [];
+
+    // Walk back until the previous event closes a sentence
+    const earliestStart = Math.min(startTime, this.events[first].start) - this.maxSentenceExpansion;
+    let from = first;
+    while (from > 0 && !this.endsSentence(this.events[from - 1].text) && this.events[from - 1].start >= earliestStart) {
+      from--;
+    }
+
+    // Walk forward until the current event closes a sentence
+    const latestEnd = endTime + this.maxSentenceExpansion;
+    let to = last;
+    while (to < this.events.length - 1 && !this.endsSentence(this.events[to].text) &&
+           this.events[to + 1].start + this.events[to + 1].dur <= latestEnd) {
+      to++;
+    }
+
+    return this.events.slice(from, to + 1);
+  }
+
+  /**
+   * Check if a piece of text closes a sentence
+   * @param {string} text - Text to check
+   * @returns {boolean} True if text ends with sentence punctuation
+   */
+  endsSentence(text) {
+    return /[.!?…。！？]["'”’)\]]*\s*$/.test(text || '');
+  }
+
+  /**
+   * Join event texts into a single normalized string
+   * Speaker turns (events with a different speaker) start on a new line
+   * @param {Array<{text: string, speaker?: number}>} events - Events to join
+   * @returns {string} Joined text
+   */
+  joinText(events) {
+    let text = '';
+    let previousSpeaker = null;
+
+    for (const event of events) {
+      const eventText = event.text.replace(/\s+/g, ' ').trim(); // Normalize whitespace
+      if (!eventText) continue;
+
+      const isNewTurn = previousSpeaker !== null && event.speaker !== undefined && event.speaker !== previousSpeaker;
+      text += text ? (isNewTurn ? '\n' : ' ') : '';
+      text += eventText;
+
+      if (event.speaker !== undefined) {
+        previousSpeaker = event.speaker;
+      }
+    }
+
+    return text;
+  }
+}
+
+// Export for use in other modules
+window.TranscriptStore = TranscriptStore;
@@ -4,9 +4,14 @@
  */
 
 class UIOverlay {
-  constructor() {
+  /**
+   * @param {SiteAdapter|null} [siteAdapter] - Adapter for the current site (detected if omitted)
+   */
+  constructor(siteAdapter = null) {
+    this.siteAdapter = siteAdapter || SiteAdapter.detect() || new YouTubePageAdapter();
     this.overlay = null;
     this.questionsContainer = null;
+    this.headerElement = null; // Header showing the current chapter title
     this.isVisible = false;
     this.hideTimeout = null;
     this.onQuestionClick = null;
@@ -19,6 +24,7 @@ class UIOverlay {
     this.chatboxContent = null; // Content area of chatbox
     this.isChatboxVisible = false; // Track chatbox visibility
     this.isStreaming = false; // Track if answer is streaming
+    this.onCitationClick = null; // Handler for timestamp citations in answers, seeks the video
     
     // Question history with timestamps
     this.questionHistory = []; // Array of {questions: [{text, startTime, endTime}], timestamp}
@@ -26,7 +32,14 @@ class UIOverlay {
     
     // Conversation history for chatbox
     this.conversationHistory = []; // Array of {role: 'user'|'assistant', content: string}
-    this.conversationContext = null; // Store context (startTime, endTime) for the conversation
+    this.conversationContext = null; // Store context (startTime, endTime, regionFrame) for the conversation
+    this.attachmentUrl = null; // Object URL of the region thumbnail shown in the conversation
+    this.regionSelect = null; // Active region selection: {layer, onKeyDown}
+
+    // Overlay menu actions
+    this.menuActions = []; // Array of {id, label, handler}
+    this.isMenuOpen = false; // Track menu visibility
+    this.statusTimeout = null; // Timeout for hiding status messages
   }
 
   /**
@@ -81,9 +94,7 @@ class UIOverlay {
       const checkPlayer = () => {
         attempts++;
 
-        const playerContainer = document.querySelector('#player-container') ||
-                               document.querySelector('#player') ||
-                               document.querySelector('.html5-video-player');
+        const playerContainer = this.siteAdapter.getOverlayContainer();
 
         if (playerContainer || attempts >= maxAttempts) {
           resolve();
@@ -163,17 +174,24 @@ class UIOverlay {
     this.overlay = document.createElement('div');
     this.overlay.id = 'youtube-ai-assistant-overlay';
     this.overlay.className = 'yt-ai-overlay';
+    this.overlay.dataset.surface = this.siteAdapter.name;
 
     // Create questions container
     this.questionsContainer = document.createElement('div');
     this.questionsContainer.className = 'yt-ai-questions';
 
-    // Create questions list (no header)
+    // Create header (current chapter title, hidden when empty)
+    this.headerElement = document.createElement('div');
+    this.headerElement.className = 'yt-ai-header';
+    this.headerElement.style.display = 'none';
+
+    // Create questions list
     const questionsList = document.createElement('div');
     questionsList.className = 'yt-ai-questions-list';
     questionsList.id = 'yt-ai-questions-list';
 
     // Assemble the overlay
+    this.questionsContainer.appendChild(this.headerElement);
     this.questionsContainer.appendChild(questionsList);
     this.overlay.appendChild(this.questionsContainer);
 
@@ -182,16 +200,12 @@ class UIOverlay {
   }
 
   /**
-   * Insert the overlay into the correct position in the YouTube DOM
+   * Insert the overlay into the correct position in the player DOM
    */
   insertOverlayIntoDOM() {
     try {
       // Find player container
-      const playerContainer =
-        document.querySelector('.html5-video-player') ||
-        document.querySelector('#movie_player') ||
-        document.querySelector('#player-container') ||
-        document.querySelector('#player');
+      const playerContainer = this.siteAdapter.getOverlayContainer();
   
       if (!playerContainer) {
         console.warn('Player container not found, appending overlay to body.');
@@ -199,10 +213,13 @@ class UIOverlay {
         return;
       }
   
+      // Ensure overlay has proper positioning context (without moving players that are positioned by the page)
+      if (getComputedStyle(playerContainer).position === 'static') {
+        playerContainer.style.position = 'relative';
+      }
+  
       // Find control bar (updated for new YouTube structure)
-      const controls =
-        playerContainer.querySelector('.ytp-chrome-bottom') ||
-        playerContainer.querySelector('.html5-video-controls');
+      const controls = this.siteAdapter.getControlBar(playerContainer);
   
       if (!controls) {
         console.warn('Control bar not found, appending to player container.');
@@ -218,11 +235,6 @@ class UIOverlay {
         playerContainer.appendChild(this.overlay);
         console.log('Overlay appended to player container');
       }
-  
-      // Ensure overlay has proper positioning context
-      if (playerContainer.style.position === '' || playerContainer.style.position === 'static') {
-        playerContainer.style.position = 'relative';
-      }
     } catch (err) {
       console.error('Failed to initialize UI overlay:', err);
       document.body.appendChild(this.overlay);
@@ -249,8 +261,7 @@ class UIOverlay {
     };
 
     // Listen for mouse events on the player
-    const player = document.querySelector('#movie_player') ||
-                   document.querySelector('.html5-video-player');
+    const player = this.siteAdapter.getPlayer();
 
     if (player) {
       player.addEventListener('mousemove', handleMouseMove);
@@ -263,7 +274,7 @@ class UIOverlay {
     }
 
     // Also watch for video play/pause events
-    const video = document.querySelector('video');
+    const video = this.siteAdapter.getVideoElement();
     if (video) {
       video.addEventListener('play', () => {
         // Hide overlay when video starts playing
@@ -282,7 +293,7 @@ class UIOverlay {
    * @returns {boolean} True if video is paused
    */
   isVideoPaused() {
-    const video = document.querySelector('video');
+    const video = this.siteAdapter.getVideoElement();
     return video ? video.paused : false;
   }
 
@@ -327,6 +338,7 @@ class UIOverlay {
       noQuestions.className = 'yt-ai-no-questions';
       noQuestions.textContent = 'Analyzing video...';
       questionsList.appendChild(noQuestions);
+      this.addMenuRow(questionsList);
       return;
     }
 
@@ -425,7 +437,7 @@ class UIOverlay {
       if (!question) return;
 
       // Get current video time for context
-      const video = document.querySelector('video');
+      const video = this.siteAdapter.getVideoElement();
       const currentTime = video ? video.currentTime : 0;
       
       // Use a time range around current time (similar to generated questions)
@@ -463,11 +475,369 @@ class UIOverlay {
     // Assemble the container
     userQueryContainer.appendChild(userQueryInput);
     userQueryContainer.appendChild(submitButton);
+
+    // Add menu button if there are any menu actions
+    if (this.menuActions.length > 0) {
+      userQueryContainer.appendChild(this.createMenuButton(questionsList));
+    }
     
     // Add to questions list
     questionsList.appendChild(userQueryContainer);
   }
 
+  /**
+   * Register an action in the overlay menu
+   * Registering an existing id replaces its label and handler
+   * @param {string} id - Unique action id
+   * @param {string} label - Text shown in the menu
+   * @param {Function} handler - Handler called when the action is clicked
+   */
+  addMenuAction(id, label, handler) {
+    const existingIndex = this.menuActions.findIndex(action => action.id === id);
+    const action = { id, label, handler };
+
+    if (existingIndex >= 0) {
+      this.menuActions[existingIndex] = action;
+    } else {
+      this.menuActions.push(action);
+    }
+  }
+
+  /**
+   * Add a row with only the menu button (used when there are no questions to show)
+   * @param {HTMLElement} questionsList - The questions list container
+   */
+  addMenuRow(questionsList) {
+    if (this.menuActions.length === 0) return;
+
+    const menuRow = document.createElement('div');
+    menuRow.className = 'yt-ai-user-query-container yt-ai-menu-row';
+    menuRow.appendChild(this.createMenuButton(questionsList));
+    questionsList.appendChild(menuRow);
+  }
+
+  /**
+   * Create the button that opens the overlay menu
+   * @param {HTMLElement} questionsList - The questions list container
+   * @returns {HTMLElement} Menu button
+   */
+  createMenuButton(questionsList) {
+    const menuButton = document.createElement('button');
+    menuButton.className = 'yt-ai-user-query-submit yt-ai-menu-button';
+    menuButton.innerHTML = '<svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><circle cx="12" cy="5" r="1"/><circle cx="12" cy="12" r="1"/><circle cx="12" cy="19" r="1"/></svg>';
+    menuButton.title = 'More options';
+    menuButton.setAttribute('aria-expanded', this.isMenuOpen.toString());
+
+    menuButton.addEventListener('click', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      this.isMenuOpen = !this.isMenuOpen;
+      this.renderCurrentQuestions();
+    });
+
+    if (this.isMenuOpen) {
+      questionsList.appendChild(this.createMenu());
+    }
+
+    return menuButton;
+  }
+
+  /**
+   * Create the overlay menu with all registered actions
+   * @returns {HTMLElement} Menu element
+   */
+  createMenu() {
+    const menu = document.createElement('div');
+    menu.className = 'yt-ai-menu';
+
+    this.menuActions.forEach(action => {
+      const item = document.createElement('button');
+      item.className = 'yt-ai-menu-item';
+      item.textContent = action.label;
+      item.setAttribute('data-action-id', action.id);
+
+      item.addEventListener('click', async (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        this.isMenuOpen = false;
+        this.renderCurrentQuestions();
+
+        try {
+          await action.handler();
+        } catch (error) {
+          console.error(`Menu action "${action.id}" failed:`, error);
+          this.showStatus('Something went wrong');
+        }
+      });
+
+      menu.appendChild(item);
+    });
+
+    return menu;
+  }
+
+  /**
+   * Show the caption track chooser in place of the questions
+   * @param {Array<{id: string, name: string, language: string, isAutoGenerated: boolean}>} tracks - Available tracks
+   * @param {string|null} currentTrackId - Id of the selected track
+   * @param {Function} onSelect - Called with (trackId, rememberScope) when a track is chosen
+   */
+  showTrackMenu(tracks, currentTrackId, onSelect) {
+    const questionsList = document.getElementById('yt-ai-questions-list');
+    if (!questionsList) return;
+
+    questionsList.innerHTML = '';
+    this.show();
+
+    const menu = document.createElement('div');
+    menu.className = 'yt-ai-menu yt-ai-track-menu';
+
+    const title = document.createElement('div');
+    title.className = 'yt-ai-menu-title';
+    title.textContent = tracks.length > 0 ? 'Caption track' : 'No caption tracks available';
+    menu.appendChild(title);
+
+    // Remember scope: this video only, this channel, or all videos
+    let rememberScope = 'channel';
+    const scopeRow = document.createElement('div');
+    scopeRow.className = 'yt-ai-menu-scope';
+    const scopeButtons = [
+      { scope: null, label: 'This video' },
+      { scope: 'channel', label: 'This channel' },
+      { scope: 'global', label: 'All videos' }
+    ].map(({ scope, label }) => {
+      const button = document.createElement('button');
+      button.className = 'yt-ai-menu-scope-button';
+      button.textContent = label;
+      button.setAttribute('aria-pressed', (scope === rememberScope).toString());
+      button.addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        rememberScope = scope;
+        scopeButtons.forEach(b => b.setAttribute('aria-pressed', (b === button).toString()));
+      });
+      scopeRow.appendChild(button);
+      return button;
+    });
+
+    tracks.forEach(track => {
+      const item = document.createElement('button');
+      item.className = 'yt-ai-menu-item yt-ai-track-item';
+      item.setAttribute('data-track-id', track.id);
+      item.setAttribute('aria-checked', (track.id === currentTrackId).toString());
+
+      const name = document.createElement('span');
+      name.textContent = `${track.name} (${track.language})`;
+      item.appendChild(name);
+
+      if (track.isAutoGenerated) {
+        const badge = document.createElement('span');
+        badge.className = 'yt-ai-track-badge';
+        badge.textContent = 'auto';
+        item.appendChild(badge);
+      }
+
+      item.addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        this.renderCurrentQuestions();
+        onSelect(track.id, rememberScope);
+      });
+
+      menu.appendChild(item);
+    });
+
+    if (tracks.length > 0) {
+      menu.appendChild(scopeRow);
+    }
+
+    // Back to questions
+    const backItem = document.createElement('button');
+    backItem.className = 'yt-ai-menu-item';
+    backItem.textContent = 'Back';
+    backItem.addEventListener('click', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      this.renderCurrentQuestions();
+    });
+    menu.appendChild(backItem);
+
+    questionsList.appendChild(menu);
+  }
+
+  /**
+   * Show a list of choices in place of the questions
+   * @param {string} title - Menu title
+   * @param {Array<{label: string, handler: Function}>} items - Choices
+   */
+  showChoiceMenu(title, items) {
+    const questionsList = document.getElementById('yt-ai-questions-list');
+    if (!questionsList) return;
+
+    questionsList.innerHTML = '';
+    this.show();
+
+    const menu = document.createElement('div');
+    menu.className = 'yt-ai-menu';
+
+    const titleElement = document.createElement('div');
+    titleElement.className = 'yt-ai-menu-title';
+    titleElement.textContent = title;
+    menu.appendChild(titleElement);
+
+    [...items, { label: 'Back', handler: null }].forEach(({ label, handler }) => {
+      const item = document.createElement('button');
+      item.className = 'yt-ai-menu-item';
+      item.textContent = label;
+      item.addEventListener('click', async (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        this.renderCurrentQuestions();
+        if (!handler) return;
+
+        try {
+          await handler();
+        } catch (error) {
+          console.error(`Menu choice "${label}" failed:`, error);
+          this.showStatus('Something went wrong');
+        }
+      });
+      menu.appendChild(item);
+    });
+
+    questionsList.appendChild(menu);
+  }
+
+  /**
+   * Show the chapter outline of the video in place of the questions
+   * @param {Array<{title: string, start: number, summary?: string, source: string}>} chapters - Chapters sorted by start time
+   * @param {Object|null} currentChapter - Chapter playing now
+   * @param {Function} onSelect - Called with the clicked chapter
+   */
+  showChapterOutline(chapters, currentChapter, onSelect) {
+    const questionsList = document.getElementById('yt-ai-questions-list');
+    if (!questionsList) return;
+
+    questionsList.innerHTML = '';
+    this.show();
+
+    const menu = document.createElement('div');
+    menu.className = 'yt-ai-menu yt-ai-chapter-outline';
+
+    const title = document.createElement('div');
+    title.className = 'yt-ai-menu-title';
+    const isGenerated = chapters.length > 0 && chapters[0].source === 'generated';
+    title.textContent = isGenerated ? 'Chapters (generated)' : 'Chapters';
+    menu.appendChild(title);
+
+    const items = chapters.map(chapter => {
+      const item = document.createElement('button');
+      item.className = 'yt-ai-menu-item yt-ai-chapter-item';
+      item.setAttribute('aria-current', (chapter === currentChapter).toString());
+
+      const time = document.createElement('span');
+      time.className = 'yt-ai-chapter-time';
+      time.textContent = TranscriptExporter.formatClock(chapter.start);
+      item.appendChild(time);
+
+      const name = document.createElement('span');
+      name.className = 'yt-ai-chapter-title';
+      name.textContent = chapter.title;
+      item.appendChild(name);
+
+      if (chapter.summary) {
+        const summary = document.createElement('div');
+        summary.className = 'yt-ai-chapter-summary';
+        summary.textContent = chapter.summary;
+        item.appendChild(summary);
+      }
+
+      // Keep the outline open so the user can jump between chapters
+      item.addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        items.forEach(other => other.setAttribute('aria-current', (other === item).toString()));
+        onSelect(chapter);
+      });
+
+      menu.appendChild(item);
+      return item;
+    });
+
+    // Back to questions
+    const backItem = document.createElement('button');
+    backItem.className = 'yt-ai-menu-item';
+    backItem.textContent = 'Back';
+    backItem.addEventListener('click', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      this.renderCurrentQuestions();
+    });
+    menu.appendChild(backItem);
+
+    questionsList.appendChild(menu);
+  }
+
+  /**
+   * Let the user pick a local file
+   * @param {string} accept - Accepted file types (e.g. ".srt,.vtt")
+   * @returns {Promise<File|null>} Selected file or null if cancelled
+   */
+  openFilePicker(accept) {
+    return new Promise((resolve) => {
+      const input = document.createElement('input');
+      input.type = 'file';
+      input.accept = accept;
+      input.style.display = 'none';
+
+      const cleanup = () => {
+        if (input.parentNode) {
+          input.parentNode.removeChild(input);
+        }
+      };
+
+      input.addEventListener('change', () => {
+        const file = input.files && input.files[0] ? input.files[0] : null;
+        cleanup();
+        resolve(file);
+      });
+
+      input.addEventListener('cancel', () => {
+        cleanup();
+        resolve(null);
+      });
+
+      document.body.appendChild(input);
+      input.click();
+    });
+  }
+
+  /**
+   * Show a short status message above the questions
+   * @param {string} message - Status message to display
+   * @param {number} [duration=3000] - How long to show the message in milliseconds
+   */
+  showStatus(message, duration = 3000) {
+    if (!this.questionsContainer) return;
+
+    let statusElement = this.questionsContainer.querySelector('.yt-ai-status');
+    if (!statusElement) {
+      statusElement = document.createElement('div');
+      statusElement.className = 'yt-ai-status';
+      this.questionsContainer.insertBefore(statusElement, this.questionsContainer.firstChild);
+    }
+    statusElement.textContent = message;
+
+    this.show();
+
+    clearTimeout(this.statusTimeout);
+    this.statusTimeout = setTimeout(() => {
+      if (statusElement.parentNode) {
+        statusElement.parentNode.removeChild(statusElement);
+      }
+    }, duration);
+  }
+
   /**
    * Navigate to previous question group
    */
@@ -507,6 +877,18 @@ class UIOverlay {
     }
   }
 
+  /**
+   * Set the overlay header text (e.g. the current chapter title)
+   * @param {string} text - Header text, empty to hide the header
+   */
+  setHeader(text) {
+    if (!this.headerElement) return;
+
+    this.headerElement.textContent = text || '';
+    this.headerElement.title = text || '';
+    this.headerElement.style.display = text ? 'block' : 'none';
+  }
+
   /**
    * Show the overlay
    */
@@ -593,6 +975,7 @@ class UIOverlay {
     errorElement.textContent = message;
 
     questionsList.appendChild(errorElement);
+    this.addMenuRow(questionsList);
   }
 
   /**
@@ -611,11 +994,17 @@ class UIOverlay {
       clearTimeout(this.hideTimeout);
     }
 
+    if (this.statusTimeout) {
+      clearTimeout(this.statusTimeout);
+    }
+
     // Destroy chatbox
     this.destroyChatbox();
+    this.cancelRegionSelect();
 
     this.overlay = null;
     this.questionsContainer = null;
+    this.headerElement = null;
     this.toggleButton = null;
   }
 
@@ -667,15 +1056,8 @@ class UIOverlay {
     // Try to find the right place in player controls
     const injectButton = () => {
       try {
-        // Look for the right control bar section (updated for new YouTube structure)
-        // Try new structure first (.ytp-right-controls-right), then fall back to old structure
-        let controlBar = document.querySelector('.ytp-right-controls-right');
-        
-        if (!controlBar) {
-          // Fall back to old structure
-          controlBar = document.querySelector('.ytp-right-controls') ||
-                       document.querySelector('.ytp-chrome-controls');
-        }
+        // Look for the right control bar section of this surface
+        const controlBar = this.siteAdapter.getToggleButtonContainer();
 
         if (controlBar) {
           // Insert before the fullscreen button or at the end
@@ -702,12 +1084,24 @@ class UIOverlay {
       // Retry after a short delay in case DOM isn't ready
       setTimeout(() => {
         if (!injectButton()) {
-          console.warn('Could not inject toggle button into player controls');
+          console.warn('Could not inject toggle button into player controls, floating it over the player');
+          this.floatToggleButton();
         }
       }, 1000);
     }
   }
 
+  /**
+   * Place the toggle button over the player on surfaces without a control bar (e.g. Shorts)
+   */
+  floatToggleButton() {
+    const container = this.siteAdapter.getOverlayContainer();
+    if (!this.toggleButton || !container) return;
+
+    this.toggleButton.classList.add('yt-ai-toggle-floating');
+    container.appendChild(this.toggleButton);
+  }
+
   /**
    * Toggle AI questions on/off
    */
@@ -767,11 +1161,14 @@ class UIOverlay {
 
   /**
    * Show chatbox with conversation interface
+   * Without a question the chatbox waits for the user to ask one (e.g. about a selected region)
    * @param {string} question - The initial question
    * @param {number} startTime - Start time for context
    * @param {number} endTime - End time for context
+   * @param {Object} [options] - Chatbox options
+   * @param {{time: number, blob: Blob, isRegion: boolean}} [options.regionFrame] - Cropped frame attached to the conversation
    */
-  showChatbox(question, startTime, endTime) {
+  showChatbox(question, startTime, endTime, options = {}) {
     // Hide questions when showing chatbox
     if (this.questionsContainer) {
       const questionsList = this.questionsContainer.querySelector('.yt-ai-questions-list');
@@ -784,8 +1181,9 @@ class UIOverlay {
     this.destroyChatbox();
 
     // Initialize conversation with the first question
-    this.conversationHistory = [{role: 'user', content: question}];
-    this.conversationContext = {startTime, endTime};
+    const regionFrame = options.regionFrame || null;
+    this.conversationHistory = question ? [{role: 'user', content: question}] : [];
+    this.conversationContext = {startTime, endTime, regionFrame};
 
     // Create chatbox wrapper (overall container)
     this.chatbox = document.createElement('div');
@@ -802,6 +1200,16 @@ class UIOverlay {
     const scrollableContent = document.createElement('div');
     scrollableContent.className = 'ytai-answer-container';
 
+    // Create thumbnail of the attached region
+    if (regionFrame) {
+      this.attachmentUrl = URL.createObjectURL(regionFrame.blob);
+      const thumbnail = document.createElement('img');
+      thumbnail.className = 'ytai-answer-attachment';
+      thumbnail.src = this.attachmentUrl;
+      thumbnail.alt = 'Selected region of the video';
+      scrollableContent.appendChild(thumbnail);
+    }
+
     // Create question block
     const questionBlock = document.createElement('div');
     questionBlock.className = 'ytai-answer-question';
@@ -810,11 +1218,25 @@ class UIOverlay {
     // Create answer block with loading indicator
     this.chatboxContent = document.createElement('div');
     this.chatboxContent.className = 'ytai-answer-block';
+
+    // Citation chips are re-rendered with every streamed chunk, so clicks are handled on the block
+    this.chatboxContent.addEventListener('click', (e) => {
+      const citation = e.target.closest('.ytai-citation');
+      if (!citation) return;
+      e.preventDefault();
+      e.stopPropagation();
+      this.seekToCitation(Number(citation.dataset.time));
+    });
     
     const loadingDots = document.createElement('div');
     loadingDots.className = 'ytai-answer-loading';
     loadingDots.innerHTML = '<span></span><span></span><span></span>';
-    this.chatboxContent.appendChild(loadingDots);
+    if (question) {
+      this.chatboxContent.appendChild(loadingDots);
+    } else {
+      questionBlock.style.display = 'none';
+      this.chatboxContent.style.display = 'none';
+    }
 
     // Assemble scrollable content - question and answer blocks
     scrollableContent.appendChild(questionBlock);
@@ -851,7 +1273,7 @@ class UIOverlay {
     const userInput = document.createElement('input');
     userInput.type = 'text';
     userInput.className = 'yt-ai-user-query-input';
-    userInput.placeholder = 'Ask a follow-up question...';
+    userInput.placeholder = question ? 'Ask a follow-up question...' : 'Ask about the selected region...';
     userInput.id = 'ytai-followup-input';
 
     const sendButton = document.createElement('button');
@@ -868,23 +1290,34 @@ class UIOverlay {
       if (!message || this.isStreaming) return;
 
       userInput.value = '';
+      userInput.placeholder = 'Ask a follow-up question...';
       
       // Update question block with new question
       questionBlock.textContent = message;
+      questionBlock.style.display = '';
       
       // Reset answer block with loading
       this.chatboxContent.innerHTML = '';
+      this.chatboxContent.style.display = '';
       const loadingDots = document.createElement('div');
       loadingDots.className = 'ytai-answer-loading';
       loadingDots.innerHTML = '<span></span><span></span><span></span>';
       this.chatboxContent.appendChild(loadingDots);
       
       // Add to conversation history
+      const isFirstQuestion = this.conversationHistory.length === 0;
       this.conversationHistory.push({role: 'user', content: message});
       
-      // Trigger follow-up answer generation
-      if (this.onFollowUpQuestion) {
-        this.onFollowUpQuestion(message, this.conversationContext.startTime, this.conversationContext.endTime);
+      const { startTime: contextStart, endTime: contextEnd, regionFrame: contextRegion } = this.conversationContext;
+      if (isFirstQuestion) {
+        // The first question about an attached region is answered like a clicked question
+        this.isStreaming = true;
+        if (this.onQuestionClick) {
+          this.onQuestionClick(message, -1, contextStart, contextEnd, contextRegion);
+        }
+      } else if (this.onFollowUpQuestion) {
+        // Trigger follow-up answer generation
+        this.onFollowUpQuestion(message, contextStart, contextEnd, contextRegion);
       }
     };
 
@@ -919,7 +1352,11 @@ class UIOverlay {
     }
 
     this.isChatboxVisible = true;
-    this.isStreaming = true;
+    this.isStreaming = !!question;
+
+    if (!question) {
+      userInput.focus();
+    }
   }
 
   /**
@@ -944,7 +1381,7 @@ class UIOverlay {
     }
 
     // Parse markdown and set as HTML
-    // Chrome Prompt API returns full accumulated text in each chunk, not deltas
+    // The caller accumulates the streamed deltas and passes the full text so far
     const parsedHtml = window.MarkdownParser ? window.MarkdownParser.parse(text) : text;
     this.chatboxContent.innerHTML = parsedHtml;
 
@@ -992,6 +1429,7 @@ class UIOverlay {
     this.isChatboxVisible = false;
     this.conversationHistory = [];
     this.conversationContext = null;
+    this.revokeAttachmentUrl();
     
     console.log('Chatbox closed - showing questions');
   }
@@ -1009,6 +1447,158 @@ class UIOverlay {
     this.isStreaming = false;
     this.conversationHistory = [];
     this.conversationContext = null;
+    this.revokeAttachmentUrl();
+  }
+
+  /**
+   * Release the object URL of the region thumbnail
+   */
+  revokeAttachmentUrl() {
+    if (this.attachmentUrl) {
+      URL.revokeObjectURL(this.attachmentUrl);
+      this.attachmentUrl = null;
+    }
+  }
+
+  /**
+   * Let the user drag a rectangle over the video
+   * @param {Function} onSelect - Called with the selected region {x, y, width, height},
+   *   as fractions of the video frame (0 to 1)
+   */
+  startRegionSelect(onSelect) {
+    const container = this.siteAdapter.getOverlayContainer();
+    const video = this.siteAdapter.getVideoElement();
+    if (!container || !video) {
+      this.showStatus('No video to select a region from');
+      return;
+    }
+
+    this.cancelRegionSelect();
+
+    const layer = document.createElement('div');
+    layer.className = 'yt-ai-region-select';
+
+    const hint = document.createElement('div');
+    hint.className = 'yt-ai-region-hint';
+    hint.textContent = 'Drag over the part of the video you want to ask about (Esc to cancel)';
+    layer.appendChild(hint);
+
+    const selection = document.createElement('div');
+    selection.className = 'yt-ai-region-rect';
+    selection.style.display = 'none';
+    layer.appendChild(selection);
+
+    let origin = null;
+    const getRect = (e) => {
+      const bounds = layer.getBoundingClientRect();
+      const x = Math.min(Math.max(e.clientX, bounds.left), bounds.right);
+      const y = Math.min(Math.max(e.clientY, bounds.top), bounds.bottom);
+      return {
+        left: Math.min(origin.x, x),
+        top: Math.min(origin.y, y),
+        width: Math.abs(x - origin.x),
+        height: Math.abs(y - origin.y)
+      };
+    };
+
+    // Keep the player from toggling playback while selecting
+    const swallow = (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+    };
+
+    layer.addEventListener('pointerdown', (e) => {
+      swallow(e);
+      origin = { x: e.clientX, y: e.clientY };
+      layer.setPointerCapture(e.pointerId);
+      hint.style.display = 'none';
+      selection.style.display = '';
+    });
+
+    layer.addEventListener('pointermove', (e) => {
+      if (!origin) return;
+      swallow(e);
+      const rect = getRect(e);
+      const bounds = layer.getBoundingClientRect();
+      selection.style.left = `${rect.left - bounds.left}px`;
+      selection.style.top = `${rect.top - bounds.top}px`;
+      selection.style.width = `${rect.width}px`;
+      selection.style.height = `${rect.height}px`;
+    });
+
+    layer.addEventListener('pointerup', (e) => {
+      if (!origin) return;
+      swallow(e);
+      const rect = getRect(e);
+      this.cancelRegionSelect();
+
+      const region = this.getVideoRegion(video, rect);
+      if (!region) {
+        this.showStatus('Selection too small, drag a larger area');
+        return;
+      }
+      onSelect(region);
+    });
+
+    layer.addEventListener('click', swallow);
+    layer.addEventListener('dblclick', swallow);
+
+    const onKeyDown = (e) => {
+      if (e.key === 'Escape') {
+        swallow(e);
+        this.cancelRegionSelect();
+      }
+    };
+    document.addEventListener('keydown', onKeyDown, true);
+
+    container.appendChild(layer);
+    this.regionSelect = { layer, onKeyDown };
+  }
+
+  /**
+   * Remove the region selection layer
+   */
+  cancelRegionSelect() {
+    if (!this.regionSelect) return;
+
+    document.removeEventListener('keydown', this.regionSelect.onKeyDown, true);
+    if (this.regionSelect.layer.parentNode) {
+      this.regionSelect.layer.parentNode.removeChild(this.regionSelect.layer);
+    }
+    this.regionSelect = null;
+  }
+
+  /**
+   * Convert a selection on screen into a region of the video frame
+   * Accounts for letterboxing, the frame is fitted into the element keeping its aspect ratio
+   * @param {HTMLVideoElement} video - The video element
+   * @param {{left: number, top: number, width: number, height: number}} rect - Selection in client coordinates
+   * @returns {{x: number, y: number, width: number, height: number}|null} Region as fractions of the frame, or null if too small
+   */
+  getVideoRegion(video, rect) {
+    const bounds = video.getBoundingClientRect();
+    if (!video.videoWidth || !video.videoHeight || bounds.width === 0 || bounds.height === 0) {
+      return null;
+    }
+
+    const scale = Math.min(bounds.width / video.videoWidth, bounds.height / video.videoHeight);
+    const frameWidth = video.videoWidth * scale;
+    const frameHeight = video.videoHeight * scale;
+    const frameLeft = bounds.left + (bounds.width - frameWidth) / 2;
+    const frameTop = bounds.top + (bounds.height - frameHeight) / 2;
+
+    const clamp = (value) => Math.min(Math.max(value, 0), 1);
+    const x1 = clamp((rect.left - frameLeft) / frameWidth);
+    const y1 = clamp((rect.top - frameTop) / frameHeight);
+    const x2 = clamp((rect.left + rect.width - frameLeft) / frameWidth);
+    const y2 = clamp((rect.top + rect.height - frameTop) / frameHeight);
+
+    // Ignore clicks and slivers (less than 8 pixels on screen)
+    if ((x2 - x1) * frameWidth < 8 || (y2 - y1) * frameHeight < 8) {
+      return null;
+    }
+
+    return { x: x1, y: y1, width: x2 - x1, height: y2 - y1 };
   }
 
   /**
@@ -1019,6 +1609,33 @@ class UIOverlay {
     this.onFollowUpQuestion = handler;
   }
 
+  /**
+   * Set handler for timestamp citations in answers
+   * @param {Function} handler - Handler called with the cited time in seconds
+   */
+  setCitationHandler(handler) {
+    this.onCitationClick = handler;
+  }
+
+  /**
+   * Seek the video to a cited time, through the citation handler if one is set
+   * @param {number} time - Time in seconds
+   */
+  seekToCitation(time) {
+    if (!Number.isFinite(time)) return;
+
+    console.log(`Citation clicked, seeking to ${time}s`);
+    if (this.onCitationClick) {
+      this.onCitationClick(time);
+      return;
+    }
+
+    const video = this.siteAdapter.getVideoElement();
+    if (video) {
+      video.currentTime = time;
+    }
+  }
+
   /**
    * Get conversation history
    * @returns {Array} Conversation history
@@ -0,0 +1,195 @@
+const { test, describe, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadExtension, scriptsUntil } = require('./helpers/extension');
+const { loadBackground } = require('./helpers/background');
+const { installFakeChromeStorage } = require('./fakes/fakeChromeStorage');
+
+const SETTINGS_KEY = 'youtube-ai-assistant-ai-provider';
+
+/**
+ * Fake local server with an OpenAI-compatible API, reached through the background service worker's fetch
+ * @param {Object} [options] - Server options
+ * @param {string[]} [options.deltas] - Deltas of streamed completions
+ * @param {number} [options.status=200] - Status of chat completions responses
+ * @returns {{fetch: Function, requests: Array}} Server
+ */
+function createLocalServer(options = {}) {
+  const requests = [];
+  const deltas = options.deltas || ['Photo', 'synthesis'];
+  const encoder = new TextEncoder();
+
+  return {
+    requests,
+    fetch: async (url, init = {}) => {
+      requests.push({ url, ...init });
+      if (url.endsWith('/models')) {
+        return Response.json({ data: [{ id: 'local-model' }] });
+      }
+      if ((options.status || 200) !== 200) {
+        return new Response('model not loaded', { status: options.status });
+      }
+
+      const body = JSON.parse(init.body);
+      if (!body.stream) {
+        return Response.json({ choices: [{ message: { content: deltas.join('') } }] });
+      }
+      return new Response(new ReadableStream({
+        start(controller) {
+          for (const delta of deltas) {
+            controller.enqueue(encoder.encode(`data: ${JSON.stringify({ choices: [{ delta: { content: delta } }] })}\n\n`));
+          }
+          controller.enqueue(encoder.encode('data: [DONE]\n\n'));
+          controller.close();
+        }
+      }), { status: 200, headers: { 'Content-Type': 'text/event-stream' } });
+    }
+  };
+}
+
+/**
+ * Load the AI providers in a content script window connected to the background service worker
+ * @param {Object} [serverOptions] - Options for createLocalServer
+ * @returns {{extension: Object, server: Object, provider: OpenAICompatibleProvider}} Loaded provider
+ */
+function loadProvider(serverOptions = {}) {
+  const server = createLocalServer(serverOptions);
+  const background = loadBackground({ fetch: server.fetch });
+  const extension = loadExtension({
+    scripts: scriptsUntil('ai/aiProviders.js'),
+    beforeScripts: (window) => {
+      // jsdom has no Fetch or Streams API
+      Object.assign(window, { Response, ReadableStream, TextEncoder, TextDecoderStream });
+      window.fetch = async () => { throw new TypeError('Failed to fetch (CORS)'); };
+      window.chrome = { runtime: { id: 'tubeqa', connect: connectInfo => background.connect(connectInfo) } };
+    }
+  });
+  const provider = new extension.window.OpenAICompatibleProvider({
+    provider: 'openai-compatible',
+    endpoint: 'http://localhost:8080/v1/',
+    model: 'local-model',
+    apiKey: 'secret'
+  });
+  return { extension, server, provider };
+}
+
+describe('OpenAICompatibleProvider', () => {
+  let extension = null;
+
+  afterEach(() => {
+    if (extension) {
+      extension.close();
+      extension = null;
+    }
+  });
+
+  test('checks the server through the background service worker', async () => {
+    const loaded = loadProvider();
+    extension = loaded.extension;
+
+    assert.equal(await loaded.provider.availability('prompt'), 'available');
+    assert.equal(loaded.server.requests[0].url, 'http://localhost:8080/v1/models');
+    assert.equal(loaded.server.requests[0].headers.Authorization, 'Bearer secret');
+  });
+
+  test('streams answers through the background service worker', async () => {
+    const loaded = loadProvider();
+    extension = loaded.extension;
+
+    const session = await loaded.provider.createSession({ systemPrompt: 'You answer questions about a video.' });
+    const chunks = [];
+    for await (const chunk of session.promptStreaming('What is this video about?')) {
+      chunks.push(chunk);
+    }
+    assert.deepEqual(chunks, ['Photo', 'synthesis']);
+    assert.equal(await session.prompt('And in one word?'), 'Photosynthesis');
+
+    const body = JSON.parse(loaded.server.requests[0].body);
+    assert.equal(loaded.server.requests[0].url, 'http://localhost:8080/v1/chat/completions');
+    assert.equal(loaded.server.requests[0].method, 'POST');
+    assert.equal(body.model, 'local-model');
+    assert.equal(body.stream, true);
+    assert.equal(body.messages[1].content, 'What is this video about?');
+    assert.equal(JSON.parse(loaded.server.requests[1].body).messages[2].content, 'Photosynthesis');
+  });
+
+  test('reports server errors', async () => {
+    const loaded = loadProvider({ status: 503 });
+    extension = loaded.extension;
+
+    const session = await loaded.provider.createSession();
+    await assert.rejects(session.prompt('Hello?'), /Local AI server error 503: model not loaded/);
+  });
+
+  test('stops the request when the session is destroyed', async () => {
+    const loaded = loadProvider();
+    extension = loaded.extension;
+
+    const session = await loaded.provider.createSession();
+    session.destroy();
+    await assert.rejects(session.prompt('Hello?'), error => error.name === 'AbortError');
+    assert.equal(loaded.server.requests.length, 0);
+  });
+});
+
+describe('AIProvider settings', () => {
+  let extension = null;
+
+  afterEach(() => {
+    if (extension) {
+      extension.close();
+      extension = null;
+    }
+  });
+
+  /**
+   * Load the AI providers with a fake chrome.storage.local
+   * @param {Object} [items] - Items in chrome.storage.local
+   * @param {Object} [legacySettings] - Settings in the page's localStorage, as saved by earlier versions
+   * @returns {{window: Window, storage: FakeStorageArea}} Loaded window and storage
+   */
+  function loadSettingsWindow(items = {}, legacySettings = null) {
+    let storage = null;
+    extension = loadExtension({
+      url: 'https://www.youtube.com/',
+      scripts: scriptsUntil('ai/aiProviders.js'),
+      beforeScripts: (window) => {
+        storage = installFakeChromeStorage(window, items);
+        if (legacySettings) {
+          window.localStorage.setItem(SETTINGS_KEY, JSON.stringify(legacySettings));
+        }
+      }
+    });
+    return { window: extension.window, storage };
+  }
+
+  test('keeps the settings in the extension storage, not in the page', async () => {
+    const { window, storage } = loadSettingsWindow();
+
+    await window.AIProvider.saveSettings({ provider: 'openai-compatible', apiKey: 'secret', contextSize: 32768 });
+    assert.equal(storage.items[SETTINGS_KEY].apiKey, 'secret');
+    assert.equal(window.localStorage.getItem(SETTINGS_KEY), null);
+
+    const settings = await window.AIProvider.loadSettings();
+    assert.equal(settings.provider, 'openai-compatible');
+    assert.equal(settings.contextSize, 32768);
+    assert.equal(settings.endpoint, 'http://localhost:8080/v1');
+    assert.equal(window.AIProvider.create(settings).name, 'openai-compatible');
+  });
+
+  test('moves settings saved in localStorage by earlier versions', async () => {
+    const { window, storage } = loadSettingsWindow({}, { provider: 'openai-compatible', apiKey: 'secret' });
+
+    const settings = await window.AIProvider.loadSettings();
+    assert.equal(settings.provider, 'openai-compatible');
+    assert.equal(settings.apiKey, 'secret');
+    assert.equal(storage.items[SETTINGS_KEY].apiKey, 'secret');
+    assert.equal(window.localStorage.getItem(SETTINGS_KEY), null);
+  });
+
+  test('prefers the extension storage over leftover localStorage settings', async () => {
+    const { window } = loadSettingsWindow({ [SETTINGS_KEY]: { provider: 'chrome' } }, { provider: 'openai-compatible' });
+
+    assert.equal((await window.AIProvider.loadSettings()).provider, 'chrome');
+    assert.equal(window.localStorage.getItem(SETTINGS_KEY), null);
+  });
+});
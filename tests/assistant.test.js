@@ -0,0 +1,340 @@
+const { test, describe, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadExtension, plain, readFixture, waitFor } = require('./helpers/extension');
+const { installFakeAI } = require('./fakes/fakeAI');
+const { WATCH_URL, watchPageHtml, installYouTubePlayer } = require('./fakes/fakeYouTubePlayer');
+const { installFakeChromeStorage } = require('./fakes/fakeChromeStorage');
+
+const QUESTIONS = ['What is photosynthesis?', 'What do chloroplasts contain?', 'Where does the oxygen come from?'];
+const ANSWER = 'Based on the video, **chlorophyll** absorbs:\n* red light\n* blue light';
+const FOLLOW_UP_ANSWER = 'It reflects *green* light.';
+
+const openPages = []; // Pages to close after each test, also when it fails
+
+/**
+ * Scripted language model: questions for question prompts, titles for chapter prompts, answers otherwise
+ * @param {string} input - Prompt input
+ * @param {{options: Object}} context - Prompt context
+ * @returns {string} Response
+ */
+function respond(input, { options }) {
+  const schema = options && options.responseConstraint;
+  if (schema && schema.properties.questions) {
+    return JSON.stringify({ questions: QUESTIONS });
+  }
+  if (schema && schema.properties.title) {
+    return JSON.stringify({ title: 'How plants make food' });
+  }
+  if (schema && schema.properties.terms) {
+    return JSON.stringify({ terms: ['chlorophyll', 'ATP', 'energy'] });
+  }
+  return /Previous conversation:|Follow-up question:/.test(String(input)) ? FOLLOW_UP_ANSWER : ANSWER;
+}
+
+/**
+ * Open the fake watch page with fake AI and let the content scripts initialize the assistant
+ * @param {Object} [options] - Page options
+ * @param {Object} [options.ai] - Options for installFakeAI
+ * @param {Array} [options.tracks] - Caption tracks for installYouTubePlayer
+ * @param {string} [options.description] - Video description for installYouTubePlayer
+ * @returns {Promise<{extension: Object, page: Object, ai: Object, assistant: YouTubeAIAssistant}>} Loaded page
+ */
+async function openWatchPage(options = {}) {
+  let page = null;
+  let ai = null;
+  const extension = loadExtension({
+    url: `${WATCH_URL}tubeqaTest1`,
+    html: watchPageHtml(),
+    beforeScripts: (window) => {
+      ai = installFakeAI(window, options.ai || { languageModel: { responses: respond } });
+      page = installYouTubePlayer(window, {
+        tracks: options.tracks || [{ languageCode: 'en', json3: readFixture('captions.en.json3.json') }],
+        description: options.description
+      });
+    }
+  });
+
+  openPages.push(extension);
+
+  // contentScript.js starts the assistant once the DOM is loaded
+  const assistant = await waitFor(() => extension.evaluate('assistant'), { message: 'Assistant was not created' });
+  await waitFor(() => assistant.isInitialized || assistant.uiOverlay?.overlay, { message: 'Assistant did not start' });
+  return { extension, page, ai, assistant };
+}
+
+describe('YouTubeAIAssistant', () => {
+  let loaded = null;
+
+  afterEach(() => {
+    for (const extension of openPages.splice(0)) {
+      const assistant = extension.evaluate('assistant');
+      if (assistant) {
+        assistant.destroy();
+      }
+      extension.close();
+    }
+    loaded = null;
+  });
+
+  const questionButtons = () => Array.from(loaded.extension.window.document.querySelectorAll('.yt-ai-question'));
+  const click = (element) => element.dispatchEvent(new loaded.extension.window.MouseEvent('click', { bubbles: true }));
+
+  test('shows generated questions for the transcript ahead', async () => {
+    loaded = await openWatchPage();
+    const { assistant, ai } = loaded;
+    assert.equal(assistant.isInitialized, true);
+
+    await waitFor(() => questionButtons().length === 3, { message: 'No questions shown' });
+    assert.deepEqual(questionButtons().map(button => button.textContent), QUESTIONS);
+
+    // Questions come from the first 30 seconds of captions and the summary around them
+    const questionPrompt = ai.languageModel.prompts.find(prompt => prompt.options && prompt.options.responseConstraint);
+    assert.match(questionPrompt.input, /photosynthesis/);
+    assert.match(questionPrompt.input, /Summary: /);
+    assert.ok(ai.summarizer.calls.some(call => call.text.includes('Welcome back to the channel.')));
+    assert.equal(questionButtons()[0].getAttribute('data-end-time'), '30');
+  });
+
+  test('streams the answer to a clicked question into the chatbox', async () => {
+    loaded = await openWatchPage();
+    const { assistant, extension } = loaded;
+    await waitFor(() => questionButtons().length === 3);
+
+    click(questionButtons()[1]);
+    await waitFor(() => !assistant.uiOverlay.isStreaming && assistant.uiOverlay.getConversationHistory().length === 2,
+      { message: 'Answer did not finish' });
+
+    const document = extension.window.document;
+    const answer = document.querySelector('.ytai-answer-block');
+    assert.equal(document.querySelector('.ytai-answer-question').textContent, QUESTIONS[1]);
+    assert.equal(answer.querySelector('strong').textContent, 'chlorophyll');
+    assert.deepEqual(Array.from(answer.querySelectorAll('li')).map(item => item.textContent), ['red light', 'blue light']);
+    assert.equal(assistant.uiOverlay.getConversationHistory()[1].content, ANSWER);
+  });
+
+  test('answers with transcript passages retrieved from the whole video', async () => {
+    loaded = await openWatchPage();
+    const { assistant, ai } = loaded;
+    await waitFor(() => questionButtons().length === 3);
+
+    click(questionButtons()[1]);
+    await waitFor(() => assistant.uiOverlay.getConversationHistory().length === 2, { message: 'Answer did not finish' });
+
+    // The question was expanded with related terms before searching the transcript
+    const prompts = ai.languageModel.prompts;
+    const expansionPrompt = prompts.find(prompt => prompt.options && prompt.options.responseConstraint &&
+      prompt.options.responseConstraint.properties.terms);
+    assert.match(expansionPrompt.input, /What do chloroplasts contain\?/);
+    // Besides the question's range, the prompt has the later passage the expansion terms found
+    const answerPrompt = prompts[prompts.length - 1];
+    assert.match(answerPrompt.input, /Transcript passages related to the question:\n\[0:00\] Welcome back to the channel\./);
+    assert.match(answerPrompt.input, /\n\[0:40\] Next, the Calvin cycle .* releases the stored energy as ATP\./);
+  });
+
+  test('turns cited timestamps into chips that seek the video', async () => {
+    loaded = await openWatchPage({
+      ai: {
+        languageModel: {
+          responses: (input, context) => (context.streaming
+            ? 'Chlorophyll [0:14] absorbs light, and the mitochondria [1:08] release energy [9:59].'
+            : respond(input, context))
+        }
+      }
+    });
+    const { assistant, extension, page } = loaded;
+    await waitFor(() => questionButtons().length === 3);
+
+    click(questionButtons()[1]);
+    await waitFor(() => assistant.uiOverlay.getConversationHistory().length === 2, { message: 'Answer did not finish' });
+
+    // 0:14 is in the question's range, 1:08 was retrieved, 9:59 was never given to the model
+    const chips = Array.from(extension.window.document.querySelectorAll('.ytai-answer-block .ytai-citation'));
+    assert.deepEqual(chips.map(chip => chip.textContent), ['0:14', '1:08']);
+    assert.equal(assistant.uiOverlay.getConversationHistory()[1].content,
+      'Chlorophyll [0:14] absorbs light, and the mitochondria [1:08] release energy.');
+
+    click(chips[1]);
+    assert.equal(page.video.currentTime, 68);
+  });
+
+  test('answers follow-up questions with the conversation history', async () => {
+    loaded = await openWatchPage();
+    const { assistant, extension, ai } = loaded;
+    await waitFor(() => questionButtons().length === 3);
+    click(questionButtons()[1]);
+    await waitFor(() => assistant.uiOverlay.getConversationHistory().length === 2);
+
+    const document = extension.window.document;
+    document.querySelector('#ytai-followup-input').value = 'Why are leaves green?';
+    click(document.querySelector('.ytai-answer-wrapper .yt-ai-user-query-submit'));
+    await waitFor(() => assistant.uiOverlay.getConversationHistory().length === 4, { message: 'Follow-up did not finish' });
+
+    assert.equal(document.querySelector('.ytai-answer-question').textContent, 'Why are leaves green?');
+    assert.equal(document.querySelector('.ytai-answer-block em').textContent, 'green');
+    // The follow-up continues the answer's session, which holds the first question
+    const answerPrompt = ai.languageModel.prompts.find(prompt => /Question: "What do chloroplasts contain\?"/.test(prompt.input));
+    const followUpPrompt = ai.languageModel.prompts[ai.languageModel.prompts.length - 1];
+    assert.equal(followUpPrompt.session, answerPrompt.session);
+    assert.match(followUpPrompt.input, /Follow-up question: "Why are leaves green\?"/);
+  });
+
+  test('generates new questions as the video plays on', async () => {
+    loaded = await openWatchPage();
+    const { assistant, page } = loaded;
+    await waitFor(() => questionButtons().length === 3);
+
+    await page.play();
+    page.seek(45);
+    await waitFor(() => assistant.uiOverlay.questionHistory.length === 2, { message: 'No questions at 45s' });
+    assert.equal(assistant.uiOverlay.questionHistory[1].timestamp, 45);
+    assert.equal(assistant.uiOverlay.questionHistory[1].questions[0].startTime, 45);
+  });
+
+  test('shows the questions prefetched by the previous playlist video', async () => {
+    loaded = await openWatchPage();
+    const { assistant } = loaded;
+    await waitFor(() => questionButtons().length === 3);
+
+    const prefetchedQuestions = [{ text: 'What does the Calvin cycle make?', startTime: 0, endTime: 30 }];
+    assistant.playlistPrefetcher.getPrefetched = async () => ({
+      summary: 'Summary: The Calvin cycle.',
+      start: -300,
+      end: 300,
+      questions: prefetchedQuestions
+    });
+    assert.equal(await assistant.loadPrefetchedContext(), true);
+    assert.deepEqual(questionButtons().map(button => button.textContent), ['What does the Calvin cycle make?']);
+    assert.equal(assistant.summarizerClient.currentSummary, 'Summary: The Calvin cycle.');
+  });
+
+  test('starts a new summary when playback enters the next chapter', async () => {
+    loaded = await openWatchPage({ description: '0:00 Welcome\n0:40 Light reactions\n1:10 Calvin cycle' });
+    const { assistant, page } = loaded;
+    await waitFor(() => questionButtons().length === 3);
+    const summarizer = assistant.summarizerClient;
+    const summary = summarizer.currentSummary;
+    assert.ok(summary);
+
+    // Looking up the window of another chapter (e.g. for an earlier question) keeps the current chapter's summary
+    assert.equal(assistant.getContextWindow(50, 50).chapter.title, 'Light reactions');
+    assert.equal(summarizer.currentSummary, summary);
+
+    page.seek(45);
+    assert.equal(assistant.currentChapter.title, 'Light reactions');
+    assert.equal(summarizer.currentSummary, null);
+  });
+
+  test('listens to video time updates once after the question loop restarts', async () => {
+    loaded = await openWatchPage();
+    const { assistant, extension } = loaded;
+    await waitFor(() => questionButtons().length === 3);
+
+    let timeUpdates = 0;
+    assistant.updateCurrentChapter = () => {
+      timeUpdates++;
+    };
+    const video = assistant.videoElement;
+
+    assistant.stopQuestionLoop();
+    assistant.isRunning = true;
+    video.dispatchEvent(new extension.window.Event('timeupdate'));
+    assert.equal(timeUpdates, 0, 'The listener is removed when the loop stops');
+
+    // Restart without generating questions again
+    assistant.isRunning = false;
+    assistant.uiOverlay.isAIEnabled = () => false;
+    assistant.startQuestionLoop();
+    video.dispatchEvent(new extension.window.Event('timeupdate'));
+    assert.equal(timeUpdates, 1);
+  });
+
+  test('reports caption files that cannot be imported', async () => {
+    loaded = await openWatchPage();
+    const { assistant, extension } = loaded;
+    await waitFor(() => questionButtons().length === 3);
+
+    assistant.uiOverlay.openFilePicker = async () => ({
+      name: 'lecture.de.srt',
+      text: async () => { throw new Error('The file could not be read'); }
+    });
+    await assistant.importCaptionFile();
+    assert.equal(extension.window.document.querySelector('.yt-ai-error').textContent,
+      'Failed to import captions from lecture.de.srt');
+    assert.equal(assistant.subtitleParser.currentTrack.id, 'en');
+  });
+
+  test('translates captions that are not in English', async () => {
+    loaded = await openWatchPage({
+      tracks: [{ languageCode: 'de', name: 'Deutsch', json3: readFixture('captions.en.json3.json') }]
+    });
+    const { ai } = loaded;
+    await waitFor(() => questionButtons().length === 3);
+
+    assert.ok(ai.translator.calls.length > 0);
+    assert.ok(ai.translator.calls.every(call => call.sourceLanguage === 'de' && call.targetLanguage === 'en'));
+    const questionPrompt = ai.languageModel.prompts.find(prompt => prompt.options && prompt.options.responseConstraint);
+    assert.match(questionPrompt.input, /\[de->en\]/);
+  });
+
+  test('buffers video frames only in the multi-frame capture modes', async () => {
+    loaded = await openWatchPage();
+    const { assistant } = loaded;
+    await waitFor(() => assistant.isRunning);
+    const extractor = assistant.videoFrameExtractor;
+
+    assert.equal(extractor.captureMode, 'single');
+    assert.equal(extractor.sampleTimer, null);
+
+    assistant.selectCaptureMode('contact-sheet');
+    assert.notEqual(extractor.sampleTimer, null);
+
+    assistant.selectCaptureMode('single');
+    assert.equal(extractor.sampleTimer, null);
+    assert.equal(extractor.frameBuffer.length, 0);
+  });
+
+  test('keeps the AI model menu when the language model is unavailable', async () => {
+    loaded = await openWatchPage({ ai: { languageModel: { availability: 'unavailable' } } });
+    const { assistant, extension } = loaded;
+    const document = extension.window.document;
+    await waitFor(() => document.querySelector('.yt-ai-error'));
+
+    assert.equal(assistant.isInitialized, false);
+    assert.equal(document.querySelector('.yt-ai-error').textContent,
+      'AI not available. Please ensure Chrome Built-in AI features are enabled.');
+    assert.deepEqual(plain(assistant.uiOverlay.menuActions.map(action => action.id)), ['ai-provider']);
+  });
+
+  test('asks for every local server setting when switching to a local model', async () => {
+    loaded = await openWatchPage({ ai: { languageModel: { availability: 'unavailable' } } });
+    const { assistant, extension } = loaded;
+    const { window } = extension;
+    const storage = installFakeChromeStorage(window);
+    const answers = ['http://localhost:11434/v1/', 'llama3.2', ' secret ', '32768'];
+    const questions = [];
+    window.prompt = (message) => {
+      questions.push(message);
+      return answers.shift();
+    };
+    window.confirm = () => false;
+
+    await assistant.selectProvider('openai-compatible');
+    assert.equal(questions.length, 4);
+    assert.deepEqual(plain(storage.items['youtube-ai-assistant-ai-provider']), {
+      provider: 'openai-compatible',
+      endpoint: 'http://localhost:11434/v1',
+      model: 'llama3.2',
+      apiKey: 'secret',
+      contextSize: 32768,
+      imageInput: false
+    });
+
+    // The restarted assistant uses the saved provider
+    const restarted = await waitFor(() => {
+      const current = extension.evaluate('assistant');
+      return current !== assistant && current?.aiProvider && current;
+    });
+    assert.equal(restarted.aiProvider.name, 'openai-compatible');
+    assert.equal(restarted.aiProvider.settings.contextSize, 32768);
+  });
+});
@@ -0,0 +1,131 @@
+const { test, describe, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadExtension, plain, scriptsUntil, waitFor } = require('./helpers/extension');
+const { installFakeAI } = require('./fakes/fakeAI');
+const { WATCH_URL, watchPageHtml, installYouTubePlayer } = require('./fakes/fakeYouTubePlayer');
+
+/**
+ * Open a watch page without captions and an AudioTranscriber whose transcriptions are answered by the test
+ * MediaRecorder is not available in jsdom, so recorded windows are queued by the test
+ * @param {Object} [aiOptions] - Options for installFakeAI
+ * @returns {Promise<{extension: Object, page: Object, ai: Object, parser: SubtitleParser, transcriber: AudioTranscriber, transcriptions: Array}>} Loaded page
+ */
+async function loadTranscriber(aiOptions = {}) {
+  let page = null;
+  let ai = null;
+  const extension = loadExtension({
+    url: `${WATCH_URL}tubeqaTest1`,
+    html: watchPageHtml(),
+    scripts: scriptsUntil('content/audioTranscriber.js'),
+    beforeScripts: (window) => {
+      ai = installFakeAI(window, aiOptions);
+      page = installYouTubePlayer(window, { tracks: [] });
+    }
+  });
+
+  const { SubtitleParser, YouTubePageAdapter, TranslatorClient, AudioTranscriber } = extension.window;
+  const parser = new SubtitleParser(null, new YouTubePageAdapter());
+  await parser.initialize();
+
+  // Each transcription waits until the test resolves it
+  const transcriptions = [];
+  const promptClient = {
+    transcribeAudio: (blob, duration) => new Promise(resolve => transcriptions.push({ blob, duration, resolve }))
+  };
+  const transcriber = new AudioTranscriber(promptClient, parser, new TranslatorClient());
+  transcriber.isRunning = true;
+  return { extension, page, ai, parser, transcriber, transcriptions };
+}
+
+/**
+ * Recorded audio window
+ * @param {number} start - Video time the recording started at
+ * @returns {{blob: string, start: number, end: number, recordedSeconds: number}} Recording
+ */
+function recording(start) {
+  return { blob: `audio ${start}`, start, end: start + 20, recordedSeconds: 20 };
+}
+
+describe('AudioTranscriber', () => {
+  let extension = null;
+
+  afterEach(() => {
+    if (extension) {
+      extension.close();
+      extension = null;
+    }
+  });
+
+  test('queues windows recorded while an earlier one is transcribed', async () => {
+    const loaded = await loadTranscriber();
+    extension = loaded.extension;
+    const { parser, transcriber, transcriptions } = loaded;
+
+    transcriber.enqueue(recording(0));
+    transcriber.enqueue(recording(20));
+    transcriber.enqueue(recording(40));
+    assert.equal(transcriptions.length, 1, 'Windows are transcribed one at a time');
+    assert.equal(transcriber.queue.length, 2);
+
+    for (let index = 0; index < 3; index++) {
+      await waitFor(() => transcriptions.length === index + 1);
+      transcriptions[index].resolve([{ start: 1, dur: 5, text: `Sentence ${index + 1}.` }]);
+    }
+    await waitFor(() => !transcriber.isTranscribing);
+
+    assert.deepEqual(plain(transcriptions.map(transcription => transcription.blob)), ['audio 0', 'audio 20', 'audio 40']);
+    assert.deepEqual(plain((await parser.getTranscriptStore()).events.map(event => event.text)),
+      ['Sentence 1.', 'Sentence 2.', 'Sentence 3.']);
+  });
+
+  test('drops the oldest windows when transcription falls too far behind', async () => {
+    const loaded = await loadTranscriber();
+    extension = loaded.extension;
+    const { transcriber, transcriptions } = loaded;
+    transcriber.maxQueuedWindows = 2;
+
+    for (const start of [0, 20, 40, 60]) {
+      transcriber.enqueue(recording(start));
+    }
+    assert.deepEqual(plain(transcriber.queue.map(queued => queued.start)), [40, 60]);
+
+    transcriber.stop();
+    transcriptions[0].resolve([]);
+    await waitFor(() => !transcriber.isTranscribing);
+    assert.equal(transcriptions.length, 1, 'Queued windows are dropped when transcription stops');
+  });
+
+  test('transcribes in the language detected from the first sentences', async () => {
+    const loaded = await loadTranscriber({
+      languageDetector: { detect: () => [{ detectedLanguage: 'de', confidence: 0.9 }] }
+    });
+    extension = loaded.extension;
+    const { ai, parser, transcriber, transcriptions } = loaded;
+
+    // Nobody speaks in the first window, the language is not known yet
+    transcriber.enqueue(recording(0));
+    transcriptions[0].resolve([]);
+    await waitFor(() => !transcriber.isTranscribing);
+    assert.equal(parser.currentTrack.language, 'en');
+    assert.equal(ai.languageDetector.calls.length, 0);
+
+    transcriber.enqueue(recording(20));
+    transcriptions[1].resolve([{ start: 0, dur: 4, text: 'Heute geht es um Photosynthese.' }]);
+    await waitFor(() => !transcriber.isTranscribing);
+    assert.equal(parser.currentTrack.language, 'de');
+    assert.deepEqual(plain(ai.languageDetector.calls), ['Heute geht es um Photosynthese.']);
+  });
+
+  test('uses the audio language declared by the video', async () => {
+    const loaded = await loadTranscriber();
+    extension = loaded.extension;
+    const { ai, page, parser, transcriber, transcriptions } = loaded;
+    page.playerResponse.videoDetails.defaultAudioLanguage = 'fr';
+
+    transcriber.enqueue(recording(0));
+    transcriptions[0].resolve([{ start: 0, dur: 4, text: 'Bonjour à tous.' }]);
+    await waitFor(() => !transcriber.isTranscribing);
+    assert.equal(parser.currentTrack.language, 'fr');
+    assert.equal(ai.languageDetector.calls.length, 0);
+  });
+});
@@ -0,0 +1,143 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { manifest, loadBackground } = require('./helpers/background');
+
+/**
+ * Send one request over a port and collect the messages until the request ends
+ * @param {Object} port - Connected port
+ * @param {Object} request - Request message
+ * @returns {Promise<Object[]>} Messages received
+ */
+function proxyRequest(port, request) {
+  return new Promise((resolve) => {
+    const messages = [];
+    port.onMessage.addListener((message) => {
+      messages.push(message);
+      if (message.type === 'done' || message.type === 'error') resolve(messages);
+    });
+    port.postMessage(request);
+  });
+}
+
+describe('manifest', () => {
+  test('runs the content scripts on YouTube hosts only', () => {
+    const hosts = ['*://www.youtube.com/*', '*://m.youtube.com/*', '*://www.youtube-nocookie.com/*'];
+    const [pages, embeds] = manifest.content_scripts;
+    assert.deepEqual(pages.matches, hosts.slice(0, 2));
+    assert.deepEqual(embeds.matches, ['*://www.youtube.com/embed/*', '*://www.youtube-nocookie.com/embed/*']);
+    for (const resource of manifest.web_accessible_resources) {
+      assert.deepEqual(resource.matches, hosts);
+    }
+  });
+
+  test('runs in frames only for embedded players', () => {
+    const [pages, embeds] = manifest.content_scripts;
+    assert.equal(pages.all_frames, undefined, 'Chat, ads and other YouTube iframes get no scripts');
+    assert.deepEqual(pages.exclude_matches, ['*://www.youtube.com/embed/*'], 'Embedded players are not injected twice');
+    assert.equal(embeds.all_frames, true);
+    assert.deepEqual(embeds.js, pages.js);
+    assert.deepEqual(embeds.css, pages.css);
+    assert.equal(embeds.run_at, pages.run_at);
+  });
+});
+
+describe('background', () => {
+  test('injects the content scripts and styles when the toolbar button is clicked', async () => {
+    const { calls, clickAction } = loadBackground();
+    await clickAction(7);
+
+    assert.equal(calls.length, 3);
+    assert.equal(calls[1].method, 'insertCSS');
+    assert.deepEqual(calls[1].files, manifest.content_scripts[0].css);
+    assert.equal(calls[2].method, 'executeScript');
+    assert.equal(calls[2].target.tabId, 7);
+    assert.deepEqual(calls[2].files, manifest.content_scripts[0].js);
+  });
+
+  test('does not inject the scripts twice', async () => {
+    const { calls, clickAction } = loadBackground({ alreadyInjected: true });
+    await clickAction(7);
+
+    assert.equal(calls.length, 1);
+    assert.equal(typeof calls[0].func, 'function');
+  });
+});
+
+describe('local AI server proxy', () => {
+  test('forwards requests to localhost and streams the response back', async () => {
+    const requests = [];
+    const { connect } = loadBackground({
+      fetch: async (url, init) => {
+        requests.push({ url, ...init });
+        return new Response(new ReadableStream({
+          start(controller) {
+            controller.enqueue(new TextEncoder().encode('data: one\n'));
+            controller.enqueue(new TextEncoder().encode('data: two\n'));
+            controller.close();
+          }
+        }), { status: 200, headers: { 'Content-Type': 'text/event-stream' } });
+      }
+    });
+
+    const messages = await proxyRequest(connect({ name: 'local-ai-request' }), {
+      url: 'http://localhost:8080/v1/chat/completions',
+      method: 'POST',
+      headers: { Authorization: 'Bearer secret' },
+      body: '{"stream":true}'
+    });
+
+    assert.equal(requests.length, 1);
+    assert.equal(requests[0].url, 'http://localhost:8080/v1/chat/completions');
+    assert.equal(requests[0].method, 'POST');
+    assert.equal(requests[0].headers.Authorization, 'Bearer secret');
+    assert.equal(requests[0].body, '{"stream":true}');
+
+    assert.equal(messages[0].type, 'response');
+    assert.equal(messages[0].status, 200);
+    assert.equal(messages[0].headers['content-type'], 'text/event-stream');
+    const text = messages.filter(message => message.type === 'chunk').map(message => message.value).join('');
+    assert.equal(text, 'data: one\ndata: two\n');
+    assert.equal(messages[messages.length - 1].type, 'done');
+  });
+
+  test('refuses servers that are not on localhost', async () => {
+    let fetched = false;
+    const { connect } = loadBackground({ fetch: async () => { fetched = true; } });
+
+    for (const url of ['https://example.com/v1/models', 'http://localhost.example.com/v1/models', 'file:///etc/passwd']) {
+      const messages = await proxyRequest(connect({ name: 'local-ai-request' }), { url });
+      assert.equal(messages.length, 1);
+      assert.equal(messages[0].type, 'error');
+      assert.match(messages[0].message, /localhost/);
+    }
+    assert.equal(fetched, false);
+  });
+
+  test('ignores ports of other extensions', async () => {
+    let fetched = false;
+    const { connect } = loadBackground({ fetch: async () => { fetched = true; } });
+
+    const port = connect({ name: 'local-ai-request' }, { id: 'other-extension' });
+    port.postMessage({ url: 'http://localhost:8080/v1/models' });
+    await new Promise(resolve => setTimeout(resolve, 10));
+    assert.equal(fetched, false);
+  });
+
+  test('aborts the request when the port disconnects', async () => {
+    let signal = null;
+    const { connect } = loadBackground({
+      fetch: (url, init) => {
+        signal = init.signal;
+        return new Promise(() => {});
+      }
+    });
+
+    const port = connect({ name: 'local-ai-request' });
+    port.postMessage({ url: 'http://127.0.0.1:11434/v1/models' });
+    await new Promise(resolve => setTimeout(resolve, 10));
+    assert.equal(signal.aborted, false);
+    port.disconnect();
+    await new Promise(resolve => setTimeout(resolve, 10));
+    assert.equal(signal.aborted, true);
+  });
+});
@@ -0,0 +1,571 @@
+/**
+ * Scripted fakes of Chrome's built-in AI APIs (LanguageModel, Summarizer, Translator, LanguageDetector)
+ * They follow the shape of the real APIs: availability() and create() on the global, a monitor
+ * that receives downloadprogress events while a model is downloading, sessions with prompt,
+ * promptStreaming (a ReadableStream of deltas), append, clone, measureInputUsage, inputUsage/inputQuota,
+ * quotaoverflow events and destroy. Responses come from a script, so every test run is the same.
+ */
+
+/**
+ * Event fired on a create() monitor while the model downloads
+ */
+class DownloadProgressEvent extends Event {
+  constructor(loaded) {
+    super('downloadprogress');
+    this.loaded = loaded;
+    this.total = 1;
+  }
+}
+
+/**
+ * Queue of scripted responses
+ * Entries are strings, Errors (thrown) or functions of (input, context) returning either.
+ * Once the queue is empty the fallback answers.
+ */
+class ScriptedResponses {
+  /**
+   * @param {Array|Function} [responses=[]] - Scripted responses, or a function answering every input
+   * @param {Function} fallback - Answers inputs once the queue is empty
+   */
+  constructor(responses = [], fallback) {
+    this.queue = typeof responses === 'function' ? [] : [...responses];
+    this.fallback = typeof responses === 'function' ? responses : fallback;
+  }
+
+  /**
+   * Add responses to the end of the queue
+   * @param {...*} responses - Responses
+   */
+  push(...responses) {
+    this.queue.push(...responses);
+  }
+
+  /**
+   * Take the next response for an input
+   * @param {*} input - Prompt input
+   * @param {Object} context - Call context passed to response functions
+   * @returns {Promise<string>} Response text
+   */
+  async next(input, context) {
+    let response = this.queue.length > 0 ? this.queue.shift() : this.fallback;
+    if (typeof response === 'function') {
+      response = await response(input, context);
+    }
+    if (response instanceof Error) {
+      throw response;
+    }
+    return String(response);
+  }
+}
+
+/**
+ * Dispatch scripted download progress on a create() monitor
+ * @param {Function|undefined} monitor - monitor option of create()
+ * @param {number[]} steps - Loaded fractions to report
+ * @returns {Promise<{listeners: number, progress: number[]}>} Listeners the monitor added and the reported progress
+ */
+async function reportDownloadProgress(monitor, steps) {
+  const download = { listeners: 0, progress: [] };
+  if (typeof monitor !== 'function') {
+    return download;
+  }
+
+  const target = new EventTarget();
+  const addEventListener = target.addEventListener.bind(target);
+  target.addEventListener = (type, ...rest) => {
+    if (type === 'downloadprogress') download.listeners++;
+    addEventListener(type, ...rest);
+  };
+  monitor(target);
+
+  for (const loaded of steps) {
+    await Promise.resolve();
+    target.dispatchEvent(new DownloadProgressEvent(loaded));
+    download.progress.push(loaded);
+  }
+  return download;
+}
+
+/**
+ * Estimate the input usage of a prompt input, roughly one unit per 4 characters
+ * @param {string|Array} input - Text, content parts or messages
+ * @param {number} imageUsage - Units per image
+ * @returns {number} Input usage
+ */
+function estimateUsage(input, imageUsage) {
+  if (input === null || input === undefined) {
+    return 0;
+  }
+  if (typeof input === 'string') {
+    return Math.ceil(input.length / 4);
+  }
+  if (Array.isArray(input)) {
+    return input.reduce((total, part) => total + estimateUsage(part, imageUsage), 0);
+  }
+  if (input.type === 'image' || input.type === 'audio') {
+    return imageUsage;
+  }
+  if ('content' in input) {
+    return estimateUsage(input.content, imageUsage);
+  }
+  return estimateUsage(input.value, imageUsage);
+}
+
+/**
+ * Split a response into streamed deltas of a few words each
+ * @param {string} text - Response text
+ * @param {number} wordsPerChunk - Words per delta
+ * @returns {string[]} Deltas that join back into the text
+ */
+function splitIntoDeltas(text, wordsPerChunk) {
+  const tokens = text.match(/\S+\s*|\s+/g) || [];
+  const deltas = [];
+  for (let i = 0; i < tokens.length; i += wordsPerChunk) {
+    deltas.push(tokens.slice(i, i + wordsPerChunk).join(''));
+  }
+  return deltas;
+}
+
+/**
+ * Fake of the LanguageModel global
+ */
+class FakeLanguageModel {
+  /**
+   * @param {Object} [options] - Fake options
+   * @param {string} [options.availability='available'] - Availability of text input
+   * @param {boolean} [options.imageInput=true] - Whether image input is available
+   * @param {boolean} [options.audioInput=false] - Whether audio input is available
+   * @param {Array|Function} [options.responses] - Scripted prompt responses (see ScriptedResponses)
+   * @param {number} [options.inputQuota=6144] - Context size of each session
+   * @param {number} [options.imageUsage=256] - Input units per image
+   * @param {number[]} [options.downloadProgress=[0, 0.5, 1]] - Progress reported while downloading
+   * @param {number} [options.wordsPerChunk=2] - Words per streamed delta
+   */
+  constructor(options = {}) {
+    this.availabilityResult = options.availability || 'available';
+    this.imageInput = options.imageInput !== false;
+    this.audioInput = !!options.audioInput;
+    this.responses = new ScriptedResponses(options.responses, () => 'OK');
+    this.inputQuota = options.inputQuota || 6144;
+    this.imageUsage = options.imageUsage || 256;
+    this.downloadProgress = options.downloadProgress || [0, 0.5, 1];
+    this.wordsPerChunk = options.wordsPerChunk || 2;
+
+    this.createCalls = []; // Options of every create() call
+    this.downloads = []; // Progress reported to create() monitors (see reportDownloadProgress)
+    this.prompts = []; // Every prompt: {input, options, streaming, session}
+    this.sessions = []; // Every session, including clones
+  }
+
+  /**
+   * Check availability (LanguageModel.availability)
+   * @param {Object} [options] - Availability options (expectedInputs)
+   * @returns {Promise<string>} Availability
+   */
+  async availability(options = {}) {
+    const inputs = options.expectedInputs || [];
+    if (inputs.some(input => input.type === 'image') && !this.imageInput) {
+      return 'unavailable';
+    }
+    if (inputs.some(input => input.type === 'audio') && !this.audioInput) {
+      return 'unavailable';
+    }
+    return this.availabilityResult;
+  }
+
+  /**
+   * Create a session (LanguageModel.create)
+   * @param {Object} [options] - Session options
+   * @returns {Promise<FakeLanguageModelSession>} Session
+   */
+  async create(options = {}) {
+    this.createCalls.push(options);
+    const availability = await this.availability(options);
+    if (availability === 'unavailable') {
+      throw new DOMException('The model is not available.', 'NotSupportedError');
+    }
+    if (availability !== 'available') {
+      this.downloads.push(await reportDownloadProgress(options.monitor, this.downloadProgress));
+      this.availabilityResult = 'available';
+    }
+
+    const messages = [];
+    const systemPrompt = options.systemPrompt ||
+      (options.initialPrompts || []).filter(message => message.role === 'system').map(message => message.content).join('\n');
+    if (systemPrompt) {
+      messages.push({ role: 'system', content: systemPrompt });
+    }
+    return this.createSession(messages, options);
+  }
+
+  /**
+   * Create and track a session
+   * @param {Array} messages - Initial messages
+   * @param {Object} options - Session options
+   * @returns {FakeLanguageModelSession} Session
+   */
+  createSession(messages, options) {
+    const session = new FakeLanguageModelSession(this, messages, options);
+    this.sessions.push(session);
+    return session;
+  }
+
+  /**
+   * Sessions that were not destroyed
+   * @returns {FakeLanguageModelSession[]} Live sessions
+   */
+  liveSessions() {
+    return this.sessions.filter(session => !session.destroyed);
+  }
+}
+
+/**
+ * Fake LanguageModel session
+ */
+class FakeLanguageModelSession extends EventTarget {
+  /**
+   * @param {FakeLanguageModel} model - Model the session belongs to
+   * @param {Array} messages - Messages the session starts with
+   * @param {Object} options - Session options
+   */
+  constructor(model, messages, options) {
+    super();
+    this.model = model;
+    this.options = options;
+    this.messages = messages;
+    this.inputQuota = model.inputQuota;
+    this.destroyed = false;
+  }
+
+  get inputUsage() {
+    return estimateUsage(this.messages, this.model.imageUsage);
+  }
+
+  /**
+   * Prompt the session
+   * @param {string|Array} input - Prompt input
+   * @param {Object} [options] - Prompt options (responseConstraint, signal)
+   * @returns {Promise<string>} Response
+   */
+  async prompt(input, options = {}) {
+    const response = await this.respond(input, options, false);
+    this.addMessages([...this.toMessages(input), { role: 'assistant', content: response }]);
+    return response;
+  }
+
+  /**
+   * Prompt the session and stream the response
+   * @param {string|Array} input - Prompt input
+   * @param {Object} [options] - Prompt options
+   * @returns {ReadableStream<string>} Stream of response deltas
+   */
+  promptStreaming(input, options = {}) {
+    let deltas = null;
+    let response = '';
+    return new ReadableStream({
+      pull: async (controller) => {
+        if (!deltas) {
+          response = await this.respond(input, options, true);
+          deltas = splitIntoDeltas(response, this.model.wordsPerChunk);
+        }
+        if (deltas.length > 0) {
+          controller.enqueue(deltas.shift());
+          return;
+        }
+        this.addMessages([...this.toMessages(input), { role: 'assistant', content: response }]);
+        controller.close();
+      }
+    });
+  }
+
+  /**
+   * Add input to the session without prompting
+   * @param {string|Array} input - Prompt input
+   * @returns {Promise<void>}
+   */
+  async append(input) {
+    this.assertAlive();
+    this.assertFits(input);
+    this.addMessages(this.toMessages(input));
+  }
+
+  /**
+   * Copy the session with its messages
+   * @returns {Promise<FakeLanguageModelSession>} Clone
+   */
+  async clone() {
+    this.assertAlive();
+    return this.model.createSession(this.messages.map(message => ({ ...message })), this.options);
+  }
+
+  /**
+   * Measure the input usage of a prompt input
+   * @param {string|Array} input - Prompt input
+   * @returns {Promise<number>} Input usage
+   */
+  async measureInputUsage(input) {
+    this.assertAlive();
+    return estimateUsage(input, this.model.imageUsage);
+  }
+
+  /**
+   * Destroy the session, later calls fail
+   */
+  destroy() {
+    this.destroyed = true;
+  }
+
+  /**
+   * Record a prompt and take its scripted response
+   * @param {string|Array} input - Prompt input
+   * @param {Object} options - Prompt options
+   * @param {boolean} streaming - True for promptStreaming
+   * @returns {Promise<string>} Response
+   */
+  async respond(input, options, streaming) {
+    this.assertAlive();
+    this.assertFits(input);
+    this.model.prompts.push({ input, options, streaming, session: this });
+    return this.model.responses.next(input, { options, streaming, session: this });
+  }
+
+  /**
+   * Throw like Chrome when an input can never fit in the session
+   * @param {string|Array} input - Prompt input
+   */
+  assertFits(input) {
+    const systemUsage = estimateUsage(this.messages.filter(message => message.role === 'system'), this.model.imageUsage);
+    if (systemUsage + estimateUsage(input, this.model.imageUsage) > this.inputQuota) {
+      throw new DOMException('The input is too large.', 'QuotaExceededError');
+    }
+  }
+
+  /**
+   * Throw like Chrome when the session was destroyed
+   */
+  assertAlive() {
+    if (this.destroyed) {
+      throw new DOMException('The session has been destroyed.', 'InvalidStateError');
+    }
+  }
+
+  /**
+   * Add messages, dropping the oldest non-system messages when the context overflows
+   * @param {Array} messages - Messages to add
+   */
+  addMessages(messages) {
+    this.messages.push(...messages);
+    let overflowed = false;
+    while (this.inputUsage > this.inputQuota) {
+      const index = this.messages.findIndex(message => message.role !== 'system');
+      if (index === -1) break;
+      this.messages.splice(index, 1);
+      overflowed = true;
+    }
+    if (overflowed) {
+      this.dispatchEvent(new Event('quotaoverflow'));
+    }
+  }
+
+  /**
+   * Turn a prompt input into messages
+   * @param {string|Array} input - Text, messages or content parts
+   * @returns {Array<{role: string, content: *}>} Messages
+   */
+  toMessages(input) {
+    if (typeof input === 'string') {
+      return [{ role: 'user', content: input }];
+    }
+    if (Array.isArray(input) && input.every(part => part && 'role' in part)) {
+      return input;
+    }
+    return [{ role: 'user', content: input }];
+  }
+}
+
+/**
+ * Fake of the Summarizer global
+ */
+class FakeSummarizer {
+  /**
+   * @param {Object} [options] - Fake options
+   * @param {string} [options.availability='available'] - Availability
+   * @param {Array|Function} [options.responses] - Scripted summaries, defaults to the first sentence of the text
+   * @param {number[]} [options.downloadProgress=[0, 0.5, 1]] - Progress reported while downloading
+   */
+  constructor(options = {}) {
+    this.availabilityResult = options.availability || 'available';
+    this.responses = new ScriptedResponses(options.responses, (text) => {
+      const firstSentence = String(text).split(/(?<=[.!?])\s/)[0].trim();
+      return firstSentence ? `Summary: ${firstSentence}` : '';
+    });
+    this.downloadProgress = options.downloadProgress || [0, 0.5, 1];
+    this.createCalls = [];
+    this.downloads = [];
+    this.calls = []; // Every summarize call: {text, options}
+  }
+
+  async availability() {
+    return this.availabilityResult;
+  }
+
+  async create(options = {}) {
+    this.createCalls.push(options);
+    if (this.availabilityResult === 'unavailable') {
+      throw new DOMException('The summarizer is not available.', 'NotSupportedError');
+    }
+    if (this.availabilityResult !== 'available') {
+      this.downloads.push(await reportDownloadProgress(options.monitor, this.downloadProgress));
+      this.availabilityResult = 'available';
+    }
+
+    const fake = this;
+    let destroyed = false;
+    return {
+      ...options,
+      async summarize(text, summarizeOptions = {}) {
+        if (destroyed) {
+          throw new DOMException('The summarizer has been destroyed.', 'InvalidStateError');
+        }
+        fake.calls.push({ text, options: summarizeOptions });
+        return fake.responses.next(text, { options: summarizeOptions });
+      },
+      summarizeStreaming(text, summarizeOptions = {}) {
+        const summary = this.summarize(text, summarizeOptions);
+        return new ReadableStream({
+          async start(controller) {
+            splitIntoDeltas(await summary, 2).forEach(delta => controller.enqueue(delta));
+            controller.close();
+          }
+        });
+      },
+      destroy() {
+        destroyed = true;
+      }
+    };
+  }
+}
+
+/**
+ * Fake of the Translator global
+ */
+class FakeTranslator {
+  /**
+   * @param {Object} [options] - Fake options
+   * @param {string} [options.availability='available'] - Availability of every language pair
+   * @param {Object} [options.languagePairs] - Availability per pair, e.g. {'de-en': 'downloadable'}
+   * @param {Function} [options.translate] - Translates (text, {sourceLanguage, targetLanguage}),
+   *   defaults to tagging the text with the language pair
+   * @param {number[]} [options.downloadProgress=[0, 0.5, 1]] - Progress reported while downloading
+   */
+  constructor(options = {}) {
+    this.availabilityResult = options.availability || 'available';
+    this.languagePairs = { ...options.languagePairs };
+    this.translateText = options.translate ||
+      ((text, { sourceLanguage, targetLanguage }) => `[${sourceLanguage}->${targetLanguage}] ${text}`);
+    this.downloadProgress = options.downloadProgress || [0, 0.5, 1];
+    this.createCalls = [];
+    this.downloads = [];
+    this.calls = []; // Every translate call: {text, sourceLanguage, targetLanguage}
+  }
+
+  async availability(options = {}) {
+    const pair = `${options.sourceLanguage}-${options.targetLanguage}`;
+    return this.languagePairs[pair] || this.availabilityResult;
+  }
+
+  async create(options = {}) {
+    this.createCalls.push(options);
+    const pair = `${options.sourceLanguage}-${options.targetLanguage}`;
+    const availability = await this.availability(options);
+    if (availability === 'unavailable') {
+      throw new DOMException(`Translation ${pair} is not available.`, 'NotSupportedError');
+    }
+    if (availability !== 'available') {
+      this.downloads.push(await reportDownloadProgress(options.monitor, this.downloadProgress));
+      this.languagePairs[pair] = 'available';
+    }
+
+    const fake = this;
+    const { sourceLanguage, targetLanguage } = options;
+    return {
+      sourceLanguage,
+      targetLanguage,
+      async translate(text) {
+        fake.calls.push({ text, sourceLanguage, targetLanguage });
+        return fake.translateText(text, { sourceLanguage, targetLanguage });
+      },
+      destroy() {}
+    };
+  }
+}
+
+/**
+ * Fake of the LanguageDetector API
+ */
+class FakeLanguageDetector {
+  /**
+   * @param {Object} [options] - Fake options
+   * @param {string} [options.availability='available'] - Availability
+   * @param {Function} [options.detect] - Detects (text) as [{detectedLanguage, confidence}], defaults to certain English
+   */
+  constructor(options = {}) {
+    this.availabilityResult = options.availability || 'available';
+    this.detectText = options.detect || (() => [{ detectedLanguage: 'en', confidence: 0.95 }]);
+    this.createCalls = [];
+    this.calls = []; // Every detected text
+  }
+
+  async availability() {
+    return this.availabilityResult;
+  }
+
+  async create(options = {}) {
+    this.createCalls.push(options);
+    if (this.availabilityResult === 'unavailable') {
+      throw new DOMException('The language detector is not available.', 'NotSupportedError');
+    }
+
+    const fake = this;
+    return {
+      async detect(text) {
+        fake.calls.push(text);
+        return fake.detectText(text);
+      },
+      destroy() {}
+    };
+  }
+}
+
+/**
+ * Install the fakes as the LanguageModel, Summarizer, Translator and LanguageDetector globals of a window
+ * Pass false for an API to leave it out, like a browser without it
+ * @param {Window} window - Window to install the fakes in
+ * @param {Object} [options] - Options per API: {languageModel, summarizer, translator, languageDetector}
+ * @returns {{languageModel: FakeLanguageModel|null, summarizer: FakeSummarizer|null, translator: FakeTranslator|null,
+ *   languageDetector: FakeLanguageDetector|null}} Installed fakes
+ */
+function installFakeAI(window, options = {}) {
+  const fakes = {
+    languageModel: options.languageModel === false ? null : new FakeLanguageModel(options.languageModel),
+    summarizer: options.summarizer === false ? null : new FakeSummarizer(options.summarizer),
+    translator: options.translator === false ? null : new FakeTranslator(options.translator),
+    languageDetector: options.languageDetector === false ? null : new FakeLanguageDetector(options.languageDetector)
+  };
+  if (fakes.languageModel) window.LanguageModel = fakes.languageModel;
+  if (fakes.summarizer) window.Summarizer = fakes.summarizer;
+  if (fakes.translator) window.Translator = fakes.translator;
+  if (fakes.languageDetector) window.LanguageDetector = fakes.languageDetector;
+  return fakes;
+}
+
+module.exports = {
+  DownloadProgressEvent,
+  FakeLanguageModel,
+  FakeLanguageModelSession,
+  FakeSummarizer,
+  FakeTranslator,
+  FakeLanguageDetector,
+  ScriptedResponses,
+  installFakeAI
+};
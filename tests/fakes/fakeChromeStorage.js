@@ -0,0 +1,69 @@
+/**
+ * Fake of the extension storage area chrome.storage.local
+ * Values are copied in and out like the real API, which stores them as JSON.
+ */
+
+/**
+ * In-memory chrome.storage.local
+ */
+class FakeStorageArea {
+  /**
+   * @param {Object} [items] - Items stored before the test
+   */
+  constructor(items = {}) {
+    this.items = JSON.parse(JSON.stringify(items));
+  }
+
+  /**
+   * Get items by key
+   * @param {string|string[]|null} [keys] - Keys, null for every item
+   * @returns {Promise<Object>} Stored items that exist
+   */
+  async get(keys = null) {
+    const wanted = keys === null ? Object.keys(this.items) : [].concat(keys);
+    const result = {};
+    for (const key of wanted) {
+      if (key in this.items) {
+        result[key] = JSON.parse(JSON.stringify(this.items[key]));
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Store items
+   * @param {Object} items - Items by key
+   * @returns {Promise<void>}
+   */
+  async set(items) {
+    Object.assign(this.items, JSON.parse(JSON.stringify(items)));
+  }
+
+  /**
+   * Remove items
+   * @param {string|string[]} keys - Keys
+   * @returns {Promise<void>}
+   */
+  async remove(keys) {
+    for (const key of [].concat(keys)) {
+      delete this.items[key];
+    }
+  }
+}
+
+/**
+ * Install chrome.storage.local in a window, keeping other fake chrome APIs already installed
+ * @param {Window} window - Window of the content scripts
+ * @param {Object} [items] - Items stored before the test
+ * @returns {FakeStorageArea} Installed storage area
+ */
+function installFakeChromeStorage(window, items = {}) {
+  const local = new FakeStorageArea(items);
+  window.chrome = { ...window.chrome, storage: { local } };
+  return local;
+}
+
+module.exports = {
+  FakeStorageArea,
+  installFakeChromeStorage
+};
@@ -0,0 +1,253 @@
+/**
+ * Fake YouTube watch page for the content scripts
+ * Builds the player DOM (#movie_player with its video, control bar and CC button), the player API
+ * (getPlayerResponse, getOption/setOption, loadModule/unloadModule), ytInitialPlayerResponse,
+ * and a timedtext server: enabling captions records a signed /api/timedtext request in resource
+ * timing, and fetch() serves the recorded caption fixtures for it in json3 or srv3, and the watch
+ * pages of other videos (for playlists).
+ */
+
+const WATCH_URL = 'https://www.youtube.com/watch?v=';
+
+/**
+ * Page HTML of a watch page with the player
+ * @returns {string} HTML
+ */
+function watchPageHtml() {
+  return `<!DOCTYPE html>
+<html>
+<head><meta itemprop="channelId" content="UCfakeChannel0000000000"></head>
+<body>
+  <div id="player-container">
+    <div id="movie_player" class="html5-video-player">
+      <div class="html5-video-container"><video class="html5-main-video"></video></div>
+      <div class="ytp-chrome-bottom">
+        <div class="ytp-chrome-controls">
+          <div class="ytp-left-controls"></div>
+          <div class="ytp-right-controls">
+            <button class="ytp-subtitles-button ytp-button" aria-label="Subtitles/closed captions (c)" aria-pressed="false"></button>
+          </div>
+        </div>
+      </div>
+    </div>
+  </div>
+</body>
+</html>`;
+}
+
+/**
+ * Player response caption track entry
+ * @param {Object} track - Track description
+ * @param {string} track.languageCode - Language code
+ * @param {boolean} [track.asr=false] - Auto-generated track
+ * @param {string} [track.name] - Display name
+ * @param {string} videoId - Video ID
+ * @returns {Object} Caption track as in playerCaptionsTracklistRenderer
+ */
+function captionTrackEntry(track, videoId) {
+  const kind = track.asr ? '&kind=asr' : '';
+  return {
+    baseUrl: `https://www.youtube.com/api/timedtext?v=${videoId}&caps=asr&xoaf=5&hl=en&ip=0.0.0.0&ipbits=0&expire=1700000000&sparams=ip,ipbits,expire,v,caps,xoaf&signature=UNSIGNED&key=yt8&lang=${track.languageCode}${kind}`,
+    name: { simpleText: track.name || track.languageCode + (track.asr ? ' (auto-generated)' : '') },
+    vssId: `${track.asr ? 'a' : ''}.${track.languageCode}`,
+    languageCode: track.languageCode,
+    ...(track.asr ? { kind: 'asr' } : {}),
+    isTranslatable: true,
+    trackName: ''
+  };
+}
+
+/**
+ * Server-rendered HTML of another video's watch page, with its player response in a script
+ * @param {string} videoId - Video ID
+ * @param {{tracks: Array, title?: string}} video - Video options (see installYouTubePlayer options.videos)
+ * @returns {string} HTML
+ */
+function otherWatchPageHtml(videoId, video) {
+  const tracks = video.tracks || [];
+  const playerResponse = {
+    videoDetails: { videoId, title: video.title || videoId, channelId: 'UCfakeChannel0000000000', isLive: false },
+    captions: tracks.length > 0
+      ? { playerCaptionsTracklistRenderer: { captionTracks: tracks.map(track => captionTrackEntry(track, videoId)) } }
+      : undefined
+  };
+  return `<!DOCTYPE html><html><body><script>var ytInitialPlayerResponse = ${JSON.stringify(playerResponse)};</script></body></html>`;
+}
+
+/**
+ * Turn the video element into a controllable fake (jsdom has no media playback)
+ * @param {HTMLVideoElement} video - Video element
+ * @param {Object} state - Playback state: {currentTime, duration, paused, readyState}
+ */
+function fakeVideoElement(video, state) {
+  Object.defineProperties(video, {
+    currentTime: {
+      get: () => state.currentTime,
+      set: (time) => { state.currentTime = time; }
+    },
+    duration: { get: () => state.duration },
+    paused: { get: () => state.paused },
+    readyState: { get: () => state.readyState },
+    videoWidth: { get: () => 1280 },
+    videoHeight: { get: () => 720 }
+  });
+  video.play = async () => {
+    state.paused = false;
+    video.dispatchEvent(new video.ownerDocument.defaultView.Event('play'));
+  };
+  video.pause = () => {
+    state.paused = true;
+    video.dispatchEvent(new video.ownerDocument.defaultView.Event('pause'));
+  };
+}
+
+/**
+ * Install a fake YouTube watch page in a window
+ * Use watchPageHtml() as the page HTML and `${WATCH_URL}${videoId}` as its URL.
+ * @param {Window} window - Window with the watch page HTML
+ * @param {Object} [options] - Page options
+ * @param {string} [options.videoId='tubeqaTest1'] - Video ID
+ * @param {string} [options.title='How Plants Make Food'] - Video title
+ * @param {string} [options.description=''] - Video description
+ * @param {Array<{languageCode: string, asr?: boolean, name?: string, json3?: string, srv3?: string}>} [options.tracks] -
+ *   Caption tracks with their recorded caption files
+ * @param {number} [options.duration=90] - Video duration in seconds
+ * @param {number} [options.currentTime=0] - Start position in seconds
+ * @param {boolean} [options.isLive=false] - Live stream
+ * @param {boolean} [options.requirePlayerToken=false] - Serve captions only to requests with the player's token (pot),
+ *   like YouTube does for the baseUrl of the player response
+ * @param {Object<string, {tracks: Array, title?: string}>} [options.videos] - Other videos whose watch pages are served
+ * @returns {Object} Page controller: video, player, requests, seek(), play(), pause(), navigate()
+ */
+function installYouTubePlayer(window, options = {}) {
+  let videoId = options.videoId || 'tubeqaTest1';
+  const tracksByVideo = new Map([[videoId, options.tracks || []]]); // Caption tracks of every video opened in the page
+  const otherVideos = options.videos || {};
+  for (const [otherVideoId, otherVideo] of Object.entries(otherVideos)) {
+    tracksByVideo.set(otherVideoId, otherVideo.tracks || []);
+  }
+  const tracks = tracksByVideo.get(videoId);
+  const state = {
+    currentTime: options.currentTime || 0,
+    duration: options.duration || 90,
+    paused: true,
+    readyState: 0 // No decoded frames, frame capture is skipped
+  };
+
+  const playerResponse = {
+    videoDetails: {
+      videoId,
+      title: options.title || 'How Plants Make Food',
+      lengthSeconds: String(state.duration),
+      channelId: 'UCfakeChannel0000000000',
+      author: 'Test Channel',
+      shortDescription: options.description || '',
+      isLive: !!options.isLive
+    },
+    captions: tracks.length > 0
+      ? { playerCaptionsTracklistRenderer: { captionTracks: tracks.map(track => captionTrackEntry(track, videoId)) } }
+      : undefined
+  };
+  window.ytInitialPlayerResponse = playerResponse;
+
+  // Resource timing entries of the requests the page made
+  const resourceEntries = [];
+  const requests = []; // Every fetched URL
+  window.performance.getEntriesByType = (type) => (type === 'resource' ? resourceEntries.slice() : []);
+
+  // Player API
+  const player = window.document.querySelector('#movie_player');
+  let captionTrack = {};
+  player.getPlayerResponse = () => playerResponse;
+  player.getOption = (module, option) => (module === 'captions' && option === 'track' ? captionTrack : undefined);
+  player.setOption = (module, option, value) => {
+    if (module !== 'captions' || option !== 'track') return;
+    captionTrack = value || {};
+    if (captionTrack.languageCode) {
+      const kind = captionTrack.kind === 'asr' ? '&kind=asr' : '';
+      const token = options.requirePlayerToken ? `&pot=POT${resourceEntries.length}&c=WEB&cver=2.20240101` : '';
+      resourceEntries.push({
+        name: `https://www.youtube.com/api/timedtext?v=${videoId}&lang=${captionTrack.languageCode}${kind}&signature=SIGNED${resourceEntries.length}${token}&fmt=json3`,
+        entryType: 'resource',
+        startTime: resourceEntries.length + 1
+      });
+    }
+  };
+  player.loadModule = () => {};
+  player.unloadModule = () => {
+    captionTrack = {};
+  };
+
+  const video = player.querySelector('video');
+  fakeVideoElement(video, state);
+
+  // Timedtext server for the signed caption requests, and watch pages of the other videos
+  window.fetch = async (input) => {
+    const url = new URL(String(input));
+    requests.push(url.toString());
+    const otherVideo = otherVideos[url.searchParams.get('v')];
+    if (url.pathname === '/watch' && otherVideo) {
+      return new Response(otherWatchPageHtml(url.searchParams.get('v'), otherVideo), { status: 200 });
+    }
+    if (!url.pathname.startsWith('/api/timedtext')) {
+      return new Response('', { status: 404 });
+    }
+    if (options.requirePlayerToken && !url.searchParams.has('pot')) {
+      return new Response('', { status: 200 });
+    }
+    const isAutoGenerated = url.searchParams.get('kind') === 'asr';
+    const track = (tracksByVideo.get(url.searchParams.get('v')) || []).find(candidate =>
+      candidate.languageCode === url.searchParams.get('lang') && !!candidate.asr === isAutoGenerated
+    );
+    // YouTube answers an empty body for formats it does not serve
+    const body = track ? track[url.searchParams.get('fmt')] || '' : '';
+    return new Response(body, { status: 200 });
+  };
+
+  return {
+    get videoId() {
+      return videoId;
+    },
+    player,
+    video,
+    playerResponse,
+    requests,
+    resourceEntries,
+    /**
+     * Move the playhead and fire timeupdate
+     * @param {number} time - Video time in seconds
+     */
+    seek(time) {
+      state.currentTime = time;
+      video.dispatchEvent(new window.Event('timeupdate'));
+    },
+    play: () => video.play(),
+    pause: () => video.pause(),
+    /**
+     * Navigate to another video like YouTube's SPA navigation: the URL and player response change,
+     * the page and its resource timing entries stay
+     * @param {string} nextVideoId - Video ID
+     * @param {Object} [nextOptions] - Video options
+     * @param {Array} [nextOptions.tracks] - Caption tracks of the video (see options.tracks)
+     * @param {string} [nextOptions.title] - Video title
+     */
+    navigate(nextVideoId, nextOptions = {}) {
+      videoId = nextVideoId;
+      const nextTracks = nextOptions.tracks || (otherVideos[nextVideoId] || {}).tracks || [];
+      tracksByVideo.set(videoId, nextTracks);
+      window.history.pushState({}, '', `/watch?v=${videoId}`);
+      playerResponse.videoDetails = { ...playerResponse.videoDetails, videoId, title: nextOptions.title || videoId };
+      playerResponse.captions = nextTracks.length > 0
+        ? { playerCaptionsTracklistRenderer: { captionTracks: nextTracks.map(track => captionTrackEntry(track, videoId)) } }
+        : undefined;
+      captionTrack = {};
+      state.currentTime = 0;
+    }
+  };
+}
+
+module.exports = {
+  WATCH_URL,
+  watchPageHtml,
+  installYouTubePlayer
+};
@@ -0,0 +1,123 @@
+/**
+ * Test loader for the extension's background service worker
+ * Runs background.js in its own context with a fake chrome API, and connects ports to it
+ * like content scripts do with chrome.runtime.connect.
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const ROOT = path.resolve(__dirname, '..', '..');
+const manifest = JSON.parse(fs.readFileSync(path.join(ROOT, 'manifest.json'), 'utf8'));
+
+/**
+ * Create a connected pair of fake runtime ports
+ * Messages are copied and delivered asynchronously, disconnecting one end notifies the other end only
+ * @param {string} name - Port name
+ * @param {Object} sender - Sender of the connecting end
+ * @returns {{client: Object, server: Object}} Connecting end and receiving end
+ */
+function createPortPair(name, sender) {
+  const createEnd = () => {
+    const listeners = { message: [], disconnect: [] };
+    return {
+      name,
+      sender,
+      listeners,
+      connected: true,
+      onMessage: { addListener: listener => listeners.message.push(listener) },
+      onDisconnect: { addListener: listener => listeners.disconnect.push(listener) }
+    };
+  };
+  const client = createEnd();
+  const server = createEnd();
+  for (const [end, other] of [[client, server], [server, client]]) {
+    end.postMessage = (message) => {
+      if (!end.connected) throw new Error('Attempting to use a disconnected port object');
+      const copy = JSON.parse(JSON.stringify(message));
+      setTimeout(() => {
+        if (other.connected) other.listeners.message.forEach(listener => listener(copy));
+      }, 0);
+    };
+    end.disconnect = () => {
+      if (!end.connected) return;
+      end.connected = false;
+      other.connected = false;
+      setTimeout(() => other.listeners.disconnect.forEach(listener => listener()), 0);
+    };
+  }
+  return { client, server };
+}
+
+/**
+ * Run background.js in a service worker-like context with a fake chrome API
+ * @param {Object} [options] - Fake options
+ * @param {boolean} [options.alreadyInjected=false] - Whether the tab already runs the content scripts
+ * @param {Function} [options.fetch] - fetch of the service worker, e.g. a fake local AI server
+ * @returns {{chrome: Object, calls: Array, clickAction: Function, connect: Function}} Loaded service worker
+ */
+function loadBackground(options = {}) {
+  const calls = [];
+  const listeners = { action: [], connect: [] };
+  const chrome = {
+    runtime: {
+      id: 'tubeqa',
+      getManifest: () => manifest,
+      onConnect: { addListener: listener => listeners.connect.push(listener) }
+    },
+    action: {
+      onClicked: { addListener: listener => listeners.action.push(listener) }
+    },
+    scripting: {
+      executeScript: async (injection) => {
+        calls.push({ method: 'executeScript', ...injection });
+        return [{ result: injection.func ? !!options.alreadyInjected : undefined }];
+      },
+      insertCSS: async (injection) => {
+        calls.push({ method: 'insertCSS', ...injection });
+      }
+    }
+  };
+
+  const context = vm.createContext({
+    chrome,
+    console: { log() {}, warn() {}, error() {} },
+    fetch: options.fetch || (async () => { throw new Error('No network'); }),
+    URL,
+    AbortController,
+    TextDecoderStream
+  });
+  new vm.Script(fs.readFileSync(path.join(ROOT, 'background.js'), 'utf8'), { filename: 'background.js' }).runInContext(context);
+
+  return {
+    chrome,
+    calls,
+    /**
+     * Click the toolbar button in a tab and wait for the injection to finish
+     * @param {number} tabId - Tab ID
+     * @returns {Promise<void>}
+     */
+    clickAction: async (tabId) => {
+      listeners.action.forEach(listener => listener({ id: tabId }));
+      await new Promise(resolve => setTimeout(resolve, 0));
+    },
+    /**
+     * Connect to the service worker like chrome.runtime.connect
+     * @param {{name: string}} connectInfo - Port name
+     * @param {Object} [sender] - Sender (defaults to a content script of this extension)
+     * @returns {Object} Port of the connecting end
+     */
+    connect: ({ name }, sender = { id: 'tubeqa' }) => {
+      const { client, server } = createPortPair(name, sender);
+      listeners.connect.forEach(listener => listener(server));
+      return client;
+    }
+  };
+}
+
+module.exports = {
+  manifest,
+  createPortPair,
+  loadBackground
+};
@@ -0,0 +1,126 @@
+/**
+ * Test loader for the extension's content scripts
+ * Runs the scripts listed in manifest.json in a jsdom window, in manifest order and in one
+ * global scope, the way Chrome runs content scripts: top-level classes and `let` bindings of
+ * one script are visible to the next.
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const ROOT = path.resolve(__dirname, '..', '..');
+const manifest = JSON.parse(fs.readFileSync(path.join(ROOT, 'manifest.json'), 'utf8'));
+const CONTENT_SCRIPTS = manifest.content_scripts[0].js;
+
+/**
+ * Create a window and run content scripts in it
+ * @param {Object} [options] - Window options
+ * @param {string} [options.url='https://example.com/'] - Page URL
+ * @param {string} [options.html] - Page HTML
+ * @param {Function} [options.beforeScripts] - Called with the window before the scripts run (install fakes here)
+ * @param {string[]} [options.scripts] - Scripts to run, defaults to every content script in the manifest
+ * @param {boolean} [options.log=false] - Forward the page console to the test output (also set by TUBEQA_TEST_LOG)
+ * @returns {{dom: JSDOM, window: Window, evaluate: Function, close: Function}} Loaded extension
+ */
+function loadExtension(options = {}) {
+  const virtualConsole = new VirtualConsole();
+  if (options.log || process.env.TUBEQA_TEST_LOG) {
+    virtualConsole.sendTo(console);
+  }
+
+  const dom = new JSDOM(options.html || '<!DOCTYPE html><html><head></head><body></body></html>', {
+    url: options.url || 'https://example.com/',
+    runScripts: 'outside-only',
+    pretendToBeVisual: true,
+    virtualConsole
+  });
+  const { window } = dom;
+  const context = dom.getInternalVMContext();
+
+  if (options.beforeScripts) {
+    options.beforeScripts(window);
+  }
+
+  for (const script of options.scripts || CONTENT_SCRIPTS) {
+    const filename = path.join(ROOT, script);
+    new vm.Script(fs.readFileSync(filename, 'utf8'), { filename }).runInContext(context);
+  }
+
+  return {
+    dom,
+    window,
+    /**
+     * Evaluate an expression in the page scope (reaches top-level `let` bindings like `assistant`)
+     * @param {string} code - Expression or statements
+     * @returns {*} Result
+     */
+    evaluate: (code) => vm.runInContext(code, context),
+    close: () => window.close()
+  };
+}
+
+/**
+ * Content scripts up to and including a script, in manifest order
+ * @param {string} lastScript - Last script to include, e.g. 'content/uiOverlay.js'
+ * @returns {string[]} Script paths
+ */
+function scriptsUntil(lastScript) {
+  const index = CONTENT_SCRIPTS.indexOf(lastScript);
+  if (index === -1) {
+    throw new Error(`Not a content script: ${lastScript}`);
+  }
+  return CONTENT_SCRIPTS.slice(0, index + 1);
+}
+
+/**
+ * Read a fixture file
+ * @param {string} name - File name in tests/fixtures
+ * @returns {string} File contents
+ */
+function readFixture(name) {
+  return fs.readFileSync(path.join(ROOT, 'tests', 'fixtures', name), 'utf8');
+}
+
+/**
+ * Copy a value from the page into the test realm
+ * Arrays and objects created by the scripts have the page's prototypes, which deepStrictEqual rejects
+ * @param {*} value - JSON-compatible value
+ * @returns {*} Copy with the test realm's prototypes
+ */
+function plain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Wait until a condition holds
+ * @param {Function} condition - Returns a truthy value when done
+ * @param {Object} [options] - Wait options
+ * @param {number} [options.timeout=5000] - Max wait in milliseconds
+ * @param {string} [options.message] - Error message on timeout
+ * @returns {Promise<*>} The truthy value returned by the condition
+ */
+async function waitFor(condition, options = {}) {
+  const timeout = options.timeout || 5000;
+  const startedAt = Date.now();
+  for (;;) {
+    const value = await condition();
+    if (value) {
+      return value;
+    }
+    if (Date.now() - startedAt >= timeout) {
+      throw new Error(options.message || `Condition not met within ${timeout}ms`);
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+module.exports = {
+  CONTENT_SCRIPTS,
+  loadExtension,
+  plain,
+  scriptsUntil,
+  readFixture,
+  waitFor
+};
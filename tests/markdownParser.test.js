@@ -0,0 +1,64 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadExtension } = require('./helpers/extension');
+
+describe('MarkdownParser', () => {
+  let extension = null;
+  let MarkdownParser = null;
+
+  before(() => {
+    extension = loadExtension({ scripts: ['utils/markdownParser.js', 'utils/transcriptExporter.js'] });
+    MarkdownParser = extension.window.MarkdownParser;
+  });
+
+  after(() => {
+    extension.close();
+  });
+
+  test('returns an empty string for empty input', () => {
+    assert.equal(MarkdownParser.parse(''), '');
+    assert.equal(MarkdownParser.parse(null), '');
+  });
+
+  test('parses bold text', () => {
+    assert.equal(MarkdownParser.parse('The **Calvin cycle** fixes __carbon__.'),
+      'The <strong>Calvin cycle</strong> fixes <strong>carbon</strong>.');
+  });
+
+  test('parses italic text', () => {
+    assert.equal(MarkdownParser.parse('It is *mostly* _green_ light that is reflected.'),
+      'It is <em>mostly</em> <em>green</em> light that is reflected.');
+  });
+
+  test('parses lists with either marker', () => {
+    const html = MarkdownParser.parse('Products:\n* oxygen\n- **ATP**\n\nDone.');
+    assert.equal(html, 'Products:\n<ul>\n<li>oxygen</li>\n<li><strong>ATP</strong></li>\n</ul>\n\nDone.');
+  });
+
+  test('closes a list at the end of the text', () => {
+    assert.equal(MarkdownParser.parse('- one\n- two'), '<ul>\n<li>one</li>\n<li>two</li>\n</ul>');
+  });
+
+  test('does not treat list markers as italic', () => {
+    const html = MarkdownParser.parse('* first *point*\n* second');
+    assert.equal(html, '<ul>\n<li>first <em>point</em></li>\n<li>second</li>\n</ul>');
+  });
+
+  test('renders streamed partial answers', () => {
+    // An answer cut off mid-stream leaves unmatched markers as they are
+    assert.equal(MarkdownParser.parse('Based on the **video'), 'Based on the **video');
+  });
+
+  test('renders timestamp citations as chips', () => {
+    assert.equal(MarkdownParser.parse('It happens in the **chloroplasts** [0:09].'),
+      'It happens in the <strong>chloroplasts</strong> ' +
+      '<button type="button" class="ytai-citation" data-time="9" title="Play from 0:09">0:09</button>.');
+
+    const html = MarkdownParser.parse('* Glucose is broken down [1:08, 1:02:03]');
+    assert.match(html, /data-time="68" title="Play from 1:08">1:08<\/button> <button [^>]*data-time="3723"/);
+  });
+
+  test('leaves brackets that are not timestamps as text', () => {
+    assert.equal(MarkdownParser.parse('[Music] at [0:75] and [1:0'), '[Music] at [0:75] and [1:0');
+  });
+});
@@ -0,0 +1,106 @@
+const { test, describe, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadExtension, plain, readFixture, scriptsUntil } = require('./helpers/extension');
+const { installFakeAI } = require('./fakes/fakeAI');
+const { WATCH_URL, watchPageHtml, installYouTubePlayer } = require('./fakes/fakeYouTubePlayer');
+
+const QUESTIONS = ['What is photosynthesis?', 'What do chloroplasts contain?', 'Where does the oxygen come from?'];
+const NEXT_VIDEO_ID = 'tubeqaTest2';
+
+/**
+ * Open the first video of a playlist whose watch pages and captions need the player's token
+ * @returns {{extension: Object, page: Object, ai: Object, parser: SubtitleParser, prefetcher: PlaylistPrefetcher, stored: Map}} Loaded page
+ */
+function loadPlaylistPage() {
+  let page = null;
+  let ai = null;
+  const extension = loadExtension({
+    url: `${WATCH_URL}tubeqaTest1&list=PLtubeqa`,
+    html: watchPageHtml(),
+    scripts: scriptsUntil('content/playlistPrefetcher.js'),
+    beforeScripts: (window) => {
+      ai = installFakeAI(window, { languageModel: { responses: () => JSON.stringify({ questions: QUESTIONS }) } });
+      const tracks = [{ languageCode: 'en', json3: readFixture('captions.en.json3.json') }];
+      page = installYouTubePlayer(window, {
+        tracks,
+        requirePlayerToken: true,
+        videos: { [NEXT_VIDEO_ID]: { tracks, title: 'The Calvin Cycle' } }
+      });
+      window.ytInitialData = {
+        currentVideoEndpoint: { watchEndpoint: { videoId: 'tubeqaTest1' } },
+        contents: { twoColumnWatchNextResults: { playlist: { playlist: { contents: [
+          { playlistPanelVideoRenderer: { videoId: 'tubeqaTest1', title: { simpleText: 'How Plants Make Food' } } },
+          { playlistPanelVideoRenderer: { videoId: NEXT_VIDEO_ID, title: { simpleText: 'The Calvin Cycle' } } }
+        ] } } } }
+      };
+    }
+  });
+
+  const stored = new Map();
+  const transcriptDatabase = {
+    get: async key => stored.get(key) || null,
+    put: async (key, value) => { stored.set(key, value); }
+  };
+  const { SubtitleParser, YouTubePageAdapter, PromptClient, SummarizerClient, TranslatorClient, PlaylistPrefetcher } = extension.window;
+  const parser = new SubtitleParser(transcriptDatabase, new YouTubePageAdapter());
+  const promptClient = new PromptClient();
+  const summarizerClient = new SummarizerClient();
+  const prefetcher = new PlaylistPrefetcher(parser, promptClient, summarizerClient, new TranslatorClient(), transcriptDatabase);
+  return { extension, page, ai, parser, prefetcher, stored };
+}
+
+describe('PlaylistPrefetcher', () => {
+  let extension = null;
+
+  afterEach(() => {
+    if (extension) {
+      extension.close();
+      extension = null;
+    }
+  });
+
+  const nextCaptionRequests = (page) => page.requests.filter(url =>
+    url.includes('/api/timedtext') && new URL(url).searchParams.get('v') === NEXT_VIDEO_ID
+  );
+
+  test('fetches the next video\'s captions with the player token and prepares its summary and questions', async () => {
+    const loaded = loadPlaylistPage();
+    extension = loaded.extension;
+    const { parser, prefetcher, page, stored } = loaded;
+    await parser.initialize();
+    await prefetcher.promptClient.initialize();
+    await prefetcher.summarizerClient.initialize();
+
+    // Captions of the current video are on, so the player has made a signed request
+    assert.ok((await parser.getTranscriptStore()).size > 0);
+    assert.equal(prefetcher.getNextVideo().videoId, NEXT_VIDEO_ID);
+
+    assert.equal(await prefetcher.prefetchNext({ start: -300, end: 300 }, { start: 0, end: 30 }), true);
+
+    const requests = nextCaptionRequests(page);
+    assert.ok(requests.length > 0);
+    for (const url of requests) {
+      const params = new URL(url).searchParams;
+      assert.equal(params.get('pot'), 'POT0');
+      assert.equal(params.get('signature'), 'UNSIGNED', 'The signature of the caption URL itself is kept');
+    }
+    assert.ok(stored.get(`${NEXT_VIDEO_ID}|en|`).events.length > 0);
+
+    const prefetched = await prefetcher.getPrefetched(NEXT_VIDEO_ID);
+    assert.match(prefetched.summary, /^Summary: /);
+    assert.deepEqual(plain(prefetched.questions), QUESTIONS.map(text => ({ text, startTime: 0, endTime: 30 })));
+  });
+
+  test('does not fetch unsigned caption URLs', async () => {
+    const loaded = loadPlaylistPage();
+    extension = loaded.extension;
+    const { parser, prefetcher, page } = loaded;
+    await parser.initialize();
+    await prefetcher.promptClient.initialize();
+
+    // Captions of the current video were never on, there is no token to copy
+    assert.equal(await prefetcher.prefetchNext({ start: -300, end: 300 }, { start: 0, end: 30 }), false);
+    assert.deepEqual(nextCaptionRequests(page), []);
+    assert.equal(await prefetcher.getPrefetched(NEXT_VIDEO_ID), null);
+  });
+});
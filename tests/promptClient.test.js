@@ -0,0 +1,306 @@
+const { test, describe, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadExtension, plain, scriptsUntil } = require('./helpers/extension');
+const { installFakeAI } = require('./fakes/fakeAI');
+
+/**
+ * Load PromptClient with fake AI globals
+ * @param {Object} [aiOptions] - Options for installFakeAI
+ * @returns {{extension: Object, ai: Object, client: PromptClient}} Loaded client
+ */
+function loadPromptClient(aiOptions = {}) {
+  let ai = null;
+  const extension = loadExtension({
+    scripts: scriptsUntil('ai/promptClient.js'),
+    beforeScripts: (window) => {
+      ai = installFakeAI(window, aiOptions);
+    }
+  });
+  const client = new extension.window.PromptClient();
+  return { extension, ai, client };
+}
+
+/**
+ * Collect a streamed answer
+ * @returns {{chunks: string[], onChunk: Function}} Chunk collector
+ */
+function chunkCollector() {
+  const chunks = [];
+  return { chunks, onChunk: chunk => chunks.push(chunk) };
+}
+
+describe('PromptClient.parseQuestions', () => {
+  let extension = null;
+  let client = null;
+
+  afterEach(() => {
+    extension.close();
+  });
+
+  const load = () => {
+    ({ extension, client } = loadPromptClient());
+  };
+
+  test('reads the questions of a JSON response', () => {
+    load();
+    const response = JSON.stringify({ questions: ['What is chlorophyll?', '"Why are leaves green?"'] });
+    assert.deepEqual(plain(client.parseQuestions(response)), ['What is chlorophyll?', 'Why are leaves green?']);
+  });
+
+  test('extracts questions from a numbered text response', () => {
+    load();
+    const response = [
+      'Here are some questions:',
+      '1. What does the Calvin cycle produce?',
+      '2. "Where does the oxygen come from?",',
+      '3. How is ATP used?',
+      '4. Why do plants need light?'
+    ].join('\n');
+    assert.deepEqual(plain(client.parseQuestions(response)), [
+      'What does the Calvin cycle produce?',
+      'Where does the oxygen come from?',
+      'How is ATP used?'
+    ]);
+  });
+
+  test('falls back to text when the JSON has no questions array', () => {
+    load();
+    assert.deepEqual(plain(client.parseQuestions('{"question": "What is G3P?"}')), ['{"question": "What is G3P?"}']);
+    assert.deepEqual(plain(client.parseQuestions('No questions here.')), []);
+  });
+});
+
+describe('PromptClient', () => {
+  let extension = null;
+
+  afterEach(() => {
+    if (extension) {
+      extension.close();
+      extension = null;
+    }
+  });
+
+  test('fails to initialize without the LanguageModel API', async () => {
+    const loaded = loadPromptClient({ languageModel: false });
+    extension = loaded.extension;
+    assert.equal(await loaded.client.initialize(), false);
+  });
+
+  test('reports download progress while the model downloads', async () => {
+    const loaded = loadPromptClient({ languageModel: { availability: 'downloadable' } });
+    extension = loaded.extension;
+
+    assert.equal(await loaded.client.initialize(), true);
+    assert.equal(loaded.ai.languageModel.downloads.length, 1);
+    assert.equal(loaded.ai.languageModel.downloads[0].listeners, 1);
+    assert.deepEqual(loaded.ai.languageModel.downloads[0].progress, [0, 0.5, 1]);
+  });
+
+  test('leaves out image input when the model only takes text', async () => {
+    const loaded = loadPromptClient({ languageModel: { imageInput: false } });
+    extension = loaded.extension;
+
+    await loaded.client.initialize();
+    assert.equal(loaded.client.imageInput, false);
+    const expectedInputs = loaded.ai.languageModel.createCalls[0].expectedInputs;
+    assert.ok(expectedInputs.every(input => input.type !== 'image'));
+  });
+
+  test('generates questions in a task session with a JSON schema', async () => {
+    const loaded = loadPromptClient({
+      languageModel: {
+        responses: [JSON.stringify({ questions: ['What is photosynthesis?', 'What do chloroplasts contain?'] })]
+      }
+    });
+    extension = loaded.extension;
+    const { languageModel } = loaded.ai;
+    await loaded.client.initialize();
+
+    const frames = [{ time: 12, blob: new extension.window.Blob(['jpeg'], { type: 'image/jpeg' }) }];
+    const questions = await loaded.client.generateQuestions('Plants turn sunlight into food.', 'A biology lesson.', frames);
+    assert.deepEqual(plain(questions), ['What is photosynthesis?', 'What do chloroplasts contain?']);
+
+    const [prompt] = languageModel.prompts;
+    assert.match(prompt.input, /Plants turn sunlight into food\./);
+    assert.match(prompt.input, /A biology lesson\./);
+    assert.ok(prompt.options.responseConstraint.properties.questions);
+    // The frame was appended before the prompt, with its timestamp
+    const appended = prompt.session.messages.find(message => Array.isArray(message.content));
+    assert.ok(appended.content.some(part => part.type === 'image'));
+    // The task session is gone, only the base session is left
+    assert.equal(prompt.session.destroyed, true);
+    assert.deepEqual(languageModel.liveSessions(), [loaded.client.session]);
+  });
+
+  test('returns no questions when the model fails', async () => {
+    const loaded = loadPromptClient({ languageModel: { responses: [new Error('model crashed')] } });
+    extension = loaded.extension;
+    await loaded.client.initialize();
+
+    assert.deepEqual(plain(await loaded.client.generateQuestions('Some transcript.')), []);
+  });
+
+  test('streams answers as deltas', async () => {
+    const answer = 'Based on the video, chlorophyll absorbs red and blue light.';
+    const loaded = loadPromptClient({ languageModel: { responses: [answer] } });
+    extension = loaded.extension;
+    await loaded.client.initialize();
+
+    const { chunks, onChunk } = chunkCollector();
+    await loaded.client.generateAnswer('What does chlorophyll absorb?', 'A biology lesson.', null, onChunk);
+    assert.ok(chunks.length > 1);
+    assert.equal(chunks.join(''), answer);
+    assert.equal(loaded.ai.languageModel.prompts[0].streaming, true);
+  });
+
+  test('adds retrieved transcript passages to the answer prompt with their times', async () => {
+    const loaded = loadPromptClient();
+    extension = loaded.extension;
+    await loaded.client.initialize();
+
+    const passages = [
+      { start: 68.2, end: 79.4, text: 'Respiration breaks glucose down in the mitochondria.' },
+      { start: 9.3, end: 14.1, text: 'The process is called photosynthesis.' }
+    ];
+    await loaded.client.generateAnswer('Where is glucose broken down?', 'A biology lesson.', null, null, passages);
+    const { input } = loaded.ai.languageModel.prompts[0];
+    assert.match(input, /\[0:09\] The process is called photosynthesis\.\n\[1:08\] Respiration breaks glucose down/);
+  });
+
+  test('drops cited timestamps outside the given passages', async () => {
+    const answer = 'Chloroplasts hold chlorophyll [0:14]. Water is split [0:24, 4:10], releasing oxygen [2:30].';
+    const loaded = loadPromptClient({ languageModel: { responses: [answer] } });
+    extension = loaded.extension;
+    await loaded.client.initialize();
+
+    const passages = [
+      { start: 14.1, end: 24.0, text: 'Chloroplasts contain a green pigment called chlorophyll, which absorbs red and blue light.' },
+      { start: 24.0, end: 34.9, text: 'In the light-dependent reactions, water molecules are split and oxygen is released.' }
+    ];
+    const { chunks, onChunk } = chunkCollector();
+    const result = await loaded.client.generateAnswer('Where does oxygen come from?', '', null, onChunk, passages);
+    assert.equal(chunks.join(''), answer);
+    assert.equal(result, 'Chloroplasts hold chlorophyll [0:14]. Water is split [0:24], releasing oxygen.');
+    assert.match(loaded.ai.languageModel.prompts[0].input, /cite its timestamp in square brackets/);
+
+    // Without passages nothing can be cited
+    assert.equal(loaded.client.filterCitations('Light [0:14] matters.', []), 'Light matters.');
+  });
+
+  test('returns no expansion terms when the model fails', async () => {
+    const loaded = loadPromptClient({ languageModel: { responses: ['not json'] } });
+    extension = loaded.extension;
+    await loaded.client.initialize();
+
+    assert.deepEqual(plain(await loaded.client.expandQuery('Why are leaves green?')), []);
+    assert.deepEqual(loaded.ai.languageModel.liveSessions(), [loaded.client.session]);
+  });
+
+  test('answers follow-up questions in the same conversation', async () => {
+    const loaded = loadPromptClient({ languageModel: { responses: ['Chlorophyll.', 'It is green.'] } });
+    extension = loaded.extension;
+    const { languageModel } = loaded.ai;
+    await loaded.client.initialize();
+
+    await loaded.client.generateAnswer('What absorbs light?', 'A biology lesson.', null, null);
+    const conversation = loaded.client.conversationSession;
+    const { chunks, onChunk } = chunkCollector();
+    await loaded.client.generateAnswerWithHistory(
+      'What color is it?',
+      [{ role: 'user', content: 'What absorbs light?' }, { role: 'assistant', content: 'Chlorophyll.' }],
+      'A biology lesson.',
+      null,
+      onChunk
+    );
+
+    assert.equal(chunks.join(''), 'It is green.');
+    assert.equal(languageModel.prompts[1].session, conversation);
+    // The session already holds the first question and answer, only the new question is sent
+    assert.match(languageModel.prompts[1].input, /Follow-up question: "What color is it\?"/);
+    assert.doesNotMatch(languageModel.prompts[1].input, /Previous conversation|Assistant: Chlorophyll/);
+  });
+
+  test('starts a new conversation with the history in the prompt when the follow-up does not fit', async () => {
+    const loaded = loadPromptClient({ languageModel: { inputQuota: 1000, responses: ['Chlorophyll.', 'It is green.'] } });
+    extension = loaded.extension;
+    const { languageModel } = loaded.ai;
+    await loaded.client.initialize();
+
+    await loaded.client.generateAnswer('What absorbs light?', `${'Light reactions. '.repeat(180)}`, null, null);
+    const conversation = loaded.client.conversationSession;
+    await loaded.client.generateAnswerWithHistory(
+      'What color is it?',
+      [{ role: 'user', content: 'What absorbs light?' }, { role: 'assistant', content: 'Chlorophyll.' }],
+      'A biology lesson.',
+      null,
+      null
+    );
+
+    assert.equal(conversation.destroyed, true);
+    assert.equal(languageModel.prompts[1].session, loaded.client.conversationSession);
+    assert.match(languageModel.prompts[1].input, /Previous conversation:\nUser: What absorbs light\?\n\nAssistant: Chlorophyll\./);
+  });
+
+  test('starts a new conversation for a new question', async () => {
+    const loaded = loadPromptClient();
+    extension = loaded.extension;
+    await loaded.client.initialize();
+
+    await loaded.client.generateAnswer('First?', '', null, null);
+    const first = loaded.client.conversationSession;
+    await loaded.client.generateAnswer('Second?', '', null, null);
+    assert.equal(first.destroyed, true);
+    assert.notEqual(loaded.client.conversationSession, first);
+  });
+
+  test('trims the start of a long context to fit the session', async () => {
+    const loaded = loadPromptClient({ languageModel: { inputQuota: 1200 } });
+    extension = loaded.extension;
+    await loaded.client.initialize();
+
+    const summary = `${'Old context. '.repeat(600)}The newest context.`;
+    await loaded.client.generateAnswer('What is new?', summary, null, null);
+    const { input } = loaded.ai.languageModel.prompts[0];
+    assert.ok(input.length < summary.length);
+    assert.match(input, /The newest context\./);
+  });
+
+  test('drops the least relevant transcript passages to fit the session', async () => {
+    const answer = 'Glucose is broken down in the mitochondria [1:08], not in leaves [0:40].';
+    const loaded = loadPromptClient({ languageModel: { inputQuota: 900, responses: [answer] } });
+    extension = loaded.extension;
+    await loaded.client.initialize();
+
+    const filler = ' More detail about this part of the video.'.repeat(12);
+    const passages = [
+      { start: 0, end: 10, text: `The video starts with plants.${filler}` },
+      { start: 10, end: 20, text: `Leaves catch the light.${filler}` },
+      { start: 40, end: 50, text: `The Calvin cycle builds sugar.${filler}`, score: 1.2 },
+      { start: 68, end: 79, text: `Respiration breaks glucose down in the mitochondria.${filler}`, score: 4.5 }
+    ];
+    const citable = [];
+    const onChunk = (chunk, fittedPassages) => citable.push(fittedPassages);
+    const result = await loaded.client.generateAnswer('Where is glucose broken down?', 'A biology lesson.', null, onChunk, passages);
+
+    const { input } = loaded.ai.languageModel.prompts[0];
+    assert.match(input, /\[1:08\] Respiration breaks glucose down/);
+    assert.match(input, /\[0:10\] Leaves catch the light/);
+    assert.doesNotMatch(input, /\[0:40\] The Calvin cycle/);
+    // Citations of dropped passages are removed as well, also while streaming
+    assert.equal(result, 'Glucose is broken down in the mitochondria [1:08], not in leaves.');
+    assert.ok(citable.length > 0);
+    for (const fittedPassages of citable) {
+      assert.deepEqual(plain(fittedPassages.map(passage => passage.start)), [0, 10, 68]);
+    }
+  });
+
+  test('gives up when the question alone does not fit', async () => {
+    const loaded = loadPromptClient({ languageModel: { inputQuota: 300 } });
+    extension = loaded.extension;
+    await loaded.client.initialize();
+
+    const answer = await loaded.client.generateAnswer('Why?'.repeat(400), '', null, null);
+    assert.equal(answer, 'Sorry, the question and its video context are too long for the AI model.');
+    assert.equal(loaded.ai.languageModel.prompts.length, 0);
+  });
+});
@@ -0,0 +1,37 @@
+const { test, describe, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadExtension, plain, scriptsUntil } = require('./helpers/extension');
+
+describe('SubtitleFileParser', () => {
+  let extension = null;
+
+  afterEach(() => {
+    extension.close();
+  });
+
+  const load = () => {
+    extension = loadExtension({ scripts: scriptsUntil('utils/subtitleFileParser.js') });
+    return extension.window.SubtitleFileParser;
+  };
+
+  test('reads the language from the end of the file name', () => {
+    const SubtitleFileParser = load();
+    const languages = ['lecture.de.srt', 'lecture.pt_br.vtt', 'lecture.zh-Hans.srt', 'movie.eng.srt']
+      .map(fileName => SubtitleFileParser.detectLanguageFromFileName(fileName));
+    assert.deepEqual(languages, ['de', 'pt-BR', 'zh-Hans', 'en']);
+  });
+
+  test('ignores name parts that are not language codes', () => {
+    const SubtitleFileParser = load();
+    const languages = ['notes.old.srt', 'talk.final.vtt', 'episode.new.srt', 'clip.xx.srt', 'clip.en-1.srt', 'lecture.srt']
+      .map(fileName => SubtitleFileParser.detectLanguageFromFileName(fileName));
+    assert.deepEqual(languages, [null, null, null, null, null, null]);
+  });
+
+  test('takes the language of a WebVTT header over the file name', () => {
+    const SubtitleFileParser = load();
+    const parsed = SubtitleFileParser.parse('WEBVTT\nLanguage: fr\n\n00:00:01.000 --> 00:00:03.000\nBonjour.\n', 'lecture.de.vtt');
+    assert.equal(parsed.language, 'fr');
+    assert.deepEqual(plain(parsed.events), [{ start: 1, dur: 2, text: 'Bonjour.' }]);
+  });
+});
@@ -0,0 +1,349 @@
+const { test, describe, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadExtension, plain, scriptsUntil, readFixture } = require('./helpers/extension');
+const { WATCH_URL, watchPageHtml, installYouTubePlayer } = require('./fakes/fakeYouTubePlayer');
+
+const ENGLISH_TRACK = { languageCode: 'en', name: 'English', json3: readFixture('captions.en.json3.json') };
+const ENGLISH_ASR_TRACK = { languageCode: 'en', asr: true, srv3: readFixture('captions.en-asr.srv3.xml') };
+
+/**
+ * Build a json3 caption file
+ * @param {Array<[number, number, string]>} events - Caption events as [start ms, duration ms, text]
+ * @returns {string} json3 file
+ */
+function json3(events) {
+  return JSON.stringify({
+    events: events.map(([tStartMs, dDurationMs, utf8]) => ({ tStartMs, dDurationMs, segs: [{ utf8 }] }))
+  });
+}
+
+/**
+ * Load the scripts SubtitleParser needs on a fake watch page
+ * @param {Object} [pageOptions] - Options for installYouTubePlayer
+ * @returns {{extension: Object, page: Object, parser: SubtitleParser}} Loaded page
+ */
+function loadWatchPage(pageOptions = {}) {
+  let page = null;
+  const extension = loadExtension({
+    url: `${WATCH_URL}tubeqaTest1`,
+    html: watchPageHtml(),
+    scripts: scriptsUntil('content/subtitleParser.js'),
+    beforeScripts: (window) => {
+      page = installYouTubePlayer(window, { tracks: [ENGLISH_TRACK, ENGLISH_ASR_TRACK], ...pageOptions });
+    }
+  });
+  const { SubtitleParser, YouTubePageAdapter } = extension.window;
+  const parser = new SubtitleParser(null, new YouTubePageAdapter());
+  return { extension, page, parser };
+}
+
+describe('SubtitleParser', () => {
+  let extension = null;
+
+  afterEach(() => {
+    if (extension) {
+      extension.close();
+      extension = null;
+    }
+  });
+
+  test('reads caption tracks from the player response', async () => {
+    const loaded = loadWatchPage();
+    extension = loaded.extension;
+
+    assert.equal(await loaded.parser.initialize(), true);
+    const tracks = loaded.parser.getCaptionTracks();
+    assert.deepEqual(plain(tracks.map(track => track.id)), ['en', 'en.asr']);
+    assert.equal(tracks[0].name, 'English');
+    assert.equal(tracks[1].isAutoGenerated, true);
+  });
+
+  test('prefers the manual English track over the auto-generated one', async () => {
+    const loaded = loadWatchPage({ tracks: [ENGLISH_ASR_TRACK, { ...ENGLISH_TRACK }] });
+    extension = loaded.extension;
+
+    await loaded.parser.initialize();
+    assert.equal(loaded.parser.currentTrack.id, 'en');
+    assert.equal(loaded.parser.isCurrentTrackEnglish(), true);
+  });
+
+  test('uses the saved track preference first', async () => {
+    const loaded = loadWatchPage();
+    extension = loaded.extension;
+    extension.window.localStorage.setItem(loaded.parser.PREFERENCES_KEY, JSON.stringify({
+      global: { trackId: 'en.asr', language: 'en' }
+    }));
+
+    await loaded.parser.initialize();
+    assert.equal(loaded.parser.currentTrack.id, 'en.asr');
+  });
+
+  test('reports videos without captions', async () => {
+    const loaded = loadWatchPage({ tracks: [] });
+    extension = loaded.extension;
+
+    assert.equal(await loaded.parser.initialize(), false);
+    assert.equal(loaded.parser.currentTrack, null);
+  });
+
+  test('fetches the json3 transcript through a signed timedtext request', async () => {
+    const loaded = loadWatchPage();
+    extension = loaded.extension;
+    await loaded.parser.initialize();
+
+    const range = await loaded.parser.getTranscriptRange(9, 20, { boundary: 'event' });
+    assert.match(range.text, /photosynthesis/);
+    assert.match(range.text, /chlorophyll/);
+    assert.ok(range.events.every(event => event.start + event.dur >= 9 && event.start <= 20));
+
+    // The signed URL came from enabling captions through the player API
+    assert.equal(loaded.page.resourceEntries.length, 1);
+    assert.ok(loaded.page.requests.some(url => url.includes('signature=SIGNED0') && url.includes('fmt=json3')));
+    // and the captions were turned off again
+    assert.deepEqual(plain(loaded.page.player.getOption('captions', 'track')), {});
+  });
+
+  test('fetches the new video\'s transcript after navigating to a video with the same caption language', async () => {
+    const loaded = loadWatchPage();
+    extension = loaded.extension;
+    const { page, parser } = loaded;
+    await parser.initialize();
+    assert.match((await parser.getTranscriptStore()).events[0].text, /Welcome back to the channel/);
+
+    const secondVideo = JSON.stringify({
+      events: [{ tStartMs: 0, dDurationMs: 3000, segs: [{ utf8: 'This second video is about volcanoes.' }] }]
+    });
+    page.navigate('tubeqaTest2', { tracks: [{ languageCode: 'en', name: 'English', json3: secondVideo }] });
+    await parser.refreshTracks();
+
+    // The first video's timedtext entry is still in resource timing but belongs to another video
+    const store = await parser.getTranscriptStore();
+    assert.deepEqual(plain(store.events.map(event => event.text)), ['This second video is about volcanoes.']);
+    assert.equal(page.resourceEntries.length, 2);
+    assert.ok(page.requests[page.requests.length - 1].includes('v=tubeqaTest2'));
+    assert.equal(parser.getSignedUrlFromPerformance(null), page.resourceEntries[1].name);
+  });
+
+  test('merges new events into a live transcript without normalizing it again', async () => {
+    const liveTrack = {
+      languageCode: 'en',
+      name: 'English',
+      json3: json3([[0, 3000, 'Welcome to the live stream.'], [3000, 3000, 'Today we look at']])
+    };
+    const loaded = loadWatchPage({ tracks: [liveTrack], isLive: true });
+    extension = loaded.extension;
+    const { parser } = loaded;
+    parser.liveRefreshInterval = 0;
+    await parser.initialize();
+
+    const store = await parser.getTranscriptStore();
+    assert.deepEqual(plain(store.events.map(event => event.text)), ['Welcome to the live stream.', 'Today we look at']);
+
+    // The last line grows and rolls into the next one
+    liveTrack.json3 = json3([
+      [0, 3000, 'Welcome to the live stream.'],
+      [3000, 3000, 'Today we look at volcanoes'],
+      [6000, 3000, 'at volcanoes and how they form.'],
+      [9000, 3000, 'First, the magma.']
+    ]);
+    const normalized = [];
+    const normalize = parser.normalizer.normalize.bind(parser.normalizer);
+    parser.normalizer.normalize = (events, options) => {
+      normalized.push(events.map(event => event.text));
+      return normalize(events, options);
+    };
+
+    assert.equal(await parser.getTranscriptStore(), store);
+    assert.deepEqual(plain(store.events.map(event => event.text)), [
+      'Welcome to the live stream.',
+      'Today we look at volcanoes and how they form.',
+      'First, the magma.'
+    ]);
+    // Only the events from the unfinished sentence on were normalized
+    assert.deepEqual(plain(normalized), [[
+      'Today we look at volcanoes',
+      'at volcanoes and how they form.',
+      'First, the magma.'
+    ]]);
+    assert.equal((await parser.getTranscriptRange(10, 12)).text, 'First, the magma.');
+  });
+
+  test('stores the transcript of the finished video when a live stream ends', async () => {
+    const liveTrack = { languageCode: 'en', name: 'English', json3: json3([[0, 3000, 'Welcome to the live stream.']]) };
+    let loaded = null;
+    const stored = new Map();
+    const transcriptDatabase = {
+      get: async key => stored.get(key) || null,
+      put: async (key, value) => { stored.set(key, value); }
+    };
+    extension = loadExtension({
+      url: `${WATCH_URL}tubeqaTest1`,
+      html: watchPageHtml(),
+      scripts: scriptsUntil('content/subtitleParser.js'),
+      beforeScripts: (window) => {
+        loaded = installYouTubePlayer(window, { tracks: [liveTrack], isLive: true });
+      }
+    });
+    const parser = new extension.window.SubtitleParser(transcriptDatabase, new extension.window.YouTubePageAdapter());
+    await parser.initialize();
+
+    await parser.getTranscriptStore();
+    assert.equal(stored.size, 0, 'Live transcripts are not stored while they grow');
+
+    // YouTube serves the processed captions of the video once the stream is over
+    loaded.playerResponse.videoDetails.isLive = false;
+    loaded.playerResponse.videoDetails.isLiveContent = true;
+    liveTrack.json3 = json3([[0, 2500, 'Welcome to the live stream.'], [2500, 4000, 'Thanks for watching.']]);
+
+    const store = await parser.getTranscriptStore();
+    assert.deepEqual(plain(store.events.map(event => event.text)), ['Welcome to the live stream.', 'Thanks for watching.']);
+    assert.equal(parser.liveTranscripts.size, 0);
+    assert.equal(await parser.getTranscriptStore(), store);
+    assert.deepEqual(plain(stored.get(parser.getTranscriptKey()).events.map(event => event.text)),
+      ['Welcome to the live stream.', 'Thanks for watching.']);
+  });
+
+  test('falls back to srv3 and keeps word timing for auto-generated tracks', async () => {
+    const loaded = loadWatchPage();
+    extension = loaded.extension;
+    await loaded.parser.initialize();
+    assert.equal(loaded.parser.selectTrack('en.asr'), true);
+
+    const range = await loaded.parser.getTranscriptRange(0, 35, { boundary: 'event' });
+    assert.ok(loaded.page.requests.some(url => url.includes('fmt=srv3')));
+    assert.match(range.text, /photosynthesis/);
+    // Rolling captions repeat "and it happens", the normalizer keeps it once
+    assert.equal(range.text.match(/and it happens/g).length, 1);
+    // Non-speech annotations are not part of the text
+    assert.doesNotMatch(range.text, /\[Music\]/);
+    assert.ok(range.events.some(event => event.words && event.words.length > 1));
+  });
+
+  test('trims ranges to the words spoken inside them', async () => {
+    const loaded = loadWatchPage();
+    extension = loaded.extension;
+    await loaded.parser.initialize();
+
+    const byEvent = await loaded.parser.getTranscriptChunk(14, 16);
+    const byWord = await loaded.parser.getTranscriptChunk(14, 16, { boundary: 'word' });
+    assert.ok(byWord.length > 0);
+    assert.ok(byWord.length < byEvent.length);
+  });
+
+  test('widens sentence ranges by a bounded amount on unpunctuated transcripts', () => {
+    const loaded = loadWatchPage();
+    extension = loaded.extension;
+    const events = Array.from({ length: 60 }, (_, index) => ({ start: index * 2, dur: 2, text: `words of line ${index}` }));
+    const store = new extension.window.TranscriptStore(events);
+
+    const range = store.getRange(61, 62, { boundary: 'sentence' });
+    assert.ok(range.startTime >= 60 - store.maxSentenceExpansion, `Range starts at ${range.startTime}`);
+    assert.ok(range.endTime <= 62 + store.maxSentenceExpansion, `Range ends at ${range.endTime}`);
+    assert.ok(range.events.length < events.length);
+
+    // Punctuation still ends the widening early
+    store.setEvents(events.map((event, index) => (index === 28 || index === 32 ? { ...event, text: `${event.text}.` } : event)));
+    const punctuated = store.getRange(61, 62, { boundary: 'sentence' });
+    assert.equal(punctuated.startTime, 58);
+    assert.equal(punctuated.endTime, 66);
+  });
+
+  test('keeps a bounded number of cached ranges', async () => {
+    const loaded = loadWatchPage();
+    extension = loaded.extension;
+    const { parser } = loaded;
+    parser.maxCachedRanges = 5;
+    await parser.initialize();
+
+    for (let time = 0; time < 20; time += 0.5) {
+      await parser.getTranscriptRange(time, time + 10, { boundary: 'word' });
+    }
+    assert.equal(parser.cache.size, 5);
+  });
+
+  test('parses json3 events with segment offsets into timed words', () => {
+    const loaded = loadWatchPage();
+    extension = loaded.extension;
+
+    const event = loaded.parser.parseJson3Event({
+      tStartMs: 2000,
+      dDurationMs: 3000,
+      segs: [{ utf8: 'light' }, { utf8: ' is', tOffsetMs: 1000 }, { utf8: ' energy', tOffsetMs: 2000 }]
+    });
+    assert.equal(event.text, 'light is energy');
+    assert.deepEqual(plain(event.words.map(word => [word.text, word.start])), [['light', 2], ['is', 3], ['energy', 4]]);
+  });
+
+  test('parses legacy timedtext XML', () => {
+    const loaded = loadWatchPage();
+    extension = loaded.extension;
+
+    const xml = '<transcript><text start="1.5" dur="2">Hello there</text><text start="3.5" dur="1.25">General</text></transcript>';
+    const xmlDoc = new extension.window.DOMParser().parseFromString(xml, 'text/xml');
+    assert.deepEqual(
+      plain(loaded.parser.parseXmlEvents(xmlDoc)),
+      [{ start: 1.5, dur: 2, text: 'Hello there' }, { start: 3.5, dur: 1.25, text: 'General' }]
+    );
+  });
+});
+
+describe('TranscriptNormalizer', () => {
+  let extension = null;
+
+  afterEach(() => {
+    extension.close();
+  });
+
+  /**
+   * Normalize caption events
+   * @param {Array<{start: number, dur: number, text: string}>} events - Caption events
+   * @param {Object} [options] - Normalizer options
+   * @returns {string[]} Sentence texts
+   */
+  const normalize = (events, options = {}) => {
+    extension = loadExtension({ scripts: scriptsUntil('content/transcriptNormalizer.js') });
+    return plain(new extension.window.TranscriptNormalizer().normalize(events, options).map(sentence => sentence.text));
+  };
+
+  test('keeps the words after an annotation that is never closed', () => {
+    const sentences = normalize([
+      { start: 0, dur: 2, text: '[Music' },
+      { start: 2, dur: 4, text: 'plants turn light into sugar and they need water for it' }
+    ], { isAutoGenerated: true });
+    assert.deepEqual(sentences, ['[Music plants turn light into sugar and they need water for it']);
+
+    assert.deepEqual(normalize([{ start: 0, dur: 3, text: '(upbeat music) Welcome back.' }]), ['Welcome back.']);
+  });
+
+  test('keeps the text of sentences cut at pauses and speaker changes', () => {
+    const sentences = normalize([
+      { start: 0, dur: 2, text: 'So what do leaves need,' },
+      { start: 6, dur: 2, text: 'Sunlight and water' },
+      { start: 8, dur: 2, text: '>> Exactly right.' }
+    ]);
+    assert.deepEqual(sentences, ['So what do leaves need,', 'Sunlight and water', 'Exactly right.']);
+  });
+
+  test('widens sentence ranges of normalized ASR captions by a bounded amount', () => {
+    extension = loadExtension({ scripts: scriptsUntil('content/transcriptNormalizer.js') });
+    const { TranscriptNormalizer, TranscriptStore } = extension.window;
+
+    // Unpunctuated ASR lines with a pause every 20 seconds, which cuts sentences without ending them
+    const events = Array.from({ length: 60 }, (_, index) => ({
+      start: index * 2 + Math.floor(index / 10) * 2,
+      dur: 2,
+      text: `words of line ${index}`
+    }));
+    const sentences = new TranscriptNormalizer().normalize(events, { isAutoGenerated: true });
+    assert.ok(sentences.length > 1);
+    assert.ok(sentences.every(sentence => !sentence.text.endsWith('.')), 'No punctuation is invented');
+
+    const store = new TranscriptStore(sentences);
+    const range = store.getRange(70, 72, { boundary: 'sentence' });
+    assert.ok(range.events.length < sentences.length, 'The range is not widened to the whole transcript');
+    assert.ok(range.startTime >= sentences.find(sentence => sentence.start + sentence.dur > 70).start - store.maxSentenceExpansion,
+      `Range starts at ${range.startTime}`);
+    assert.ok(range.endTime <= 72 + store.maxSentenceExpansion, `Range ends at ${range.endTime}`);
+    assert.ok(range.events.length > 1, 'The range is widened past the sentence it starts in');
+  });
+});
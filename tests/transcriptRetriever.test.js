@@ -0,0 +1,115 @@
+const { test, describe, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadExtension, plain, scriptsUntil, readFixture } = require('./helpers/extension');
+const { installFakeAI } = require('./fakes/fakeAI');
+
+/**
+ * Load TranscriptRetriever with the English fixture captions as a normalized transcript
+ * @param {Object} [aiOptions] - Options for installFakeAI
+ * @returns {Promise<{extension: Object, ai: Object, store: TranscriptStore, retriever: TranscriptRetriever}>} Loaded retriever
+ */
+async function loadRetriever(aiOptions = {}) {
+  let ai = null;
+  const extension = loadExtension({
+    scripts: scriptsUntil('content/transcriptRetriever.js'),
+    beforeScripts: (window) => {
+      ai = installFakeAI(window, aiOptions);
+    }
+  });
+  const { PromptClient, TranscriptNormalizer, TranscriptStore, TranscriptRetriever } = extension.window;
+
+  const events = JSON.parse(readFixture('captions.en.json3.json')).events
+    .filter(event => event.segs)
+    .map(event => ({
+      start: event.tStartMs / 1000,
+      dur: event.dDurationMs / 1000,
+      text: event.segs.map(seg => seg.utf8).join('')
+    }));
+  const store = new TranscriptStore(new TranscriptNormalizer().normalize(events));
+
+  const promptClient = new PromptClient();
+  await promptClient.initialize();
+  const retriever = new TranscriptRetriever(promptClient);
+  return { extension, ai, store, retriever };
+}
+
+describe('TranscriptRetriever', () => {
+  let extension = null;
+
+  afterEach(() => {
+    if (extension) {
+      extension.close();
+      extension = null;
+    }
+  });
+
+  test('ranks the passage that talks about the question highest', async () => {
+    const loaded = await loadRetriever();
+    extension = loaded.extension;
+
+    const [passage] = await loaded.retriever.retrieve(loaded.store, 'Where does respiration break down glucose?',
+      { expand: false, limit: 1 });
+    assert.match(passage.text, /mitochondria/);
+    assert.ok(passage.start <= 68.2 && passage.end >= 74.2);
+    assert.ok(passage.score > 0);
+  });
+
+  test('returns passages in playback order without overlapping windows', async () => {
+    const loaded = await loadRetriever();
+    extension = loaded.extension;
+
+    const passages = await loaded.retriever.retrieve(loaded.store, 'What happens to the oxygen and energy?', { expand: false });
+    assert.ok(passages.length > 1);
+    for (let i = 1; i < passages.length; i++) {
+      assert.ok(passages[i].start >= passages[i - 1].end, 'Passages overlap or are out of order');
+    }
+  });
+
+  test('matches singular and plural forms', async () => {
+    const loaded = await loadRetriever();
+    extension = loaded.extension;
+
+    const passages = await loaded.retriever.retrieve(loaded.store, 'What is a chloroplast?', { expand: false });
+    assert.ok(passages.some(passage => /chloroplasts/.test(passage.text)));
+  });
+
+  test('finds nothing for words the transcript does not use', async () => {
+    const loaded = await loadRetriever();
+    extension = loaded.extension;
+
+    assert.deepEqual(plain(await loaded.retriever.retrieve(loaded.store, 'Who won the football match?', { expand: false })), []);
+    assert.deepEqual(plain(await loaded.retriever.retrieve(loaded.store, '', { expand: false })), []);
+  });
+
+  test('expands the query with related terms from the language model', async () => {
+    const loaded = await loadRetriever({
+      languageModel: { responses: [JSON.stringify({ terms: ['mitochondria', 'glucose'] })] }
+    });
+    extension = loaded.extension;
+    const question = 'How do cells get their power?';
+
+    assert.deepEqual(plain(await loaded.retriever.retrieve(loaded.store, question, { expand: false })), []);
+    const passages = await loaded.retriever.retrieve(loaded.store, question);
+    assert.equal(passages.length, 1);
+    assert.match(passages[0].text, /mitochondria/);
+
+    // The expansion is asked for once per question
+    await loaded.retriever.retrieve(loaded.store, question);
+    const [prompt] = loaded.ai.languageModel.prompts;
+    assert.equal(loaded.ai.languageModel.prompts.length, 1);
+    assert.match(prompt.input, /How do cells get their power\?/);
+    assert.ok(prompt.options.responseConstraint.properties.terms);
+  });
+
+  test('rebuilds the index when the transcript grows', async () => {
+    const loaded = await loadRetriever();
+    extension = loaded.extension;
+    const { store, retriever } = loaded;
+
+    assert.deepEqual(plain(await retriever.retrieve(store, 'What about stomata?', { expand: false })), []);
+    store.setEvents([...store.events, { start: 92, dur: 4, text: 'Leaves take in carbon dioxide through stomata.' }]);
+    const passages = await retriever.retrieve(store, 'What about stomata?', { expand: false });
+    assert.equal(passages.length, 1);
+    assert.match(passages[0].text, /stomata/);
+  });
+});
@@ -0,0 +1,153 @@
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadExtension, plain, scriptsUntil } = require('./helpers/extension');
+const { WATCH_URL, watchPageHtml, installYouTubePlayer } = require('./fakes/fakeYouTubePlayer');
+
+const QUESTIONS = [
+  { text: 'What is photosynthesis?', startTime: 0, endTime: 30 },
+  { text: 'Where are chloroplasts found?', startTime: 0, endTime: 30 },
+  { text: 'Why is chlorophyll green?', startTime: 0, endTime: 30 },
+  { text: 'A fourth question that is never shown?', startTime: 0, endTime: 30 }
+];
+
+describe('UIOverlay', () => {
+  let extension = null;
+  let document = null;
+  let overlay = null;
+  let clicks = null;
+
+  beforeEach(async () => {
+    extension = loadExtension({
+      url: `${WATCH_URL}tubeqaTest1`,
+      html: watchPageHtml(),
+      scripts: scriptsUntil('content/uiOverlay.js'),
+      beforeScripts: (window) => installYouTubePlayer(window)
+    });
+    document = extension.window.document;
+    clicks = [];
+    overlay = new extension.window.UIOverlay();
+    await overlay.initialize((...args) => clicks.push(args));
+  });
+
+  afterEach(() => {
+    overlay.destroy();
+    extension.close();
+  });
+
+  const questionButtons = () => Array.from(document.querySelectorAll('.yt-ai-question'));
+  const click = (element) => element.dispatchEvent(new extension.window.MouseEvent('click', { bubbles: true }));
+
+  test('places the overlay above the control bar and the toggle in the player controls', () => {
+    const controls = document.querySelector('.ytp-chrome-bottom');
+    assert.equal(controls.previousElementSibling, overlay.overlay);
+    assert.equal(overlay.overlay.dataset.surface, 'watch');
+    assert.ok(document.querySelector('.ytp-right-controls .ytp-ai-toggle'));
+  });
+
+  test('renders up to three questions with their time ranges', () => {
+    overlay.updateQuestions(QUESTIONS, 30);
+
+    const buttons = questionButtons();
+    assert.deepEqual(buttons.map(button => button.textContent), QUESTIONS.slice(0, 3).map(question => question.text));
+    assert.equal(buttons[1].getAttribute('data-question-index'), '1');
+    assert.equal(buttons[1].getAttribute('data-end-time'), '30');
+    assert.ok(document.querySelector('#yt-ai-user-query-input'));
+  });
+
+  test('opens the chatbox and calls the handler when a question is clicked', () => {
+    overlay.updateQuestions(QUESTIONS, 30);
+    click(questionButtons()[2]);
+
+    assert.deepEqual(plain(clicks), [['Why is chlorophyll green?', 2, 0, 30]]);
+    assert.equal(document.querySelector('.ytai-answer-question').textContent, 'Why is chlorophyll green?');
+    assert.ok(document.querySelector('.ytai-answer-block .ytai-answer-loading'));
+    assert.equal(document.querySelector('.yt-ai-questions-list').style.display, 'none');
+    assert.deepEqual(plain(overlay.getConversationHistory()), [{ role: 'user', content: 'Why is chlorophyll green?' }]);
+  });
+
+  test('renders streamed answers as markdown', () => {
+    overlay.showChatbox('What is made?', 0, 30);
+    overlay.updateChatboxContent('The **Calvin cycle** makes');
+    overlay.updateChatboxContent('The **Calvin cycle** makes:\n* G3P\n* *sugars*');
+
+    const answer = document.querySelector('.ytai-answer-block');
+    assert.equal(answer.querySelector('.ytai-answer-loading'), null);
+    assert.equal(answer.querySelector('strong').textContent, 'Calvin cycle');
+    assert.deepEqual(Array.from(answer.querySelectorAll('li')).map(item => item.textContent), ['G3P', 'sugars']);
+    assert.equal(answer.querySelector('li em').textContent, 'sugars');
+
+    overlay.finishStreaming('The answer.');
+    assert.equal(overlay.isStreaming, false);
+    assert.equal(overlay.getConversationHistory().length, 2);
+  });
+
+  test('seeks the video when a citation chip is clicked', () => {
+    const video = document.querySelector('video');
+    overlay.showChatbox('Where is chlorophyll?', 0, 30);
+    overlay.updateChatboxContent('In the chloroplasts [0:14].');
+    click(document.querySelector('.ytai-answer-block .ytai-citation'));
+    assert.equal(video.currentTime, 14);
+
+    // The assistant's handler takes over seeking once it is set
+    const seeks = [];
+    overlay.setCitationHandler(time => seeks.push(time));
+    overlay.updateChatboxContent('In the chloroplasts [0:14], see also [1:08].');
+    click(document.querySelectorAll('.ytai-answer-block .ytai-citation')[1]);
+    assert.deepEqual(seeks, [68]);
+    assert.equal(video.currentTime, 14);
+  });
+
+  test('shows the questions again when the chatbox closes', () => {
+    overlay.updateQuestions(QUESTIONS, 30);
+    click(questionButtons()[0]);
+    click(document.querySelector('.ytai-answer-close'));
+
+    assert.equal(document.querySelector('.ytai-answer-wrapper'), null);
+    assert.equal(document.querySelector('.yt-ai-questions-list').style.display, 'flex');
+    assert.equal(questionButtons().length, 3);
+  });
+
+  test('navigates between question groups', () => {
+    overlay.updateQuestions(QUESTIONS.slice(0, 1), 30);
+    overlay.updateQuestions(QUESTIONS.slice(1, 2), 60);
+    assert.equal(questionButtons()[0].textContent, 'Where are chloroplasts found?');
+
+    const [back, forward] = document.querySelectorAll('.yt-ai-nav-button');
+    assert.equal(forward.disabled, true);
+    click(back);
+    assert.equal(questionButtons()[0].textContent, 'What is photosynthesis?');
+  });
+
+  test('queues new questions while the user hovers over the overlay', () => {
+    overlay.updateQuestions(QUESTIONS.slice(0, 1), 30);
+    overlay.overlay.dispatchEvent(new extension.window.MouseEvent('mouseenter'));
+    overlay.updateQuestions(QUESTIONS.slice(1, 2), 60);
+    assert.equal(questionButtons()[0].textContent, 'What is photosynthesis?');
+
+    overlay.overlay.dispatchEvent(new extension.window.MouseEvent('mouseleave'));
+    assert.equal(questionButtons()[0].textContent, 'Where are chloroplasts found?');
+  });
+
+  test('shows errors with the menu of registered actions', async () => {
+    let chosen = 0;
+    overlay.addMenuAction('ai-provider', 'AI model', () => { chosen++; });
+    overlay.showError('AI not available.');
+
+    assert.equal(document.querySelector('.yt-ai-error').textContent, 'AI not available.');
+    click(document.querySelector('.yt-ai-menu-button'));
+    const item = document.querySelector('.yt-ai-menu-item[data-action-id="ai-provider"]');
+    assert.equal(item.textContent, 'AI model');
+    click(item);
+    assert.equal(chosen, 1);
+  });
+
+  test('remembers the AI toggle and notifies the assistant', () => {
+    const toggles = [];
+    extension.window.aiToggleCallback = enabled => toggles.push(enabled);
+
+    click(document.querySelector('.ytp-ai-toggle'));
+    assert.equal(overlay.isAIEnabled(), false);
+    assert.equal(extension.window.localStorage.getItem(overlay.STORAGE_KEY), 'false');
+    assert.deepEqual(toggles, [false]);
+  });
+});
@@ -0,0 +1,197 @@
+const { test, describe, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { loadExtension, plain, scriptsUntil } = require('./helpers/extension');
+
+const ROOT = path.resolve(__dirname, '..');
+const EXTENSION_ORIGIN = 'chrome-extension://tubeqa/';
+
+/**
+ * 1280x720 frame whose rows alternate between getting darker and getting brighter from left to right
+ * @returns {{readyState: number, framePixels: Function}} Frame source, readable like a decoded video element
+ */
+function stripedFrame() {
+  return {
+    readyState: 4,
+    videoWidth: 1280,
+    videoHeight: 720,
+    framePixels(width, height) {
+      const data = new Uint8ClampedArray(width * height * 4);
+      for (let row = 0; row < height; row++) {
+        for (let col = 0; col < width; col++) {
+          const value = row % 2 === 0 ? 255 - col * 10 : col * 10;
+          data.set([value, value, value, 255], (row * width + col) * 4);
+        }
+      }
+      return data;
+    }
+  };
+}
+
+/**
+ * 2D context of a canvas that takes over the pixels of the last frame drawn into it (jsdom and Node have no canvas)
+ * Drawn sizes are recorded on the canvas
+ * @this {Object} Canvas the context belongs to
+ * @returns {Object} Context, the same for every call like a real canvas
+ */
+function fakeContext() {
+  const canvas = this;
+  if (!canvas.fakeContext) {
+    canvas.draws = [];
+    canvas.fakeContext = {
+      drawImage(image, x, y, width, height) {
+        canvas.framePixels = image.framePixels;
+        canvas.draws.push([width, height, this.imageSmoothingQuality]);
+      },
+      getImageData(x, y, width, height) {
+        return { data: canvas.framePixels(width, height) };
+      }
+    };
+  }
+  return canvas.fakeContext;
+}
+
+/**
+ * OffscreenCanvas with a fake 2D context
+ */
+class FakeOffscreenCanvas {
+  constructor(width, height) {
+    this.width = width;
+    this.height = height;
+  }
+
+  getContext() {
+    return fakeContext.call(this);
+  }
+}
+
+/**
+ * Web Worker that runs its blob script in its own global scope
+ * @param {Map<string, Blob>} blobs - Blobs by object URL
+ * @returns {Function} Worker class
+ */
+function fakeWorkerClass(blobs) {
+  return class FakeWorker {
+    constructor(url) {
+      const scope = vm.createContext({
+        console,
+        OffscreenCanvas: FakeOffscreenCanvas,
+        createImageBitmap: async source => source
+      });
+      scope.self = scope;
+      scope.addEventListener = (type, listener) => {
+        this.listener = listener;
+      };
+      scope.postMessage = reply => this.onmessage({ data: reply });
+      this.ready = blobs.get(url).text().then(script => vm.runInContext(script, scope));
+    }
+
+    postMessage(message) {
+      this.ready.then(() => this.listener({ data: message }));
+    }
+
+    terminate() {}
+  };
+}
+
+describe('VideoFrameExtractor', () => {
+  let extension = null;
+  let bitmaps = null; // Counts bitmaps created for the worker that were closed
+
+  afterEach(() => {
+    if (extension) {
+      extension.close();
+      extension = null;
+    }
+  });
+
+  /**
+   * Load the frame extractor with fake canvases, and a fake worker if requested
+   * @param {boolean} withWorker - Let the extractor start its frame worker
+   * @returns {VideoFrameExtractor} Extractor
+   */
+  function loadExtractor(withWorker) {
+    extension = loadExtension({
+      scripts: scriptsUntil('utils/videoFrameExtractor.js'),
+      beforeScripts: (window) => {
+        window.HTMLCanvasElement.prototype.getContext = fakeContext;
+        if (!withWorker) {
+          return;
+        }
+
+        const blobs = new Map();
+        bitmaps = { closed: 0 };
+        // jsdom's Blob can't be read back
+        window.Blob = Blob;
+        window.URL.createObjectURL = (blob) => {
+          const url = `blob:frame-worker-${blobs.size}`;
+          blobs.set(url, blob);
+          return url;
+        };
+        window.URL.revokeObjectURL = () => {};
+        window.Worker = fakeWorkerClass(blobs);
+        window.OffscreenCanvas = FakeOffscreenCanvas;
+        window.createImageBitmap = async source => ({
+          width: source.videoWidth,
+          height: source.videoHeight,
+          framePixels: source.framePixels,
+          close() {
+            bitmaps.closed++;
+          }
+        });
+        window.chrome = { runtime: { getURL: file => `${EXTENSION_ORIGIN}${file}` } };
+        window.fetch = async url => new Response(fs.readFileSync(path.join(ROOT, url.slice(EXTENSION_ORIGIN.length)), 'utf8'));
+      }
+    });
+    return new extension.window.VideoFrameExtractor();
+  }
+
+  test('hashes frames on the main thread', () => {
+    const extractor = loadExtractor(false);
+    assert.equal(extractor.computeFrameHash(stripedFrame(), 8), 'ff00ff00ff00ff00');
+  });
+
+  test('shrinks frames in halving steps before hashing', () => {
+    const extractor = loadExtractor(false);
+    extractor.computeFrameHash(stripedFrame(), 8);
+
+    assert.deepEqual(plain(extractor.hashCanvases.map(canvas => canvas.draws)), [
+      [[640, 360, 'high']],
+      [[320, 180, 'high']],
+      [[160, 90, 'high']],
+      [[80, 45, 'high']],
+      [[40, 23, 'high']],
+      [[20, 12, 'high']],
+      [[10, 8, 'high']],
+      [[9, 8, 'high']]
+    ]);
+  });
+
+  test('hashes frames in the worker with the same code as the main thread', async () => {
+    const extractor = loadExtractor(true);
+    const frame = stripedFrame();
+    const workerHashes = [];
+    const handleWorkerMessage = extractor.handleWorkerMessage.bind(extractor);
+    extractor.handleWorkerMessage = (reply) => {
+      workerHashes.push(reply.hash);
+      handleWorkerMessage(reply);
+    };
+
+    assert.equal(await extractor.hashFrame(frame, 8), extractor.computeFrameHash(frame, 8));
+    assert.equal(await extractor.hashFrame(frame, 16), extractor.computeFrameHash(frame, 16));
+    assert.deepEqual(workerHashes, ['ff00ff00ff00ff00', 'ffff0000'.repeat(8)]);
+    assert.equal(bitmaps.closed, 2, 'The worker closes hashed bitmaps');
+  });
+
+  test('gives up worker requests that get no reply and hashes on the main thread', async () => {
+    const extractor = loadExtractor(true);
+    const worker = await extractor.getWorker();
+    worker.postMessage = () => {};
+    extractor.workerRequestTimeout = 10;
+
+    assert.equal(await extractor.hashFrame(stripedFrame(), 8), 'ff00ff00ff00ff00');
+    assert.equal(extractor.workerRequests.size, 0);
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * Frame Imaging for YouTube AI Assistant
+ * Canvas drawing shared by VideoFrameExtractor on the main thread and the frame worker (utils/frameWorker.js):
+ * Computes perceptual difference hashes (dHash) of frames, shrinking them in steps first.
+ * Lays out and draws labelled contact sheets.
+ * Callers bring their own canvases (HTMLCanvasElement or OffscreenCanvas) and encode the result themselves.
+ * The worker script is built from this file followed by frameWorker.js, so both run the same code.
+ */
+
+class FrameImaging {
+  /**
+   * Compute a perceptual difference hash (dHash) of an image
+   * The image is shrunk to (size+1)x(size) grayscale pixels and each bit tells if a pixel is brighter than its right neighbour
+   * @param {CanvasImageSource} source - Frame to hash (video element or ImageBitmap)
+   * @param {number} size - Hash grid size, 8 gives a 64-bit hash (scene changes), 16 a 256-bit hash (frame cache)
+   * @param {Function} getCanvas - Returns a canvas of (step, width, height) for each downscale step (see downscale)
+   * @returns {string} Hash as size*size/4 hex characters
+   */
+  static computeHash(source, size, getCanvas) {
+    const ctx = FrameImaging.downscale(source, size + 1, size, getCanvas);
+    const pixels = ctx.getImageData(0, 0, size + 1, size).data;
+
+    let hash = '';
+    for (let row = 0; row < size; row++) {
+      let nibble = 0;
+      for (let col = 0; col < size; col++) {
+        const left = FrameImaging.luminance(pixels, row * (size + 1) + col);
+        const right = FrameImaging.luminance(pixels, row * (size + 1) + col + 1);
+        nibble = (nibble << 1) | (left > right ? 1 : 0);
+        if (col % 4 === 3) {
+          hash += nibble.toString(16);
+          nibble = 0;
+        }
+      }
+    }
+    return hash;
+  }
+
+  /**
+   * Shrink an image in halving steps, so every output pixel averages the whole area it covers
+   * A single draw from full resolution to a few pixels only samples a handful of source pixels, which makes hashes flicker
+   * @param {CanvasImageSource} source - Image to shrink (video element, ImageBitmap or canvas)
+   * @param {number} width - Target width
+   * @param {number} height - Target height
+   * @param {Function} getCanvas - Returns a canvas of (step, width, height), callers may reuse one canvas per step
+   * @returns {CanvasRenderingContext2D|OffscreenCanvasRenderingContext2D} Context of the target size canvas
+   */
+  static downscale(source, width, height, getCanvas) {
+    let image = source;
+    let imageWidth = source.videoWidth || source.width || 0;
+    let imageHeight = source.videoHeight || source.height || 0;
+
+    for (let step = 0; ; step++) {
+      const halving = imageWidth > width * 2 || imageHeight > height * 2;
+      const stepWidth = halving ? Math.max(width, Math.ceil(imageWidth / 2)) : width;
+      const stepHeight = halving ? Math.max(height, Math.ceil(imageHeight / 2)) : height;
+
+      const canvas = getCanvas(step, stepWidth, stepHeight);
+      const ctx = canvas.getContext('2d', { willReadFrequently: !halving, alpha: false });
+      ctx.imageSmoothingEnabled = true;
+      ctx.imageSmoothingQuality = 'high';
+      ctx.drawImage(image, 0, 0, stepWidth, stepHeight);
+      if (!halving) {
+        return ctx;
+      }
+
+      image = canvas;
+      imageWidth = stepWidth;
+      imageHeight = stepHeight;
+    }
+  }
+
+  /**
+   * Get the luminance of a pixel in RGBA image data
+   * @param {Uint8ClampedArray} pixels - RGBA image data
+   * @param {number} index - Pixel index
+   * @returns {number} Luminance between 0 and 255
+   */
+  static luminance(pixels, index) {
+    const offset = index * 4;
+    return 0.299 * pixels[offset] + 0.587 * pixels[offset + 1] + 0.114 * pixels[offset + 2];
+  }
+
+  /**
+   * Draw frames into a labelled grid
+   * The whole sheet fits in maxDimension, each cell keeps the frame's aspect ratio
+   * @param {ImageBitmap[]} bitmaps - Decoded frames in order, closed once drawn
+   * @param {string[]} labels - Time label per frame
+   * @param {number} maxDimension - Width of the sheet in pixels (0 keeps the frame width)
+   * @param {Function} createCanvas - Creates a canvas of (width, height)
+   * @returns {HTMLCanvasElement|OffscreenCanvas} Canvas with the contact sheet
+   */
+  static drawContactSheet(bitmaps, labels, maxDimension, createCanvas) {
+    const columns = Math.ceil(Math.sqrt(bitmaps.length));
+    const rows = Math.ceil(bitmaps.length / columns);
+
+    const sheetWidth = maxDimension || bitmaps[0].width * columns;
+    const cellWidth = Math.floor(sheetWidth / columns);
+    const cellHeight = Math.round(cellWidth * bitmaps[0].height / bitmaps[0].width);
+
+    const canvas = createCanvas(cellWidth * columns, cellHeight * rows);
+    const ctx = canvas.getContext('2d', { alpha: false });
+    ctx.font = `${Math.max(12, Math.round(cellHeight / 12))}px sans-serif`;
+    ctx.textBaseline = 'top';
+
+    bitmaps.forEach((bitmap, index) => {
+      const x = (index % columns) * cellWidth;
+      const y = Math.floor(index / columns) * cellHeight;
+      ctx.drawImage(bitmap, x, y, cellWidth, cellHeight);
+      bitmap.close();
+
+      // Time label in the top left corner of the cell
+      const labelWidth = ctx.measureText(labels[index]).width + 8;
+      const labelHeight = parseInt(ctx.font, 10) + 6;
+      ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+      ctx.fillRect(x, y, labelWidth, labelHeight);
+      ctx.fillStyle = '#fff';
+      ctx.fillText(labels[index], x + 4, y + 3);
+    });
+
+    return canvas;
+  }
+}
+
+// Export for use in other modules (self is the window in content scripts and the global scope in the frame worker)
+self.FrameImaging = FrameImaging;
@@ -0,0 +1,139 @@
+/**
+ * Frame Worker for YouTube AI Assistant
+ * Runs in a Web Worker started by VideoFrameExtractor, off YouTube's UI thread:
+ * Receives frames as transferred ImageBitmaps.
+ * Resizes and encodes them as JPEG on an OffscreenCanvas.
+ * Computes perceptual difference hashes (dHash) for scene detection and the frame cache.
+ * Hashing and contact sheets use FrameImaging (utils/frameImaging.js), which is loaded into the worker script before this file.
+ * Every request carries an id, the reply carries the same id with the result or an error message.
+ */
+
+class FrameWorker {
+  constructor() {
+    this.canvas = null; // Canvas used for encoding
+    this.ctx = null;
+    this.hashCanvases = []; // Canvas per downscale step used for hashing
+  }
+
+  /**
+   * Handle a request from VideoFrameExtractor
+   * @param {Object} request - Request with id and type
+   * @returns {Promise<Object>} Reply payload
+   */
+  async handleRequest(request) {
+    switch (request.type) {
+      case 'hash':
+        try {
+          return { hash: this.hash(request.bitmap, request.size) };
+        } finally {
+          request.bitmap.close();
+        }
+      case 'capture':
+        return this.capture(request);
+      case 'encode':
+        return { blob: await this.encode(request.bitmap, request.width, request.height, request.quality) };
+      case 'contactSheet':
+        return { blob: await this.contactSheet(request) };
+      default:
+        throw new Error(`Unknown frame worker request: ${request.type}`);
+    }
+  }
+
+  /**
+   * Hash a frame and encode it, unless an image for its hash is already cached by the caller
+   * @param {Object} request - Capture request
+   * @param {ImageBitmap} request.bitmap - Full frame
+   * @param {number} request.width - Output width
+   * @param {number} request.height - Output height
+   * @param {number} request.quality - JPEG quality
+   * @param {number} request.hashSize - Hash grid size
+   * @param {string[]} request.cachedKeys - Cache keys the caller already has images for
+   * @param {string} request.keySuffix - Suffix that turns a hash into a cache key
+   * @returns {Promise<{hash: string, blob: Blob|null}>} Hash, and the encoded image if it was not cached
+   */
+  async capture(request) {
+    const hash = this.hash(request.bitmap, request.hashSize);
+    if (request.cachedKeys.includes(`${hash}${request.keySuffix}`)) {
+      request.bitmap.close();
+      return { hash, blob: null };
+    }
+
+    const blob = await this.encode(request.bitmap, request.width, request.height, request.quality);
+    return { hash, blob };
+  }
+
+  /**
+   * Resize and encode a bitmap as JPEG, closing the bitmap
+   * @param {ImageBitmap} bitmap - Source image
+   * @param {number} width - Output width
+   * @param {number} height - Output height
+   * @param {number} quality - JPEG quality
+   * @returns {Promise<Blob>} Encoded image
+   */
+  async encode(bitmap, width, height, quality) {
+    if (!this.canvas) {
+      this.canvas = new OffscreenCanvas(width, height);
+      this.ctx = this.canvas.getContext('2d', { alpha: false });
+    }
+    this.canvas.width = width;
+    this.canvas.height = height;
+
+    this.ctx.drawImage(bitmap, 0, 0, width, height);
+    bitmap.close();
+    return this.canvas.convertToBlob({ type: 'image/jpeg', quality });
+  }
+
+  /**
+   * Compute a perceptual difference hash of a bitmap (see FrameImaging.computeHash)
+   * @param {ImageBitmap} bitmap - Source image (left open, closed by the caller)
+   * @param {number} size - Hash grid size
+   * @returns {string} Hash as size*size/4 hex characters
+   */
+  hash(bitmap, size) {
+    return FrameImaging.computeHash(bitmap, size, (step, width, height) => {
+      if (!this.hashCanvases[step]) {
+        this.hashCanvases[step] = new OffscreenCanvas(width, height);
+      }
+      const canvas = this.hashCanvases[step];
+      if (canvas.width !== width || canvas.height !== height) {
+        canvas.width = width;
+        canvas.height = height;
+      }
+      return canvas;
+    });
+  }
+
+  /**
+   * Decode frames and draw them into a labelled grid (see FrameImaging.drawContactSheet)
+   * @param {Object} request - Contact sheet request
+   * @param {Blob[]} request.blobs - Encoded frames in order
+   * @param {string[]} request.labels - Time label per frame
+   * @param {number} request.maxDimension - Width of the sheet in pixels (0 keeps the frame width)
+   * @param {number} request.quality - JPEG quality
+   * @returns {Promise<Blob>} Encoded contact sheet
+   */
+  async contactSheet(request) {
+    const { blobs, labels, maxDimension, quality } = request;
+    const bitmaps = await Promise.all(blobs.map(blob => createImageBitmap(blob)));
+    try {
+      const canvas = FrameImaging.drawContactSheet(bitmaps, labels, maxDimension,
+        (width, height) => new OffscreenCanvas(width, height));
+      return canvas.convertToBlob({ type: 'image/jpeg', quality });
+    } finally {
+      // drawContactSheet closes each bitmap once drawn, this also frees the rest if drawing fails
+      bitmaps.forEach(bitmap => bitmap.close());
+    }
+  }
+}
+
+const frameWorker = new FrameWorker();
+
+self.addEventListener('message', async (event) => {
+  const request = event.data;
+  try {
+    const result = await frameWorker.handleRequest(request);
+    self.postMessage({ id: request.id, ...result });
+  } catch (error) {
+    self.postMessage({ id: request.id, error: error.message || String(error) });
+  }
+});
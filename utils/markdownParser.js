@@ -1,11 +1,11 @@
 /**
  * Lightweight Markdown Parser for LLM Answers
- * Parses bold text, italic text, and lists
+ * Parses bold text, italic text, lists and timestamp citations
  */
 
 class MarkdownParser {
   /**
-   * Parse markdown text and convert to HTML (bold, italic, and lists)
+   * Parse markdown text and convert to HTML (bold, italic, lists and citations)
    * @param {string} markdown - The markdown text to parse
    * @returns {string} HTML string
    */
@@ -20,12 +20,32 @@ class MarkdownParser {
     // Parse lists (before italic to avoid * at start of line being parsed as italic)
     html = this.parseLists(html);
 
-    // Parse italic text last
+    // Parse italic text
     html = this.parseItalic(html);
 
+    // Parse citations last, their markup has no markdown characters
+    html = this.parseCitations(html);
+
     return html;
   }
 
+  /**
+   * Parse timestamp citations ([1:23], [1:02:03] or [0:09, 1:08]) into chips that seek the video
+   * @param {string} text - Text to parse
+   * @returns {string} Parsed text
+   */
+  static parseCitations(text) {
+    return text.replace(/\[(\d{1,2}(?::\d{2}){1,2}(?:\s*[,;]\s*\d{1,2}(?::\d{2}){1,2})*)\]/g, (citation, clocks) => {
+      const chips = clocks.split(/\s*[,;]\s*/).map(clock => {
+        const time = TranscriptExporter.parseClock(clock);
+        return time === null
+          ? null
+          : `<button type="button" class="ytai-citation" data-time="${time}" title="Play from ${clock}">${clock}</button>`;
+      });
+      return chips.includes(null) ? citation : chips.join(' ');
+    });
+  }
+
   /**
    * Parse bold text (**text** or __text__)
    * @param {string} text - Text to parse
@@ -0,0 +1,227 @@
+/**
+ * Subtitle File Parser for YouTube AI Assistant
+ * Parses local SRT and WebVTT caption files into caption events
+ * Produces the same { start, dur, text } format as SubtitleParser.fetchCaptionData
+ */
+
+class SubtitleFileParser {
+  /**
+   * Parse a subtitle file, detecting the format from its content or file name
+   * @param {string} text - File contents
+   * @param {string} [fileName=''] - File name, used for format and language detection
+   * @returns {{format: 'srt'|'vtt', language: string|null, events: Array<{start: number, dur: number, text: string, words?: Array}>}} Parsed file
+   */
+  static parse(text, fileName = '') {
+    const content = (text || '').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+    const isVtt = /^WEBVTT/.test(content) || /\.vtt$/i.test(fileName);
+
+    const result = isVtt ? this.parseVtt(content) : this.parseSrt(content);
+    return {
+      format: isVtt ? 'vtt' : 'srt',
+      language: result.language || this.detectLanguageFromFileName(fileName),
+      events: result.events
+    };
+  }
+
+  /**
+   * Parse SRT content
+   * @param {string} content - Normalized file contents
+   * @returns {{language: null, events: Array}} Parsed events
+   */
+  static parseSrt(content) {
+    const events = [];
+
+    for (const block of content.split(/\n{2,}/)) {
+      const lines = block.split('\n').filter(line => line.trim().length > 0);
+      const timeIndex = lines.findIndex(line => line.includes('-->'));
+      if (timeIndex < 0) continue;
+
+      const timing = this.parseTimingLine(lines[timeIndex]);
+      if (!timing) continue;
+
+      const text = this.cleanCueText(lines.slice(timeIndex + 1).join(' '));
+      if (!text) continue;
+
+      events.push({ start: timing.start, dur: timing.end - timing.start, text });
+    }
+
+    return { language: null, events };
+  }
+
+  /**
+   * Parse WebVTT content
+   * Inline cue timestamps (<00:00:01.500>) are kept as word-level timing
+   * @param {string} content - Normalized file contents
+   * @returns {{language: string|null, events: Array}} Parsed events
+   */
+  static parseVtt(content) {
+    const events = [];
+    const blocks = content.split(/\n{2,}/);
+
+    // Header block may carry a "Language: xx" metadata line
+    const languageMatch = blocks[0] && blocks[0].match(/^Language:\s*([\w-]+)/m);
+    const language = languageMatch ? languageMatch[1] : null;
+
+    for (const block of blocks) {
+      // Skip header, comments, styles and regions
+      if (/^(WEBVTT|NOTE|STYLE|REGION)\b/.test(block.trim())) continue;
+
+      const lines = block.split('\n').filter(line => line.trim().length > 0);
+      const timeIndex = lines.findIndex(line => line.includes('-->'));
+      if (timeIndex < 0) continue;
+
+      const timing = this.parseTimingLine(lines[timeIndex]);
+      if (!timing) continue;
+
+      const rawText = lines.slice(timeIndex + 1).join(' ');
+      const text = this.cleanCueText(rawText);
+      if (!text) continue;
+
+      const event = { start: timing.start, dur: timing.end - timing.start, text };
+      const words = this.parseInlineTimestamps(rawText, timing.start, timing.end);
+      if (words.length > 1) {
+        event.words = words;
+      }
+      events.push(event);
+    }
+
+    return { language, events };
+  }
+
+  /**
+   * Parse a cue timing line ("00:00:01,000 --> 00:00:04,000 align:start")
+   * @param {string} line - Timing line
+   * @returns {{start: number, end: number}|null} Times in seconds or null if invalid
+   */
+  static parseTimingLine(line) {
+    const [startPart, endPart] = line.split('-->');
+    if (!endPart) return null;
+
+    const start = this.parseTimestamp(startPart.trim());
+    const end = this.parseTimestamp(endPart.trim().split(/\s+/)[0]);
+    if (start === null || end === null || end < start) return null;
+
+    return { start, end };
+  }
+
+  /**
+   * Parse a timestamp ("01:02:03,456", "02:03.456" or "02:03")
+   * @param {string} timestamp - Timestamp string
+   * @returns {number|null} Time in seconds or null if invalid
+   */
+  static parseTimestamp(timestamp) {
+    const match = (timestamp || '').match(/^(?:(\d+):)?(\d{1,2}):(\d{1,2})(?:[.,](\d{1,3}))?$/);
+    if (!match) return null;
+
+    const hours = parseInt(match[1] || '0', 10);
+    const minutes = parseInt(match[2], 10);
+    const seconds = parseInt(match[3], 10);
+    const millis = parseInt((match[4] || '0').padEnd(3, '0'), 10);
+
+    return hours * 3600 + minutes * 60 + seconds + millis / 1000;
+  }
+
+  /**
+   * Extract word timing from WebVTT inline timestamps
+   * @param {string} rawText - Cue text with inline timestamps
+   * @param {number} cueStart - Cue start in seconds
+   * @param {number} cueEnd - Cue end in seconds
+   * @returns {Array<{start: number, dur: number, text: string}>} Timed words (empty if no inline timestamps)
+   */
+  static parseInlineTimestamps(rawText, cueStart, cueEnd) {
+    if (!/<\d/.test(rawText)) return [];
+
+    const segments = [];
+    let segmentStart = cueStart;
+    for (const part of rawText.split(/(<[\d:.]+>)/)) {
+      const timestampMatch = part.match(/^<([\d:.]+)>$/);
+      if (timestampMatch) {
+        const time = this.parseTimestamp(timestampMatch[1]);
+        if (time !== null) segmentStart = time;
+        continue;
+      }
+
+      const text = this.cleanCueText(part);
+      if (text) {
+        segments.push({ start: segmentStart, text });
+      }
+    }
+
+    const words = [];
+    segments.forEach((segment, index) => {
+      const segmentEnd = index < segments.length - 1 ? segments[index + 1].start : cueEnd;
+      const parts = segment.text.split(/\s+/);
+      const wordDur = Math.max(0, segmentEnd - segment.start) / parts.length;
+      parts.forEach((part, partIndex) => {
+        words.push({ start: segment.start + partIndex * wordDur, dur: wordDur, text: part });
+      });
+    });
+
+    return words;
+  }
+
+  /**
+   * Remove markup from cue text and decode entities
+   * @param {string} text - Raw cue text
+   * @returns {string} Plain text
+   */
+  static cleanCueText(text) {
+    return (text || '')
+      .replace(/<[^>]+>/g, '') // Tags (<i>, <v Speaker>, <c.yellow>, timestamps)
+      .replace(/\{\\[^}]*\}/g, '') // SSA-style overrides in SRT ({\an8})
+      .replace(/&nbsp;/g, ' ')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&amp;/g, '&')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Guess the language from a file name like "lecture.de.srt", "lecture.pt-BR.vtt" or "movie.eng.srt"
+   * Only a known language code, optionally followed by BCP 47 subtags, right before the extension counts,
+   * so names like "notes.old.srt" or "talk.final.vtt" have no language
+   * @param {string} fileName - File name
+   * @returns {string|null} Canonical language tag or null
+   */
+  static detectLanguageFromFileName(fileName) {
+    const match = (fileName || '').match(/\.([a-z]{2,3}(?:[-_][a-z0-9]{2,8})*)\.(?:srt|vtt)$/i);
+    if (!match) {
+      return null;
+    }
+
+    // Two-letter ISO 639-1 codes, or the three-letter codes subtitle tools name files with
+    const [primary, ...subtags] = match[1].replace(/_/g, '-').split('-');
+    const language = primary.length === 3
+      ? this.THREE_LETTER_LANGUAGES[primary.toLowerCase()]
+      : primary.toLowerCase();
+    if (!language) {
+      return null;
+    }
+
+    try {
+      const names = new Intl.DisplayNames(['en'], { type: 'language', fallback: 'none' });
+      if (!names.of(language)) {
+        return null;
+      }
+      return Intl.getCanonicalLocales([language, ...subtags].join('-'))[0];
+    } catch {
+      // Subtags that don't form a valid BCP 47 tag
+      return null;
+    }
+  }
+}
+
+/**
+ * Three-letter language codes (ISO 639-2) used in subtitle file names, by their two-letter code
+ */
+SubtitleFileParser.THREE_LETTER_LANGUAGES = Object.freeze({
+  ara: 'ar', chi: 'zh', zho: 'zh', cze: 'cs', ces: 'cs', dan: 'da', dut: 'nl', nld: 'nl', eng: 'en',
+  fin: 'fi', fre: 'fr', fra: 'fr', ger: 'de', deu: 'de', gre: 'el', ell: 'el', heb: 'he', hin: 'hi',
+  hun: 'hu', ind: 'id', ita: 'it', jpn: 'ja', kor: 'ko', nor: 'no', per: 'fa', fas: 'fa', pol: 'pl',
+  por: 'pt', rum: 'ro', ron: 'ro', rus: 'ru', spa: 'es', swe: 'sv', tha: 'th', tur: 'tr', ukr: 'uk',
+  vie: 'vi'
+});
+
+// Export for use in other modules
+window.SubtitleFileParser = SubtitleFileParser;
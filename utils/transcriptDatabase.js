@@ -0,0 +1,283 @@
+/**
+ * Transcript Database for YouTube AI Assistant
+ * Persists full transcripts and translations in IndexedDB across sessions
+ * Entries are keyed by video id + caption track id (or another per-video entry such as chapters) + translation target
+ * and evicted least-recently-used first once the stored size exceeds the cap
+ */
+
+class TranscriptDatabase {
+  /**
+   * @param {Object} [options] - Database options
+   * @param {string} [options.dbName='tubeqa-transcripts'] - IndexedDB database name
+   * @param {number} [options.maxBytes=25 * 1024 * 1024] - Approximate size cap in bytes
+   */
+  constructor(options = {}) {
+    this.dbName = options.dbName || 'tubeqa-transcripts';
+    this.maxBytes = options.maxBytes || 25 * 1024 * 1024; // 25 MB
+    this.storeName = 'entries';
+    this.version = 2;
+    this.dbPromise = null;
+  }
+
+  /**
+   * Build the storage key for a transcript, a translation or another per-video entry
+   * Keys are laid out as "videoId|entryId|translationTarget", e.g. "abc123|en.asr|de" or "abc123|chapters|"
+   * @param {string} videoId - YouTube video ID
+   * @param {string} entryId - Caption track id (see SubtitleParser.getTrackId, or its imported and transcribed track ids),
+   *   or the name of another per-video entry: 'chapters' or 'prefetch'
+   * @param {string} [translationTarget=''] - Target language of a translation, empty for the original
+   * @returns {string} Storage key
+   */
+  static makeKey(videoId, entryId, translationTarget = '') {
+    return `${videoId}|${entryId || ''}|${translationTarget || ''}`;
+  }
+
+  /**
+   * Hash a piece of text into a short stable key (djb2)
+   * @param {string} text - Text to hash
+   * @returns {string} Hash as base-36 string
+   */
+  static hashText(text) {
+    let hash = 5381;
+    for (let i = 0; i < text.length; i++) {
+      hash = ((hash << 5) + hash + text.charCodeAt(i)) | 0;
+    }
+    return `${(hash >>> 0).toString(36)}_${text.length}`;
+  }
+
+  /**
+   * Check if IndexedDB is usable in this context
+   * @returns {boolean} True if IndexedDB is available
+   */
+  isAvailable() {
+    return typeof indexedDB !== 'undefined' && indexedDB !== null;
+  }
+
+  /**
+   * Open (or create) the database
+   * @returns {Promise<IDBDatabase|null>} Database handle or null if unavailable
+   */
+  async open() {
+    if (!this.isAvailable()) {
+      return null;
+    }
+
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve) => {
+        const request = indexedDB.open(this.dbName, this.version);
+
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          const store = db.objectStoreNames.contains(this.storeName)
+            ? request.transaction.objectStore(this.storeName)
+            : db.createObjectStore(this.storeName, { keyPath: 'key' });
+
+          // Version 2: eviction reads sizes from the index keys instead of loading every entry
+          if (store.indexNames.contains('lastAccessed')) {
+            store.deleteIndex('lastAccessed');
+          }
+          if (!store.indexNames.contains('lastAccessedSize')) {
+            store.createIndex('lastAccessedSize', ['lastAccessed', 'size']);
+          }
+        };
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          console.warn('Failed to open transcript database:', request.error);
+          resolve(null);
+        };
+      });
+    }
+
+    return this.dbPromise;
+  }
+
+  /**
+   * Wrap an IDBRequest in a Promise
+   * @param {IDBRequest} request - IndexedDB request
+   * @returns {Promise<any>} Request result
+   */
+  promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Estimate the stored size of a value
+   * @param {any} value - Value to measure
+   * @returns {number} Approximate size in bytes
+   */
+  estimateSize(value) {
+    try {
+      return JSON.stringify(value).length * 2; // UTF-16
+    } catch {
+      return 0;
+    }
+  }
+
+  /**
+   * Read an entry and mark it as recently used
+   * @param {string} key - Storage key
+   * @returns {Promise<any|null>} Stored value or null if missing
+   */
+  async get(key) {
+    try {
+      const db = await this.open();
+      if (!db) return null;
+
+      const tx = db.transaction(this.storeName, 'readwrite');
+      const store = tx.objectStore(this.storeName);
+      const entry = await this.promisifyRequest(store.get(key));
+      if (!entry) {
+        return null;
+      }
+
+      // Touch the entry for LRU ordering
+      entry.lastAccessed = Date.now();
+      store.put(entry);
+
+      return entry.value;
+    } catch (error) {
+      console.warn('Failed to read from transcript database:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Store an entry and evict old entries if over the size cap
+   * @param {string} key - Storage key
+   * @param {any} value - Value to store (must be structured-cloneable)
+   * @returns {Promise<boolean>} Success status
+   */
+  async put(key, value) {
+    try {
+      const db = await this.open();
+      if (!db) return false;
+
+      const size = this.estimateSize(value);
+      if (size > this.maxBytes) {
+        console.warn(`Entry ${key} (${size} bytes) exceeds the storage cap, not persisting`);
+        return false;
+      }
+
+      const tx = db.transaction(this.storeName, 'readwrite');
+      await this.promisifyRequest(tx.objectStore(this.storeName).put({
+        key,
+        value,
+        size,
+        lastAccessed: Date.now()
+      }));
+
+      await this.evict();
+      return true;
+    } catch (error) {
+      console.warn('Failed to write to transcript database:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Delete a single entry
+   * @param {string} key - Storage key
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    try {
+      const db = await this.open();
+      if (!db) return;
+
+      const tx = db.transaction(this.storeName, 'readwrite');
+      await this.promisifyRequest(tx.objectStore(this.storeName).delete(key));
+    } catch (error) {
+      console.warn('Failed to delete from transcript database:', error);
+    }
+  }
+
+  /**
+   * Evict least-recently-used entries until the total size fits the cap
+   * Walks the index keys newest first, so only sizes are read and stored values are never loaded;
+   * once the running total passes the cap, every older entry is deleted
+   * @returns {Promise<number>} Number of evicted entries
+   */
+  async evict() {
+    const db = await this.open();
+    if (!db) return 0;
+
+    const tx = db.transaction(this.storeName, 'readwrite');
+    const store = tx.objectStore(this.storeName);
+    const request = store.index('lastAccessedSize').openKeyCursor(null, 'prev');
+
+    const evicted = await new Promise((resolve, reject) => {
+      let totalBytes = 0;
+      let count = 0;
+
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {
+          resolve(count);
+          return;
+        }
+
+        // Index key is [lastAccessed, size]
+        totalBytes += cursor.key[1] || 0;
+        if (totalBytes > this.maxBytes) {
+          store.delete(cursor.primaryKey);
+          count++;
+        }
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+    });
+
+    if (evicted > 0) {
+      console.log(`Evicted ${evicted} stored transcript entries`);
+    }
+    return evicted;
+  }
+
+  /**
+   * Remove all stored transcripts and translations
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    try {
+      const db = await this.open();
+      if (!db) return;
+
+      const tx = db.transaction(this.storeName, 'readwrite');
+      await this.promisifyRequest(tx.objectStore(this.storeName).clear());
+      console.log('Transcript database cleared');
+    } catch (error) {
+      console.warn('Failed to clear transcript database:', error);
+    }
+  }
+
+  /**
+   * Get storage statistics for debugging
+   * @returns {Promise<Object>} Storage statistics
+   */
+  async getStats() {
+    try {
+      const db = await this.open();
+      if (!db) return { available: false, entries: 0, bytes: 0 };
+
+      const tx = db.transaction(this.storeName, 'readonly');
+      const entries = await this.promisifyRequest(tx.objectStore(this.storeName).getAll());
+      return {
+        available: true,
+        entries: entries.length,
+        bytes: entries.reduce((sum, entry) => sum + (entry.size || 0), 0),
+        maxBytes: this.maxBytes,
+        keys: entries.map(entry => entry.key)
+      };
+    } catch (error) {
+      console.warn('Failed to read transcript database stats:', error);
+      return { available: false, entries: 0, bytes: 0 };
+    }
+  }
+}
+
+// Export for use in other modules
+window.TranscriptDatabase = TranscriptDatabase;
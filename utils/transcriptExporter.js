@@ -0,0 +1,184 @@
+/**
+ * Transcript Exporter for YouTube AI Assistant
+ * Formats timed transcripts as SRT, WebVTT, timestamped plain text or JSON
+ * and saves them as files
+ */
+
+class TranscriptExporter {
+  /**
+   * Supported export formats
+   */
+  static FORMATS = {
+    srt: { extension: 'srt', mimeType: 'application/x-subrip', label: 'SRT' },
+    vtt: { extension: 'vtt', mimeType: 'text/vtt', label: 'WebVTT' },
+    txt: { extension: 'txt', mimeType: 'text/plain', label: 'Text' },
+    json: { extension: 'json', mimeType: 'application/json', label: 'JSON' }
+  };
+
+  /**
+   * Format events in the given export format
+   * @param {Array<{start: number, dur: number, text: string, words?: Array}>} events - Transcript events
+   * @param {'srt'|'vtt'|'txt'|'json'} format - Export format
+   * @param {Object} [metadata] - Transcript metadata (videoId, language, trackName, translatedTo)
+   * @returns {string} Formatted transcript
+   */
+  static format(events, format, metadata = {}) {
+    switch (format) {
+      case 'srt':
+        return this.toSrt(events);
+      case 'vtt':
+        return this.toVtt(events, metadata);
+      case 'txt':
+        return this.toText(events);
+      case 'json':
+        return this.toJson(events, metadata);
+      default:
+        throw new Error(`Unsupported export format: ${format}`);
+    }
+  }
+
+  /**
+   * Format events as SRT
+   * @param {Array<{start: number, dur: number, text: string}>} events - Transcript events
+   * @returns {string} SRT content
+   */
+  static toSrt(events) {
+    return events
+      .map((event, index) => [
+        index + 1,
+        `${this.formatTimestamp(event.start, ',')} --> ${this.formatTimestamp(event.start + event.dur, ',')}`,
+        event.text
+      ].join('\n'))
+      .join('\n\n') + '\n';
+  }
+
+  /**
+   * Format events as WebVTT
+   * @param {Array<{start: number, dur: number, text: string}>} events - Transcript events
+   * @param {Object} [metadata] - Transcript metadata
+   * @returns {string} WebVTT content
+   */
+  static toVtt(events, metadata = {}) {
+    const language = metadata.translatedTo || metadata.language;
+    const header = language ? `WEBVTT\nLanguage: ${language}` : 'WEBVTT';
+    const cues = events.map(event => [
+      `${this.formatTimestamp(event.start, '.')} --> ${this.formatTimestamp(event.start + event.dur, '.')}`,
+      event.text
+    ].join('\n'));
+
+    return [header, ...cues].join('\n\n') + '\n';
+  }
+
+  /**
+   * Format events as timestamped plain text ("[12:34] text")
+   * @param {Array<{start: number, text: string}>} events - Transcript events
+   * @returns {string} Plain text content
+   */
+  static toText(events) {
+    return events
+      .map(event => `[${this.formatClock(event.start)}] ${event.text}`)
+      .join('\n') + '\n';
+  }
+
+  /**
+   * Format events as JSON, including word timings when available
+   * @param {Array<{start: number, dur: number, text: string, words?: Array}>} events - Transcript events
+   * @param {Object} [metadata] - Transcript metadata
+   * @returns {string} JSON content
+   */
+  static toJson(events, metadata = {}) {
+    const round = (value) => Math.round(value * 1000) / 1000;
+
+    return JSON.stringify({
+      ...metadata,
+      events: events.map(event => {
+        const exported = {
+          start: round(event.start),
+          dur: round(event.dur),
+          text: event.text
+        };
+        if (event.speaker !== undefined) {
+          exported.speaker = event.speaker;
+        }
+        if (event.words && event.words.length > 0) {
+          exported.words = event.words.map(word => ({
+            start: round(word.start),
+            dur: round(word.dur),
+            text: word.text
+          }));
+        }
+        return exported;
+      })
+    }, null, 2);
+  }
+
+  /**
+   * Format seconds as an SRT/VTT timestamp (HH:MM:SS,mmm)
+   * @param {number} seconds - Time in seconds
+   * @param {string} separator - Millisecond separator ("," for SRT, "." for VTT)
+   * @returns {string} Timestamp
+   */
+  static formatTimestamp(seconds, separator) {
+    const totalMillis = Math.max(0, Math.round(seconds * 1000));
+    const hours = Math.floor(totalMillis / 3600000);
+    const minutes = Math.floor((totalMillis % 3600000) / 60000);
+    const secs = Math.floor((totalMillis % 60000) / 1000);
+    const millis = totalMillis % 1000;
+
+    const pad = (value, length = 2) => String(value).padStart(length, '0');
+    return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${separator}${pad(millis, 3)}`;
+  }
+
+  /**
+   * Format seconds as a short clock time (M:SS or H:MM:SS)
+   * @param {number} seconds - Time in seconds
+   * @returns {string} Clock time
+   */
+  static formatClock(seconds) {
+    const total = Math.max(0, Math.floor(seconds));
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    const secs = total % 60;
+
+    const pad = (value) => String(value).padStart(2, '0');
+    return hours > 0 ? `${hours}:${pad(minutes)}:${pad(secs)}` : `${minutes}:${pad(secs)}`;
+  }
+
+  /**
+   * Parse a clock time written by formatClock (M:SS or H:MM:SS)
+   * @param {string} clock - Clock time
+   * @returns {number|null} Time in seconds, or null if the text is not a clock time
+   */
+  static parseClock(clock) {
+    const match = /^(?:(\d+):)?(\d{1,2}):(\d{2})$/.exec((clock || '').trim());
+    if (!match || Number(match[3]) >= 60 || (match[1] !== undefined && Number(match[2]) >= 60)) {
+      return null;
+    }
+    return Number(match[1] || 0) * 3600 + Number(match[2]) * 60 + Number(match[3]);
+  }
+
+  /**
+   * Save formatted content as a file download
+   * @param {string} content - File content
+   * @param {string} fileName - File name
+   * @param {string} mimeType - MIME type
+   */
+  static download(content, fileName, mimeType) {
+    const blob = new Blob([content], { type: `${mimeType};charset=utf-8` });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.style.display = 'none';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    // Give the browser time to start the download before releasing the blob
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+}
+
+// Export for use in other modules
+window.TranscriptExporter = TranscriptExporter;
@@ -1,52 +1,827 @@
 /**
  * Video Frame Extractor for YouTube AI Assistant
  * Handles video frame capture operations for multimodal AI processing
+ * and detects scene changes (slide changes, cuts) from perceptual frame hashes
+ * Frames are buffered while the video plays, so a time window can be shown as several frames or a contact sheet
+ * Encoded frames are cached by perceptual hash, and repeated frames are flagged so they are not sent to the model again
+ * Resizing, encoding and hashing run in a worker (utils/frameWorker.js) on an OffscreenCanvas when the page allows it,
+ * otherwise on a canvas on the main thread, both with the drawing code of FrameImaging
  */
 
 class VideoFrameExtractor {
   constructor() {
     this.canvas = null;
     this.ctx = null;
+    this.hashCanvases = []; // Canvas per downscale step frames are shrunk through for hashing
+    this.sceneSampleInterval = 1000; // Milliseconds between scene samples
+    this.sceneChangeThreshold = 14; // Differing hash bits (out of 64) that count as a new scene
+    this.minSceneLength = 3; // Seconds of video time a scene must last before the next change is reported
+    this.sceneTimer = null;
+    this.sceneHash = null; // Hash of the frame that started the current scene
+    this.sceneStartTime = 0; // Video time the current scene started at
+    this.captureMode = 'single'; // 'single' (current frame), 'frames' (frames across the window) or 'contact-sheet'
+    this.frameCount = 4; // Frames per time window in 'frames' and 'contact-sheet' mode
+    this.maxDimension = 1280; // Longest side of captured images in pixels (0 keeps the video resolution)
+    this.imageQuality = 0.8; // JPEG quality of captured images
+    this.frameSampleSpacing = 5; // Seconds of video time between buffered frames
+    this.frameBufferLength = 600; // Seconds of video time kept in the frame buffer
+    this.frameBuffer = []; // Buffered frames sorted by time: {time, blob, hash}
+    this.sampleTimer = null;
+    this.frameCache = new Map(); // Encoded frames keyed by perceptual hash and max dimension, oldest first
+    this.maxCachedFrames = 32; // Most encoded frames kept in the cache
+    this.cacheHashSize = 16; // Hash grid size for cache keys (256-bit hash)
+    this.sameFrameThreshold = 3; // Differing hash bits per 64 that still count as the same frame
+    this.lastContextHash = null; // Hash of the last image returned by captureVisualContext
+    this.worker = null; // Frame worker, started on first use
+    this.workerUrl = null; // Blob URL the worker was started from
+    this.workerStarting = null; // Promise of the worker while it starts
+    this.workerUnavailable = false; // True once the page refused to run the worker
+    this.workerRequests = new Map(); // Pending worker requests by id: {resolve, reject, timeout}
+    this.nextWorkerRequestId = 1;
+    this.workerRequestTimeout = 10000; // Milliseconds before a worker request without reply is given up
+    this.isHashingScene = false; // A scene sample is being hashed
+    this.SETTINGS_KEY = 'youtube-ai-assistant-frame-settings'; // LocalStorage key
+    this.loadSettings();
+  }
+
+  /**
+   * Load saved capture settings from localStorage
+   */
+  loadSettings() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(this.SETTINGS_KEY) || 'null');
+      if (saved) {
+        this.applySettings(saved);
+      }
+    } catch (error) {
+      console.warn('Error loading frame capture settings:', error);
+    }
+  }
+
+  /**
+   * Change and save capture settings
+   * @param {Object} settings - Settings to change
+   * @param {'single'|'frames'|'contact-sheet'} [settings.captureMode] - What a capture returns
+   * @param {number} [settings.frameCount] - Frames per time window
+   * @param {number} [settings.maxDimension] - Longest side of captured images in pixels (0 for full resolution)
+   * @param {number} [settings.imageQuality] - JPEG quality between 0 and 1
+   */
+  configure(settings) {
+    this.applySettings(settings);
+    // Cached images were encoded with the old settings
+    this.frameCache.clear();
+    try {
+      localStorage.setItem(this.SETTINGS_KEY, JSON.stringify({
+        captureMode: this.captureMode,
+        frameCount: this.frameCount,
+        maxDimension: this.maxDimension,
+        imageQuality: this.imageQuality
+      }));
+    } catch (error) {
+      console.warn('Error saving frame capture settings:', error);
+    }
+  }
+
+  /**
+   * Apply capture settings, ignoring invalid values
+   * @param {Object} settings - Settings (see configure)
+   */
+  applySettings(settings) {
+    if (VideoFrameExtractor.CAPTURE_MODES.includes(settings.captureMode)) {
+      this.captureMode = settings.captureMode;
+    }
+    if (Number.isInteger(settings.frameCount) && settings.frameCount > 0) {
+      this.frameCount = settings.frameCount;
+    }
+    if (Number.isFinite(settings.maxDimension) && settings.maxDimension >= 0) {
+      this.maxDimension = settings.maxDimension;
+    }
+    if (Number.isFinite(settings.imageQuality) && settings.imageQuality > 0 && settings.imageQuality <= 1) {
+      this.imageQuality = settings.imageQuality;
+    }
   }
 
   /**
    * Capture current frame from video element as a Blob
    * @param {HTMLVideoElement} videoElement - The video element to capture from
+   * @param {Object} [options] - Capture options
+   * @param {number} [options.maxDimension] - Longest side in pixels, defaults to the configured maxDimension
+   * @param {number} [options.quality] - JPEG quality, defaults to the configured imageQuality
    * @returns {Promise<Blob|null>} Video frame as image blob, or null if capture fails
    */
-  async captureVideoFrame(videoElement) {
+  async captureVideoFrame(videoElement, options = {}) {
+    const frame = await this.captureFrame(videoElement, options);
+    return frame ? frame.blob : null;
+  }
+
+  /**
+   * Capture current frame with its perceptual hash, reusing the cached image if the frame was encoded before
+   * @param {HTMLVideoElement} videoElement - The video element to capture from
+   * @param {Object} [options] - Capture options (see captureVideoFrame)
+   * @returns {Promise<{blob: Blob, hash: string|null}|null>} Frame, or null if capture fails
+   */
+  async captureFrame(videoElement, options = {}) {
     try {
       if (!videoElement || videoElement.readyState < 2) {
         console.warn('Video element not ready for capture');
         return null;
       }
 
-      // Create canvas if not exists
-      if (!this.canvas) {
-        this.canvas = document.createElement('canvas');
-        this.ctx = this.canvas.getContext('2d', { willReadFrequently: false, alpha: false });
+      const maxDimension = options.maxDimension ?? this.maxDimension;
+      const quality = options.quality ?? this.imageQuality;
+
+      if (await this.getWorker()) {
+        try {
+          return await this.captureFrameInWorker(videoElement, maxDimension, quality);
+        } catch (error) {
+          console.warn('Frame worker failed to capture, capturing on the main thread:', error);
+        }
       }
 
-      // Set canvas dimensions
-      this.canvas.width = videoElement.videoWidth;
-      this.canvas.height = videoElement.videoHeight;
+      // A finer hash than scene detection uses, so similar slides don't share a cached image
+      const hash = this.computeFrameHash(videoElement, this.cacheHashSize);
+      const cacheKey = hash ? `${hash}_${maxDimension}` : null;
+
+      const cachedBlob = cacheKey ? this.getCachedFrame(cacheKey) : null;
+      if (cachedBlob) {
+        return { blob: cachedBlob, hash };
+      }
 
-      // Draw video frame to canvas
-      this.ctx.drawImage(videoElement, 0, 0);
+      const { width, height } = this.getScaledSize(videoElement.videoWidth, videoElement.videoHeight, maxDimension);
+      const blob = await this.encodeImage(videoElement, width, height, quality);
+      if (!blob) {
+        return null;
+      }
 
-      // Convert canvas to blob
-      return new Promise((resolve) => {
-        this.canvas.toBlob((blob) => {
-          resolve(blob);
-        }, 'image/jpeg', 0.8);
-      });
+      if (cacheKey) {
+        this.cacheFrame(cacheKey, blob);
+      }
+      return { blob, hash };
     } catch (error) {
       console.error('Failed to capture video frame:', error);
       return null;
     }
   }
+
+  /**
+   * Capture current frame in the frame worker, which only encodes frames that aren't cached yet
+   * @param {HTMLVideoElement} videoElement - The video element to capture from
+   * @param {number} maxDimension - Longest side in pixels
+   * @param {number} quality - JPEG quality
+   * @returns {Promise<{blob: Blob, hash: string}>} Frame
+   */
+  async captureFrameInWorker(videoElement, maxDimension, quality) {
+    const bitmap = await createImageBitmap(videoElement);
+    const { width, height } = this.getScaledSize(bitmap.width, bitmap.height, maxDimension);
+    const keySuffix = `_${maxDimension}`;
+
+    const reply = await this.runInWorker({
+      type: 'capture',
+      bitmap,
+      width,
+      height,
+      quality,
+      hashSize: this.cacheHashSize,
+      cachedKeys: [...this.frameCache.keys()],
+      keySuffix
+    }, [bitmap]);
+
+    const cacheKey = `${reply.hash}${keySuffix}`;
+    if (reply.blob) {
+      this.cacheFrame(cacheKey, reply.blob);
+      return { blob: reply.blob, hash: reply.hash };
+    }
+
+    const cachedBlob = this.getCachedFrame(cacheKey);
+    if (!cachedBlob) {
+      // Another capture pushed the frame out of the cache while the worker hashed it
+      throw new Error('Cached frame was evicted');
+    }
+    return { blob: cachedBlob, hash: reply.hash };
+  }
+
+  /**
+   * Get an encoded frame from the cache
+   * @param {string} cacheKey - Perceptual hash and max dimension
+   * @returns {Blob|null} Cached image, or null
+   */
+  getCachedFrame(cacheKey) {
+    if (!this.frameCache.has(cacheKey)) {
+      return null;
+    }
+
+    // Move to the end so the cache drops the least recently used frames first
+    const blob = this.frameCache.get(cacheKey);
+    this.frameCache.delete(cacheKey);
+    this.frameCache.set(cacheKey, blob);
+    return blob;
+  }
+
+  /**
+   * Add an encoded frame to the cache, dropping the least recently used frame when it is full
+   * @param {string} cacheKey - Perceptual hash and max dimension
+   * @param {Blob} blob - Encoded image
+   */
+  cacheFrame(cacheKey, blob) {
+    this.frameCache.set(cacheKey, blob);
+    if (this.frameCache.size > this.maxCachedFrames) {
+      this.frameCache.delete(this.frameCache.keys().next().value);
+    }
+  }
+
+  /**
+   * Crop a region of the current frame at full video resolution
+   * @param {HTMLVideoElement} videoElement - The video element to capture from
+   * @param {{x: number, y: number, width: number, height: number}} region - Region as fractions of the frame (0 to 1)
+   * @returns {Promise<Blob|null>} Cropped image blob, or null if capture fails
+   */
+  async captureRegion(videoElement, region) {
+    try {
+      if (!videoElement || videoElement.readyState < 2) {
+        console.warn('Video element not ready for capture');
+        return null;
+      }
+
+      const sourceRect = {
+        x: Math.round(region.x * videoElement.videoWidth),
+        y: Math.round(region.y * videoElement.videoHeight),
+        width: Math.max(1, Math.round(region.width * videoElement.videoWidth)),
+        height: Math.max(1, Math.round(region.height * videoElement.videoHeight))
+      };
+
+      if (await this.getWorker()) {
+        try {
+          const bitmap = await createImageBitmap(
+            videoElement, sourceRect.x, sourceRect.y, sourceRect.width, sourceRect.height
+          );
+          const reply = await this.runInWorker({
+            type: 'encode',
+            bitmap,
+            width: bitmap.width,
+            height: bitmap.height,
+            quality: this.imageQuality
+          }, [bitmap]);
+          return reply.blob;
+        } catch (error) {
+          console.warn('Frame worker failed to capture region, capturing on the main thread:', error);
+        }
+      }
+
+      return await this.encodeImage(videoElement, sourceRect.width, sourceRect.height, this.imageQuality, sourceRect);
+    } catch (error) {
+      console.error('Failed to capture video region:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Capture the visual context of a time window in the configured capture mode
+   * @param {HTMLVideoElement} videoElement - The video element to capture from
+   * @param {number} startTime - Start of the window in seconds
+   * @param {number} endTime - End of the window in seconds
+   * @returns {Promise<Array<{time: number, blob: Blob, hash: string|null, sameAsPrevious: boolean, times?: number[]}>>}
+   *   Ordered images (a contact sheet lists its frame times); sameAsPrevious marks images that match the image before them
+   */
+  async captureVisualContext(videoElement, startTime, endTime) {
+    let frames = [];
+    if (this.captureMode === 'frames') {
+      frames = await this.captureFrames(videoElement, startTime, endTime);
+    } else if (this.captureMode === 'contact-sheet') {
+      const sheet = await this.captureContactSheet(videoElement, startTime, endTime);
+      frames = sheet ? [sheet] : [];
+    } else {
+      const frame = await this.captureFrame(videoElement);
+      frames = frame ? [{ time: videoElement.currentTime, ...frame }] : [];
+    }
+
+    return this.markRepeatedFrames(frames);
+  }
+
+  /**
+   * Flag images that look the same as the image before them,
+   * continuing from the last image of the previous captureVisualContext call
+   * @param {Array<{hash: string|null}>} frames - Ordered images
+   * @returns {Array<{hash: string|null, sameAsPrevious: boolean}>} Copies of the images with sameAsPrevious set
+   */
+  markRepeatedFrames(frames) {
+    let previousHash = this.lastContextHash;
+    const marked = frames.map(frame => {
+      const sameAsPrevious = !!(frame.hash && previousHash && frame.hash.length === previousHash.length &&
+        this.hashDistance(frame.hash, previousHash) <= this.sameFrameThreshold * (frame.hash.length / 16));
+      if (frame.hash) {
+        previousHash = frame.hash;
+      }
+      return { ...frame, sameAsPrevious };
+    });
+
+    this.lastContextHash = previousHash;
+    return marked;
+  }
+
+  /**
+   * Get up to frameCount frames spread across a time window
+   * Uses buffered frames of the window, plus the current frame when playback is inside it
+   * @param {HTMLVideoElement} videoElement - The video element to capture from
+   * @param {number} startTime - Start of the window in seconds
+   * @param {number} endTime - End of the window in seconds
+   * @returns {Promise<Array<{time: number, blob: Blob, hash: string|null}>>} Frames sorted by time
+   */
+  async captureFrames(videoElement, startTime, endTime) {
+    const frames = this.frameBuffer.filter(frame => frame.time >= startTime && frame.time <= endTime);
+
+    const currentTime = videoElement ? videoElement.currentTime : 0;
+    if (frames.length === 0 || (currentTime >= startTime && currentTime <= endTime)) {
+      const frame = await this.captureFrame(videoElement);
+      if (frame) {
+        frames.push({ time: currentTime, ...frame });
+      }
+    }
+
+    return this.pickEvenly(frames.sort((a, b) => a.time - b.time), this.frameCount);
+  }
+
+  /**
+   * Combine the frames of a time window into a single labelled grid image
+   * @param {HTMLVideoElement} videoElement - The video element to capture from
+   * @param {number} startTime - Start of the window in seconds
+   * @param {number} endTime - End of the window in seconds
+   * @returns {Promise<{time: number, blob: Blob, hash: string|null, times: number[]}|null>} Contact sheet, or null if no frame is available
+   */
+  async captureContactSheet(videoElement, startTime, endTime) {
+    const frames = await this.captureFrames(videoElement, startTime, endTime);
+    if (frames.length <= 1) {
+      return frames[0] || null;
+    }
+
+    try {
+      let blob = null;
+      if (await this.getWorker()) {
+        try {
+          const reply = await this.runInWorker({
+            type: 'contactSheet',
+            blobs: frames.map(frame => frame.blob),
+            labels: frames.map(frame => TranscriptExporter.formatClock(frame.time)),
+            maxDimension: this.maxDimension,
+            quality: this.imageQuality
+          });
+          blob = reply.blob;
+        } catch (error) {
+          console.warn('Frame worker failed to build contact sheet, building it on the main thread:', error);
+        }
+      }
+      if (!blob) {
+        blob = await this.drawContactSheet(frames);
+      }
+
+      // The sheet's hash is the hashes of its frames, so an unchanged sheet is recognized as well
+      const hash = frames.every(frame => frame.hash) ? frames.map(frame => frame.hash).join('') : null;
+      return blob ? { time: frames[0].time, blob, hash, times: frames.map(frame => frame.time) } : null;
+    } catch (error) {
+      console.error('Failed to build contact sheet:', error);
+      return frames[frames.length - 1];
+    }
+  }
+
+  /**
+   * Draw frames into a labelled grid on a main-thread canvas
+   * @param {Array<{time: number, blob: Blob}>} frames - Frames sorted by time
+   * @returns {Promise<Blob|null>} Encoded contact sheet
+   */
+  async drawContactSheet(frames) {
+    const bitmaps = await Promise.all(frames.map(frame => createImageBitmap(frame.blob)));
+    const labels = frames.map(frame => TranscriptExporter.formatClock(frame.time));
+    let canvas = null;
+    try {
+      canvas = FrameImaging.drawContactSheet(bitmaps, labels, this.maxDimension, (width, height) => {
+        const sheetCanvas = document.createElement('canvas');
+        sheetCanvas.width = width;
+        sheetCanvas.height = height;
+        return sheetCanvas;
+      });
+    } finally {
+      // Frees the bitmaps drawContactSheet didn't get to if drawing fails
+      bitmaps.forEach(bitmap => bitmap.close());
+    }
+
+    return new Promise((resolve) => {
+      canvas.toBlob(resolve, 'image/jpeg', this.imageQuality);
+    });
+  }
+
+  /**
+   * Check if captures need frames from across the time window, which are buffered by startFrameSampling
+   * @returns {boolean} True in 'frames' and 'contact-sheet' mode
+   */
+  capturesMultipleFrames() {
+    return this.captureMode !== 'single';
+  }
+
+  /**
+   * Start buffering frames every frameSampleSpacing seconds of playback
+   * Only needed when capturesMultipleFrames(), 'single' mode captures the current frame on demand
+   * @param {HTMLVideoElement} videoElement - The video element to sample
+   */
+  startFrameSampling(videoElement) {
+    this.stopFrameSampling();
+
+    this.sampleTimer = setInterval(async () => {
+      if (this.captureMode === 'single' || !videoElement || videoElement.paused || videoElement.seeking) {
+        return;
+      }
+
+      const time = videoElement.currentTime;
+      const sampled = this.frameBuffer.some(frame => Math.abs(frame.time - time) < this.frameSampleSpacing);
+      if (sampled) {
+        return;
+      }
+
+      const frame = await this.captureFrame(videoElement);
+      if (!frame) {
+        return;
+      }
+
+      this.frameBuffer.push({ time, ...frame });
+      this.frameBuffer.sort((a, b) => a.time - b.time);
+
+      // Keep the frames closest to the current time
+      this.frameBuffer = this.frameBuffer.filter(frame => Math.abs(frame.time - time) <= this.frameBufferLength);
+    }, 1000);
+  }
+
+  /**
+   * Stop buffering frames
+   */
+  stopFrameSampling() {
+    if (this.sampleTimer) {
+      clearInterval(this.sampleTimer);
+      this.sampleTimer = null;
+    }
+  }
+
+  /**
+   * Drop all buffered frames (e.g. when the video changes)
+   */
+  clearFrameBuffer() {
+    this.frameBuffer = [];
+    this.lastContextHash = null;
+  }
+
+  /**
+   * Pick items spread evenly over a list, always keeping the first and last
+   * @param {Array} items - Items to pick from
+   * @param {number} count - Number of items to pick
+   * @returns {Array} Picked items in their original order
+   */
+  pickEvenly(items, count) {
+    if (items.length <= count) {
+      return items;
+    }
+    if (count === 1) {
+      return [items[items.length - 1]];
+    }
+
+    const picked = [];
+    for (let i = 0; i < count; i++) {
+      picked.push(items[Math.round(i * (items.length - 1) / (count - 1))]);
+    }
+    return picked;
+  }
+
+  /**
+   * Fit a size into a maximum dimension, keeping the aspect ratio
+   * @param {number} width - Source width
+   * @param {number} height - Source height
+   * @param {number} maxDimension - Longest allowed side (0 for no limit)
+   * @returns {{width: number, height: number}} Scaled size
+   */
+  getScaledSize(width, height, maxDimension) {
+    const scale = maxDimension > 0 ? Math.min(1, maxDimension / Math.max(width, height)) : 1;
+    return {
+      width: Math.max(1, Math.round(width * scale)),
+      height: Math.max(1, Math.round(height * scale))
+    };
+  }
+
+  /**
+   * Draw an image source onto the capture canvas and encode it as JPEG
+   * @param {CanvasImageSource} source - Video element or bitmap
+   * @param {number} width - Output width
+   * @param {number} height - Output height
+   * @param {number} quality - JPEG quality
+   * @param {{x: number, y: number, width: number, height: number}|null} [sourceRect] - Part of the source to draw (whole source if omitted)
+   * @returns {Promise<Blob|null>} Encoded image
+   */
+  encodeImage(source, width, height, quality, sourceRect = null) {
+    // Create canvas if not exists
+    if (!this.canvas) {
+      this.canvas = document.createElement('canvas');
+      this.ctx = this.canvas.getContext('2d', { willReadFrequently: false, alpha: false });
+    }
+
+    // Set canvas dimensions
+    this.canvas.width = width;
+    this.canvas.height = height;
+
+    // Draw video frame to canvas
+    if (sourceRect) {
+      this.ctx.drawImage(source, sourceRect.x, sourceRect.y, sourceRect.width, sourceRect.height, 0, 0, width, height);
+    } else {
+      this.ctx.drawImage(source, 0, 0, width, height);
+    }
+
+    // Convert canvas to blob
+    return new Promise((resolve) => {
+      this.canvas.toBlob((blob) => {
+        resolve(blob);
+      }, 'image/jpeg', quality);
+    });
+  }
+
+  /**
+   * Start sampling the video for scene changes
+   * @param {HTMLVideoElement} videoElement - The video element to watch
+   * @param {Function} onSceneChange - Called with {time, distance, hash} when a new scene starts
+   */
+  startSceneDetection(videoElement, onSceneChange) {
+    this.stopSceneDetection();
+
+    const timer = setInterval(async () => {
+      if (!videoElement || videoElement.paused || videoElement.seeking || this.isHashingScene) {
+        return;
+      }
+
+      const time = videoElement.currentTime;
+      let hash = null;
+      this.isHashingScene = true;
+      try {
+        hash = await this.hashFrame(videoElement);
+      } finally {
+        this.isHashingScene = false;
+      }
+      // Detection may have been stopped or restarted while the frame was hashed
+      if (!hash || this.sceneTimer !== timer) {
+        return;
+      }
+
+      // Seeking back starts over from the frame we land on
+      if (!this.sceneHash || time < this.sceneStartTime) {
+        this.sceneHash = hash;
+        this.sceneStartTime = time;
+        return;
+      }
+
+      const distance = this.hashDistance(this.sceneHash, hash);
+      if (distance >= this.sceneChangeThreshold && time - this.sceneStartTime >= this.minSceneLength) {
+        console.log(`Scene change at ${time.toFixed(1)}s (${distance} bits differ)`);
+        this.sceneHash = hash;
+        this.sceneStartTime = time;
+        onSceneChange({ time, distance, hash });
+      }
+    }, this.sceneSampleInterval);
+    this.sceneTimer = timer;
+  }
+
+  /**
+   * Stop sampling the video for scene changes
+   */
+  stopSceneDetection() {
+    if (this.sceneTimer) {
+      clearInterval(this.sceneTimer);
+      this.sceneTimer = null;
+    }
+    this.sceneHash = null;
+    this.sceneStartTime = 0;
+  }
+
+  /**
+   * Check if scene changes are being detected (sampling runs and frames can be hashed)
+   * @returns {boolean} True if scene detection is active
+   */
+  isDetectingScenes() {
+    return this.sceneTimer !== null && this.sceneHash !== null;
+  }
+
+  /**
+   * Compute a perceptual difference hash of the current video frame, in the frame worker when available
+   * @param {HTMLVideoElement} videoElement - The video element to hash
+   * @param {number} [size=8] - Hash grid size (see computeFrameHash)
+   * @returns {Promise<string|null>} Hash as size*size/4 hex characters, or null if the frame can't be read
+   */
+  async hashFrame(videoElement, size = 8) {
+    if (!videoElement || videoElement.readyState < 2) {
+      return null;
+    }
+
+    if (await this.getWorker()) {
+      try {
+        const bitmap = await createImageBitmap(videoElement);
+        const reply = await this.runInWorker({ type: 'hash', bitmap, size }, [bitmap]);
+        return reply.hash;
+      } catch (error) {
+        console.warn('Frame worker failed to hash frame, hashing on the main thread:', error);
+      }
+    }
+
+    return this.computeFrameHash(videoElement, size);
+  }
+
+  /**
+   * Compute a perceptual difference hash (dHash) of the current video frame on the main thread (see FrameImaging.computeHash)
+   * @param {HTMLVideoElement} videoElement - The video element to hash
+   * @param {number} [size=8] - Hash grid size, 8 gives a 64-bit hash (scene changes), 16 a 256-bit hash (frame cache)
+   * @returns {string|null} Hash as size*size/4 hex characters, or null if the frame can't be read
+   */
+  computeFrameHash(videoElement, size = 8) {
+    try {
+      if (!videoElement || videoElement.readyState < 2) {
+        return null;
+      }
+
+      return FrameImaging.computeHash(videoElement, size, (step, width, height) => {
+        if (!this.hashCanvases[step]) {
+          this.hashCanvases[step] = document.createElement('canvas');
+        }
+        const canvas = this.hashCanvases[step];
+        if (canvas.width !== width || canvas.height !== height) {
+          canvas.width = width;
+          canvas.height = height;
+        }
+        return canvas;
+      });
+    } catch (error) {
+      // Cross-origin video taints the canvas
+      console.warn('Failed to hash video frame:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Count the differing bits of two frame hashes
+   * @param {string} a - First hash (hex)
+   * @param {string} b - Second hash (hex)
+   * @returns {number} Hamming distance
+   */
+  hashDistance(a, b) {
+    let distance = 0;
+    for (let i = 0; i < a.length; i++) {
+      let bits = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+      while (bits) {
+        distance += bits & 1;
+        bits >>= 1;
+      }
+    }
+    return distance;
+  }
+
+  /**
+   * Get the frame worker, starting it on first use
+   * @returns {Promise<Worker|null>} Worker, or null if frames are processed on the main thread
+   */
+  async getWorker() {
+    if (this.worker || this.workerUnavailable) {
+      return this.worker;
+    }
+    if (!this.workerStarting) {
+      this.workerStarting = this.startWorker();
+    }
+    return this.workerStarting;
+  }
+
+  /**
+   * Start the frame worker
+   * Content scripts can't start workers from extension URLs, so the script is loaded into a blob URL first,
+   * after the FrameImaging code it shares with the main thread
+   * @returns {Promise<Worker|null>} Worker, or null if the page doesn't allow it
+   */
+  async startWorker() {
+    try {
+      if (typeof Worker === 'undefined' || typeof OffscreenCanvas === 'undefined' || typeof createImageBitmap === 'undefined') {
+        throw new Error('Worker, OffscreenCanvas or createImageBitmap not supported');
+      }
+
+      const scripts = await Promise.all(VideoFrameExtractor.WORKER_SCRIPTS.map(async (path) => {
+        const response = await fetch(chrome.runtime.getURL(path));
+        if (!response.ok) {
+          throw new Error(`Failed to load ${path}: ${response.status}`);
+        }
+        return response.text();
+      }));
+      this.workerUrl = URL.createObjectURL(new Blob([scripts.join('\n')], { type: 'text/javascript' }));
+
+      const worker = new Worker(this.workerUrl);
+      worker.onmessage = (event) => this.handleWorkerMessage(event.data);
+      // Also fired when the page's Content Security Policy blocks blob workers
+      worker.onerror = (event) => {
+        event.preventDefault();
+        this.disableWorker(event.message || 'Frame worker failed to load');
+      };
+
+      this.worker = worker;
+      console.log('Frame worker started');
+      return worker;
+    } catch (error) {
+      this.disableWorker(error.message || String(error));
+      return null;
+    } finally {
+      this.workerStarting = null;
+    }
+  }
+
+  /**
+   * Send a request to the frame worker
+   * @param {Object} message - Request with a type and its data
+   * @param {Transferable[]} [transfer] - Objects moved to the worker (e.g. ImageBitmaps)
+   * @returns {Promise<Object>} Reply from the worker, rejected if none comes within workerRequestTimeout
+   */
+  runInWorker(message, transfer = []) {
+    return new Promise((resolve, reject) => {
+      if (!this.worker) {
+        reject(new Error('Frame worker not running'));
+        return;
+      }
+
+      const id = this.nextWorkerRequestId++;
+      // A worker that dies without an error event never replies
+      const timeout = setTimeout(() => {
+        if (this.workerRequests.delete(id)) {
+          reject(new Error(`Frame worker request ${message.type} timed out`));
+        }
+      }, this.workerRequestTimeout);
+      this.workerRequests.set(id, { resolve, reject, timeout });
+      this.worker.postMessage({ id, ...message }, transfer);
+    });
+  }
+
+  /**
+   * Settle the request a worker reply belongs to
+   * @param {{id: number, error?: string}} reply - Reply from the worker
+   */
+  handleWorkerMessage(reply) {
+    const request = this.workerRequests.get(reply.id);
+    if (!request) {
+      return;
+    }
+
+    this.workerRequests.delete(reply.id);
+    clearTimeout(request.timeout);
+    if (reply.error) {
+      request.reject(new Error(reply.error));
+    } else {
+      request.resolve(reply);
+    }
+  }
+
+  /**
+   * Stop using the frame worker for this page and process frames on the main thread
+   * @param {string} reason - Why the worker can't be used
+   */
+  disableWorker(reason) {
+    console.warn('Frame worker unavailable, processing frames on the main thread:', reason);
+    this.terminateWorker();
+    this.workerUnavailable = true;
+  }
+
+  /**
+   * Terminate the frame worker and fail its pending requests
+   * It is started again on the next capture
+   */
+  terminateWorker() {
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+    if (this.workerUrl) {
+      URL.revokeObjectURL(this.workerUrl);
+      this.workerUrl = null;
+    }
+
+    this.workerRequests.forEach((request) => {
+      clearTimeout(request.timeout);
+      request.reject(new Error('Frame worker terminated'));
+    });
+    this.workerRequests.clear();
+  }
 }
 
+/**
+ * Scripts the frame worker is built from, in order
+ */
+VideoFrameExtractor.WORKER_SCRIPTS = Object.freeze(['utils/frameImaging.js', 'utils/frameWorker.js']);
+
+/**
+ * Supported capture modes
+ */
+VideoFrameExtractor.CAPTURE_MODES = Object.freeze(['single', 'frames', 'contact-sheet']);
+
+/**
+ * Capture mode names shown in the overlay menu
+ */
+VideoFrameExtractor.CAPTURE_MODE_LABELS = Object.freeze({
+  'single': 'Current frame',
+  'frames': 'Frames across the transcript window',
+  'contact-sheet': 'Contact sheet of the transcript window'
+});
+
 // Export for use in other modules
 window.VideoFrameExtractor = VideoFrameExtractor;
 